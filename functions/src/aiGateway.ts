@@ -0,0 +1,631 @@
+import {createHash} from "crypto";
+import * as admin from "firebase-admin";
+import * as logger from "firebase-functions/logger";
+import {defineSecret} from "firebase-functions/params";
+import {HttpsError, onCall} from "firebase-functions/v2/https";
+import {
+  AiProvider,
+  AiUsage,
+  ChatMessage,
+  ChatRole,
+  getAiProvider,
+} from "./aiProviders";
+import {
+  isBreakerOpen,
+  loadAiLimitsConfig,
+  recordAiSpend,
+  takeRateLimitToken,
+} from "./aiLimits";
+import {RequestSchema, validateCallable} from "./validation";
+
+/**
+ * The aiGateway callable: the app's only way to reach the model provider,
+ * so the API key stays in Secret Manager instead of shipping in the app.
+ * Requests name a feature, which fixes the model and caps the response
+ * size; each user gets a daily request quota per feature. Token usage and
+ * estimated cost are recorded per user, day and feature in
+ * performance_metrics/ai_usage_{day}_{uid}, on top of the rate limits and
+ * spend breaker in aiLimits.
+ *
+ * Text responses and embeddings are cached in ai_response_cache by a hash
+ * of their input. Embeddings are served from the cache whenever possible;
+ * text responses only while the breaker is open, which otherwise falls back
+ * to a fixed message per feature. Responses say which they are with the
+ * cached and fallback flags.
+ */
+
+export const AI_FEATURES = [
+  "meal_analysis",
+  "advice",
+  "review_summary",
+  "embedding",
+] as const;
+export type AiFeature = typeof AI_FEATURES[number];
+
+interface FeatureSettings {
+  model: string;
+  // Upper bound on response tokens; requests may ask for fewer
+  maxTokens: number;
+  // Requests per user per UTC day
+  dailyQuota: number;
+}
+
+export const AI_FEATURE_SETTINGS: Record<AiFeature, FeatureSettings> = {
+  meal_analysis: {model: "gpt-4o", maxTokens: 1000, dailyQuota: 30},
+  advice: {model: "gpt-4o-mini", maxTokens: 800, dailyQuota: 100},
+  review_summary: {model: "gpt-4o-mini", maxTokens: 1200, dailyQuota: 20},
+  embedding: {model: "text-embedding-3-small", maxTokens: 0, dailyQuota: 500},
+};
+
+// US dollars per million tokens
+const MODEL_PRICES: Record<string, {prompt: number; completion: number}> = {
+  "gpt-4o": {prompt: 2.5, completion: 10},
+  "gpt-4o-mini": {prompt: 0.15, completion: 0.6},
+  "text-embedding-3-small": {prompt: 0.02, completion: 0},
+};
+
+const DEFAULT_TEMPERATURE = 0.7;
+const MAX_MESSAGES = 20;
+// Characters across all messages, or of the text to embed
+const MAX_INPUT_LENGTH = 32000;
+// Room for a base64 data URL of a compressed meal photo
+const MAX_IMAGE_URL_LENGTH = 4 * 1024 * 1024;
+
+const CHAT_ROLES: readonly ChatRole[] = ["system", "user", "assistant"];
+
+// Cached responses older than this are ignored
+const RESPONSE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Served for text features while the breaker is open and nothing is cached
+export const AI_FALLBACK_CONTENT: Record<AiFeature, string> = {
+  meal_analysis:
+    "We can't analyze meals right now. You can log this meal manually, " +
+    "or try again later.",
+  advice:
+    "Personalized advice is taking a short break. In the meantime, keep " +
+    "up your routine: regular meals, water and a little movement go a " +
+    "long way.",
+  review_summary:
+    "Your summary isn't available right now, but your stats are up to " +
+    "date. Check back later for the full write-up.",
+  embedding: "",
+};
+
+export const openaiApiKey = defineSecret("OPENAI_API_KEY");
+
+interface AiGatewayRequest {
+  feature: AiFeature;
+  prompt?: string;
+  messages?: unknown[];
+  imageUrl?: string;
+  text?: string;
+  json?: boolean;
+  maxTokens?: number;
+  temperature?: number;
+}
+
+const aiGatewaySchema: RequestSchema = {
+  feature: {type: "string", required: true, oneOf: AI_FEATURES},
+  prompt: {type: "string", maxLength: MAX_INPUT_LENGTH},
+  messages: {type: "array", maxItems: MAX_MESSAGES},
+  imageUrl: {type: "string", maxLength: MAX_IMAGE_URL_LENGTH},
+  text: {type: "string", maxLength: MAX_INPUT_LENGTH},
+  json: {type: "boolean"},
+  maxTokens: {type: "number", min: 1},
+  temperature: {type: "number", min: 0, max: 2},
+};
+
+export interface AiCost extends AiUsage {
+  costUsd: number;
+}
+
+interface GatewayResponse {
+  feature: AiFeature;
+  // The provider's name, or "cache" or "fallback"
+  provider: string;
+  model: string;
+  usage: AiCost;
+  // Requests used today, absent when the provider was not called
+  quota?: {used: number; limit: number};
+  cached: boolean;
+  fallback: boolean;
+}
+
+export interface ChatResponse extends GatewayResponse {
+  content: string;
+  json?: unknown;
+}
+
+export interface EmbeddingResponse extends GatewayResponse {
+  // Null while the breaker is open and nothing is cached
+  embedding: number[] | null;
+}
+
+interface CachedResponse {
+  model: string;
+  content?: string;
+  embedding?: number[];
+}
+
+const NO_USAGE: AiCost = {
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  costUsd: 0,
+};
+
+/**
+ * Run a chat or embedding request for a feature and return a normalized
+ * response with the text, parsed JSON or embedding, usage and quota. While
+ * the spend breaker is open, return cached or fallback content instead.
+ */
+export const aiGateway = onCall({secrets: [openaiApiKey]}, async (request) => {
+  const {uid, data} = validateCallable<AiGatewayRequest>(
+    request,
+    aiGatewaySchema
+  );
+  const provider = getAiProvider(openaiApiKey.value());
+
+  if (data.feature !== "embedding") {
+    return completeChat(uid, data, getChatMessages(data), provider);
+  }
+
+  const response = await embedText(uid, getEmbeddingText(data), provider);
+  if (!response.embedding) {
+    throw new HttpsError(
+      "unavailable",
+      "The AI service is paused. Please try again later."
+    );
+  }
+  return response;
+});
+
+/**
+ * Embed a text for a user, under the embedding feature's rate limit and
+ * quota. Cached embeddings are served without calling the provider.
+ * @param {string} uid - The user the request counts against
+ * @param {string} text - The text to embed
+ * @param {AiProvider} provider - The provider to call
+ * @return {Promise<EmbeddingResponse>} The embedding, or a fallback
+ *   response without one while the breaker is open
+ */
+export async function embedText(
+  uid: string,
+  text: string,
+  provider: AiProvider
+): Promise<EmbeddingResponse> {
+  const feature = "embedding";
+  const model = AI_FEATURE_SETTINGS[feature].model;
+  await takeRateLimitToken(uid, feature);
+
+  const cacheKey = getCacheKey(feature, text, false);
+  const cached = await getCachedResponse(cacheKey);
+  if (cached?.embedding) {
+    return {
+      feature,
+      provider: "cache",
+      model: cached.model,
+      embedding: cached.embedding,
+      usage: NO_USAGE,
+      cached: true,
+      fallback: false,
+    };
+  }
+
+  const limits = await loadAiLimitsConfig(admin.firestore());
+  if (await isBreakerOpen(limits)) {
+    return {
+      feature,
+      provider: "fallback",
+      model,
+      embedding: null,
+      usage: NO_USAGE,
+      cached: false,
+      fallback: true,
+    };
+  }
+
+  const quota = await reserveAiQuota(uid, feature);
+  const result = await callProvider(
+    uid,
+    feature,
+    () => provider.embed(model, text)
+  );
+  const usage = await recordAiUsage(uid, feature, result.usage);
+  await recordAiSpend(usage.costUsd, limits);
+  await cacheResponse(cacheKey, feature, {
+    model: result.model,
+    embedding: result.embedding,
+  });
+  return {
+    feature,
+    provider: provider.name,
+    model: result.model,
+    embedding: result.embedding,
+    usage,
+    quota,
+    cached: false,
+    fallback: false,
+  };
+}
+
+/**
+ * Run a chat request for a user, under the feature's rate limit and quota
+ * @param {string} uid - The user the request counts against
+ * @param {AiGatewayRequest} data - The validated request
+ * @param {ChatMessage[]} messages - The request's messages
+ * @param {AiProvider} provider - The provider to call
+ * @return {Promise<ChatResponse>} The response, cached or fallback content
+ *   while the breaker is open
+ */
+async function completeChat(
+  uid: string,
+  data: AiGatewayRequest,
+  messages: ChatMessage[],
+  provider: AiProvider
+): Promise<ChatResponse> {
+  const feature = data.feature;
+  const settings = AI_FEATURE_SETTINGS[feature];
+  await takeRateLimitToken(uid, feature);
+
+  // Images are never repeated, so their responses are not worth caching
+  const cacheKey = data.imageUrl ?
+    null :
+    getCacheKey(feature, messages, data.json);
+
+  const limits = await loadAiLimitsConfig(admin.firestore());
+  if (await isBreakerOpen(limits)) {
+    const cached = cacheKey ? await getCachedResponse(cacheKey) : null;
+    const content = cached?.content ??
+      (data.json ? "{}" : AI_FALLBACK_CONTENT[feature]);
+    return {
+      feature,
+      provider: cached ? "cache" : "fallback",
+      model: cached?.model ?? settings.model,
+      content,
+      json: data.json ? parseJsonContent(content) : undefined,
+      usage: NO_USAGE,
+      cached: cached !== null,
+      fallback: true,
+    };
+  }
+
+  const quota = await reserveAiQuota(uid, feature);
+  const result = await callProvider(uid, feature, () => provider.chat({
+    model: settings.model,
+    messages,
+    maxTokens: Math.min(
+      Math.floor(data.maxTokens ?? settings.maxTokens),
+      settings.maxTokens
+    ),
+    temperature: data.temperature ?? DEFAULT_TEMPERATURE,
+    imageUrl: data.imageUrl,
+    json: data.json,
+  }));
+  const usage = await recordAiUsage(uid, feature, result.usage);
+  await recordAiSpend(usage.costUsd, limits);
+  if (cacheKey) {
+    await cacheResponse(cacheKey, feature, {
+      model: result.model,
+      content: result.content,
+    });
+  }
+  return {
+    feature,
+    provider: provider.name,
+    model: result.model,
+    content: result.content,
+    json: data.json ? parseJsonContent(result.content) : undefined,
+    usage,
+    quota,
+    cached: false,
+    fallback: false,
+  };
+}
+
+/**
+ * Call the provider for a request whose quota is already reserved. On
+ * failure the error is counted and the reservation given back, so outages
+ * do not use up the caller's quota; errors other than HttpsErrors reach the
+ * caller as unavailable.
+ * @param {string} uid - The caller
+ * @param {AiFeature} feature - The feature
+ * @param {Function} call - Makes the provider call
+ * @return {Promise<T>} What the provider returned
+ */
+async function callProvider<T>(
+  uid: string,
+  feature: AiFeature,
+  call: () => Promise<T>
+): Promise<T> {
+  try {
+    return await call();
+  } catch (error) {
+    await recordAiError(uid, feature);
+    if (error instanceof HttpsError) throw error;
+    logger.error(`AI provider error for ${feature}:`, error);
+    throw new HttpsError("unavailable", "The AI service is unavailable.");
+  }
+}
+
+/**
+ * Count a request against the caller's daily quota for a feature
+ * @param {string} uid - The caller
+ * @param {AiFeature} feature - The feature
+ * @return {Promise<object>} Requests used and the limit, including this one
+ */
+async function reserveAiQuota(
+  uid: string,
+  feature: AiFeature
+): Promise<{used: number; limit: number}> {
+  const db = admin.firestore();
+  const usageRef = getUsageRef(uid);
+  const limit = AI_FEATURE_SETTINGS[feature].dailyQuota;
+
+  return db.runTransaction(async (transaction) => {
+    const usageDoc = await transaction.get(usageRef);
+    const used: number = usageDoc.get(`features.${feature}.requests`) || 0;
+    if (used >= limit) {
+      throw new HttpsError(
+        "resource-exhausted",
+        "You have reached today's limit for this feature."
+      );
+    }
+
+    transaction.set(usageRef, {
+      type: "ai_usage",
+      user_id: uid,
+      day: getUsageDay(),
+      features: {
+        [feature]: {requests: admin.firestore.FieldValue.increment(1)},
+      },
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+    return {used: used + 1, limit};
+  });
+}
+
+/**
+ * Add a request's tokens and estimated cost to the caller's usage
+ * @param {string} uid - The caller
+ * @param {AiFeature} feature - The feature
+ * @param {AiUsage} usage - Tokens the request used
+ * @return {Promise<AiCost>} The usage with its cost
+ */
+export async function recordAiUsage(
+  uid: string,
+  feature: AiFeature,
+  usage: AiUsage
+): Promise<AiCost> {
+  const costUsd = estimateAiCost(AI_FEATURE_SETTINGS[feature].model, usage);
+  const increment = admin.firestore.FieldValue.increment;
+
+  try {
+    await getUsageRef(uid).set({
+      features: {
+        [feature]: {
+          prompt_tokens: increment(usage.promptTokens),
+          completion_tokens: increment(usage.completionTokens),
+          total_tokens: increment(usage.totalTokens),
+          cost_usd: increment(costUsd),
+        },
+      },
+      total_tokens: increment(usage.totalTokens),
+      total_cost_usd: increment(costUsd),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+  } catch (error) {
+    // The caller already has the answer; a lost metric is not worth failing
+    logger.error(`Error recording AI usage for ${uid}:`, error);
+  }
+
+  return {...usage, costUsd};
+}
+
+/**
+ * Estimated cost of a request in US dollars
+ * @param {string} model - The model the feature uses
+ * @param {AiUsage} usage - Tokens the request used
+ * @return {number} The cost
+ */
+export function estimateAiCost(model: string, usage: AiUsage): number {
+  const prices = MODEL_PRICES[model];
+  if (!prices) return 0;
+  return (
+    usage.promptTokens * prices.prompt +
+    usage.completionTokens * prices.completion
+  ) / 1e6;
+}
+
+/**
+ * Count a failed request in the caller's usage and give back the quota it
+ * reserved
+ * @param {string} uid - The caller
+ * @param {AiFeature} feature - The feature
+ * @return {Promise<void>} Resolves once recorded
+ */
+async function recordAiError(uid: string, feature: AiFeature): Promise<void> {
+  const increment = admin.firestore.FieldValue.increment;
+  try {
+    await getUsageRef(uid).set({
+      features: {
+        [feature]: {errors: increment(1), requests: increment(-1)},
+      },
+    }, {merge: true});
+  } catch (error) {
+    logger.error(`Error recording AI error for ${uid}:`, error);
+  }
+}
+
+/**
+ * The chat messages of a request: its messages, or its prompt as a single
+ * user message
+ * @param {AiGatewayRequest} data - The validated request
+ * @return {ChatMessage[]} The messages
+ */
+function getChatMessages(data: AiGatewayRequest): ChatMessage[] {
+  if (data.imageUrl) {
+    if (data.feature !== "meal_analysis") {
+      throw new HttpsError(
+        "invalid-argument",
+        "Only meal_analysis accepts an image."
+      );
+    }
+    if (!/^(https:\/\/|data:image\/)/.test(data.imageUrl)) {
+      throw new HttpsError(
+        "invalid-argument",
+        "Parameter imageUrl must be an https or image data URL."
+      );
+    }
+  }
+
+  const messages: ChatMessage[] = data.messages ?
+    data.messages.map((message, index) => {
+      const {role, content} = (message || {}) as Record<string, unknown>;
+      if (
+        !CHAT_ROLES.includes(role as ChatRole) ||
+        typeof content !== "string"
+      ) {
+        throw new HttpsError(
+          "invalid-argument",
+          `messages[${index}] must have a role and string content.`
+        );
+      }
+      return {role: role as ChatRole, content};
+    }) :
+    data.prompt ? [{role: "user", content: data.prompt}] : [];
+
+  if (messages.length === 0) {
+    throw new HttpsError(
+      "invalid-argument",
+      "Missing required parameter: prompt or messages"
+    );
+  }
+  const length = messages.reduce((sum, m) => sum + m.content.length, 0);
+  if (length > MAX_INPUT_LENGTH) {
+    throw new HttpsError(
+      "invalid-argument",
+      `Messages must be at most ${MAX_INPUT_LENGTH} characters in total.`
+    );
+  }
+  return messages;
+}
+
+/**
+ * The text of an embedding request
+ * @param {AiGatewayRequest} data - The validated request
+ * @return {string} The text to embed
+ */
+function getEmbeddingText(data: AiGatewayRequest): string {
+  const text = data.text ?? data.prompt;
+  if (!text) {
+    throw new HttpsError(
+      "invalid-argument",
+      "Missing required parameter: text"
+    );
+  }
+  return text;
+}
+
+/**
+ * Cache key for a request's input
+ * @param {AiFeature} feature - The feature
+ * @param {string | ChatMessage[]} input - Text to embed, or chat messages
+ * @param {boolean | undefined} json - Whether JSON was asked for
+ * @return {string} A hash of the input
+ */
+function getCacheKey(
+  feature: AiFeature,
+  input: string | ChatMessage[],
+  json: boolean | undefined
+): string {
+  const model = AI_FEATURE_SETTINGS[feature].model;
+  return createHash("sha256")
+    .update(JSON.stringify([feature, model, Boolean(json), input]))
+    .digest("hex");
+}
+
+/**
+ * A cached response, if there is one younger than the cache TTL
+ * @param {string} cacheKey - The request's cache key
+ * @return {Promise<CachedResponse | null>} The response, or null
+ */
+async function getCachedResponse(
+  cacheKey: string
+): Promise<CachedResponse | null> {
+  try {
+    const cachedDoc = await admin
+      .firestore()
+      .collection("ai_response_cache")
+      .doc(cacheKey)
+      .get();
+    const createdAt: admin.firestore.Timestamp | undefined =
+      cachedDoc.get("created_at");
+    const ageMs = createdAt ? Date.now() - createdAt.toMillis() : Infinity;
+    if (ageMs > RESPONSE_CACHE_TTL_MS) return null;
+    return {
+      model: cachedDoc.get("model"),
+      content: cachedDoc.get("content") ?? undefined,
+      embedding: cachedDoc.get("embedding") ?? undefined,
+    };
+  } catch (error) {
+    logger.error(`Error reading AI response cache ${cacheKey}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Cache a response. Failures are logged, not thrown.
+ * @param {string} cacheKey - The request's cache key
+ * @param {AiFeature} feature - The feature
+ * @param {CachedResponse} response - The response
+ * @return {Promise<void>} Resolves once cached
+ */
+async function cacheResponse(
+  cacheKey: string,
+  feature: AiFeature,
+  response: CachedResponse
+): Promise<void> {
+  try {
+    await admin.firestore().collection("ai_response_cache").doc(cacheKey).set({
+      feature,
+      ...response,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    logger.error(`Error caching AI response ${cacheKey}:`, error);
+  }
+}
+
+/**
+ * Parse a response the model was asked to give as JSON
+ * @param {string} content - The response text
+ * @return {unknown} The parsed value, or null if it is not valid JSON
+ */
+function parseJsonContent(content: string): unknown {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The caller's usage document for today
+ * @param {string} uid - The caller
+ * @return {admin.firestore.DocumentReference} The document
+ */
+function getUsageRef(uid: string): admin.firestore.DocumentReference {
+  return admin
+    .firestore()
+    .collection("performance_metrics")
+    .doc(`ai_usage_${getUsageDay()}_${uid}`);
+}
+
+/**
+ * The UTC day usage is counted in
+ * @return {string} The day as YYYY-MM-DD
+ */
+function getUsageDay(): string {
+  return new Date().toISOString().slice(0, 10);
+}
@@ -0,0 +1,291 @@
+import * as admin from "firebase-admin";
+import * as logger from "firebase-functions/logger";
+import {HttpsError} from "firebase-functions/v2/https";
+import {AiFeature} from "./aiGateway";
+
+/**
+ * Rate limiting and the spend circuit breaker for AI requests.
+ *
+ * Each user has a token bucket per feature in ai_rate_limits, refilled
+ * continuously; a request takes one token or fails with resource-exhausted.
+ *
+ * Estimated spend across all users is summed per UTC day in
+ * performance_metrics/ai_spend_{day}. Once it reaches the daily budget the
+ * breaker at admin/ai_circuit_breaker opens, and AI-backed callables serve
+ * cached or fallback content instead of calling the provider. The breaker
+ * closes by itself at the start of the next UTC day, or as soon as the
+ * budget is raised above the day's spend.
+ *
+ * Both are driven by the performanceMonitoring feature flag: cost_tracking
+ * turns spend tracking on, circuit_breakers lets the breaker open, and
+ * daily_budget_usd sets the budget. With the flag disabled, neither runs;
+ * rate limits always apply.
+ */
+
+interface BucketSettings {
+  // Tokens a full bucket holds, i.e. the largest burst allowed
+  capacity: number;
+  refillPerMinute: number;
+}
+
+export const AI_RATE_LIMITS: Record<AiFeature, BucketSettings> = {
+  meal_analysis: {capacity: 5, refillPerMinute: 2},
+  advice: {capacity: 10, refillPerMinute: 5},
+  review_summary: {capacity: 3, refillPerMinute: 1},
+  embedding: {capacity: 30, refillPerMinute: 20},
+};
+
+export interface AiLimitsConfig {
+  costTracking: boolean;
+  circuitBreakers: boolean;
+  dailyBudgetUsd: number;
+}
+
+export const AI_LIMITS_FLAG_PATH = "feature_flags/performanceMonitoring";
+export const AI_BREAKER_PATH = "admin/ai_circuit_breaker";
+
+export const DEFAULT_AI_LIMITS: AiLimitsConfig = {
+  costTracking: true,
+  circuitBreakers: true,
+  dailyBudgetUsd: 25,
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Take a token from the user's bucket for a feature
+ * @param {string} uid - The caller
+ * @param {AiFeature} feature - The feature
+ * @param {number} now - Current time in millis
+ * @return {Promise<void>} Resolves if the request may proceed
+ */
+export async function takeRateLimitToken(
+  uid: string,
+  feature: AiFeature,
+  now: number = Date.now()
+): Promise<void> {
+  const db = admin.firestore();
+  const bucketRef = db.collection("ai_rate_limits").doc(`${uid}_${feature}`);
+  const {capacity, refillPerMinute} = AI_RATE_LIMITS[feature];
+
+  await db.runTransaction(async (transaction) => {
+    const bucketDoc = await transaction.get(bucketRef);
+    let tokens = capacity;
+    if (bucketDoc.exists) {
+      const elapsedMs = Math.max(0, now - bucketDoc.get("refilled_at"));
+      tokens = Math.min(
+        capacity,
+        bucketDoc.get("tokens") + (elapsedMs / MINUTE_MS) * refillPerMinute
+      );
+    }
+
+    if (tokens < 1) {
+      const waitSeconds = Math.ceil(((1 - tokens) / refillPerMinute) * 60);
+      throw new HttpsError(
+        "resource-exhausted",
+        `Too many requests. Please try again in ${waitSeconds} seconds.`
+      );
+    }
+
+    transaction.set(bucketRef, {
+      user_id: uid,
+      feature,
+      tokens: tokens - 1,
+      refilled_at: now,
+    });
+  });
+}
+
+/**
+ * Load the spend limits from the performanceMonitoring flag, falling back to
+ * the built-in defaults if the flag is missing or its parameters invalid
+ * @param {admin.firestore.Firestore} db - Firestore client
+ * @return {Promise<AiLimitsConfig>} The limits
+ */
+export async function loadAiLimitsConfig(
+  db: admin.firestore.Firestore
+): Promise<AiLimitsConfig> {
+  const flagDoc = await db.doc(AI_LIMITS_FLAG_PATH).get();
+  if (!flagDoc.exists) return DEFAULT_AI_LIMITS;
+  if (flagDoc.get("enabled") === false) {
+    return {...DEFAULT_AI_LIMITS, costTracking: false, circuitBreakers: false};
+  }
+
+  try {
+    return validateAiLimitsConfig(flagDoc.get("parameters") ?? {});
+  } catch (error) {
+    logger.error("Invalid AI limits, using built-in defaults", error);
+    return DEFAULT_AI_LIMITS;
+  }
+}
+
+/**
+ * Validate the flag's parameters. Parameters for other monitoring features
+ * are ignored, and a missing parameter takes its default.
+ * @param {unknown} data - The raw flag parameters
+ * @return {AiLimitsConfig} The validated limits
+ */
+export function validateAiLimitsConfig(data: unknown): AiLimitsConfig {
+  if (typeof data !== "object" || data === null) {
+    throw new Error("Performance monitoring parameters must be an object");
+  }
+
+  const raw = data as Record<string, unknown>;
+  const config: AiLimitsConfig = {...DEFAULT_AI_LIMITS};
+  const problems: string[] = [];
+
+  for (const [key, field] of [
+    ["cost_tracking", "costTracking"],
+    ["circuit_breakers", "circuitBreakers"],
+  ] as const) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] !== "boolean") {
+      problems.push(`${key} must be a boolean`);
+    } else {
+      config[field] = raw[key] as boolean;
+    }
+  }
+
+  const budget = raw.daily_budget_usd;
+  if (budget !== undefined) {
+    if (typeof budget !== "number" || !(budget > 0)) {
+      problems.push("daily_budget_usd must be a positive number");
+    } else {
+      config.dailyBudgetUsd = budget;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid AI limits: ${problems.join("; ")}`);
+  }
+
+  return config;
+}
+
+/**
+ * Whether the breaker is open, closing it first if its reset time has
+ * passed or the budget has since been raised
+ * @param {AiLimitsConfig} config - The limits
+ * @param {Date} now - Current time
+ * @return {Promise<boolean>} True to serve cached or fallback content
+ */
+export async function isBreakerOpen(
+  config: AiLimitsConfig,
+  now: Date = new Date()
+): Promise<boolean> {
+  if (!config.circuitBreakers) return false;
+
+  const db = admin.firestore();
+  const breakerRef = db.doc(AI_BREAKER_PATH);
+  const breakerDoc = await breakerRef.get();
+  if (breakerDoc.get("state") !== "open") return false;
+
+  const resetAt: admin.firestore.Timestamp = breakerDoc.get("reset_at");
+  if (
+    resetAt.toMillis() > now.getTime() &&
+    breakerDoc.get("spent_usd") >= config.dailyBudgetUsd
+  ) {
+    return true;
+  }
+
+  const closed = await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(breakerRef);
+    if (current.get("state") !== "open") return false;
+    transaction.update(breakerRef, {
+      state: "closed",
+      closed_at: admin.firestore.Timestamp.fromDate(now),
+    });
+    return true;
+  });
+  if (closed) logger.info("AI spend breaker closed");
+  return false;
+}
+
+/**
+ * Add a request's estimated cost to today's global spend, opening the
+ * breaker if that reaches the budget. Failures are logged, not thrown.
+ * @param {number} costUsd - The request's estimated cost
+ * @param {AiLimitsConfig} config - The limits
+ * @param {Date} now - Current time
+ * @return {Promise<void>} Resolves once recorded
+ */
+export async function recordAiSpend(
+  costUsd: number,
+  config: AiLimitsConfig,
+  now: Date = new Date()
+): Promise<void> {
+  if (!config.costTracking) return;
+
+  const day = now.toISOString().slice(0, 10);
+  const spendRef = admin
+    .firestore()
+    .collection("performance_metrics")
+    .doc(`ai_spend_${day}`);
+
+  try {
+    await spendRef.set({
+      type: "ai_spend",
+      day,
+      requests: admin.firestore.FieldValue.increment(1),
+      total_cost_usd: admin.firestore.FieldValue.increment(costUsd),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+
+    if (!config.circuitBreakers) return;
+    const spentUsd: number = (await spendRef.get()).get("total_cost_usd") || 0;
+    if (spentUsd >= config.dailyBudgetUsd) {
+      await openBreaker(day, spentUsd, config.dailyBudgetUsd, now);
+    }
+  } catch (error) {
+    logger.error("Error recording AI spend:", error);
+  }
+}
+
+/**
+ * Open the breaker until the start of the next UTC day, unless it is
+ * already open for this day
+ * @param {string} day - The day the budget was reached, as YYYY-MM-DD
+ * @param {number} spentUsd - Spend so far that day
+ * @param {number} budgetUsd - The daily budget
+ * @param {Date} now - Current time
+ * @return {Promise<void>} Resolves once the breaker is open
+ */
+async function openBreaker(
+  day: string,
+  spentUsd: number,
+  budgetUsd: number,
+  now: Date
+): Promise<void> {
+  const db = admin.firestore();
+  const breakerRef = db.doc(AI_BREAKER_PATH);
+  const resetAt = new Date(Date.parse(day) + DAY_MS);
+
+  const opened = await db.runTransaction(async (transaction) => {
+    const breakerDoc = await transaction.get(breakerRef);
+    if (
+      breakerDoc.get("state") === "open" &&
+      breakerDoc.get("day") === day
+    ) {
+      return false;
+    }
+
+    transaction.set(breakerRef, {
+      state: "open",
+      reason: "daily_budget",
+      day,
+      spent_usd: spentUsd,
+      budget_usd: budgetUsd,
+      opened_at: admin.firestore.Timestamp.fromDate(now),
+      reset_at: admin.firestore.Timestamp.fromDate(resetAt),
+    });
+    return true;
+  });
+
+  if (opened) {
+    logger.warn(
+      `AI spend breaker opened: $${spentUsd.toFixed(2)} of ` +
+      `$${budgetUsd.toFixed(2)} spent on ${day}`
+    );
+  }
+}
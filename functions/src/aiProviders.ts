@@ -0,0 +1,254 @@
+import {createHash} from "crypto";
+import {HttpsError} from "firebase-functions/v2/https";
+import {createJsonClient} from "./httpClient";
+
+/**
+ * Model providers behind the aiGateway callable. A provider turns a chat or
+ * embedding request into a normalized result with token usage; the gateway
+ * picks one with getAiProvider. The OpenAI provider talks to the public API,
+ * or to OPENAI_BASE_URL when set; the fake provider answers locally and
+ * deterministically, so the gateway can run in the emulator and in tests
+ * without a key or network access. Set AI_PROVIDER=fake to use it.
+ *
+ * Upstream failures surface as HttpsErrors from the shared JSON client.
+ */
+
+export type ChatRole = "system" | "user" | "assistant";
+
+export interface ChatMessage {
+  role: ChatRole;
+  content: string;
+}
+
+export interface ChatRequest {
+  model: string;
+  messages: ChatMessage[];
+  maxTokens: number;
+  temperature: number;
+  // Image attached to the last user message, as an https or data URL
+  imageUrl?: string;
+  // Ask the model for a JSON object instead of free text
+  json?: boolean;
+}
+
+export interface AiUsage {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+}
+
+export interface ChatResult {
+  content: string;
+  model: string;
+  usage: AiUsage;
+}
+
+export interface EmbeddingResult {
+  embedding: number[];
+  model: string;
+  usage: AiUsage;
+}
+
+export interface AiProvider {
+  name: string;
+  chat(request: ChatRequest): Promise<ChatResult>;
+  embed(model: string, text: string): Promise<EmbeddingResult>;
+}
+
+export interface OpenAiProviderOptions {
+  apiKey: string;
+  baseUrl?: string;
+  timeoutMs?: number;
+}
+
+interface OpenAiUsage {
+  prompt_tokens?: number;
+  completion_tokens?: number;
+  total_tokens?: number;
+}
+
+interface OpenAiChatResponse {
+  model?: string;
+  choices?: {message?: {content?: string | null}}[];
+  usage?: OpenAiUsage;
+}
+
+interface OpenAiEmbeddingResponse {
+  model?: string;
+  data?: {embedding?: number[]}[];
+  usage?: OpenAiUsage;
+}
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+// Length of the fake provider's embeddings, matching text-embedding-3-small
+const FAKE_EMBEDDING_DIMENSIONS = 1536;
+
+/**
+ * The provider selected by AI_PROVIDER, OpenAI unless set to "fake"
+ * @param {string} apiKey - OpenAI API key, unused by the fake provider
+ * @return {AiProvider} The provider
+ */
+export function getAiProvider(apiKey: string): AiProvider {
+  if (process.env.AI_PROVIDER === "fake") return createFakeProvider();
+  return createOpenAiProvider({
+    apiKey,
+    baseUrl: process.env.OPENAI_BASE_URL,
+  });
+}
+
+/**
+ * A provider calling the OpenAI REST API
+ * @param {OpenAiProviderOptions} options - Key, base URL and timeout
+ * @return {AiProvider} The provider
+ */
+export function createOpenAiProvider(
+  options: OpenAiProviderOptions
+): AiProvider {
+  const client = createJsonClient({
+    name: "OpenAI",
+    description: "The AI service",
+    baseUrl: options.baseUrl || OPENAI_BASE_URL,
+    headers: {"Authorization": `Bearer ${options.apiKey}`},
+    timeoutMs: options.timeoutMs,
+  });
+
+  const post = async <T>(path: string, body: unknown): Promise<T> => {
+    if (!options.apiKey) {
+      throw new HttpsError(
+        "failed-precondition",
+        "The AI service is not configured."
+      );
+    }
+    return client.post<T>(path, body);
+  };
+
+  return {
+    name: "openai",
+
+    async chat(request) {
+      const messages: unknown[] = [...request.messages];
+      if (request.imageUrl) {
+        const last = request.messages[request.messages.length - 1];
+        messages[messages.length - 1] = {
+          role: last.role,
+          content: [
+            {type: "text", text: last.content},
+            {type: "image_url", image_url: {url: request.imageUrl}},
+          ],
+        };
+      }
+
+      const data = await post<OpenAiChatResponse>("/chat/completions", {
+        model: request.model,
+        messages,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        ...(request.json ? {response_format: {type: "json_object"}} : {}),
+      });
+      return {
+        content: data.choices?.[0]?.message?.content ?? "",
+        model: data.model || request.model,
+        usage: toUsage(data.usage),
+      };
+    },
+
+    async embed(model, text) {
+      const data = await post<OpenAiEmbeddingResponse>(
+        "/embeddings",
+        {model, input: text}
+      );
+      const embedding = data.data?.[0]?.embedding;
+      if (!Array.isArray(embedding)) {
+        throw new HttpsError("unavailable", "The AI service is unavailable.");
+      }
+      return {
+        embedding,
+        model: data.model || model,
+        usage: toUsage(data.usage),
+      };
+    },
+  };
+}
+
+/**
+ * A provider that answers locally: chat echoes the last message, or returns
+ * an empty JSON object when JSON was asked for, and embeddings are derived
+ * from a hash of the text. Token counts are estimated from text length.
+ * @return {AiProvider} The provider
+ */
+export function createFakeProvider(): AiProvider {
+  return {
+    name: "fake",
+
+    async chat(request) {
+      const prompt = request.messages
+        .map((message) => message.content)
+        .join("\n");
+      const last = request.messages[request.messages.length - 1];
+      const content = request.json ?
+        "{}" :
+        `[fake ${request.model}] ${last?.content.slice(0, 200) ?? ""}`;
+      const promptTokens = estimateTokens(prompt);
+      const completionTokens = estimateTokens(content);
+      return {
+        content,
+        model: request.model,
+        usage: {
+          promptTokens,
+          completionTokens,
+          totalTokens: promptTokens + completionTokens,
+        },
+      };
+    },
+
+    async embed(model, text) {
+      const promptTokens = estimateTokens(text);
+      return {
+        embedding: fakeEmbedding(text),
+        model,
+        usage: {promptTokens, completionTokens: 0, totalTokens: promptTokens},
+      };
+    },
+  };
+}
+
+/**
+ * Normalize an OpenAI usage object
+ * @param {OpenAiUsage | undefined} usage - The raw usage
+ * @return {AiUsage} Token counts, 0 where missing
+ */
+function toUsage(usage: OpenAiUsage | undefined): AiUsage {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+  };
+}
+
+/**
+ * Rough token count of a text, about four characters per token
+ * @param {string} text - The text
+ * @return {number} Estimated tokens
+ */
+function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * A unit-length vector derived from a text, equal for equal texts
+ * @param {string} text - The text
+ * @return {number[]} The vector
+ */
+function fakeEmbedding(text: string): number[] {
+  const values: number[] = [];
+  for (let block = 0; values.length < FAKE_EMBEDDING_DIMENSIONS; block++) {
+    const digest = createHash("sha256").update(`${block}:${text}`).digest();
+    for (const byte of digest) values.push(byte / 127.5 - 1);
+  }
+  const vector = values.slice(0, FAKE_EMBEDDING_DIMENSIONS);
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map((value) => value / norm);
+}
@@ -0,0 +1,270 @@
+import * as admin from "firebase-admin";
+import * as logger from "firebase-functions/logger";
+import {HttpsError, onCall} from "firebase-functions/v2/https";
+import {loadPermanencePolicy} from "./permanencePolicy";
+import {toCallableData} from "./serialize";
+import {ID_PATTERN, RequestSchema, validateCallable} from "./validation";
+
+/**
+ * Callables behind the milestone stories page: browsing the stories that
+ * manageStoryExpiration archived to users/{uid}/archived_stories, bringing
+ * one back to the live feed for a limited window, and compiling a yearly
+ * highlights collection. Callers only ever act on their own archive.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// How long a restored story stays in the live feed, in hours
+const DEFAULT_RESTORE_HOURS = 24;
+const MAX_RESTORE_HOURS = 72;
+
+// Number of stories picked for a yearly highlights collection
+const HIGHLIGHTS_SIZE = 12;
+
+interface ListArchivedStoriesRequest {
+  tier?: string;
+  startDate?: number;
+  endDate?: number;
+  pageSize?: number;
+  cursor?: string;
+}
+
+const listArchivedStoriesSchema: RequestSchema = {
+  tier: {type: "string", maxLength: 64},
+  startDate: {type: "number", min: 0},
+  endDate: {type: "number", min: 0},
+  pageSize: {type: "number", min: 1, max: MAX_PAGE_SIZE},
+  cursor: {type: "string", pattern: ID_PATTERN},
+};
+
+interface RestoreArchivedStoryRequest {
+  storyId: string;
+  hours?: number;
+}
+
+const restoreArchivedStorySchema: RequestSchema = {
+  storyId: {type: "string", required: true, pattern: ID_PATTERN},
+  hours: {type: "number", min: 1, max: MAX_RESTORE_HOURS},
+};
+
+interface CompileYearlyHighlightsRequest {
+  year: number;
+}
+
+const compileYearlyHighlightsSchema: RequestSchema = {
+  year: {type: "number", required: true, min: 2000, max: 3000},
+};
+
+/**
+ * List the caller's archived stories, newest first, filtered by permanence
+ * tier and/or the date the story was posted (epoch milliseconds). Pass the
+ * returned nextCursor back as cursor to fetch the next page.
+ */
+export const listArchivedStories = onCall(async (request) => {
+  const {uid, data} = validateCallable<ListArchivedStoriesRequest>(
+    request,
+    listArchivedStoriesSchema
+  );
+  const pageSize = Math.floor(data.pageSize ?? DEFAULT_PAGE_SIZE);
+  const archive = getArchiveCollection(uid);
+
+  let query: admin.firestore.Query = archive;
+  if (data.tier) {
+    query = query.where("permanence.tier", "==", data.tier);
+  }
+  if (data.startDate !== undefined) {
+    query = query.where(
+      "timestamp",
+      ">=",
+      admin.firestore.Timestamp.fromMillis(data.startDate)
+    );
+  }
+  if (data.endDate !== undefined) {
+    query = query.where(
+      "timestamp",
+      "<=",
+      admin.firestore.Timestamp.fromMillis(data.endDate)
+    );
+  }
+  query = query.orderBy("timestamp", "desc").limit(pageSize + 1);
+
+  if (data.cursor) {
+    const cursorDoc = await archive.doc(data.cursor).get();
+    if (!cursorDoc.exists) {
+      throw new HttpsError("invalid-argument", "Unknown cursor.");
+    }
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.get();
+  const docs = snapshot.docs.slice(0, pageSize);
+  const hasMore = snapshot.size > pageSize;
+
+  return {
+    stories: docs.map((doc) => ({
+      id: doc.id,
+      ...(toCallableData(doc.data()) as Record<string, unknown>),
+    })),
+    nextCursor: hasMore ? docs[docs.length - 1].id : null,
+  };
+});
+
+/**
+ * Put one of the caller's archived stories back into their live stories
+ * for a limited window. The archived copy is kept, and updateStoryPermanence
+ * never expires the story before restoredUntil. Once it does expire,
+ * manageStoryExpiration sees restoredFromArchive and removes only the live
+ * copy, leaving the archived copy and the media it references alone.
+ */
+export const restoreArchivedStory = onCall(async (request) => {
+  const {uid, data} = validateCallable<RestoreArchivedStoryRequest>(
+    request,
+    restoreArchivedStorySchema
+  );
+  const db = admin.firestore();
+  const archivedRef = getArchiveCollection(uid).doc(data.storyId);
+  const hours = data.hours ?? DEFAULT_RESTORE_HOURS;
+  const restoredUntil = admin.firestore.Timestamp.fromMillis(
+    Date.now() + hours * 60 * 60 * 1000
+  );
+
+  const liveStoryId = await db.runTransaction(async (transaction) => {
+    const archivedDoc = await transaction.get(archivedRef);
+    if (!archivedDoc.exists) {
+      throw new HttpsError("not-found", "Archived story not found.");
+    }
+
+    const story = {...archivedDoc.data()};
+    const storyId = story.originalStoryId || archivedDoc.id;
+
+    // Archive bookkeeping does not belong on the live story
+    delete story.archivedAt;
+    delete story.archivePolicyVersion;
+    delete story.originalStoryId;
+
+    transaction.set(
+      db.collection("users").doc(uid).collection("stories").doc(storyId),
+      {
+        ...story,
+        permanence: {
+          ...(story.permanence || {}),
+          expiresAt: restoredUntil,
+        },
+        restoredFromArchive: true,
+        restoredAt: admin.firestore.FieldValue.serverTimestamp(),
+        restoredUntil,
+      }
+    );
+    transaction.update(archivedRef, {
+      lastRestoredAt: admin.firestore.FieldValue.serverTimestamp(),
+      restoredUntil,
+    });
+    return storyId;
+  });
+
+  logger.log(
+    `Restored archived story ${data.storyId} for ${uid} for ${hours} hours`
+  );
+
+  return {storyId: liveStoryId, restoredUntil: restoredUntil.toMillis()};
+});
+
+/**
+ * Compile the caller's highlights for a year from their archived stories and
+ * their live stories in an archived tier, ranked by engagement score. The
+ * result is stored at users/{uid}/highlights/{year} and returned.
+ */
+export const compileYearlyHighlights = onCall(async (request) => {
+  const {uid, data} = validateCallable<CompileYearlyHighlightsRequest>(
+    request,
+    compileYearlyHighlightsSchema
+  );
+  const db = admin.firestore();
+  const year = Math.floor(data.year);
+  const start = admin.firestore.Timestamp.fromDate(
+    new Date(Date.UTC(year, 0, 1))
+  );
+  const end = admin.firestore.Timestamp.fromDate(
+    new Date(Date.UTC(year + 1, 0, 1))
+  );
+  const policy = await loadPermanencePolicy(db);
+  const userRef = db.collection("users").doc(uid);
+
+  const [archived, live] = await Promise.all([
+    getArchiveCollection(uid)
+      .where("timestamp", ">=", start)
+      .where("timestamp", "<", end)
+      .get(),
+    userRef
+      .collection("stories")
+      .where("timestamp", ">=", start)
+      .where("timestamp", "<", end)
+      .get(),
+  ]);
+
+  // A restored story exists in both collections; the archive copy wins
+  const candidates = new Map<string, admin.firestore.DocumentData>();
+  for (const doc of live.docs) {
+    if (policy.archivedTiers.includes(doc.get("permanence.tier"))) {
+      candidates.set(doc.id, doc.data());
+    }
+  }
+  for (const doc of archived.docs) {
+    candidates.set(doc.get("originalStoryId") || doc.id, doc.data());
+  }
+
+  const ranked = [...candidates.entries()]
+    .map(([storyId, story]) => ({
+      storyId,
+      mediaUrl: story.mediaUrl || null,
+      thumbnailUrl: story.thumbnailUrl || null,
+      tier: story.permanence?.tier || null,
+      postedAt: story.timestamp?.toMillis() ?? null,
+      score: story.permanence?.scoredEngagement?.score ??
+        story.totalEngagementScore ?? 0,
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const tierCounts: Record<string, number> = {};
+  const monthCounts: number[] = new Array(12).fill(0);
+  for (const story of ranked) {
+    if (story.tier) {
+      tierCounts[story.tier] = (tierCounts[story.tier] || 0) + 1;
+    }
+    if (story.postedAt !== null) {
+      monthCounts[new Date(story.postedAt).getUTCMonth()]++;
+    }
+  }
+
+  const highlights = {
+    year,
+    stories: ranked.slice(0, HIGHLIGHTS_SIZE),
+    totalStories: ranked.length,
+    tierCounts,
+    monthCounts,
+    coverUrl: ranked[0]?.thumbnailUrl || ranked[0]?.mediaUrl || null,
+  };
+
+  await userRef.collection("highlights").doc(String(year)).set({
+    ...highlights,
+    compiledAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return highlights;
+});
+
+/**
+ * The archived stories collection of a user
+ * @param {string} uid - The user's uid
+ * @return {admin.firestore.CollectionReference} The collection reference
+ */
+function getArchiveCollection(
+  uid: string
+): admin.firestore.CollectionReference {
+  return admin
+    .firestore()
+    .collection("users")
+    .doc(uid)
+    .collection("archived_stories");
+}
@@ -0,0 +1,105 @@
+import {PermanencePolicy} from "./permanencePolicy";
+
+/**
+ * Scores a story's engagement one event at a time against a per-viewer
+ * aggregate instead of the client-written counters, so the permanence maths
+ * cannot be gamed and no event has to re-read the story's history: every
+ * viewer counts once, each viewer is held to a velocity limit, and repeated
+ * interactions are capped. Event times are the server's, never the
+ * client-written timestamp.
+ */
+
+// Scoring state kept per viewer of a story
+export interface ViewerScoring {
+  // Events of each type counted so far, after the per-viewer caps
+  counted: Record<string, number>;
+  // Times in ms of the viewer's events inside the velocity window
+  recentEventTimes: number[];
+  droppedEvents: number;
+}
+
+export interface ScoredEvent {
+  // counted: adds to the score; capped: over the per-viewer cap for its
+  // type; dropped: over the velocity limit
+  outcome: "counted" | "capped" | "dropped";
+  // The viewer's scoring state with the event applied
+  scoring: ViewerScoring;
+  // What the event adds to the story's score, 0 unless counted
+  weight: number;
+}
+
+/**
+ * Read a viewer's scoring state as stored, defaulting anything missing
+ * @param {unknown} value - The stored state, if any
+ * @return {ViewerScoring} The scoring state
+ */
+export function getViewerScoring(value: unknown): ViewerScoring {
+  const stored = (value ?? {}) as Partial<ViewerScoring>;
+  return {
+    counted: {...(stored.counted ?? {})},
+    recentEventTimes: Array.isArray(stored.recentEventTimes) ?
+      stored.recentEventTimes.filter((time) => typeof time === "number") :
+      [],
+    droppedEvents: stored.droppedEvents ?? 0,
+  };
+}
+
+/**
+ * Score one engagement event under the policy's anti-gaming rules
+ * @param {ViewerScoring} scoring - The viewer's scoring state so far
+ * @param {string} engagementType - The event's type
+ * @param {number} eventAtMs - When the server received the event
+ * @param {PermanencePolicy} policy - The permanence policy to apply
+ * @return {ScoredEvent} The outcome and the viewer's new scoring state
+ */
+export function scoreEngagementEvent(
+  scoring: ViewerScoring,
+  engagementType: string,
+  eventAtMs: number,
+  policy: PermanencePolicy
+): ScoredEvent {
+  const limits = policy.antiGaming;
+  const windowMs = limits.velocityWindowMinutes * 60 * 1000;
+  const perViewerCaps: Record<string, number> = {
+    views: 1,
+    likes: 1,
+    saves: 1,
+    comments: limits.maxCommentsPerViewer,
+    shares: limits.maxSharesPerViewer,
+  };
+
+  const recent = scoring.recentEventTimes
+    .filter((timeMs) => eventAtMs - timeMs < windowMs);
+
+  if (recent.length >= limits.maxEventsPerWindow) {
+    return {
+      outcome: "dropped",
+      scoring: {
+        ...scoring,
+        recentEventTimes: recent,
+        droppedEvents: scoring.droppedEvents + 1,
+      },
+      weight: 0,
+    };
+  }
+  recent.push(eventAtMs);
+
+  const count = scoring.counted[engagementType] || 0;
+  if (count >= (perViewerCaps[engagementType] ?? 1)) {
+    return {
+      outcome: "capped",
+      scoring: {...scoring, recentEventTimes: recent},
+      weight: 0,
+    };
+  }
+
+  return {
+    outcome: "counted",
+    scoring: {
+      ...scoring,
+      counted: {...scoring.counted, [engagementType]: count + 1},
+      recentEventTimes: recent,
+    },
+    weight: policy.eventWeights[engagementType] ?? 0,
+  };
+}
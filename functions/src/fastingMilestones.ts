@@ -0,0 +1,184 @@
+import * as admin from "firebase-admin";
+import * as logger from "firebase-functions/logger";
+
+/**
+ * Fasting milestone schedule for the push notifications sent by
+ * sendFastingMilestones. The live schedule is the document at
+ * admin/fasting_milestones, so milestones can be tuned without a deploy;
+ * DEFAULT_FASTING_MILESTONES applies while that document is missing or
+ * invalid.
+ */
+
+export type MilestoneType = "elapsed" | "before_target" | "target";
+
+export interface FastingMilestone {
+  // Stable id recorded in the session's milestones_sent
+  id: string;
+  type: MilestoneType;
+  // Hours fasted for "elapsed", hours before the target for "before_target"
+  hours?: number;
+}
+
+export interface FastingMilestoneConfig {
+  milestones: FastingMilestone[];
+  // Sessions still active this long after their target are closed
+  autoEndAfterTargetHours: number;
+}
+
+export const FASTING_MILESTONES_PATH = "admin/fasting_milestones";
+
+export const DEFAULT_FASTING_MILESTONES: FastingMilestoneConfig = {
+  milestones: [
+    {id: "elapsed_12h", type: "elapsed", hours: 12},
+    {id: "elapsed_16h", type: "elapsed", hours: 16},
+    {id: "before_target_1h", type: "before_target", hours: 1},
+    {id: "target", type: "target"},
+  ],
+  autoEndAfterTargetHours: 12,
+};
+
+// How long a loaded schedule is reused by a warm function instance
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+
+let cachedConfig: {
+  config: FastingMilestoneConfig;
+  loadedAt: number;
+} | null = null;
+
+/**
+ * Load the live milestone schedule, falling back to the built-in default if
+ * the document is missing or invalid
+ * @param {admin.firestore.Firestore} db - Firestore client
+ * @return {Promise<FastingMilestoneConfig>} The schedule
+ */
+export async function loadFastingMilestones(
+  db: admin.firestore.Firestore
+): Promise<FastingMilestoneConfig> {
+  if (
+    cachedConfig &&
+    Date.now() - cachedConfig.loadedAt < CONFIG_CACHE_TTL_MS
+  ) {
+    return cachedConfig.config;
+  }
+
+  let config = DEFAULT_FASTING_MILESTONES;
+  const configDoc = await db.doc(FASTING_MILESTONES_PATH).get();
+
+  if (configDoc.exists) {
+    try {
+      config = validateFastingMilestones(configDoc.data());
+    } catch (error) {
+      logger.error("Invalid fasting milestones, using built-in default", error);
+    }
+  }
+
+  cachedConfig = {config, loadedAt: Date.now()};
+  return config;
+}
+
+/**
+ * Validate a milestone schedule document. A missing field takes its
+ * default value.
+ * @param {unknown} data - The raw document data
+ * @return {FastingMilestoneConfig} The validated schedule
+ */
+export function validateFastingMilestones(
+  data: unknown
+): FastingMilestoneConfig {
+  if (typeof data !== "object" || data === null) {
+    throw new Error("Fasting milestones must be an object");
+  }
+
+  const raw = data as Partial<FastingMilestoneConfig>;
+  const config: FastingMilestoneConfig = {
+    ...DEFAULT_FASTING_MILESTONES,
+    ...raw,
+  };
+  const problems: string[] = [];
+  const ids = new Set<string>();
+
+  if (!Array.isArray(config.milestones)) {
+    problems.push("milestones must be an array");
+  } else {
+    config.milestones.forEach((milestone, index) => {
+      if (typeof milestone?.id !== "string" || !milestone.id) {
+        problems.push(`milestones[${index}].id must be a non-empty string`);
+      } else if (ids.has(milestone.id)) {
+        problems.push(`milestones[${index}].id is duplicated`);
+      } else {
+        ids.add(milestone.id);
+      }
+
+      if (!["elapsed", "before_target", "target"].includes(milestone?.type)) {
+        problems.push(`milestones[${index}].type is unknown`);
+      } else if (
+        milestone.type !== "target" &&
+        !(typeof milestone.hours === "number" && milestone.hours > 0)
+      ) {
+        problems.push(`milestones[${index}].hours must be a positive number`);
+      }
+    });
+  }
+
+  if (
+    typeof config.autoEndAfterTargetHours !== "number" ||
+    !(config.autoEndAfterTargetHours > 0)
+  ) {
+    problems.push("autoEndAfterTargetHours must be a positive number");
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid fasting milestones: ${problems.join("; ")}`);
+  }
+
+  return config;
+}
+
+/**
+ * The hour mark, counted in fasted time, at which a milestone is reached
+ * @param {FastingMilestone} milestone - The milestone
+ * @param {number} targetHours - The session's planned duration in hours
+ * @return {number | null} The hour mark, or null if it never applies
+ */
+export function getMilestoneHours(
+  milestone: FastingMilestone,
+  targetHours: number
+): number | null {
+  switch (milestone.type) {
+  case "elapsed":
+    // Elapsed milestones past the target are covered by "target"
+    return (milestone.hours ?? 0) < targetHours ? milestone.hours ?? 0 : null;
+  case "before_target": {
+    const hours = targetHours - (milestone.hours ?? 0);
+    return hours > 0 ? hours : null;
+  }
+  case "target":
+    return targetHours;
+  }
+}
+
+/**
+ * Milestones a session has reached but not yet been notified about, in the
+ * order they were reached
+ * @param {FastingMilestoneConfig} config - The milestone schedule
+ * @param {number} fastedHours - Hours fasted so far, excluding pauses
+ * @param {number} targetHours - The session's planned duration in hours
+ * @param {string[]} sent - Ids of milestones already notified
+ * @return {FastingMilestone[]} The milestones now due
+ */
+export function getDueMilestones(
+  config: FastingMilestoneConfig,
+  fastedHours: number,
+  targetHours: number,
+  sent: string[]
+): FastingMilestone[] {
+  return config.milestones
+    .map((milestone) => ({
+      milestone,
+      hours: getMilestoneHours(milestone, targetHours),
+    }))
+    .filter(({milestone, hours}) =>
+      hours !== null && hours <= fastedHours && !sent.includes(milestone.id))
+    .sort((a, b) => (a.hours as number) - (b.hours as number))
+    .map(({milestone}) => milestone);
+}
@@ -0,0 +1,457 @@
+import * as admin from "firebase-admin";
+import * as logger from "firebase-functions/logger";
+import {HttpsError, onCall} from "firebase-functions/v2/https";
+import {ID_PATTERN, RequestSchema, validateCallable} from "./validation";
+
+/**
+ * Server-authoritative fasting session lifecycle. Sessions in
+ * fasting_sessions are started, paused, resumed and ended only through these
+ * callables, so every timestamp and duration comes from the server clock
+ * rather than the device. Session documents keep the field layout of the
+ * app's FastingSession model (ISO 8601 times, snake_case fields).
+ *
+ * fasting_stats/{uid} holds the user's active session and fasting streak.
+ * Every transition reads and writes it in the same transaction as the
+ * session, which serializes concurrent calls and keeps the streak in step.
+ */
+
+export const FASTING_TYPE_HOURS: Record<string, number> = {
+  intermittent16_8: 16,
+  sixteenEight: 16,
+  intermittent18_6: 18,
+  intermittent20_4: 20,
+  omad: 23,
+  alternate: 24,
+  extended24: 24,
+  twentyFourHour: 24,
+  extended36: 36,
+  extended48: 48,
+  custom: 16,
+};
+
+const MAX_FAST_HOURS = 168;
+
+// Reasons a user may give for ending a fast early
+const END_REASONS = ["completed", "userBreak", "emergencyBreak"] as const;
+
+export const OPEN_FASTING_STATES = ["active", "paused"];
+
+// End reason of sessions closed by sendFastingMilestones, matching the app's
+// FastingEndReason.autoEnded
+export const AUTO_ENDED_REASON = "autoEnded";
+
+interface StartFastRequest {
+  type: string;
+  durationHours?: number;
+  personalGoal?: string;
+  targetWeight?: number;
+}
+
+const startFastSchema: RequestSchema = {
+  type: {
+    type: "string",
+    required: true,
+    oneOf: Object.keys(FASTING_TYPE_HOURS),
+  },
+  durationHours: {type: "number", min: 1, max: MAX_FAST_HOURS},
+  personalGoal: {type: "string", maxLength: 500},
+  targetWeight: {type: "number", min: 0, max: 1000},
+};
+
+interface SessionRequest {
+  sessionId: string;
+}
+
+const sessionSchema: RequestSchema = {
+  sessionId: {type: "string", required: true, pattern: ID_PATTERN},
+};
+
+interface EndFastRequest extends SessionRequest {
+  reason?: typeof END_REASONS[number];
+  notes?: string;
+}
+
+const endFastSchema: RequestSchema = {
+  ...sessionSchema,
+  reason: {type: "string", oneOf: END_REASONS},
+  notes: {type: "string", maxLength: 1000},
+};
+
+/**
+ * Start a fast now. Rejected while the caller has another open session.
+ */
+export const startFast = onCall(async (request) => {
+  const {uid, data} = validateCallable<StartFastRequest>(
+    request,
+    startFastSchema
+  );
+  const db = admin.firestore();
+  const statsRef = getFastingStatsRef(uid);
+  const sessionRef = db.collection("fasting_sessions").doc();
+  const hours = data.durationHours ?? FASTING_TYPE_HOURS[data.type];
+
+  const session = await db.runTransaction(async (transaction) => {
+    const [stats, openSessions] = await Promise.all([
+      transaction.get(statsRef),
+      transaction.get(
+        db
+          .collection("fasting_sessions")
+          .where("user_id", "==", uid)
+          .where("state", "in", OPEN_FASTING_STATES)
+          .limit(1)
+      ),
+    ]);
+
+    // A pointer to a session that was deleted or has ended is stale and
+    // does not block a new fast
+    const activeSessionId = stats.get("active_session_id");
+    const activeSession = activeSessionId ?
+      await transaction.get(
+        db.collection("fasting_sessions").doc(activeSessionId)
+      ) :
+      null;
+
+    if (
+      !openSessions.empty ||
+      OPEN_FASTING_STATES.includes(activeSession?.get("state"))
+    ) {
+      throw new HttpsError(
+        "failed-precondition",
+        "End your current fast before starting a new one."
+      );
+    }
+
+    const now = new Date();
+    const plannedDurationMs = Math.round(hours * 60 * 60 * 1000);
+    const session = {
+      user_id: uid,
+      type: data.type,
+      state: "active",
+      planned_start_time: now.toISOString(),
+      actual_start_time: now.toISOString(),
+      planned_end_time: new Date(now.getTime() + plannedDurationMs)
+        .toISOString(),
+      actual_end_time: null,
+      planned_duration_ms: plannedDurationMs,
+      actual_duration_ms: null,
+      paused_times: [],
+      resumed_times: [],
+      total_paused_duration_ms: 0,
+      personal_goal: data.personalGoal ?? null,
+      target_weight: data.targetWeight ?? null,
+      motivational_tags: [],
+      end_reason: null,
+      end_notes: null,
+      completion_percentage: 0,
+      motivation_shown: [],
+      snap_ids: [],
+      health_metrics: {},
+      symptoms_reported: [],
+      mood_rating: 5,
+      reflection_notes: null,
+      current_streak: stats.get("current_streak") ?? 0,
+      longest_streak: stats.get("longest_streak") ?? 0,
+      is_personal_best: false,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+      metadata: {server_authoritative: true},
+    };
+
+    transaction.set(sessionRef, session);
+    transaction.set(statsRef, {
+      user_id: uid,
+      active_session_id: sessionRef.id,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+    return session;
+  });
+
+  logger.log(`User ${uid} started fast ${sessionRef.id} (${hours}h)`);
+  return {id: sessionRef.id, ...session};
+});
+
+/**
+ * Pause the caller's active fast. Paused time does not count towards it.
+ */
+export const pauseFast = onCall(async (request) => {
+  const {uid, data} = validateCallable<SessionRequest>(
+    request,
+    sessionSchema
+  );
+
+  return updateSession(uid, data.sessionId, (session, now) => {
+    if (session.state !== "active") {
+      throw new HttpsError("failed-precondition", "This fast is not active.");
+    }
+    return {
+      state: "paused",
+      paused_times: [...(session.paused_times || []), now.toISOString()],
+    };
+  });
+});
+
+/**
+ * Resume the caller's paused fast
+ */
+export const resumeFast = onCall(async (request) => {
+  const {uid, data} = validateCallable<SessionRequest>(
+    request,
+    sessionSchema
+  );
+
+  return updateSession(uid, data.sessionId, (session, now) => {
+    if (session.state !== "paused") {
+      throw new HttpsError("failed-precondition", "This fast is not paused.");
+    }
+    return {
+      state: "active",
+      resumed_times: [...(session.resumed_times || []), now.toISOString()],
+      total_paused_duration_ms: getPausedMs(session, now),
+    };
+  });
+});
+
+/**
+ * End the caller's open fast. It counts as completed only once the server
+ * has measured the planned duration, excluding pauses; anything shorter is
+ * a broken fast and resets the fasting streak.
+ */
+export const endFast = onCall(async (request) => {
+  const {uid, data} = validateCallable<EndFastRequest>(
+    request,
+    endFastSchema
+  );
+
+  return updateSession(
+    uid,
+    data.sessionId,
+    (session, now, stats) => {
+      if (!OPEN_FASTING_STATES.includes(session.state)) {
+        throw new HttpsError("failed-precondition", "This fast has ended.");
+      }
+
+      const ending = getSessionEnding(session, now, data.reason);
+      if (data.reason === "completed" && ending.state !== "completed") {
+        throw new HttpsError(
+          "failed-precondition",
+          "This fast has not reached its planned duration yet."
+        );
+      }
+
+      return {
+        ...ending,
+        end_notes: data.notes ?? null,
+        ...getStreakUpdate(stats, ending),
+      };
+    }
+  );
+});
+
+type SessionData = admin.firestore.DocumentData;
+
+/**
+ * Close an open session that has run far past its target. An active one is
+ * completed, since the target was reached; a paused one is completed or
+ * broken by its fasted time. Either way it records AUTO_ENDED_REASON so the
+ * app can tell it apart from a fast the user ended.
+ * @param {string} uid - The session owner
+ * @param {string} sessionId - The session to close
+ * @return {Promise<SessionData>} The closed session
+ */
+export async function autoEndFast(
+  uid: string,
+  sessionId: string
+): Promise<SessionData> {
+  return updateSession(uid, sessionId, (session, now, stats) => {
+    if (!OPEN_FASTING_STATES.includes(session.state)) {
+      throw new HttpsError("failed-precondition", "This fast is not open.");
+    }
+
+    const ending = getSessionEnding(session, now);
+    return {
+      ...ending,
+      end_reason: AUTO_ENDED_REASON,
+      ...getStreakUpdate(stats, ending),
+    };
+  });
+}
+
+/**
+ * Time fasted in a session so far, excluding pauses
+ * @param {SessionData} session - The session
+ * @param {Date} now - The current time
+ * @return {number} Fasted milliseconds
+ */
+export function getFastedMs(session: SessionData, now: Date): number {
+  const startedAt = Date.parse(session.actual_start_time);
+  return Math.max(0, now.getTime() - startedAt - getPausedMs(session, now));
+}
+
+/**
+ * How a session ends at a given moment: its final state, reason and
+ * durations as measured by the server
+ * @param {SessionData} session - The open session
+ * @param {Date} now - When it ends
+ * @param {string | undefined} reason - The reason for ending it early
+ * @return {SessionData} The session fields that close it
+ */
+export function getSessionEnding(
+  session: SessionData,
+  now: Date,
+  reason?: string
+): SessionData {
+  const pausedMs = getPausedMs(session, now);
+  const actualDurationMs = getFastedMs(session, now);
+  const plannedDurationMs = session.planned_duration_ms || 1;
+  const completed = actualDurationMs >= plannedDurationMs;
+
+  return {
+    state: completed ? "completed" : "broken",
+    end_reason: completed ? "completed" : reason ?? "userBreak",
+    actual_end_time: now.toISOString(),
+    actual_duration_ms: actualDurationMs,
+    total_paused_duration_ms: pausedMs,
+    completion_percentage: actualDurationMs / plannedDurationMs,
+  };
+}
+
+/**
+ * Advance the fasting streak for a session that has just ended
+ * @param {SessionData} stats - The user's fasting_stats data
+ * @param {SessionData} ending - The session fields from getSessionEnding
+ * @return {SessionData} Streak fields for the session and for the stats
+ */
+function getStreakUpdate(stats: SessionData, ending: SessionData): SessionData {
+  const completed = ending.state === "completed";
+  const currentStreak = completed ? (stats.current_streak || 0) + 1 : 0;
+  const longestStreak = Math.max(stats.longest_streak || 0, currentStreak);
+  const isPersonalBest = completed &&
+    ending.actual_duration_ms > (stats.best_duration_ms || 0);
+
+  return {
+    current_streak: currentStreak,
+    longest_streak: longestStreak,
+    is_personal_best: isPersonalBest,
+  };
+}
+
+/**
+ * Total paused time of a session, including a pause still in progress
+ * @param {SessionData} session - The session
+ * @param {Date} now - The current time
+ * @return {number} Paused milliseconds
+ */
+function getPausedMs(session: SessionData, now: Date): number {
+  const pausedMs = session.total_paused_duration_ms || 0;
+  if (session.state !== "paused") return pausedMs;
+
+  const pausedTimes: string[] = session.paused_times || [];
+  const pausedAt = Date.parse(pausedTimes[pausedTimes.length - 1]);
+  return Number.isNaN(pausedAt) ?
+    pausedMs :
+    pausedMs + Math.max(0, now.getTime() - pausedAt);
+}
+
+/**
+ * Apply a state transition to one of the caller's sessions in a transaction
+ * with their fasting_stats, which is updated to match
+ * @param {string} uid - The caller
+ * @param {string} sessionId - The session to update
+ * @param {Function} transition - Returns the session fields to change, or
+ *   throws an HttpsError when the transition is not allowed
+ * @return {Promise<SessionData>} The updated session
+ */
+async function updateSession(
+  uid: string,
+  sessionId: string,
+  transition: (
+    session: SessionData,
+    now: Date,
+    stats: SessionData
+  ) => SessionData
+): Promise<SessionData> {
+  const db = admin.firestore();
+  const sessionRef = db.collection("fasting_sessions").doc(sessionId);
+  const statsRef = getFastingStatsRef(uid);
+
+  const updated = await db.runTransaction(async (transaction) => {
+    const [sessionDoc, statsDoc] = await Promise.all([
+      transaction.get(sessionRef),
+      transaction.get(statsRef),
+    ]);
+    if (!sessionDoc.exists || sessionDoc.get("user_id") !== uid) {
+      throw new HttpsError("not-found", "Fasting session not found.");
+    }
+
+    const session = sessionDoc.data() as SessionData;
+    const stats = statsDoc.data() || {};
+    const now = new Date();
+    const changes: SessionData = {
+      ...transition(session, now, stats),
+      updated_at: now.toISOString(),
+    };
+    transaction.update(sessionRef, changes);
+
+    if (OPEN_FASTING_STATES.includes(changes.state)) {
+      transaction.set(statsRef, {
+        user_id: uid,
+        active_session_id: sessionId,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      }, {merge: true});
+    } else {
+      transaction.set(
+        statsRef,
+        getClosedStats(uid, stats, sessionId, changes),
+        {merge: true}
+      );
+    }
+
+    return {...session, ...changes};
+  });
+
+  logger.log(`Fast ${sessionId} of ${uid} is now ${updated.state}`);
+  return {id: sessionId, ...updated};
+}
+
+/**
+ * fasting_stats fields after a session has ended
+ * @param {string} uid - The session owner
+ * @param {SessionData} stats - The current fasting_stats data
+ * @param {string} sessionId - The session that ended
+ * @param {SessionData} ending - The fields that closed the session
+ * @return {SessionData} The fasting_stats fields to write
+ */
+export function getClosedStats(
+  uid: string,
+  stats: SessionData,
+  sessionId: string,
+  ending: SessionData
+): SessionData {
+  const completed = ending.state === "completed";
+  return {
+    user_id: uid,
+    active_session_id: stats.active_session_id === sessionId ?
+      null :
+      stats.active_session_id ?? null,
+    current_streak: ending.current_streak ?? stats.current_streak ?? 0,
+    longest_streak: ending.longest_streak ?? stats.longest_streak ?? 0,
+    best_duration_ms: completed ?
+      Math.max(stats.best_duration_ms || 0, ending.actual_duration_ms) :
+      stats.best_duration_ms || 0,
+    completed_sessions: (stats.completed_sessions || 0) + (completed ? 1 : 0),
+    last_session_id: sessionId,
+    last_ended_at: ending.actual_end_time,
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * The fasting_stats document of a user
+ * @param {string} uid - The user
+ * @return {admin.firestore.DocumentReference} The document reference
+ */
+export function getFastingStatsRef(
+  uid: string
+): admin.firestore.DocumentReference {
+  return admin.firestore().collection("fasting_stats").doc(uid);
+}
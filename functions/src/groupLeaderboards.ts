@@ -0,0 +1,286 @@
+import * as admin from "firebase-admin";
+import {getLocalDay, getWeekStart} from "./streakEngine";
+
+/**
+ * Materialized streak leaderboards for health groups and shared streaks,
+ * written by materializeLeaderboards to a leaderboard subcollection of each:
+ * leaderboard/daily ranks members by current streak, leaderboard/weekly by
+ * days checked in since Monday. Each day is counted in the member's own
+ * time zone, as recorded on their streak by the streak engine.
+ *
+ * Members with the same score share a rank and are marked as tied.
+ * rank_change compares with the final ranks of the previous period.
+ */
+
+export const LEADERBOARD_PERIODS = ["daily", "weekly"] as const;
+export type LeaderboardPeriod = typeof LEADERBOARD_PERIODS[number];
+
+export interface LeaderboardEntry {
+  user_id: string;
+  display_name: string;
+  rank: number;
+  tied: boolean;
+  // Places gained since the previous period, negative when dropped; null
+  // for members who were not ranked then
+  rank_change: number | null;
+  score: number;
+  current_streak: number;
+  best_streak: number;
+  days_this_week: number;
+  completed_today: boolean;
+}
+
+// A member's progress on one streak, before ranking
+export interface MemberProgress {
+  user_id: string;
+  current_streak: number;
+  best_streak: number;
+  days_this_week: number;
+  completed_today: boolean;
+}
+
+type StreakData = admin.firestore.DocumentData;
+
+const DEFAULT_TIMEZONE = "UTC";
+
+/**
+ * Rebuild the leaderboards of a health group and of its active shared
+ * streaks
+ * @param {admin.firestore.DocumentSnapshot} groupDoc - The health group
+ * @param {Date} now - The current time
+ * @return {Promise<number>} How many leaderboard documents were written
+ */
+export async function materializeGroupLeaderboards(
+  groupDoc: admin.firestore.DocumentSnapshot,
+  now: Date
+): Promise<number> {
+  const db = admin.firestore();
+  const groupMembers: string[] = groupDoc.get("member_ids") || [];
+
+  const sharedStreaks = await db
+    .collection("shared_streaks")
+    .where("group_id", "==", groupDoc.id)
+    .where("is_active", "==", true)
+    .get();
+
+  const streakRefs = sharedStreaks.docs.flatMap((doc) =>
+    Object.values(doc.get("member_streak_ids") || {}).map((streakId) =>
+      db.collection("user_streaks").doc(String(streakId))
+    )
+  );
+  const [streakDocs, names] = await Promise.all([
+    streakRefs.length > 0 ? db.getAll(...streakRefs) : Promise.resolve([]),
+    getDisplayNames(groupMembers),
+  ]);
+  const streaksById = new Map(streakDocs
+    .filter((doc) => doc.exists)
+    .map((doc) => [doc.id, doc.data() as StreakData]));
+
+  const batch = db.batch();
+  const groupProgress: MemberProgress[][] = [];
+
+  for (const sharedDoc of sharedStreaks.docs) {
+    const memberStreakIds: Record<string, string> =
+      sharedDoc.get("member_streak_ids") || {};
+    const progress = Object.entries(memberStreakIds)
+      .filter(([userId]) => groupMembers.includes(userId))
+      .map(([userId, streakId]) =>
+        getMemberProgress(userId, streaksById.get(streakId), now));
+
+    groupProgress.push(progress);
+    await writeLeaderboards(batch, sharedDoc.ref, progress, names, now);
+  }
+
+  await writeLeaderboards(
+    batch,
+    groupDoc.ref,
+    combineProgress(groupMembers, groupProgress),
+    names,
+    now
+  );
+  await batch.commit();
+  return (sharedStreaks.size + 1) * LEADERBOARD_PERIODS.length;
+}
+
+/**
+ * Rank members by score. Equal scores share the better rank, so two members
+ * tied for first are followed by the third.
+ * @param {MemberProgress[]} progress - Each member's progress
+ * @param {LeaderboardPeriod} period - The leaderboard being ranked
+ * @param {Map<string, string>} names - Display names by user id
+ * @param {Record<string, number>} previousRanks - Final ranks of the
+ *   previous period by user id
+ * @return {LeaderboardEntry[]} Entries in rank order
+ */
+export function rankMembers(
+  progress: MemberProgress[],
+  period: LeaderboardPeriod,
+  names: Map<string, string>,
+  previousRanks: Record<string, number>
+): LeaderboardEntry[] {
+  const scored = progress
+    .map((member) => ({
+      ...member,
+      score: period === "daily" ?
+        member.current_streak :
+        member.days_this_week,
+    }))
+    .sort((a, b) =>
+      b.score - a.score ||
+      b.best_streak - a.best_streak ||
+      a.user_id.localeCompare(b.user_id));
+
+  return scored.map((member, index) => {
+    const rank = scored.findIndex((other) => other.score === member.score) + 1;
+    const tied = scored.some((other, otherIndex) =>
+      otherIndex !== index && other.score === member.score);
+    const previousRank = previousRanks[member.user_id];
+
+    return {
+      ...member,
+      display_name: names.get(member.user_id) ?? "Someone",
+      rank,
+      tied,
+      rank_change: previousRank ? previousRank - rank : null,
+    };
+  });
+}
+
+/**
+ * The key of the period a leaderboard covers: the UTC day for daily
+ * leaderboards, the UTC date of that week's Monday for weekly ones
+ * @param {LeaderboardPeriod} period - The leaderboard
+ * @param {Date} now - The current time
+ * @return {string} The period key as YYYY-MM-DD
+ */
+export function getPeriodKey(period: LeaderboardPeriod, now: Date): string {
+  const day = getLocalDay(now, DEFAULT_TIMEZONE);
+  return period === "daily" ? day : getWeekStart(day);
+}
+
+/**
+ * Write the daily and weekly leaderboards of a group or shared streak,
+ * carrying the previous period's final ranks over for rank changes
+ * @param {admin.firestore.WriteBatch} batch - Batch to add the writes to
+ * @param {admin.firestore.DocumentReference} parentRef - The group or shared
+ *   streak
+ * @param {MemberProgress[]} progress - Each member's progress
+ * @param {Map<string, string>} names - Display names by user id
+ * @param {Date} now - The current time
+ * @return {Promise<void>} Resolves once the writes are added
+ */
+async function writeLeaderboards(
+  batch: admin.firestore.WriteBatch,
+  parentRef: admin.firestore.DocumentReference,
+  progress: MemberProgress[],
+  names: Map<string, string>,
+  now: Date
+): Promise<void> {
+  for (const period of LEADERBOARD_PERIODS) {
+    const leaderboardRef = parentRef.collection("leaderboard").doc(period);
+    const previous = (await leaderboardRef.get()).data();
+    const periodKey = getPeriodKey(period, now);
+
+    // Within a period, rank changes keep comparing with the last period
+    const previousRanks: Record<string, number> =
+      previous?.period_key === periodKey ?
+        previous.previous_ranks || {} :
+        Object.fromEntries(
+          (previous?.entries || []).map((entry: LeaderboardEntry) =>
+            [entry.user_id, entry.rank])
+        );
+
+    const entries = rankMembers(progress, period, names, previousRanks);
+    const checkedIn = entries.filter((entry) => entry.completed_today).length;
+
+    batch.set(leaderboardRef, {
+      period,
+      period_key: periodKey,
+      entries,
+      previous_ranks: previousRanks,
+      member_count: entries.length,
+      checked_in_count: checkedIn,
+      all_checked_in: entries.length > 0 && checkedIn === entries.length,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+/**
+ * A member's progress on a streak, reading days in the streak's time zone
+ * @param {string} userId - The member
+ * @param {StreakData | undefined} streak - Their streak, if it exists
+ * @param {Date} now - The current time
+ * @return {MemberProgress} The member's progress
+ */
+function getMemberProgress(
+  userId: string,
+  streak: StreakData | undefined,
+  now: Date
+): MemberProgress {
+  const timezone = streak?.timezone || DEFAULT_TIMEZONE;
+  const today = getLocalDay(now, timezone);
+  const weekStart = getWeekStart(today);
+  const days = new Set<string>(
+    (streak?.completed_dates || []).map((date: admin.firestore.Timestamp) =>
+      getLocalDay(date.toDate(), timezone))
+  );
+  // Activity inside the grace hours counts for the day before its date
+  if (streak?.last_qualified_day) days.add(streak.last_qualified_day);
+  // Missed days covered by a freeze token keep the streak but are no
+  // check-in, and last_qualified_day moves onto them when they are frozen
+  for (const day of streak?.frozen_days || []) days.delete(day);
+
+  return {
+    user_id: userId,
+    current_streak: streak?.current_streak || 0,
+    best_streak: streak?.best_streak || 0,
+    days_this_week: [...days].filter((day) => day >= weekStart).length,
+    completed_today: days.has(today),
+  };
+}
+
+/**
+ * Combine members' progress over a group's shared streaks: their longest
+ * current streak, and checked in today only if they did on every one they
+ * take part in. Group members in no shared streak rank with no progress.
+ * @param {string[]} memberIds - The group's members
+ * @param {Array<MemberProgress[]>} perStreak - Progress on each shared streak
+ * @return {MemberProgress[]} One combined entry per member
+ */
+function combineProgress(
+  memberIds: string[],
+  perStreak: MemberProgress[][]
+): MemberProgress[] {
+  return memberIds.map((userId) => {
+    const own = perStreak.flat().filter((entry) => entry.user_id === userId);
+    return {
+      user_id: userId,
+      current_streak: Math.max(0, ...own.map((e) => e.current_streak)),
+      best_streak: Math.max(0, ...own.map((e) => e.best_streak)),
+      days_this_week: Math.max(0, ...own.map((e) => e.days_this_week)),
+      completed_today: own.length > 0 &&
+        own.every((entry) => entry.completed_today),
+    };
+  });
+}
+
+/**
+ * Display names of users for leaderboard entries
+ * @param {string[]} userIds - The users
+ * @return {Promise<Map<string, string>>} Names by user id
+ */
+async function getDisplayNames(
+  userIds: string[]
+): Promise<Map<string, string>> {
+  if (userIds.length === 0) return new Map();
+
+  const db = admin.firestore();
+  const userDocs = await db.getAll(
+    ...userIds.map((userId) => db.collection("users").doc(userId))
+  );
+  return new Map(userDocs.map((doc) => [
+    doc.id,
+    doc.get("username") || doc.get("displayName") || "Someone",
+  ]));
+}
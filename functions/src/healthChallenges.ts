@@ -0,0 +1,579 @@
+import * as admin from "firebase-admin";
+import * as logger from "firebase-functions/logger";
+import {NotificationKind, notifyUser} from "./notifications";
+import {getLocalDay, getLocalHour, getUserTimezone} from "./streakEngine";
+
+/**
+ * Lifecycle of health_challenges: scheduled until the start date, active
+ * until the end date, then completed with final standings and badges.
+ *
+ * Participants live in the participants subcollection; members who joined
+ * through the app's participants array are copied there on first scoring,
+ * and the array is kept in step with their progress. A participant scores
+ * a day when it qualifies in their own time zone: a completed fast for
+ * fasting challenges, logged calories close to the daily target for calorie
+ * challenges. Other challenge types have no backend data, so members report
+ * the days they met the goal in reportedDays on their participant document
+ * and those are scored instead.
+ *
+ * Challenges come in two layouts, the app's (start_date, end_date, goals)
+ * and the seed scripts' (startDate, endDate, targetValue); both are read.
+ */
+
+export const CHALLENGES_COLLECTION = "health_challenges";
+
+export type ChallengeStatus = "scheduled" | "active" | "completed";
+
+// Share of the challenge's days a participant must qualify on to complete it
+const DEFAULT_COMPLETION_THRESHOLD = 0.8;
+
+// Local hour at which participants who have not qualified yet are reminded
+const REMINDER_HOUR = 19;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of the daily calorie target a day's meals may be off by and count
+const CALORIE_TOLERANCE = 0.1;
+
+type ProgressSource = "fasting" | "calories" | "reported";
+
+// Challenge types scored from backend data; the rest use reported days
+const SCORED_TYPES: Record<string, ProgressSource> = {
+  fasting: "fasting",
+  calories: "calories",
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export interface ChallengeWindow {
+  startDate: Date;
+  endDate: Date;
+  // Days in the challenge, counted from the start date
+  totalDays: number;
+}
+
+export interface ChallengeStanding {
+  user_id: string;
+  display_name: string;
+  rank: number;
+  tied: boolean;
+  current_value: number;
+  progress: number;
+  is_completed: boolean;
+}
+
+type ChallengeData = admin.firestore.DocumentData;
+
+/**
+ * The start, end and length of a challenge, in either layout
+ * @param {ChallengeData} challenge - The challenge data
+ * @return {ChallengeWindow | null} The window, or null if dates are missing
+ */
+export function getChallengeWindow(
+  challenge: ChallengeData
+): ChallengeWindow | null {
+  const start = challenge.start_date ?? challenge.startDate;
+  const end = challenge.end_date ?? challenge.endDate;
+  if (!(start instanceof admin.firestore.Timestamp) ||
+    !(end instanceof admin.firestore.Timestamp)) {
+    return null;
+  }
+
+  const startDate = start.toDate();
+  const endDate = end.toDate();
+  return {
+    startDate,
+    endDate,
+    totalDays: Math.max(
+      1,
+      Math.ceil((endDate.getTime() - startDate.getTime()) / DAY_MS)
+    ),
+  };
+}
+
+/**
+ * Give a new challenge its lifecycle status, and the app's date fields if
+ * it was written in the seed layout, so the lifecycle queries find it
+ * @param {admin.firestore.DocumentSnapshot} challengeDoc - The challenge
+ * @return {Promise<void>} Resolves once the challenge is updated
+ */
+export async function initializeChallenge(
+  challengeDoc: admin.firestore.DocumentSnapshot
+): Promise<void> {
+  const challenge = challengeDoc.data();
+  const window = challenge && getChallengeWindow(challenge);
+  if (!window || challenge.status) return;
+
+  await challengeDoc.ref.update({
+    status: "scheduled",
+    start_date: admin.firestore.Timestamp.fromDate(window.startDate),
+    end_date: admin.firestore.Timestamp.fromDate(window.endDate),
+  });
+}
+
+/**
+ * Open a challenge whose start date has passed and tell its participants
+ * @param {admin.firestore.DocumentSnapshot} challengeDoc - The challenge
+ * @return {Promise<void>} Resolves once the challenge is active
+ */
+export async function openChallenge(
+  challengeDoc: admin.firestore.DocumentSnapshot
+): Promise<void> {
+  await challengeDoc.ref.update({
+    status: "active",
+    opened_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const participants = await getParticipants(challengeDoc);
+  await notifyParticipants(
+    challengeDoc,
+    participants.map((participant) => participant.userId),
+    "challenge_started",
+    () => ({})
+  );
+  logger.log(`Opened challenge ${challengeDoc.id}`);
+}
+
+/**
+ * Score every participant of an active challenge and update the standings
+ * on the challenge. Participants who have not qualified today are reminded
+ * once in the evening of their time zone.
+ * @param {admin.firestore.DocumentSnapshot} challengeDoc - The challenge
+ * @param {Date} now - The current time
+ * @return {Promise<ChallengeStanding[]>} The standings
+ */
+export async function scoreChallenge(
+  challengeDoc: admin.firestore.DocumentSnapshot,
+  now: Date
+): Promise<ChallengeStanding[]> {
+  const challenge = challengeDoc.data() as ChallengeData;
+  const window = getChallengeWindow(challenge);
+  if (!window) return [];
+
+  const source = SCORED_TYPES[challenge.type] ?? "reported";
+  const participants = await getParticipants(challengeDoc);
+  const threshold = getCompletionThreshold(challenge);
+  const scoredUntil = new Date(
+    Math.min(now.getTime(), window.endDate.getTime())
+  );
+  const toRemind: string[] = [];
+
+  const scores = await Promise.all(participants.map(async (participant) => {
+    const timezone = await getUserTimezone(participant.userId);
+    let currentValue = participant.data.currentValue || 0;
+    let qualifiedToday = false;
+
+    // Seeded participants from before reported days keep their value
+    if (source !== "reported" ||
+      Array.isArray(participant.data.reportedDays)) {
+      const days = await getQualifyingDays(
+        participant,
+        source,
+        window,
+        scoredUntil,
+        timezone,
+        getDailyTarget(challenge)
+      );
+      const today = getLocalDay(now, timezone);
+      currentValue = days.size;
+      qualifiedToday = days.has(today);
+
+      if (
+        !qualifiedToday &&
+        now < window.endDate &&
+        getLocalHour(now, timezone) >= REMINDER_HOUR &&
+        participant.data.lastRemindedDay !== today
+      ) {
+        toRemind.push(participant.userId);
+        await participant.ref.set({lastRemindedDay: today}, {merge: true});
+      }
+    }
+
+    const progress = Math.min(1, currentValue / window.totalDays);
+    const isCompleted = progress >= threshold;
+    await participant.ref.set({
+      userId: participant.userId,
+      displayName: participant.displayName,
+      currentValue,
+      targetValue: window.totalDays,
+      progress,
+      isCompleted,
+      completedAt: isCompleted ?
+        participant.data.completedAt ??
+          admin.firestore.Timestamp.fromDate(now) :
+        null,
+      lastScoredAt: admin.firestore.Timestamp.fromDate(now),
+    }, {merge: true});
+
+    return {
+      user_id: participant.userId,
+      display_name: participant.displayName,
+      current_value: currentValue,
+      progress,
+      is_completed: isCompleted,
+    };
+  }));
+
+  const standings = rankStandings(scores);
+
+  // Re-read the challenge so members joining meanwhile are not dropped
+  const db = admin.firestore();
+  await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(challengeDoc.ref);
+    transaction.update(challengeDoc.ref, {
+      leaderboard: {
+        standings,
+        updated_at: admin.firestore.Timestamp.fromDate(now),
+      },
+      ...getParticipantsArrayUpdate(
+        current.data() || {},
+        standings,
+        now >= window.endDate
+      ),
+    });
+  });
+
+  await notifyParticipants(
+    challengeDoc,
+    toRemind,
+    "challenge_reminder",
+    () => ({})
+  );
+  return standings;
+}
+
+/**
+ * Close a challenge whose end date has passed: score it a last time, then
+ * write each participant's final standing and badges to their participant
+ * document and to users/{uid}/badges, and tell them how they finished
+ * @param {admin.firestore.DocumentSnapshot} challengeDoc - The challenge
+ * @param {Date} now - The current time
+ * @return {Promise<void>} Resolves once the challenge is completed
+ */
+export async function closeChallenge(
+  challengeDoc: admin.firestore.DocumentSnapshot,
+  now: Date
+): Promise<void> {
+  const db = admin.firestore();
+  const standings = await scoreChallenge(challengeDoc, now);
+  const challenge = challengeDoc.data() as ChallengeData;
+  const window = getChallengeWindow(challenge);
+  const batch = db.batch();
+
+  for (const standing of standings) {
+    const badges = getBadges(standing, window?.totalDays ?? 0);
+    batch.set(
+      challengeDoc.ref.collection("participants").doc(standing.user_id),
+      {
+        finalRank: standing.rank,
+        badges,
+        status: standing.is_completed ? "completed" : "failed",
+      },
+      {merge: true}
+    );
+    batch.set(
+      db
+        .collection("users")
+        .doc(standing.user_id)
+        .collection("badges")
+        .doc(challengeDoc.id),
+      {
+        challenge_id: challengeDoc.id,
+        challenge_title: challenge.title ?? "",
+        rank: standing.rank,
+        participants: standings.length,
+        badges,
+        awarded_at: admin.firestore.FieldValue.serverTimestamp(),
+      }
+    );
+  }
+
+  batch.update(challengeDoc.ref, {
+    status: "completed",
+    isActive: false,
+    closed_at: admin.firestore.FieldValue.serverTimestamp(),
+    final_standings: standings,
+  });
+  await batch.commit();
+
+  await notifyParticipants(
+    challengeDoc,
+    standings.map((standing) => standing.user_id),
+    "challenge_ended",
+    (userId) => {
+      const standing = standings.find((s) => s.user_id === userId);
+      return {
+        rank: String(standing?.rank ?? "-"),
+        participants: String(standings.length),
+      };
+    }
+  );
+  logger.log(
+    `Closed challenge ${challengeDoc.id} with ${standings.length} participants`
+  );
+}
+
+/**
+ * Rank participants by days qualified. Equal values share the better rank.
+ * @param {Omit<ChallengeStanding, "rank" | "tied">[]} scores - Scores
+ * @return {ChallengeStanding[]} Standings in rank order
+ */
+export function rankStandings(
+  scores: Omit<ChallengeStanding, "rank" | "tied">[]
+): ChallengeStanding[] {
+  const sorted = [...scores].sort((a, b) =>
+    b.current_value - a.current_value ||
+    a.user_id.localeCompare(b.user_id));
+
+  return sorted.map((score) => {
+    const equal = sorted.filter((other) =>
+      other.current_value === score.current_value);
+    return {
+      ...score,
+      rank: sorted.indexOf(equal[0]) + 1,
+      tied: equal.length > 1,
+    };
+  });
+}
+
+/**
+ * Badges earned with a final standing
+ * @param {ChallengeStanding} standing - The participant's final standing
+ * @param {number} totalDays - Days in the challenge
+ * @return {string[]} Badge ids
+ */
+export function getBadges(
+  standing: ChallengeStanding,
+  totalDays: number
+): string[] {
+  const badges: string[] = [];
+  if (standing.current_value > 0) {
+    if (standing.rank === 1) badges.push("champion");
+    if (standing.rank <= 3) badges.push("podium");
+  }
+  if (standing.is_completed) badges.push("finisher");
+  if (totalDays > 0 && standing.current_value >= totalDays) {
+    badges.push("perfect_attendance");
+  }
+  return badges;
+}
+
+interface Participant {
+  userId: string;
+  displayName: string;
+  ref: admin.firestore.DocumentReference;
+  data: admin.firestore.DocumentData;
+}
+
+/**
+ * The active participants of a challenge, from the participants
+ * subcollection and the app's participants array
+ * @param {admin.firestore.DocumentSnapshot} challengeDoc - The challenge
+ * @return {Promise<Participant[]>} One entry per participant
+ */
+async function getParticipants(
+  challengeDoc: admin.firestore.DocumentSnapshot
+): Promise<Participant[]> {
+  const collection = challengeDoc.ref.collection("participants");
+  const snapshot = await collection.get();
+  const docs = new Map(snapshot.docs.map((doc) => [doc.id, doc]));
+  const participants = new Map<string, Participant>();
+
+  for (const doc of snapshot.docs) {
+    // A document the app created to report days does not make a member
+    if (doc.get("userId") === undefined) continue;
+    if (doc.get("status") === "withdrawn") continue;
+    participants.set(doc.id, {
+      userId: doc.id,
+      displayName: doc.get("displayName") || "Someone",
+      ref: doc.ref,
+      data: doc.data(),
+    });
+  }
+
+  const joined = challengeDoc.get("participants");
+  for (const entry of Array.isArray(joined) ? joined : []) {
+    const userId = entry?.user_id;
+    if (!userId || participants.has(userId)) continue;
+    if (entry.status === "withdrawn") continue;
+
+    participants.set(userId, {
+      userId,
+      displayName: entry.display_name || "Someone",
+      ref: collection.doc(userId),
+      data: {
+        joinedAt: entry.joined_at ?? null,
+        ...docs.get(userId)?.data(),
+      },
+    });
+  }
+
+  return [...participants.values()];
+}
+
+/**
+ * The days a participant qualified on, in their time zone
+ * @param {Participant} participant - The participant
+ * @param {ProgressSource} source - Where progress comes from
+ * @param {ChallengeWindow} window - The challenge window
+ * @param {Date} until - Score activity up to this time
+ * @param {string} timezone - The participant's time zone
+ * @param {number | null} dailyTarget - Calories per day, for calorie
+ *   challenges
+ * @return {Promise<Set<string>>} Qualifying days as YYYY-MM-DD
+ */
+async function getQualifyingDays(
+  participant: Participant,
+  source: ProgressSource,
+  window: ChallengeWindow,
+  until: Date,
+  timezone: string,
+  dailyTarget: number | null
+): Promise<Set<string>> {
+  const db = admin.firestore();
+  const {userId} = participant;
+  const days = new Set<string>();
+
+  if (source === "reported") {
+    const firstDay = getLocalDay(window.startDate, timezone);
+    const lastDay = getLocalDay(until, timezone);
+    const reported = participant.data.reportedDays;
+    for (const day of Array.isArray(reported) ? reported : []) {
+      if (typeof day !== "string" || !DAY_PATTERN.test(day)) continue;
+      if (day >= firstDay && day <= lastDay) days.add(day);
+    }
+    return days;
+  }
+
+  if (source === "fasting") {
+    const sessions = await db
+      .collection("fasting_sessions")
+      .where("user_id", "==", userId)
+      .where("state", "==", "completed")
+      .where("actual_end_time", ">=", window.startDate.toISOString())
+      .where("actual_end_time", "<=", until.toISOString())
+      .get();
+    for (const doc of sessions.docs) {
+      days.add(getLocalDay(new Date(doc.get("actual_end_time")), timezone));
+    }
+    return days;
+  }
+
+  if (dailyTarget === null) return days;
+
+  // Meals count on the day they were written, not the time the app set
+  const meals = await db
+    .collection("meal_logs")
+    .where("user_id", "==", userId)
+    .where("timestamp", ">=", window.startDate.getTime() - DAY_MS)
+    .get();
+  const calories = new Map<string, number>();
+  for (const doc of meals.docs) {
+    const createdAt = doc.createTime.toDate();
+    if (createdAt < window.startDate || createdAt > until) continue;
+    const day = getLocalDay(createdAt, timezone);
+    const logged = Number(
+      doc.get("recognition_result.total_nutrition.calories")
+    );
+    if (!Number.isFinite(logged) || logged < 0) continue;
+    calories.set(day, (calories.get(day) || 0) + logged);
+  }
+  for (const [day, total] of calories) {
+    if (Math.abs(total - dailyTarget) <= dailyTarget * CALORIE_TOLERANCE) {
+      days.add(day);
+    }
+  }
+  return days;
+}
+
+/**
+ * The app's participants array with each entry's status and progress
+ * updated from the standings, or nothing for seed-layout challenges
+ * @param {ChallengeData} challenge - The challenge data
+ * @param {ChallengeStanding[]} standings - Current standings
+ * @param {boolean} final - Whether the challenge has ended
+ * @return {ChallengeData} The update to apply
+ */
+function getParticipantsArrayUpdate(
+  challenge: ChallengeData,
+  standings: ChallengeStanding[],
+  final: boolean
+): ChallengeData {
+  if (!Array.isArray(challenge.participants)) return {};
+
+  return {
+    participants: challenge.participants.map((entry: ChallengeData) => {
+      const standing = standings.find((s) => s.user_id === entry?.user_id);
+      if (!standing) return entry;
+      return {
+        ...entry,
+        ...(final ?
+          {status: standing.is_completed ? "completed" : "failed"} :
+          {}),
+        progress: {
+          ...(entry.progress || {}),
+          current_value: standing.current_value,
+          ratio: standing.progress,
+          is_completed: standing.is_completed,
+        },
+        stats: {...(entry.stats || {}), rank: standing.rank},
+      };
+    }),
+  };
+}
+
+/**
+ * Send a challenge notification to participants. A failure for one
+ * participant is logged and does not stop the others.
+ * @param {admin.firestore.DocumentSnapshot} challengeDoc - The challenge
+ * @param {string[]} userIds - The participants to notify
+ * @param {NotificationKind} kind - The notification kind
+ * @param {Function} getParams - Template values for a participant
+ * @return {Promise<void>} Resolves once every participant was handled
+ */
+async function notifyParticipants(
+  challengeDoc: admin.firestore.DocumentSnapshot,
+  userIds: string[],
+  kind: NotificationKind,
+  getParams: (userId: string) => Record<string, string>
+): Promise<void> {
+  const title = challengeDoc.get("title") || "Your challenge";
+
+  await Promise.all(userIds.map(async (userId) => {
+    try {
+      await notifyUser({
+        userId,
+        kind,
+        params: {challenge: title, ...getParams(userId)},
+        data: {challengeId: challengeDoc.id},
+        collapseKey: `challenge_${challengeDoc.id}`,
+      });
+    } catch (error) {
+      logger.error(`Error sending ${kind} notification to ${userId}:`, error);
+    }
+  }));
+}
+
+/**
+ * Calories a participant should log in a day of a calorie challenge. The
+ * seed layout's targetValue covers the whole challenge, so only the app's
+ * goals.daily_target is read; without one no calorie day qualifies.
+ * @param {ChallengeData} challenge - The challenge data
+ * @return {number | null} The daily target, or null if it is not set
+ */
+function getDailyTarget(challenge: ChallengeData): number | null {
+  const target = Number(challenge.goals?.daily_target);
+  return Number.isFinite(target) && target > 0 ? target : null;
+}
+
+/**
+ * Share of days a participant must qualify on to complete the challenge
+ * @param {ChallengeData} challenge - The challenge data
+ * @return {number} The threshold, between 0 and 1
+ */
+function getCompletionThreshold(challenge: ChallengeData): number {
+  const threshold = Number(challenge.goals?.completion_threshold);
+  return threshold > 0 && threshold <= 1 ?
+    threshold :
+    DEFAULT_COMPLETION_THRESHOLD;
+}
@@ -0,0 +1,15 @@
+// heic-decode ships without type declarations
+declare module "heic-decode" {
+  interface DecodedImage {
+    width: number;
+    height: number;
+    // RGBA pixels, row by row
+    data: Uint8ClampedArray;
+  }
+
+  function decode(
+    options: {buffer: Buffer | Uint8Array}
+  ): Promise<DecodedImage>;
+
+  export = decode;
+}
@@ -0,0 +1,79 @@
+import * as logger from "firebase-functions/logger";
+import {HttpsError} from "firebase-functions/v2/https";
+
+/**
+ * Minimal JSON-over-HTTP client for the external APIs the functions call,
+ * such as OpenAI and Pinecone. The base URL is always passed in, so each
+ * service can be pointed at a local stub server through its environment
+ * variable in tests and the emulator.
+ *
+ * Failures surface as HttpsErrors without upstream details, which are
+ * logged instead: 429 becomes resource-exhausted and anything else
+ * unavailable.
+ */
+
+export interface JsonClientOptions {
+  // Service name for logs, e.g. "OpenAI"
+  name: string;
+  // User-facing name for error messages, e.g. "The AI service"
+  description: string;
+  baseUrl: string;
+  headers: Record<string, string>;
+  timeoutMs?: number;
+}
+
+// Responses are parsed JSON typed by the caller, not checked at runtime
+export interface JsonClient {
+  get<T>(path: string): Promise<T>;
+  post<T>(path: string, body: unknown): Promise<T>;
+}
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * A client sending and receiving JSON
+ * @param {JsonClientOptions} options - Base URL, headers and timeout
+ * @return {JsonClient} The client
+ */
+export function createJsonClient(options: JsonClientOptions): JsonClient {
+  const baseUrl = options.baseUrl.replace(/\/$/, "");
+  const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+
+  const send = async (method: string, path: string, body?: unknown) => {
+    let response: Response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {"Content-Type": "application/json", ...options.headers},
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      logger.error(`${options.name} request to ${path} failed:`, error);
+      throw new HttpsError(
+        "unavailable",
+        `${options.description} is unavailable.`
+      );
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      logger.error(
+        `${options.name} error ${response.status} on ${path}:`,
+        data?.error ?? data?.message
+      );
+      throw new HttpsError(
+        response.status === 429 ? "resource-exhausted" : "unavailable",
+        response.status === 429 ?
+          `${options.description} is busy. Please try again shortly.` :
+          `${options.description} is unavailable.`
+      );
+    }
+    return data;
+  };
+
+  return {
+    get: (path) => send("GET", path),
+    post: (path, body) => send("POST", path, body),
+  };
+}
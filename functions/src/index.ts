@@ -1,15 +1,236 @@
 import {setGlobalOptions} from "firebase-functions/v2";
 import * as logger from "firebase-functions/logger";
 import * as admin from "firebase-admin";
-import {onDocumentUpdated} from "firebase-functions/v2/firestore";
+import {
+  onDocumentCreated,
+  onDocumentUpdated,
+} from "firebase-functions/v2/firestore";
 import {onSchedule} from "firebase-functions/v2/scheduler";
-import {onCall} from "firebase-functions/v2/https";
+import {HttpsError, onCall} from "firebase-functions/v2/https";
+import {onObjectFinalized} from "firebase-functions/v2/storage";
+import {getDownloadURL} from "firebase-admin/storage";
+import ffmpeg from "@ffmpeg-installer/ffmpeg";
+import {execFile} from "child_process";
+import {randomUUID} from "crypto";
+import {promises as fs} from "fs";
+import * as os from "os";
+import * as path from "path";
+import decodeHeic from "heic-decode";
+import sharp from "sharp";
+import {getStoragePathFromUrl} from "./storagePaths";
+import {collectOrphanedMedia as runOrphanedMediaGc} from "./orphanedMedia";
+import {
+  getViewerScoring,
+  scoreEngagementEvent,
+} from "./engagementScoring";
+import {
+  calculateLogarithmicDuration,
+  getBaseDurationMs,
+  getPermanenceTier,
+  loadPermanencePolicy,
+} from "./permanencePolicy";
+import {
+  FastingMilestone,
+  FastingMilestoneConfig,
+  getDueMilestones,
+  loadFastingMilestones,
+} from "./fastingMilestones";
+import {
+  OPEN_FASTING_STATES,
+  autoEndFast,
+  getFastedMs,
+} from "./fastingSessions";
+import {materializeGroupLeaderboards} from "./groupLeaderboards";
+import {
+  CHALLENGES_COLLECTION,
+  closeChallenge,
+  initializeChallenge,
+  openChallenge,
+  scoreChallenge,
+} from "./healthChallenges";
+import {
+  NotificationKind,
+  NotificationRequest,
+  flushNotificationQueue,
+  notifyUser,
+} from "./notifications";
+import {generateDueReviews, getPossibleReviewPeriods} from "./periodicReviews";
+import {
+  RETAINED_COLLECTIONS,
+  RETENTION_TARGETS,
+  isKeptByUser,
+  loadRetentionConfig,
+} from "./reviewRetention";
+import {
+  CLIENT_PLATFORMS,
+  isScreenshotRateLimited,
+  recordScreenshotEvent,
+} from "./screenshotAudit";
+import {toCallableData} from "./serialize";
+import {
+  EngagementTotals,
+  PAST_STORIES_COMPARED,
+  buildRetention,
+  buildTimeline,
+  compareWithPastStories,
+  getEngagementTotals,
+  getTimelineHour,
+  projectNextTier,
+} from "./storyInsights";
+import {
+  closeMissedStreakDays,
+  createMemberStreaks,
+  recordStreakActivity,
+} from "./streakEngine";
+import {
+  ID_PATTERN,
+  RequestSchema,
+  assertOwner,
+  validateCallable,
+} from "./validation";
+import {promisify} from "util";
+
+export {aiGateway} from "./aiGateway";
+export {
+  compileYearlyHighlights,
+  listArchivedStories,
+  restoreArchivedStory,
+} from "./archivedStories";
+export {
+  endFast,
+  pauseFast,
+  resumeFast,
+  startFast,
+} from "./fastingSessions";
+export {ragIndexStats, ragQuery, ragUpsertDocuments} from "./ragQuery";
+export {listScreenshotEvents} from "./screenshotAudit";
+export {completeStreakDay} from "./streakEngine";
 
 setGlobalOptions({maxInstances: 10});
 
 admin.initializeApp();
 const db = admin.firestore();
 const storage = admin.storage();
+const execFileAsync = promisify(execFile);
+
+type StorageFile = Parameters<typeof getDownloadURL>[0];
+type BatchWrite = (batch: admin.firestore.WriteBatch) => void;
+
+interface MediaFile {
+  url: string;
+  type: string;
+}
+
+interface SweepResult {
+  processed: number;
+  completed: boolean;
+}
+
+// Width in pixels of server-generated video thumbnails
+const THUMBNAIL_WIDTH = 480;
+
+// Storage prefixes whose uploads go through the media pipeline
+const MEDIA_PIPELINE_PREFIXES = ["snaps", "stories", "meals", "temp"];
+
+// Image variants produced by the media pipeline; "full" keeps the original
+// dimensions and replaces the uploaded object. It comes first so the
+// original is stripped of its metadata before anything else can fail.
+const IMAGE_VARIANTS: {name: string; width?: number}[] = [
+  {name: "full"},
+  {name: "thumbnail", width: 320},
+  {name: "feed", width: 1080},
+];
+
+// Image types whose format the "full" variant keeps; others become JPEG
+const KEPT_IMAGE_FORMATS = ["image/png", "image/webp", "image/gif"];
+
+// MIME types that describe the same container as their canonical type
+const MIME_TYPE_ALIASES: Record<string, string> = {
+  "image/jpg": "image/jpeg",
+  "image/heif": "image/heic",
+  "video/x-m4v": "video/mp4",
+};
+
+// Major brands of the ISO base media files we accept, by MIME type. Files
+// with any other brand are not recognized and so rejected.
+const FTYP_BRANDS: Record<string, string[]> = {
+  "image/heic": ["heic", "heix", "mif1", "msf1"],
+  "image/avif": ["avif", "avis"],
+  "video/mp4": ["isom", "iso2", "mp41", "mp42", "avc1", "M4V ", "M4VP"],
+  "video/quicktime": ["qt  "],
+  "video/3gpp": ["3gp4", "3gp5", "3gp6", "3g2a"],
+};
+
+// Declared types that say nothing about the content; uploads declaring one
+// of these, or none, are trusted to be what their bytes say they are
+const GENERIC_MIME_TYPES = [
+  "",
+  "application/octet-stream",
+  "binary/octet-stream",
+];
+
+// Scheduled sweeps: page size, function timeout and the share of it spent
+// sweeping before a checkpoint is left for the next run
+const SWEEP_PAGE_SIZE = 200;
+const SWEEP_TIMEOUT_SECONDS = 540;
+const SWEEP_TIME_BUDGET_MS = 420 * 1000;
+
+// Maximum number of writes in a single Firestore batch
+const FIRESTORE_BATCH_LIMIT = 500;
+
+// Maximum number of Storage deletes in flight at once
+const STORAGE_DELETE_CONCURRENCY = 10;
+
+// Retry policy for the storage_deletion_failures dead-letter queue
+const DELETION_RETRY_BATCH_SIZE = 200;
+const DELETION_RETRY_BASE_DELAY_MS = 15 * 60 * 1000;
+const DELETION_RETRY_MAX_DELAY_MS = 24 * 60 * 60 * 1000;
+const DELETION_RETRY_ALERT_ATTEMPTS = 8;
+
+// Engagement types clients may record in story_engagement
+const STORY_ENGAGEMENT_TYPES = [
+  "views",
+  "likes",
+  "comments",
+  "shares",
+  "saves",
+];
+
+const FIRST_HOUR_MS = 60 * 60 * 1000;
+
+// A viewer who views a story again after this gap counts as returning
+const RETURN_VISIT_GAP_MS = 30 * 60 * 1000;
+
+// Longest message preview shown in a push notification
+const MESSAGE_PREVIEW_LENGTH = 100;
+
+// Push sent for each type of fasting milestone
+const MILESTONE_KINDS: Record<FastingMilestone["type"], NotificationKind> = {
+  elapsed: "fasting_milestone",
+  before_target: "fasting_almost_done",
+  target: "fasting_target_reached",
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Users whose periodic reviews are generated in parallel
+const REVIEW_CONCURRENCY = 10;
+
+/**
+ * Extract the object path from a download URL supplied by a caller
+ * @param {string} fileUrl - The Firebase Storage download URL
+ * @return {string} The object path inside the default bucket
+ */
+function parseStoragePathFromUrl(fileUrl: string): string {
+  try {
+    return getStoragePathFromUrl(fileUrl);
+  } catch (error) {
+    throw new HttpsError(
+      "invalid-argument",
+      "Parameter must be a Firebase Storage download URL."
+    );
+  }
+}
 
 /**
  * Helper function to delete a file from Firebase Storage by URL
@@ -21,248 +242,2082 @@ async function deleteFileFromStorage(
   fileUrl: string,
   fileType: string
 ): Promise<void> {
+  let filePath: string;
   try {
-    const decodedUrl = decodeURIComponent(fileUrl);
-    const filePath = decodedUrl.split("/o/")[1].split("?")[0];
-    await storage.bucket().file(filePath).delete();
+    filePath = getStoragePathFromUrl(fileUrl);
+  } catch (error) {
+    logger.error(`Cannot delete ${fileType}: invalid URL ${fileUrl}`, error);
+    return;
+  }
+
+  try {
+    await deleteStorageObject(filePath);
     logger.log(`Successfully deleted ${fileType} at ${filePath}`);
   } catch (error) {
     logger.error(`Failed to delete ${fileType}`, error);
+    await recordStorageDeletionFailure(filePath, fileType, error);
+  }
+}
+
+/**
+ * Delete a Storage object, treating an already missing object as deleted
+ * @param {string} filePath - The object path inside the default bucket
+ * @return {Promise<void>} Promise that resolves once the object is gone
+ */
+async function deleteStorageObject(filePath: string): Promise<void> {
+  await storage.bucket().file(filePath).delete({ignoreNotFound: true});
+}
+
+/**
+ * Record a failed Storage deletion in the storage_deletion_failures
+ * dead-letter collection so retryStorageDeletions can finish the job.
+ * Entries are keyed by object path, so repeated failures for the same
+ * object reopen a single entry instead of piling up duplicates, and back
+ * off like the retries do.
+ * @param {string} filePath - The object path that could not be deleted
+ * @param {string} fileType - The type of file (for logging purposes)
+ * @param {unknown} error - The error the deletion failed with
+ * @return {Promise<void>} Promise that resolves when the entry is written
+ */
+async function recordStorageDeletionFailure(
+  filePath: string,
+  fileType: string,
+  error: unknown
+): Promise<void> {
+  const failureRef = db
+    .collection("storage_deletion_failures")
+    .doc(encodeURIComponent(filePath));
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      const failureDoc = await transaction.get(failureRef);
+      const attempts = (failureDoc.get("attempts") || 0) + 1;
+      transaction.set(failureRef, {
+        path: filePath,
+        fileType,
+        error: String(error),
+        status: "pending",
+        attempts,
+        nextAttemptAt: admin.firestore.Timestamp.fromMillis(
+          Date.now() + getDeletionRetryDelay(attempts)
+        ),
+        lastFailedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, {merge: true});
+    });
+  } catch (recordError) {
+    logger.error(
+      `Failed to record deletion failure for ${filePath}`,
+      recordError
+    );
+  }
+}
+
+/**
+ * Delay before the next retry of a failed Storage deletion, doubling with
+ * every attempt up to DELETION_RETRY_MAX_DELAY_MS
+ * @param {number} attempts - Number of failed attempts so far
+ * @return {number} Delay in milliseconds
+ */
+function getDeletionRetryDelay(attempts: number): number {
+  return Math.min(
+    DELETION_RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)),
+    DELETION_RETRY_MAX_DELAY_MS
+  );
+}
+
+/**
+ * List the Storage files referenced by a snap or story document
+ * @param {admin.firestore.DocumentData} data - Snap or story document data
+ * @return {MediaFile[]} The referenced files with their type for logging
+ */
+function getMediaFiles(data: admin.firestore.DocumentData): MediaFile[] {
+  const files: MediaFile[] = [];
+
+  // The main media file (image or video)
+  if (data.mediaUrl) {
+    files.push({url: data.mediaUrl, type: data.isVideo ? "video" : "image"});
+  } else if (data.imageUrl) {
+    // Fallback for legacy snaps
+    files.push({url: data.imageUrl, type: "image"});
+  }
+
+  // The thumbnail if it exists (for videos)
+  if (data.thumbnailUrl) {
+    files.push({url: data.thumbnailUrl, type: "thumbnail"});
+  }
+
+  // Resized variants written by processUploadedMedia; "full" is the
+  // original object and already listed above
+  for (const [name, url] of Object.entries(data.mediaVariants || {})) {
+    if (name !== "full" && typeof url === "string") {
+      files.push({url, type: `${name} variant`});
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Delete several Storage files with bounded parallelism
+ * @param {MediaFile[]} files - The files to delete
+ * @return {Promise<void>} Promise that resolves when all deletes settle
+ */
+async function deleteFilesFromStorage(files: MediaFile[]): Promise<void> {
+  await mapWithConcurrency(
+    files,
+    STORAGE_DELETE_CONCURRENCY,
+    (file) => deleteFileFromStorage(file.url, file.type)
+  );
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {T[]} items - The items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - The async function to call for each item
+ * @return {Promise<void>} Promise that resolves when every call finished
+ */
+async function mapWithConcurrency<T>(
+  items: T[],
+  limit: number,
+  fn: (item: T) => Promise<void>
+): Promise<void> {
+  let next = 0;
+  const workers = Array.from(
+    {length: Math.min(limit, items.length)},
+    async () => {
+      while (next < items.length) {
+        await fn(items[next++]);
+      }
+    }
+  );
+  await Promise.all(workers);
+}
+
+/**
+ * Commit a list of writes in as many batches as the Firestore limit needs
+ * @param {BatchWrite[]} writes - Writes to apply, one batch operation each
+ * @return {Promise<void>} Promise that resolves when every batch committed
+ */
+async function commitInBatches(writes: BatchWrite[]): Promise<void> {
+  for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    for (const write of writes.slice(i, i + FIRESTORE_BATCH_LIMIT)) {
+      write(batch);
+    }
+    await batch.commit();
+  }
+}
+
+/**
+ * Sweep the documents matched by a query page by page. Progress is stored
+ * in sweep_checkpoints/{name} after every page; a run that stops at its
+ * time budget leaves the checkpoint open and the next run continues after
+ * the last processed document, using the same cutoff.
+ * @param {string} name - Checkpoint document id for this sweep
+ * @param {Function} getCutoff - Cutoff for a fresh sweep
+ * @param {Function} buildQuery - Builds the filtered query for a cutoff
+ * @param {string} orderField - Field the query's range filter is on
+ * @param {Function} handlePage - Processes one page of documents
+ * @param {number} deadline - Time in ms to stop by, for sweeps sharing a run
+ * @return {Promise<SweepResult>} Documents processed and whether it finished
+ */
+async function runResumableSweep(
+  name: string,
+  getCutoff: () => Date,
+  buildQuery: (cutoff: Date) => admin.firestore.Query,
+  orderField: string,
+  handlePage: (docs: admin.firestore.QueryDocumentSnapshot[]) => Promise<void>,
+  deadline: number = Date.now() + SWEEP_TIME_BUDGET_MS
+): Promise<SweepResult> {
+  const checkpointRef = db.collection("sweep_checkpoints").doc(name);
+  const checkpoint = (await checkpointRef.get()).data();
+  const resuming = checkpoint?.status === "running";
+
+  const cutoff: Date = resuming ? checkpoint.cutoff.toDate() : getCutoff();
+  let cursor: unknown[] | null = resuming && checkpoint.lastPath ?
+    [checkpoint.lastOrderValue, checkpoint.lastPath] :
+    null;
+  let processed = 0;
+
+  if (resuming) {
+    logger.log(`Resuming ${name} sweep from checkpoint`, {cursor});
+  }
+
+  while (Date.now() < deadline) {
+    let query = buildQuery(cutoff)
+      .orderBy(orderField)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(SWEEP_PAGE_SIZE);
+    if (cursor) {
+      query = query.startAfter(...cursor);
+    }
+
+    const page = await query.get();
+    if (page.empty) {
+      await checkpointRef.set({
+        status: "complete",
+        cutoff: admin.firestore.Timestamp.fromDate(cutoff),
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return {processed, completed: true};
+    }
+
+    await handlePage(page.docs);
+    processed += page.size;
+
+    const last = page.docs[page.size - 1];
+    cursor = [last.get(orderField), last.ref.path];
+
+    await checkpointRef.set({
+      status: "running",
+      cutoff: admin.firestore.Timestamp.fromDate(cutoff),
+      lastOrderValue: cursor[0],
+      lastPath: cursor[1],
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  logger.warn(`${name} sweep hit its time budget after ${processed} docs`);
+  return {processed, completed: false};
+}
+
+/**
+ * Triggered when a snap is updated. If the 'replayed' field is changed to
+ * true, the snap document and the corresponding media files are deleted.
+ */
+export const onSnapViewed = onDocumentUpdated(
+  "users/{userId}/snaps/{snapId}", async (event) => {
+    logger.info("onSnapViewed event", {params: event.params});
+
+    const change = event.data;
+    if (!change) {
+      logger.warn("No data associated with the event");
+      return;
+    }
+
+    const beforeData = change.before.data();
+    const afterData = change.after.data();
+
+    if (beforeData?.replayed === false && afterData?.replayed === true) {
+      logger.log(
+        `Snap ${event.params.snapId} for user ${event.params.userId} ` +
+        "has been replayed. Deleting."
+      );
+
+      // Delete the media file, its thumbnail and any resized variants
+      await deleteFilesFromStorage(getMediaFiles(afterData));
+
+      // Delete the Firestore document
+      return change.after.ref.delete();
+    }
+
+    return;
+  }
+);
+
+/**
+ * A scheduled function that runs every hour to delete snaps that are
+ * older than 24 hours and have not been viewed. Snaps are swept in pages
+ * and the sweep resumes from its checkpoint if a run times out.
+ */
+export const deleteOldSnaps = onSchedule(
+  {schedule: "every 1 hours", timeoutSeconds: SWEEP_TIMEOUT_SECONDS},
+  async () => {
+    logger.info("Running deleteOldSnaps scheduled function");
+
+    const result = await runResumableSweep(
+      "deleteOldSnaps",
+      () => new Date(Date.now() - 24 * 60 * 60 * 1000),
+      (cutoff) => db
+        .collectionGroup("snaps")
+        .where("isViewed", "==", false)
+        .where("timestamp", "<=", cutoff),
+      "timestamp",
+      async (docs) => {
+        await deleteFilesFromStorage(
+          docs.flatMap((doc) => getMediaFiles(doc.data()))
+        );
+        await commitInBatches(
+          docs.map((doc) => (batch) => batch.delete(doc.ref))
+        );
+      }
+    );
+
+    logger.log(
+      `Deleted ${result.processed} old, unread snaps` +
+      (result.completed ? "." : "; sweep will resume on the next run.")
+    );
+  }
+);
+
+/**
+ * Scheduled retrier for the storage_deletion_failures dead-letter queue.
+ * Retries each pending entry once its backoff has elapsed and closes it as
+ * soon as the object is gone; failures push the next attempt out
+ * exponentially.
+ */
+export const retryStorageDeletions = onSchedule(
+  "every 15 minutes",
+  async () => {
+    logger.info("Running retryStorageDeletions scheduled function");
+
+    const dueFailures = await db
+      .collection("storage_deletion_failures")
+      .where("status", "==", "pending")
+      .where("nextAttemptAt", "<=", admin.firestore.Timestamp.now())
+      .orderBy("nextAttemptAt")
+      .limit(DELETION_RETRY_BATCH_SIZE)
+      .get();
+
+    if (dueFailures.empty) {
+      logger.log("No failed Storage deletions due for retry.");
+      return;
+    }
+
+    let resolved = 0;
+    let failed = 0;
+
+    await mapWithConcurrency(
+      dueFailures.docs,
+      STORAGE_DELETE_CONCURRENCY,
+      async (doc) => {
+        const {path: filePath, attempts = 0} = doc.data();
+
+        try {
+          await deleteStorageObject(filePath);
+          await doc.ref.update({
+            status: "resolved",
+            resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+          resolved++;
+        } catch (error) {
+          const nextAttempts = attempts + 1;
+          await doc.ref.update({
+            attempts: nextAttempts,
+            error: String(error),
+            lastFailedAt: admin.firestore.FieldValue.serverTimestamp(),
+            nextAttemptAt: admin.firestore.Timestamp.fromMillis(
+              Date.now() + getDeletionRetryDelay(nextAttempts)
+            ),
+          });
+          failed++;
+
+          if (nextAttempts >= DELETION_RETRY_ALERT_ATTEMPTS) {
+            logger.error(
+              `Storage deletion of ${filePath} still failing after ` +
+              `${nextAttempts} attempts`,
+              error
+            );
+          }
+        }
+      }
+    );
+
+    logger.log(
+      `Storage deletion retries: ${resolved} resolved, ${failed} failed`
+    );
+  }
+);
+
+/**
+ * Daily garbage collection of Storage media that no document references.
+ * Unreferenced objects under meals/, stories/, snaps/ and temp/ are moved to
+ * quarantine and hard-deleted after a grace period; every run writes its
+ * report to storage_gc_reports. Set ORPHAN_GC_DRY_RUN=true to only report.
+ */
+export const collectOrphanedMedia = onSchedule(
+  {schedule: "every 24 hours", timeoutSeconds: SWEEP_TIMEOUT_SECONDS},
+  async () => {
+    logger.info("Running collectOrphanedMedia scheduled function");
+
+    const report = await runOrphanedMediaGc({
+      db,
+      bucket: storage.bucket(),
+      dryRun: process.env.ORPHAN_GC_DRY_RUN === "true",
+    });
+
+    await db.collection("storage_gc_reports").add({
+      ...report,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    logger.log(
+      `Orphaned media GC${report.dryRun ? " (dry run)" : ""}: ` +
+      `${report.scannedObjects} scanned, ${report.quarantined} quarantined, ` +
+      `${report.restored} restored, ${report.purged} purged`
+    );
+  }
+);
+
+interface GenerateVideoThumbnailRequest {
+  videoUrl: string;
+  userId: string;
+  storyId?: string;
+}
+
+const generateVideoThumbnailSchema: RequestSchema = {
+  videoUrl: {type: "string", required: true, maxLength: 2048},
+  userId: {type: "string", required: true, pattern: ID_PATTERN},
+  storyId: {type: "string", pattern: ID_PATTERN},
+};
+
+/**
+ * Cloud Function for server-side thumbnail generation
+ * This is a backup function for generating thumbnails if client-side fails.
+ * Downloads the video, extracts a representative frame with ffmpeg, uploads
+ * it as a JPEG and writes the resulting thumbnailUrl back onto the snap
+ * documents (one per recipient) or the story document.
+ */
+export const generateVideoThumbnail = onCall(
+  {memory: "1GiB", timeoutSeconds: 300},
+  async (request) => {
+    const {uid, data} = validateCallable<GenerateVideoThumbnailRequest>(
+      request,
+      generateVideoThumbnailSchema
+    );
+    const {videoUrl, userId, storyId} = data;
+
+    assertOwner(uid, userId, "You can only generate thumbnails for your " +
+      "own videos.");
+
+    const videoPath = parseStoragePathFromUrl(videoUrl);
+    if (
+      !videoPath.startsWith(`snaps/${uid}/`) &&
+      !videoPath.startsWith(`stories/${uid}/`)
+    ) {
+      throw new HttpsError(
+        "permission-denied",
+        "The video does not belong to the caller."
+      );
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "thumb-"));
+
+    try {
+      logger.info(`Generating thumbnail for video: ${videoUrl}`);
+
+      const localVideoPath = path.join(workDir, path.basename(videoPath));
+      const localThumbnailPath = path.join(workDir, "thumb.jpg");
+
+      // Download video file temporarily
+      await storage.bucket().file(videoPath).download({
+        destination: localVideoPath,
+      });
+
+      await extractVideoFrame(localVideoPath, localThumbnailPath);
+
+      const thumbnailFileName = `${Date.now()}_thumb.jpg`;
+      const thumbnailPath = `snaps/${userId}/thumbnails/${thumbnailFileName}`;
+
+      const [thumbnailFile] = await storage.bucket().upload(
+        localThumbnailPath,
+        {
+          destination: thumbnailPath,
+          metadata: {
+            contentType: "image/jpeg",
+            metadata: {firebaseStorageDownloadTokens: randomUUID()},
+          },
+        }
+      );
+      const thumbnailUrl = await getDownloadURL(thumbnailFile);
+
+      let updatedDocs: number;
+      try {
+        updatedDocs = await saveThumbnailUrl(
+          userId,
+          videoUrl,
+          thumbnailUrl,
+          storyId
+        );
+      } catch (error) {
+        // Nothing references the thumbnail yet, so don't leave it behind
+        await thumbnailFile.delete({ignoreNotFound: true}).catch(
+          (deleteError) => logger.error(
+            `Error deleting unused thumbnail ${thumbnailPath}:`,
+            deleteError
+          )
+        );
+        throw error;
+      }
+
+      logger.info(
+        `Thumbnail generation completed for ${videoPath} ` +
+        `(${updatedDocs} documents updated)`
+      );
+
+      return {
+        success: true,
+        thumbnailPath: thumbnailPath,
+        thumbnailUrl: thumbnailUrl,
+        updatedDocuments: updatedDocs,
+      };
+    } catch (error) {
+      if (error instanceof HttpsError) throw error;
+      logger.error("Error generating video thumbnail:", error);
+      throw new HttpsError("internal", "Failed to generate video thumbnail");
+    } finally {
+      await fs.rm(workDir, {recursive: true, force: true});
+    }
+  }
+);
+
+/**
+ * Extract a representative frame from a video as a JPEG.
+ * Uses ffmpeg's thumbnail filter, which picks the most representative frame
+ * from the first batch of frames, and falls back to the very first frame for
+ * clips too short for the filter to produce output.
+ * @param {string} videoPath - Local path of the downloaded video
+ * @param {string} outputPath - Local path to write the JPEG to
+ * @return {Promise<void>} Promise that resolves once the JPEG is written
+ */
+async function extractVideoFrame(
+  videoPath: string,
+  outputPath: string
+): Promise<void> {
+  const scale = `scale=${THUMBNAIL_WIDTH}:-2`;
+
+  try {
+    await execFileAsync(ffmpeg.path, [
+      "-y",
+      "-i", videoPath,
+      "-vf", `thumbnail,${scale}`,
+      "-frames:v", "1",
+      "-q:v", "3",
+      outputPath,
+    ]);
+    await fs.access(outputPath);
+  } catch (error) {
+    logger.warn("Thumbnail filter failed, using first frame", error);
+    await execFileAsync(ffmpeg.path, [
+      "-y",
+      "-i", videoPath,
+      "-vf", scale,
+      "-frames:v", "1",
+      "-q:v", "3",
+      outputPath,
+    ]);
+  }
+}
+
+/**
+ * Write a generated thumbnail URL back onto the documents that reference
+ * the video. Stories are addressed directly; snaps are fanned out to one
+ * document per recipient, so every snap sharing the video URL is updated.
+ * A story is only updated while its mediaUrl is still the video's.
+ * @param {string} userId - The owner/sender of the video
+ * @param {string} videoUrl - Download URL of the video
+ * @param {string} thumbnailUrl - Download URL of the generated thumbnail
+ * @param {string} storyId - Optional story id when the video is a story
+ * @return {Promise<number>} Number of documents updated
+ */
+async function saveThumbnailUrl(
+  userId: string,
+  videoUrl: string,
+  thumbnailUrl: string,
+  storyId?: string
+): Promise<number> {
+  if (storyId) {
+    const storyRef = db
+      .collection("users")
+      .doc(userId)
+      .collection("stories")
+      .doc(storyId);
+    await db.runTransaction(async (transaction) => {
+      const storyDoc = await transaction.get(storyRef);
+      if (!storyDoc.exists) {
+        throw new HttpsError("not-found", "Story not found.");
+      }
+      // The story's media was replaced while the thumbnail was generated
+      if (storyDoc.get("mediaUrl") !== videoUrl) {
+        throw new HttpsError(
+          "failed-precondition",
+          "The story no longer uses this video."
+        );
+      }
+      transaction.update(storyRef, {thumbnailUrl});
+    });
+    return 1;
+  }
+
+  const snaps = await db
+    .collectionGroup("snaps")
+    .where("senderId", "==", userId)
+    .where("mediaUrl", "==", videoUrl)
+    .get();
+
+  if (snaps.empty) {
+    return 0;
+  }
+
+  const batch = db.batch();
+  for (const doc of snaps.docs) {
+    batch.update(doc.ref, {thumbnailUrl});
+  }
+  await batch.commit();
+
+  return snaps.size;
+}
+
+/**
+ * Storage-triggered media pipeline for snaps, stories, meal photos and
+ * temporary uploads. Every new object directly under
+ * `{snaps|stories|meals|temp}/{userId}/` is checked against its declared
+ * content type, re-encoded without EXIF/GPS metadata in place, resized into
+ * thumbnail and feed variants, and the variant URLs are recorded on the
+ * owning Firestore document. An upload whose metadata cannot be stripped is
+ * deleted rather than served with it.
+ */
+export const processUploadedMedia = onObjectFinalized(
+  {memory: "1GiB", timeoutSeconds: 300},
+  async (event) => {
+    const object = event.data;
+    const segments = object.name.split("/");
+
+    // Only handle uploads at {prefix}/{userId}/{file}; this skips our own
+    // variants/ and thumbnails/ subfolders.
+    if (
+      segments.length !== 3 ||
+      !MEDIA_PIPELINE_PREFIXES.includes(segments[0])
+    ) {
+      return;
+    }
+
+    // Objects we wrote ourselves would otherwise re-trigger the pipeline
+    if (object.metadata?.processed === "true") {
+      return;
+    }
+
+    const [prefix, userId, fileName] = segments;
+    const file = storage.bucket(object.bucket).file(object.name);
+    const [buffer] = await file.download();
+
+    const declaredType = normalizeMimeType(object.contentType || "");
+    const detectedType = detectMimeType(buffer);
+
+    if (!detectedType && !isMediaMimeType(declaredType)) {
+      logger.log(`Skipping non-media upload ${object.name}`);
+      return;
+    }
+
+    const declaredIsGeneric = GENERIC_MIME_TYPES.includes(declaredType);
+    if (
+      !detectedType ||
+      (!declaredIsGeneric && detectedType !== declaredType)
+    ) {
+      logger.warn(
+        `Rejecting ${object.name}: declared ${declaredType || "none"}, ` +
+        `detected ${detectedType || "unknown"}`
+      );
+      await file.delete();
+      await recordMediaVariants(object.name, userId, {
+        status: "rejected",
+        declaredType,
+        detectedType,
+      });
+      return;
+    }
+
+    const downloadToken =
+      object.metadata?.firebaseStorageDownloadTokens || randomUUID();
+
+    try {
+      const variants = detectedType.startsWith("video/") ?
+        await processVideoUpload(file, buffer, detectedType, downloadToken) :
+        await processImageUpload(
+          file,
+          buffer,
+          detectedType,
+          downloadToken,
+          `${prefix}/${userId}/variants/${path.parse(fileName).name}`
+        );
+
+      const mediaUrl = await getDownloadURL(file);
+
+      // Recorded before the owner lookup, so an owning document written
+      // after it picks the variants up through attachRecordedVariants
+      await recordMediaVariants(object.name, userId, {
+        status: "processed",
+        contentType: detectedType,
+        mediaUrl,
+        variants,
+        ownerDocuments: [],
+      });
+      const updatedDocs = await attachMediaVariants(
+        prefix,
+        userId,
+        mediaUrl,
+        variants
+      );
+      await addMediaOwnerDocuments(object.name, updatedDocs);
+
+      logger.log(
+        `Processed ${object.name} (${Object.keys(variants).join(", ")}); ` +
+        `${updatedDocs.length} documents updated`
+      );
+    } catch (error) {
+      logger.error(`Failed to process uploaded media ${object.name}`, error);
+
+      const [metadata] = await file.getMetadata();
+      if (metadata.metadata?.processed === "true") {
+        await recordMediaVariants(object.name, userId, {
+          status: "failed",
+          error: String(error),
+        });
+        return;
+      }
+
+      // The original still carries its EXIF/GPS metadata
+      await file.delete({ignoreNotFound: true});
+      await recordMediaVariants(object.name, userId, {
+        status: "rejected",
+        reason: "metadata_not_stripped",
+        detectedType,
+        error: String(error),
+      });
+    }
+  }
+);
+
+/**
+ * Re-encode an uploaded image without metadata and generate its resized
+ * variants. The "full" variant replaces the uploaded object in place while
+ * keeping its download token, so URLs already handed to the client stay
+ * valid but no longer serve EXIF/GPS data. PNG, WebP and GIF keep their
+ * format, animation included; anything else becomes JPEG, which for HEIC
+ * means the object keeps its .heic name but is served as image/jpeg.
+ * @param {StorageFile} file - The uploaded Storage object
+ * @param {Buffer} buffer - The uploaded bytes
+ * @param {string} contentType - The detected MIME type
+ * @param {string} downloadToken - Download token to keep on the original
+ * @param {string} variantBasePath - Path prefix for the resized variants
+ * @return {Promise<Record<string, string>>} Variant name to download URL
+ */
+async function processImageUpload(
+  file: StorageFile,
+  buffer: Buffer,
+  contentType: string,
+  downloadToken: string,
+  variantBasePath: string
+): Promise<Record<string, string>> {
+  const variants: Record<string, string> = {};
+  const openImage = await loadImage(buffer, contentType);
+
+  for (const variant of IMAGE_VARIANTS) {
+    if (!variant.width) {
+      const format = KEPT_IMAGE_FORMATS.includes(contentType) ?
+        contentType.split("/")[1] :
+        "jpeg";
+      const stripped = await openImage(format === "gif")
+        .toFormat(format as keyof sharp.FormatEnum)
+        .toBuffer();
+
+      await file.save(stripped, {
+        resumable: false,
+        metadata: {
+          contentType: `image/${format}`,
+          metadata: {
+            firebaseStorageDownloadTokens: downloadToken,
+            processed: "true",
+          },
+        },
+      });
+      variants[variant.name] = await getDownloadURL(file);
+      continue;
+    }
+
+    const resized = await openImage(false)
+      .resize({width: variant.width, withoutEnlargement: true})
+      .jpeg({quality: 82})
+      .toBuffer();
+    const variantFile = file.bucket.file(
+      `${variantBasePath}_${variant.name}.jpg`
+    );
+
+    await variantFile.save(resized, {
+      resumable: false,
+      metadata: {
+        contentType: "image/jpeg",
+        metadata: {
+          firebaseStorageDownloadTokens: randomUUID(),
+          processed: "true",
+        },
+      },
+    });
+    variants[variant.name] = await getDownloadURL(variantFile);
+  }
+
+  return variants;
+}
+
+/**
+ * Prepare an uploaded image for sharp. HEIC, which sharp's prebuilt libvips
+ * cannot decode, is decoded to raw pixels first, with its orientation
+ * already applied; other formats have their EXIF orientation baked in by
+ * rotate() before the metadata is dropped.
+ * @param {Buffer} buffer - The uploaded bytes
+ * @param {string} contentType - The detected MIME type
+ * @return {Promise<Function>} Opens a fresh pipeline on the image, keeping
+ *   every frame of an animated GIF when passed true
+ */
+async function loadImage(
+  buffer: Buffer,
+  contentType: string
+): Promise<(animated: boolean) => sharp.Sharp> {
+  if (contentType === "image/heic") {
+    const {width, height, data} = await decodeHeic({buffer});
+    const pixels = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    return () => sharp(pixels, {raw: {width, height, channels: 4}});
+  }
+
+  // GIFs carry no EXIF orientation, and sharp cannot rotate animations
+  if (contentType === "image/gif") {
+    return (animated) => sharp(buffer, {animated});
+  }
+
+  return () => sharp(buffer).rotate();
+}
+
+/**
+ * Remux an uploaded video without its container metadata (which can carry
+ * GPS location) and replace the uploaded object in place. Videos are not
+ * resized; their thumbnails come from generateVideoThumbnail.
+ * @param {StorageFile} file - The uploaded Storage object
+ * @param {Buffer} buffer - The uploaded bytes
+ * @param {string} contentType - The detected MIME type
+ * @param {string} downloadToken - Download token to keep on the original
+ * @return {Promise<Record<string, string>>} Variant name to download URL
+ */
+async function processVideoUpload(
+  file: StorageFile,
+  buffer: Buffer,
+  contentType: string,
+  downloadToken: string
+): Promise<Record<string, string>> {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "media-"));
+
+  try {
+    const extension = path.extname(file.name) || ".mp4";
+    const inputPath = path.join(workDir, `input${extension}`);
+    const outputPath = path.join(workDir, `output${extension}`);
+
+    await fs.writeFile(inputPath, buffer);
+    await execFileAsync(ffmpeg.path, [
+      "-y",
+      "-i", inputPath,
+      "-map", "0",
+      "-map_metadata", "-1",
+      "-c", "copy",
+      outputPath,
+    ]);
+
+    await file.bucket.upload(outputPath, {
+      destination: file.name,
+      resumable: false,
+      metadata: {
+        contentType,
+        metadata: {
+          firebaseStorageDownloadTokens: downloadToken,
+          processed: "true",
+        },
+      },
+    });
+
+    return {full: await getDownloadURL(file)};
+  } finally {
+    await fs.rm(workDir, {recursive: true, force: true});
+  }
+}
+
+/**
+ * Record the variant URLs on the Firestore documents that own an upload.
+ * The client usually writes the document after the upload completes; when
+ * it has not been written yet, attachRecordedVariants attaches the variants
+ * from the media_variants record once it is.
+ * @param {string} prefix - The Storage prefix (snaps, stories, meals, temp)
+ * @param {string} userId - The uploading user
+ * @param {string} mediaUrl - Download URL of the original upload
+ * @param {Record<string, string>} variants - Variant name to download URL
+ * @return {Promise<string[]>} Paths of the documents that were updated
+ */
+async function attachMediaVariants(
+  prefix: string,
+  userId: string,
+  mediaUrl: string,
+  variants: Record<string, string>
+): Promise<string[]> {
+  let query: admin.firestore.Query;
+
+  switch (prefix) {
+  case "snaps":
+    query = db
+      .collectionGroup("snaps")
+      .where("senderId", "==", userId)
+      .where("mediaUrl", "==", mediaUrl);
+    break;
+  case "stories":
+    query = db
+      .collection("users")
+      .doc(userId)
+      .collection("stories")
+      .where("mediaUrl", "==", mediaUrl);
+    break;
+  case "meals":
+    query = db
+      .collection("meal_logs")
+      .where("user_id", "==", userId)
+      .where("image_url", "==", mediaUrl);
+    break;
+  default:
+    // Temporary uploads have no owning document
+    return [];
+  }
+
+  const owners = await query.get();
+  if (owners.empty) return [];
+
+  const batch = db.batch();
+  for (const doc of owners.docs) {
+    batch.update(doc.ref, {
+      mediaVariants: variants,
+      mediaProcessedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
   }
+  await batch.commit();
+  return owners.docs.map((doc) => doc.ref.path);
+}
+
+/**
+ * Attach processed media variants to a snap, story or meal log written
+ * after its upload went through the media pipeline
+ * @param {admin.firestore.DocumentSnapshot | undefined} doc - The new doc
+ * @param {unknown} ownerId - The user who uploaded the media
+ * @param {unknown} mediaUrl - Download URL of the upload
+ * @return {Promise<void>} Resolves once the variants are attached
+ */
+async function attachRecordedVariants(
+  doc: admin.firestore.DocumentSnapshot | undefined,
+  ownerId: unknown,
+  mediaUrl: unknown
+): Promise<void> {
+  if (
+    !doc ||
+    typeof ownerId !== "string" ||
+    typeof mediaUrl !== "string" ||
+    doc.get("mediaVariants")
+  ) {
+    return;
+  }
+
+  const records = await db
+    .collection("media_variants")
+    .where("mediaUrl", "==", mediaUrl)
+    .where("status", "==", "processed")
+    .get();
+  const record = records.docs.find((r) => r.get("userId") === ownerId);
+  if (!record) return;
+
+  await doc.ref.update({
+    mediaVariants: record.get("variants"),
+    mediaProcessedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await addMediaOwnerDocuments(record.get("path"), [doc.ref.path]);
+}
+
+/**
+ * Add documents to the owners listed on an upload's media_variants record
+ * @param {string} filePath - The Storage object path
+ * @param {string[]} ownerPaths - Paths of the owning documents
+ * @return {Promise<void>} Resolves once the record is updated
+ */
+async function addMediaOwnerDocuments(
+  filePath: string,
+  ownerPaths: string[]
+): Promise<void> {
+  if (ownerPaths.length === 0) return;
+  await db
+    .collection("media_variants")
+    .doc(encodeURIComponent(filePath))
+    .update({
+      ownerDocuments: admin.firestore.FieldValue.arrayUnion(...ownerPaths),
+    });
+}
+
+/**
+ * Attach processed media variants to documents written after their upload
+ * was processed. Each watches one kind of owning document.
+ */
+export const attachVariantsOnSnapCreated = onDocumentCreated(
+  "users/{userId}/snaps/{snapId}",
+  (event) => attachRecordedVariants(
+    event.data,
+    event.data?.get("senderId"),
+    event.data?.get("mediaUrl")
+  )
+);
+
+export const attachVariantsOnStoryCreated = onDocumentCreated(
+  "users/{userId}/stories/{storyId}",
+  (event) => attachRecordedVariants(
+    event.data,
+    event.params.userId,
+    event.data?.get("mediaUrl")
+  )
+);
+
+export const attachVariantsOnMealLogged = onDocumentCreated(
+  "meal_logs/{mealLogId}",
+  (event) => attachRecordedVariants(
+    event.data,
+    event.data?.get("user_id"),
+    event.data?.get("image_url")
+  )
+);
+
+/**
+ * Store the pipeline outcome for an upload in media_variants, keyed by the
+ * object path, so clients can look up variants even without an owning doc.
+ * @param {string} filePath - The Storage object path
+ * @param {string} userId - The uploading user
+ * @param {object} result - Outcome fields to store
+ * @return {Promise<void>} Promise that resolves when the record is written
+ */
+async function recordMediaVariants(
+  filePath: string,
+  userId: string,
+  result: Record<string, unknown>
+): Promise<void> {
+  await db
+    .collection("media_variants")
+    .doc(encodeURIComponent(filePath))
+    .set({
+      ...result,
+      path: filePath,
+      userId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+}
+
+/**
+ * Detect the real MIME type of an upload from its leading magic bytes
+ * @param {Buffer} buffer - The uploaded bytes
+ * @return {string | null} The detected MIME type, or null if unknown
+ */
+function detectMimeType(buffer: Buffer): string | null {
+  if (buffer.length < 12) return null;
+
+  const header = buffer.toString("latin1", 0, 12);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (header.startsWith("\x89PNG\r\n\x1a\n")) return "image/png";
+  if (header.startsWith("GIF8")) return "image/gif";
+  if (header.startsWith("RIFF") && header.slice(8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return "video/webm";
+
+  // ISO base media file format: HEIC/AVIF images and MP4/MOV/3GP videos
+  if (header.slice(4, 8) === "ftyp") {
+    const brand = header.slice(8, 12);
+    const match = Object.entries(FTYP_BRANDS)
+      .find(([, brands]) => brands.includes(brand));
+    return match ? match[0] : null;
+  }
+
+  return null;
+}
+
+/**
+ * Normalize MIME type aliases so declared and detected types compare equal
+ * @param {string} mimeType - The MIME type to normalize
+ * @return {string} The canonical MIME type
+ */
+function normalizeMimeType(mimeType: string): string {
+  const type = mimeType.toLowerCase().split(";")[0].trim();
+  return MIME_TYPE_ALIASES[type] || type;
+}
+
+/**
+ * Whether a MIME type denotes an image or a video
+ * @param {string} mimeType - The MIME type to check
+ * @return {boolean} True for image/* and video/* types
+ */
+function isMediaMimeType(mimeType: string): boolean {
+  return mimeType.startsWith("image/") || mimeType.startsWith("video/");
+}
+
+interface SendScreenshotNotificationRequest {
+  snapId?: string;
+  storyId?: string;
+  storyOwnerId?: string;
+  platform?: string;
+}
+
+const sendScreenshotNotificationSchema: RequestSchema = {
+  snapId: {type: "string", pattern: ID_PATTERN},
+  storyId: {type: "string", pattern: ID_PATTERN},
+  storyOwnerId: {type: "string", pattern: ID_PATTERN},
+  platform: {type: "string", oneOf: CLIENT_PLATFORMS},
+};
+
+/**
+ * Notify the owner of a snap or story that the caller screenshotted it, and
+ * record the screenshot in the audit trail (see screenshotAudit). A snap is
+ * read from the caller's own inbox, so only its actual recipient can report
+ * it; a story can only be reported by a friend of its owner. The owner and
+ * viewer name come from the server. Delivery follows the owner's
+ * notification preferences (see notifications), including their optional
+ * per-viewer rate limit.
+ */
+export const sendScreenshotNotification = onCall(async (request) => {
+  const {uid, data} = validateCallable<SendScreenshotNotificationRequest>(
+    request,
+    sendScreenshotNotificationSchema
+  );
+
+  let content;
+  if (data.snapId && !data.storyId) {
+    content = await getScreenshottedSnap(uid, data.snapId);
+  } else if (data.storyId && !data.snapId) {
+    content = await getScreenshottedStory(uid, data.storyId, data.storyOwnerId);
+  } else {
+    throw new HttpsError(
+      "invalid-argument",
+      "Provide either snapId or storyId."
+    );
+  }
+
+  const viewerDoc = await db.collection("users").doc(uid).get();
+  const viewerUsername = viewerDoc.get("username") || "Someone";
+  const rateLimited = await isScreenshotRateLimited(uid, content.ownerId);
+
+  try {
+    const result = rateLimited ?
+      null :
+      await notifyUser({
+        userId: content.ownerId,
+        kind: content.contentType === "snap" ?
+          "screenshot" :
+          "story_screenshot",
+        params: {viewer: viewerUsername},
+        data: {
+          [content.contentType === "snap" ? "snapId" : "storyId"]:
+            content.contentId,
+          viewerId: uid,
+        },
+      });
+
+    await recordScreenshotEvent({
+      ...content,
+      viewerId: uid,
+      viewerUsername,
+      platform: data.platform ?? null,
+    }, result !== null);
+
+    return {
+      notificationId: result?.notificationId ?? null,
+      push: result?.push ?? "rate_limited",
+    };
+  } catch (error) {
+    logger.error("Error sending screenshot notification:", error);
+    throw new HttpsError("internal", "Failed to send screenshot notification");
+  }
+});
+
+/**
+ * Resolve a snap reported as screenshotted from the caller's inbox
+ * @param {string} uid - The caller, who must have received the snap
+ * @param {string} snapId - The snap id
+ * @return {Promise<object>} The content type, id and owner
+ */
+async function getScreenshottedSnap(
+  uid: string,
+  snapId: string
+): Promise<{contentType: "snap"; contentId: string; ownerId: string}> {
+  const snapDoc = await db
+    .collection("users")
+    .doc(uid)
+    .collection("snaps")
+    .doc(snapId)
+    .get();
+
+  if (!snapDoc.exists) {
+    throw new HttpsError(
+      "permission-denied",
+      "You can only report screenshots of snaps sent to you."
+    );
+  }
+
+  const senderId = snapDoc.get("senderId");
+  if (!senderId) {
+    logger.error(`Snap ${snapId} has no senderId.`);
+    throw new HttpsError("not-found", "Snap sender not found.");
+  }
+
+  return {contentType: "snap", contentId: snapId, ownerId: senderId};
+}
+
+/**
+ * Resolve a story reported as screenshotted by a friend of its owner
+ * @param {string} uid - The caller
+ * @param {string} storyId - The story id
+ * @param {string | undefined} storyOwnerId - The story's owner
+ * @return {Promise<object>} The content type, id and owner
+ */
+async function getScreenshottedStory(
+  uid: string,
+  storyId: string,
+  storyOwnerId: string | undefined
+): Promise<{contentType: "story"; contentId: string; ownerId: string}> {
+  if (!storyOwnerId) {
+    throw new HttpsError(
+      "invalid-argument",
+      "storyOwnerId is required with storyId."
+    );
+  }
+
+  const ownerRef = db.collection("users").doc(storyOwnerId);
+  const [storyDoc, friendDoc] = await Promise.all([
+    ownerRef.collection("stories").doc(storyId).get(),
+    ownerRef.collection("friends").doc(uid).get(),
+  ]);
+
+  if (!friendDoc.exists || uid === storyOwnerId) {
+    throw new HttpsError(
+      "permission-denied",
+      "You can only report screenshots of your friends' stories."
+    );
+  }
+  if (!storyDoc.exists) {
+    throw new HttpsError("not-found", "Story not found.");
+  }
+
+  return {contentType: "story", contentId: storyId, ownerId: storyOwnerId};
+}
+
+/**
+ * Push a new chat message to every other member of the chat room. The app
+ * records its own in-app notification for messages, so this only pushes.
+ */
+export const notifyChatMessage = onDocumentCreated(
+  "chat_rooms/{chatRoomId}/messages/{messageId}",
+  async (event) => {
+    const message = event.data?.data();
+    const {chatRoomId} = event.params;
+    if (!message?.senderId) return;
+
+    const chatRoom = await db.collection("chat_rooms").doc(chatRoomId).get();
+    const members: string[] = chatRoom.get("members") || [];
+    const sender = await getUsername(message.senderId);
+
+    await notifyUsers(
+      members.filter((memberId) => memberId !== message.senderId),
+      {
+        kind: "chat_message",
+        params: {
+          sender,
+          preview: getMessagePreview(message.message ?? message.text),
+        },
+        data: {chatRoomId, senderId: message.senderId},
+        collapseKey: `chat_${chatRoomId}`,
+        conversationId: chatRoomId,
+        inApp: false,
+      }
+    );
+  }
+);
+
+/**
+ * Push a reply in a health group to every other member of the group
+ */
+export const notifyGroupMessage = onDocumentCreated(
+  "health_groups/{groupId}/messages/{messageId}",
+  async (event) => {
+    const message = event.data?.data();
+    const {groupId} = event.params;
+    const senderId = message?.senderId ?? message?.sender_id;
+    if (!senderId) return;
+
+    const group = await db.collection("health_groups").doc(groupId).get();
+    const members: string[] = group.get("member_ids") || [];
+    const sender = await getUsername(senderId);
+
+    await notifyUsers(
+      members.filter((memberId) => memberId !== senderId),
+      {
+        kind: "group_message",
+        params: {
+          group: group.get("name") || "Health group",
+          sender,
+          preview: getMessagePreview(
+            message?.message ?? message?.text ?? message?.content
+          ),
+        },
+        data: {groupId, senderId},
+        collapseKey: `group_${groupId}`,
+        conversationId: groupId,
+      }
+    );
+  }
+);
+
+/**
+ * Push a new friend request to its receiver. The app records its own
+ * in-app notification for friend requests, so this only pushes.
+ */
+export const notifyFriendRequest = onDocumentCreated(
+  "friend_requests/{requestId}",
+  async (event) => {
+    const friendRequest = event.data?.data();
+    if (
+      !friendRequest?.senderId ||
+      !friendRequest.receiverId ||
+      friendRequest.status !== "pending"
+    ) {
+      return;
+    }
+
+    await notifyUsers([friendRequest.receiverId], {
+      kind: "friend_request",
+      params: {sender: await getUsername(friendRequest.senderId)},
+      data: {
+        requestId: event.params.requestId,
+        senderId: friendRequest.senderId,
+      },
+      collapseKey: `friend_request_${friendRequest.senderId}`,
+      inApp: false,
+    });
+  }
+);
+
+/**
+ * Push a new snap to its recipient. Snaps show up in the app's inbox, so
+ * this only pushes; snaps from the same sender collapse into one push.
+ */
+export const notifyNewSnap = onDocumentCreated(
+  "users/{userId}/snaps/{snapId}",
+  async (event) => {
+    const senderId = event.data?.get("senderId");
+    const {userId, snapId} = event.params;
+    if (!senderId || senderId === userId) return;
+
+    await notifyUsers([userId], {
+      kind: "snap",
+      params: {sender: await getUsername(senderId)},
+      data: {snapId, senderId},
+      collapseKey: `snaps_${senderId}`,
+      conversationId: getDirectChatRoomId(userId, senderId),
+      inApp: false,
+    });
+  }
+);
+
+/**
+ * Sends the digest of pushes queued during quiet hours or a fast to every
+ * user whose quiet window has ended. Users still in a quiet window keep
+ * their queue until a later run. The queues are swept from a checkpoint,
+ * so users held back at the front cannot starve everyone queued after them.
+ */
+export const sendNotificationDigests = onSchedule(
+  {schedule: "every 15 minutes", timeoutSeconds: SWEEP_TIMEOUT_SECONDS},
+  async () => {
+    logger.info("Running sendNotificationDigests scheduled function");
+
+    // Users whose queue this run already flushed, or found still held
+    const visited = new Set<string>();
+    let delivered = 0;
+
+    const result = await runResumableSweep(
+      "sendNotificationDigests",
+      () => new Date(),
+      (cutoff) => db
+        .collectionGroup("notification_queue")
+        .where("queuedAt", "<=", cutoff),
+      "queuedAt",
+      async (docs) => {
+        for (const doc of docs) {
+          const userId = doc.ref.parent.parent?.id;
+          if (!userId || visited.has(userId)) continue;
+          visited.add(userId);
+
+          try {
+            delivered += await flushNotificationQueue(userId);
+          } catch (error) {
+            logger.error(
+              `Error sending notification digest to ${userId}:`,
+              error
+            );
+          }
+        }
+      }
+    );
+
+    logger.log(
+      `Notification digests: ${delivered} queued notifications delivered ` +
+      `for ${visited.size} users` +
+      (result.completed ? "." : "; sweep will resume on the next run.")
+    );
+  }
+);
+
+/**
+ * Sends the queued notification digest as soon as a fast ends rather than
+ * waiting for the next sendNotificationDigests run
+ */
+export const flushNotificationsOnFastEnd = onDocumentUpdated(
+  "fasting_sessions/{sessionId}",
+  async (event) => {
+    const before = event.data?.before.data();
+    const after = event.data?.after.data();
+    if (
+      !after?.user_id ||
+      !OPEN_FASTING_STATES.includes(before?.state) ||
+      OPEN_FASTING_STATES.includes(after.state)
+    ) {
+      return;
+    }
+
+    try {
+      await flushNotificationQueue(after.user_id);
+    } catch (error) {
+      logger.error("Error flushing notifications after fast:", error);
+    }
+  }
+);
+
+/**
+ * Scheduled backend counterpart of the app's fasting reminders, which are
+ * lost when the app is force-quit or reinstalled. Pushes each active fast's
+ * milestones from admin/fasting_milestones once, and closes fasts, paused
+ * ones included, that have run far past their target.
+ */
+export const sendFastingMilestones = onSchedule(
+  {schedule: "every 15 minutes", timeoutSeconds: SWEEP_TIMEOUT_SECONDS},
+  async () => {
+    logger.info("Running sendFastingMilestones scheduled function");
+
+    const config = await loadFastingMilestones(db);
+    const startedAt = Date.now();
+    let notified = 0;
+    let autoEnded = 0;
+    let last: admin.firestore.QueryDocumentSnapshot | undefined;
+
+    while (Date.now() - startedAt < SWEEP_TIME_BUDGET_MS) {
+      let query = db
+        .collection("fasting_sessions")
+        .where("state", "in", OPEN_FASTING_STATES)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(SWEEP_PAGE_SIZE);
+      if (last) query = query.startAfter(last);
+
+      const page = await query.get();
+      if (page.empty) break;
+      last = page.docs[page.docs.length - 1];
+
+      for (const doc of page.docs) {
+        try {
+          const result = await processFastingMilestones(doc, config);
+          if (result === "notified") notified++;
+          if (result === "auto_ended") autoEnded++;
+        } catch (error) {
+          logger.error(`Error processing fasting session ${doc.id}:`, error);
+        }
+      }
+
+      if (page.size < SWEEP_PAGE_SIZE) break;
+    }
+
+    logger.log(
+      `Fasting milestones: ${notified} sessions notified, ` +
+      `${autoEnded} auto-ended`
+    );
+  }
+);
+
+/**
+ * Send the milestone push that is due for an open fasting session, or
+ * close the session if it has run too far past its target. When several
+ * milestones came due since the last run only the latest is pushed, and all
+ * of them are recorded in milestones_sent once it has gone out, so a failed
+ * run retries them. A paused session is closed by the time since it
+ * started, since its fasted time stands still.
+ * @param {admin.firestore.QueryDocumentSnapshot} doc - The session
+ * @param {FastingMilestoneConfig} config - The milestone schedule
+ * @return {Promise<string | null>} "notified", "auto_ended" or null
+ */
+async function processFastingMilestones(
+  doc: admin.firestore.QueryDocumentSnapshot,
+  config: FastingMilestoneConfig
+): Promise<"notified" | "auto_ended" | null> {
+  const session = doc.data();
+  if (!session.user_id || !session.planned_duration_ms) return null;
+
+  const now = new Date();
+  const fastedHours = getFastedMs(session, now) / HOUR_MS;
+  const targetHours = session.planned_duration_ms / HOUR_MS;
+  const runningHours = session.state === "paused" ?
+    (now.getTime() - Date.parse(session.actual_start_time)) / HOUR_MS :
+    fastedHours;
+
+  if (runningHours >= targetHours + config.autoEndAfterTargetHours) {
+    const ended = await autoEndFast(session.user_id, doc.id);
+    await notifyUser({
+      userId: session.user_id,
+      kind: "fasting_auto_ended",
+      params: {hours: String(Math.floor(ended.actual_duration_ms / HOUR_MS))},
+      data: {sessionId: doc.id},
+      collapseKey: `fast_${doc.id}`,
+    });
+    return "auto_ended";
+  }
+
+  const due = getDueMilestones(
+    config,
+    fastedHours,
+    targetHours,
+    session.milestones_sent || []
+  );
+  if (due.length === 0) return null;
+
+  const milestone = due[due.length - 1];
+  await notifyUser({
+    userId: session.user_id,
+    kind: MILESTONE_KINDS[milestone.type],
+    params: {
+      hours: String(milestone.hours ?? Math.round(targetHours * 10) / 10),
+    },
+    data: {sessionId: doc.id, milestoneId: milestone.id},
+    collapseKey: `fast_${doc.id}`,
+    deferDuringFasting: false,
+  });
+
+  await doc.ref.update({
+    milestones_sent: admin.firestore.FieldValue.arrayUnion(
+      ...due.map(({id}) => id)
+    ),
+  });
+  return "notified";
 }
 
 /**
- * Triggered when a snap is updated. If the 'replayed' field is changed to
- * true, the snap document and the corresponding media files are deleted.
+ * Counts a logged meal towards the user's meal logging streaks. The day is
+ * taken from when the log was written, not the timestamp the app set.
  */
-export const onSnapViewed = onDocumentUpdated(
-  "users/{userId}/snaps/{snapId}", async (event) => {
-    logger.info("onSnapViewed event", {params: event.params});
+export const updateStreaksOnMealLogged = onDocumentCreated(
+  "meal_logs/{mealLogId}",
+  async (event) => {
+    const userId = event.data?.get("user_id");
+    if (!userId) return;
 
-    const change = event.data;
-    if (!change) {
-      logger.warn("No data associated with the event");
+    try {
+      await recordStreakActivity(userId, "mealLogging", new Date(event.time));
+    } catch (error) {
+      logger.error(`Error updating meal streaks for ${userId}:`, error);
+    }
+  }
+);
+
+/**
+ * Counts a completed fast towards the user's fasting streaks on the day it
+ * ended
+ */
+export const updateStreaksOnFastCompleted = onDocumentUpdated(
+  "fasting_sessions/{sessionId}",
+  async (event) => {
+    const before = event.data?.before.data();
+    const after = event.data?.after.data();
+    if (
+      !after?.user_id ||
+      before?.state === "completed" ||
+      after.state !== "completed"
+    ) {
       return;
     }
 
-    const beforeData = change.before.data();
-    const afterData = change.after.data();
+    const endedAt = new Date(after.actual_end_time ?? event.time);
+    try {
+      await recordStreakActivity(after.user_id, "fasting", endedAt);
+    } catch (error) {
+      logger.error(
+        `Error updating fasting streaks for ${after.user_id}:`,
+        error
+      );
+    }
+  }
+);
 
-    if (beforeData?.replayed === false && afterData?.replayed === true) {
-      logger.log(
-        `Snap ${event.params.snapId} for user ${event.params.userId} ` +
-        "has been replayed. Deleting."
+/**
+ * Sets up each member's own streak when a shared streak is created
+ */
+export const createSharedStreakMembers = onDocumentCreated(
+  "shared_streaks/{sharedStreakId}",
+  async (event) => {
+    if (!event.data) return;
+
+    try {
+      await createMemberStreaks(event.data);
+    } catch (error) {
+      logger.error(
+        `Error creating member streaks for ${event.params.sharedStreakId}:`,
+        error
       );
+    }
+  }
+);
 
-      // Delete the main media file (image or video)
-      if (afterData.mediaUrl) {
-        const mediaType = afterData.isVideo ? "video" : "image";
-        await deleteFileFromStorage(afterData.mediaUrl, mediaType);
-      } else if (afterData.imageUrl) {
-        // Fallback for legacy snaps
-        await deleteFileFromStorage(afterData.imageUrl, "image");
+/**
+ * Closes streaks that missed a day, spending freeze tokens first. Runs
+ * hourly so every user is handled shortly after their own local midnight
+ * (and grace period); only streaks that have not qualified for a day are
+ * checked.
+ */
+export const closeBrokenStreaks = onSchedule(
+  {schedule: "every 1 hours", timeoutSeconds: SWEEP_TIMEOUT_SECONDS},
+  async () => {
+    logger.info("Running closeBrokenStreaks scheduled function");
+
+    let frozen = 0;
+    let broken = 0;
+    const result = await runResumableSweep(
+      "closeBrokenStreaks",
+      () => new Date(Date.now() - 24 * HOUR_MS),
+      (cutoff) => db
+        .collection("user_streaks")
+        .where("is_active", "==", true)
+        .where("last_qualified_at", "<=", cutoff),
+      "last_qualified_at",
+      async (docs) => {
+        for (const doc of docs) {
+          try {
+            const outcome = await closeMissedStreakDays(doc.ref);
+            if (outcome === "frozen") frozen++;
+            if (outcome === "broken") broken++;
+          } catch (error) {
+            logger.error(`Error closing streak ${doc.id}:`, error);
+          }
+        }
       }
+    );
+
+    logger.log(
+      `Streaks: ${broken} broken, ${frozen} kept by freeze tokens` +
+      (result.completed ? "." : "; sweep will resume on the next run.")
+    );
+  }
+);
+
+/**
+ * Materializes the daily and weekly streak leaderboards of every health
+ * group and its shared streaks, so the group page reads one document
+ * instead of every member's streaks
+ */
+export const materializeLeaderboards = onSchedule(
+  {schedule: "every 1 hours", timeoutSeconds: SWEEP_TIMEOUT_SECONDS},
+  async () => {
+    logger.info("Running materializeLeaderboards scheduled function");
 
-      // Delete the thumbnail if it exists (for videos)
-      if (afterData.thumbnailUrl) {
-        await deleteFileFromStorage(afterData.thumbnailUrl, "thumbnail");
+    const startedAt = Date.now();
+    const now = new Date();
+    let groups = 0;
+    let written = 0;
+    let last: admin.firestore.QueryDocumentSnapshot | undefined;
+
+    while (Date.now() - startedAt < SWEEP_TIME_BUDGET_MS) {
+      let query = db
+        .collection("health_groups")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(SWEEP_PAGE_SIZE);
+      if (last) query = query.startAfter(last);
+
+      const page = await query.get();
+      if (page.empty) break;
+      last = page.docs[page.docs.length - 1];
+
+      for (const doc of page.docs) {
+        try {
+          written += await materializeGroupLeaderboards(doc, now);
+          groups++;
+        } catch (error) {
+          logger.error(`Error materializing leaderboards of ${doc.id}:`, error);
+        }
       }
 
-      // Delete the Firestore document
-      return change.after.ref.delete();
+      if (page.size < SWEEP_PAGE_SIZE) break;
     }
 
-    return;
+    logger.log(`Leaderboards: ${written} written for ${groups} groups`);
   }
 );
 
 /**
- * A scheduled function that runs every hour to delete snaps that are
- * older than 24 hours and have not been viewed.
+ * Schedules a new health challenge for opening at its start date
  */
-export const deleteOldSnaps = onSchedule("every 1 hours", async () => {
-  logger.info("Running deleteOldSnaps scheduled function");
-  const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-
-  const oldUnreadSnaps = await db
-    .collectionGroup("snaps")
-    .where("isViewed", "==", false)
-    .where("timestamp", "<=", twentyFourHoursAgo)
-    .get();
+export const initializeHealthChallenge = onDocumentCreated(
+  `${CHALLENGES_COLLECTION}/{challengeId}`,
+  async (event) => {
+    if (!event.data) return;
 
-  if (oldUnreadSnaps.empty) {
-    logger.log("No old, unread snaps to delete.");
-    return;
+    try {
+      await initializeChallenge(event.data);
+    } catch (error) {
+      logger.error(
+        `Error initializing challenge ${event.params.challengeId}:`,
+        error
+      );
+    }
   }
+);
 
-  const batch = db.batch();
-  for (const doc of oldUnreadSnaps.docs) {
-    const data = doc.data();
-    
-    // Delete the main media file
-    if (data.mediaUrl) {
-      const mediaType = data.isVideo ? "video" : "image";
-      await deleteFileFromStorage(data.mediaUrl, mediaType);
-    } else if (data.imageUrl) {
-      // Fallback for legacy snaps
-      await deleteFileFromStorage(data.imageUrl, "image");
-    }
+/**
+ * Runs the health challenge lifecycle: opens challenges whose start date
+ * has passed, scores active ones and reminds participants who have not
+ * checked in, and closes those past their end date with final standings
+ * and badges. Both sweeps resume from their checkpoints when a run hits
+ * its time budget.
+ */
+export const runHealthChallenges = onSchedule(
+  {schedule: "every 1 hours", timeoutSeconds: SWEEP_TIMEOUT_SECONDS},
+  async () => {
+    logger.info("Running runHealthChallenges scheduled function");
+
+    const deadline = Date.now() + SWEEP_TIME_BUDGET_MS;
+    const challenges = db.collection(CHALLENGES_COLLECTION);
+    let opened = 0;
+    let scored = 0;
+    let closed = 0;
+
+    const opening = await runResumableSweep(
+      "runHealthChallenges_open",
+      () => new Date(),
+      (cutoff) => challenges
+        .where("status", "==", "scheduled")
+        .where("start_date", "<=", cutoff),
+      "start_date",
+      async (docs) => {
+        for (const doc of docs) {
+          try {
+            await openChallenge(doc);
+            opened++;
+          } catch (error) {
+            logger.error(`Error opening challenge ${doc.id}:`, error);
+          }
+        }
+      },
+      deadline
+    );
 
-    // Delete the thumbnail if it exists (for videos)
-    if (data.thumbnailUrl) {
-      await deleteFileFromStorage(data.thumbnailUrl, "thumbnail");
-    }
+    // Every active challenge has started, so the start date filter only
+    // gives the sweep its order
+    const scoring = await runResumableSweep(
+      "runHealthChallenges_score",
+      () => new Date(),
+      (cutoff) => challenges
+        .where("status", "==", "active")
+        .where("start_date", "<=", cutoff),
+      "start_date",
+      async (docs) => {
+        const now = new Date();
+        for (const doc of docs) {
+          try {
+            const endDate = doc.get("end_date");
+            if (endDate && endDate.toDate() <= now) {
+              await closeChallenge(doc, now);
+              closed++;
+            } else {
+              await scoreChallenge(doc, now);
+              scored++;
+            }
+          } catch (error) {
+            logger.error(`Error updating challenge ${doc.id}:`, error);
+          }
+        }
+      },
+      deadline
+    );
 
-    batch.delete(doc.ref);
+    logger.log(
+      `Health challenges: ${opened} opened, ${scored} scored, ` +
+      `${closed} closed` +
+      (opening.completed && scoring.completed ?
+        "." :
+        "; sweep will resume on the next run.")
+    );
   }
-
-  await batch.commit();
-
-  logger.log(
-    `Deleted ${oldUnreadSnaps.size} old, unread snaps.`
-  );
-});
+);
 
 /**
- * Cloud Function for server-side thumbnail generation
- * This is a backup function for generating thumbnails if client-side fails
+ * Writes each user's weekly and monthly reviews once the period has ended
+ * in their time zone, and pushes that the review is ready. Runs hourly so
+ * every time zone is covered; hours when no time zone starts a new week or
+ * month are skipped without reading any users.
  */
-export const generateVideoThumbnail = onCall(async (request) => {
-  const {videoUrl, userId} = request.data;
+export const generatePeriodicReviews = onSchedule(
+  {schedule: "every 1 hours", timeoutSeconds: SWEEP_TIMEOUT_SECONDS},
+  async () => {
+    const now = new Date();
+    if (getPossibleReviewPeriods(now).length === 0) return;
 
-  if (!videoUrl || !userId) {
-    throw new Error("Missing required parameters: videoUrl and userId");
-  }
+    logger.info("Running generatePeriodicReviews scheduled function");
 
-  try {
-    logger.info(`Generating thumbnail for video: ${videoUrl}`);
-    
-    // Extract file path from URL
-    const decodedUrl = decodeURIComponent(videoUrl);
-    const videoPath = decodedUrl.split("/o/")[1].split("?")[0];
-    
-    // Download video file temporarily (simplified approach)
-    // In a real implementation, you would use FFmpeg or similar
-    // For now, we'll return a placeholder response
-    
-    const thumbnailFileName = `${Date.now()}_thumb.jpg`;
-    const thumbnailPath = `snaps/${userId}/thumbnails/${thumbnailFileName}`;
-    
-    // Placeholder: In production, implement actual thumbnail generation
-    // This would involve downloading the video, extracting a frame,
-    // and uploading the thumbnail
-    
-    logger.info(`Thumbnail generation completed for ${videoPath}`);
-    
-    return {
-      success: true,
-      thumbnailPath: thumbnailPath,
-      message: "Thumbnail generation initiated (placeholder implementation)"
-    };
-  } catch (error) {
-    logger.error("Error generating video thumbnail:", error);
-    throw new Error("Failed to generate video thumbnail");
-  }
-});
+    const startedAt = Date.now();
+    let users = 0;
+    let written = 0;
+    let last: admin.firestore.QueryDocumentSnapshot | undefined;
 
-export const sendScreenshotNotification = onCall(async (request) => {
-  const {snap, viewerUsername} = request.data;
-  const senderId = snap.senderId;
-
-  // Get sender's FCM token
-  const userDoc = await db.collection("users").doc(senderId).get();
-  const userData = userDoc.data();
-  if (!userData || !userData.fcmToken) {
-    logger.error("Sender FCM token not found.");
-    return;
-  }
-  const fcmToken = userData.fcmToken;
+    while (Date.now() - startedAt < SWEEP_TIME_BUDGET_MS) {
+      let query = db
+        .collection("users")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(SWEEP_PAGE_SIZE);
+      if (last) query = query.startAfter(last);
+
+      const page = await query.get();
+      if (page.empty) break;
+      last = page.docs[page.docs.length - 1];
+
+      await mapWithConcurrency(page.docs, REVIEW_CONCURRENCY, async (doc) => {
+        try {
+          written += (await generateDueReviews(doc.id, now)).length;
+          users++;
+        } catch (error) {
+          logger.error(`Error generating reviews for ${doc.id}:`, error);
+        }
+      });
 
-  // Send notification
-  const payload = {
-    notification: {
-      title: "Snap Screenshot!",
-      body: `${viewerUsername} took a screenshot of your snap!`,
-    },
-    token: fcmToken,
-  };
+      if (page.size < SWEEP_PAGE_SIZE) break;
+    }
 
-  try {
-    await admin.messaging().send(payload);
-    logger.log("Successfully sent screenshot notification.");
-  } catch (error) {
-    logger.error("Error sending screenshot notification:", error);
+    logger.log(`Periodic reviews: ${written} written for ${users} users`);
   }
-});
+);
 
 /**
- * Scheduled function to manage story expiration based on logarithmic permanence
- * Runs every hour to check and expire stories that have passed their dynamic expiration time
+ * Deletes reviews, daily insights and AI advice older than their
+ * collection's retention window (see reviewRetention), keeping anything
+ * the user starred or bookmarked. Collections are swept one after another
+ * with resumable checkpoints; collections not reached before the time
+ * budget runs out are picked up on the next run. Every run writes its
+ * summary to review_retention_reports.
  */
-export const manageStoryExpiration = onSchedule("every 1 hours", async () => {
-  logger.info("Running manageStoryExpiration scheduled function");
+export const enforceReviewRetention = onSchedule(
+  {schedule: "every 24 hours", timeoutSeconds: SWEEP_TIMEOUT_SECONDS},
+  async () => {
+    logger.info("Running enforceReviewRetention scheduled function");
+
+    const startedAt = Date.now();
+    const deadline = startedAt + SWEEP_TIME_BUDGET_MS;
+    const retentionDays = await loadRetentionConfig(db);
+    const collections: Record<string, Record<string, unknown>> = {};
+
+    for (const collection of RETAINED_COLLECTIONS) {
+      if (Date.now() >= deadline) {
+        collections[collection] = {status: "skipped"};
+        continue;
+      }
 
-  try {
-    const now = new Date();
+      const {dateField} = RETENTION_TARGETS[collection];
+      let deleted = 0;
+      let kept = 0;
+
+      try {
+        const result = await runResumableSweep(
+          `reviewRetention_${collection}`,
+          () => new Date(
+            Date.now() - retentionDays[collection] * 24 * HOUR_MS
+          ),
+          (cutoff) => db.collection(collection).where(dateField, "<", cutoff),
+          dateField,
+          async (docs) => {
+            const expired = docs.filter((doc) =>
+              !isKeptByUser(collection, doc));
+            kept += docs.length - expired.length;
+            await commitInBatches(
+              expired.map((doc) => (batch) => batch.delete(doc.ref))
+            );
+            deleted += expired.length;
+          },
+          deadline
+        );
+
+        collections[collection] = {
+          status: result.completed ? "complete" : "partial",
+          retentionDays: retentionDays[collection],
+          scanned: result.processed,
+          deleted,
+          kept,
+        };
+      } catch (error) {
+        logger.error(`Error enforcing retention on ${collection}:`, error);
+        collections[collection] = {
+          status: "failed",
+          error: error instanceof Error ? error.message : String(error),
+          deleted,
+          kept,
+        };
+      }
+    }
 
-    // Find all expired stories across all users
-    const expiredStoriesQuery = await db
-      .collectionGroup("stories")
-      .where("permanence.expiresAt", "<=", now)
-      .get();
+    await db.collection("review_retention_reports").add({
+      collections,
+      durationMs: Date.now() - startedAt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
 
-    if (expiredStoriesQuery.empty) {
-      logger.log("No expired stories found.");
-      return;
+    logger.log("Review retention run complete", collections);
+  }
+);
+
+/**
+ * Send the same notification to several users. A failure for one recipient
+ * is logged and does not stop the others.
+ * @param {string[]} userIds - The recipients
+ * @param {Omit<NotificationRequest, "userId">} notification - What to send
+ * @return {Promise<void>} Resolves once every recipient was handled
+ */
+async function notifyUsers(
+  userIds: string[],
+  notification: Omit<NotificationRequest, "userId">
+): Promise<void> {
+  await Promise.all(userIds.map(async (userId) => {
+    try {
+      await notifyUser({...notification, userId});
+    } catch (error) {
+      logger.error(
+        `Error sending ${notification.kind} notification to ${userId}:`,
+        error
+      );
     }
+  }));
+}
 
-    const batch = db.batch();
-    let deletedCount = 0;
-    let archivedCount = 0;
-
-    for (const storyDoc of expiredStoriesQuery.docs) {
-      const storyData = storyDoc.data();
-      const permanence = storyData.permanence || {};
-      const tier = permanence.tier || "standard";
-
-      // Archive milestone stories instead of deleting them
-      if (tier === "milestone" || tier === "monthly") {
-        // Move to archived stories collection
-        const userId = storyDoc.ref.parent.parent?.id;
-        if (userId) {
-          const archivedStoryRef = db
-            .collection("users")
-            .doc(userId)
-            .collection("archived_stories")
-            .doc(storyDoc.id);
-
-          batch.set(archivedStoryRef, {
-            ...storyData,
-            archivedAt: admin.firestore.FieldValue.serverTimestamp(),
-            originalStoryId: storyDoc.id,
-          });
+/**
+ * The display name of a user for notification text
+ * @param {string} userId - The user
+ * @return {Promise<string>} Their username, or "Someone"
+ */
+async function getUsername(userId: string): Promise<string> {
+  const userDoc = await db.collection("users").doc(userId).get();
+  return userDoc.get("username") || userDoc.get("displayName") || "Someone";
+}
+
+/**
+ * Shorten a message for a push notification body
+ * @param {unknown} text - The message text
+ * @return {string} The preview
+ */
+function getMessagePreview(text: unknown): string {
+  if (typeof text !== "string" || !text) return "📷";
+  return text.length > MESSAGE_PREVIEW_LENGTH ?
+    `${text.substring(0, MESSAGE_PREVIEW_LENGTH)}...` :
+    text;
+}
+
+/**
+ * Id of the one-to-one chat room between two users, as the app builds it
+ * @param {string} userA - One member
+ * @param {string} userB - The other member
+ * @return {string} The sorted, underscore-joined ids
+ */
+function getDirectChatRoomId(userA: string, userB: string): string {
+  return [userA, userB].sort().join("_");
+}
+
+/**
+ * Scheduled function to manage story expiration based on logarithmic
+ * permanence. Runs every hour to expire stories that have passed their
+ * dynamic expiration time, in pages that resume from a checkpoint.
+ */
+export const manageStoryExpiration = onSchedule(
+  {schedule: "every 1 hours", timeoutSeconds: SWEEP_TIMEOUT_SECONDS},
+  async () => {
+    logger.info("Running manageStoryExpiration scheduled function");
 
-          batch.delete(storyDoc.ref);
-          archivedCount++;
+    try {
+      const policy = await loadPermanencePolicy(db);
+      let deletedCount = 0;
+      let archivedCount = 0;
+      let restoredCount = 0;
+
+      const result = await runResumableSweep(
+        "manageStoryExpiration",
+        () => new Date(),
+        (cutoff) => db
+          .collectionGroup("stories")
+          .where("permanence.expiresAt", "<=", cutoff),
+        "permanence.expiresAt",
+        async (docs) => {
+          const writes: BatchWrite[] = [];
+          const expiredMedia: MediaFile[] = [];
+
+          for (const storyDoc of docs) {
+            const storyData = storyDoc.data();
+            const permanence = storyData.permanence || {};
+            const tier = permanence.tier || policy.tiers[0].name;
+
+            if (storyData.restoredFromArchive) {
+              // A restored story's archived copy and media outlive its
+              // restore window; only the live copy goes
+              writes.push((batch) => batch.delete(storyDoc.ref));
+              restoredCount++;
+            } else if (policy.archivedTiers.includes(tier)) {
+              // Archive milestone stories instead of deleting them
+              const userId = storyDoc.ref.parent.parent?.id;
+              if (!userId) continue;
+
+              const archivedStoryRef = db
+                .collection("users")
+                .doc(userId)
+                .collection("archived_stories")
+                .doc(storyDoc.id);
+
+              writes.push((batch) => batch.set(archivedStoryRef, {
+                ...storyData,
+                archivedAt: admin.firestore.FieldValue.serverTimestamp(),
+                archivePolicyVersion: policy.version,
+                originalStoryId: storyDoc.id,
+              }));
+              writes.push((batch) => batch.delete(storyDoc.ref));
+              archivedCount++;
+            } else {
+              // Delete regular expired stories and their media
+              expiredMedia.push(...getMediaFiles(storyData));
+              writes.push((batch) => batch.delete(storyDoc.ref));
+              deletedCount++;
+            }
+          }
+
+          await deleteFilesFromStorage(expiredMedia);
+          await commitInBatches(writes);
         }
-      } else {
-        // Delete regular expired stories and their media
-        await deleteStoryMedia(storyData);
-        batch.delete(storyDoc.ref);
-        deletedCount++;
-      }
-    }
+      );
 
-    await batch.commit();
+      logger.log(
+        `Story expiration ${result.completed ? "completed" : "paused"}: ` +
+        `${deletedCount} stories deleted, ${archivedCount} stories ` +
+        `archived, ${restoredCount} restored stories returned to the archive`
+      );
+    } catch (error) {
+      logger.error("Error in manageStoryExpiration:", error);
+    }
+  }
+);
 
-    logger.log(
-      `Story expiration completed: ${deletedCount} stories deleted, ` +
-      `${archivedCount} stories archived`
-    );
-  } catch (error) {
-    logger.error("Error in manageStoryExpiration:", error);
+/**
+ * Gives each new story its initial permanence, which clients may not
+ * write, so it expires after the base duration unless engagement extends it
+ */
+export const initializeStoryPermanence = onDocumentCreated(
+  "users/{userId}/stories/{storyId}",
+  async (event) => {
+    try {
+      await updateStoryPermanence(event.params.userId, event.params.storyId);
+    } catch (error) {
+      logger.error("Error initializing story permanence:", error);
+    }
   }
-});
+);
 
 /**
  * Function to recalculate story permanence when engagement is updated
@@ -279,6 +2334,15 @@ export const recalculateStoryPermanence = onDocumentUpdated(
       return;
     }
 
+    // aggregateStoryEngagement marks each event once it has been counted
+    // and recalculates permanence itself
+    if (
+      !change.before.get("aggregatedAt") &&
+      change.after.get("aggregatedAt")
+    ) {
+      return;
+    }
+
     const engagementData = change.after.data();
     const storyId = engagementData.storyId;
     const storyOwnerId = engagementData.storyOwnerId;
@@ -289,194 +2353,383 @@ export const recalculateStoryPermanence = onDocumentUpdated(
     }
 
     try {
-      // Get the story document
+      await updateStoryPermanence(storyOwnerId, storyId);
+    } catch (error) {
+      logger.error("Error recalculating story permanence:", error);
+    }
+  }
+);
+
+/**
+ * Aggregates each new story_engagement event into the authoritative
+ * engagement counters on the story (views, unique and returning viewers,
+ * likes, comments, shares, saves and first-hour views) and its hourly
+ * timeline at stories/{storyId}/insights/timeline, scores it against the
+ * viewer's aggregate (see engagementScoring), then recalculates the story's
+ * permanence. Event times are when the event document was created, not the
+ * client-written timestamp.
+ * Runs in a transaction and marks the event as aggregated, so a retried
+ * trigger never counts the same event twice.
+ */
+export const aggregateStoryEngagement = onDocumentCreated(
+  "story_engagement/{engagementId}",
+  async (event) => {
+    const snapshot = event.data;
+    if (!snapshot) {
+      logger.warn("No data associated with engagement event");
+      return;
+    }
+
+    const {storyId, storyOwnerId, viewerId, engagementType} = snapshot.data();
+
+    if (!storyId || !storyOwnerId || !viewerId) {
+      logger.warn("Missing storyId, storyOwnerId or viewerId in engagement");
+      return;
+    }
+    if (!STORY_ENGAGEMENT_TYPES.includes(engagementType)) {
+      logger.warn(`Ignoring unknown engagement type ${engagementType}`);
+      return;
+    }
+    if (viewerId === storyOwnerId) {
+      // Owners viewing their own story do not count as engagement
+      return;
+    }
+
+    try {
+      const policy = await loadPermanencePolicy(db);
       const storyRef = db
         .collection("users")
         .doc(storyOwnerId)
         .collection("stories")
         .doc(storyId);
+      const viewerRef = storyRef.collection("viewers").doc(viewerId);
+
+      const aggregated = await db.runTransaction(async (transaction) => {
+        const [eventDoc, storyDoc, viewerDoc] = await Promise.all([
+          transaction.get(snapshot.ref),
+          transaction.get(storyRef),
+          transaction.get(viewerRef),
+        ]);
+
+        if (!storyDoc.exists) {
+          logger.warn(`Story ${storyId} not found for user ${storyOwnerId}`);
+          return false;
+        }
+        if (eventDoc.get("aggregatedAt")) {
+          return false;
+        }
 
-      const storyDoc = await storyRef.get();
-      if (!storyDoc.exists) {
-        logger.warn(`Story ${storyId} not found for user ${storyOwnerId}`);
-        return;
-      }
-
-      const storyData = storyDoc.data()!;
-      const engagement = storyData.engagement || {};
-      const totalScore = storyData.totalEngagementScore || 0;
-      const timestamp = storyData.timestamp;
-
-      if (!timestamp) {
-        logger.warn("Story missing timestamp");
-        return;
-      }
-
-      // Calculate new permanence duration
-      const permanenceDuration = calculateLogarithmicDuration(
-        totalScore,
-        engagement.views || 0,
-        engagement.likes || 0,
-        engagement.comments || 0,
-        engagement.shares || 0,
-      );
-
-      // Calculate new expiration time
-      const storyCreatedAt = timestamp.toDate();
-      const expiresAt = new Date(
-        storyCreatedAt.getTime() + permanenceDuration
-      );
+        const increment = admin.firestore.FieldValue.increment;
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        const eventAt = eventDoc.createTime?.toMillis() ?? Date.now();
+        const postedAt = storyDoc.get("timestamp")?.toMillis();
+        const viewer: admin.firestore.DocumentData = {
+          viewerId,
+          ...(viewerDoc.exists ? {} : {firstSeenAt: now}),
+          lastSeenAt: now,
+          counts: {[engagementType]: increment(1)},
+        };
+        const updates: admin.firestore.UpdateData<
+          admin.firestore.DocumentData
+        > = {
+          [`engagement.${engagementType}`]: increment(1),
+          totalEngagementScore: increment(
+            policy.eventWeights[engagementType] ?? 0
+          ),
+          lastEngagementTime: now,
+        };
+
+        if (engagementType === "views") {
+          // A viewer whose first event was a like or comment has a doc but
+          // has not been counted yet; older docs only have lastViewedAt
+          const viewed = viewerDoc.get("viewed") ??
+            viewerDoc.get("lastViewedAt") !== undefined;
+          if (!viewed) {
+            updates["engagement.uniqueViewers"] = increment(1);
+            viewer.viewed = true;
+          }
+
+          if (postedAt && eventAt - postedAt <= FIRST_HOUR_MS) {
+            updates["engagement.firstHourViews"] = increment(1);
+          }
+
+          // Each viewer counts as returning at most once
+          const lastViewedAt = viewerDoc.get("lastViewedAt");
+          if (
+            lastViewedAt &&
+            !viewerDoc.get("returned") &&
+            eventAt - lastViewedAt >= RETURN_VISIT_GAP_MS
+          ) {
+            updates["engagement.returningViewers"] = increment(1);
+            viewer.returned = true;
+          }
+          viewer.lastViewedAt = Math.max(eventAt, lastViewedAt ?? 0);
+        }
 
-      // Determine permanence tier
-      const permanenceTier = getPermanenceTier(permanenceDuration);
+        const scored = scoreEngagementEvent(
+          getViewerScoring(viewerDoc.get("scoring")),
+          engagementType,
+          eventAt,
+          policy
+        );
+        viewer.scoring = scored.scoring;
+        if (scored.outcome === "counted") {
+          const field = engagementType === "views" ?
+            "uniqueViewers" :
+            engagementType;
+          updates[`permanence.scoredEngagement.${field}`] = increment(1);
+          updates["permanence.scoredEngagement.score"] =
+            increment(scored.weight);
+        } else if (scored.outcome === "dropped") {
+          updates["permanence.scoredEngagement.droppedEvents"] = increment(1);
+          if (scored.scoring.droppedEvents === 1) {
+            updates["permanence.scoredEngagement.flaggedViewers"] =
+              increment(1);
+            logger.warn(
+              `Story ${storyId}: viewer ${viewerId} hit the engagement ` +
+              "velocity limit"
+            );
+          }
+          transaction.set(
+            db.collection("story_engagement_flags")
+              .doc(`${storyId}_${viewerId}`),
+            {
+              storyId,
+              storyOwnerId,
+              viewerId,
+              droppedEvents: scored.scoring.droppedEvents,
+              reason: "velocity_limit",
+              flaggedAt: now,
+            }
+          );
+        }
 
-      // Update story permanence
-      await storyRef.update({
-        "permanence.duration": permanenceDuration / 1000,
-        "permanence.expiresAt": admin.firestore.Timestamp.fromDate(expiresAt),
-        "permanence.tier": permanenceTier,
-        "permanence.calculatedAt": admin.firestore.FieldValue.serverTimestamp(),
-        "permanence.isExtended": permanenceDuration > 24 * 60 * 60 * 1000,
+        transaction.update(storyRef, updates);
+        transaction.set(viewerRef, viewer, {merge: true});
+        if (postedAt) {
+          const hour = getTimelineHour(postedAt, eventAt);
+          transaction.set(storyRef.collection("insights").doc("timeline"), {
+            buckets: {[hour]: {[engagementType]: increment(1)}},
+            updatedAt: now,
+          }, {merge: true});
+        }
+        transaction.update(snapshot.ref, {aggregatedAt: now});
+        return true;
       });
 
-      const hours = Math.round(permanenceDuration / (60 * 60 * 1000));
-      logger.log(
-        `Updated story ${storyId} permanence: ${hours} hours ` +
-        `(tier: ${permanenceTier})`
-      );
+      if (aggregated) {
+        await updateStoryPermanence(storyOwnerId, storyId);
+      }
     } catch (error) {
-      logger.error("Error recalculating story permanence:", error);
+      logger.error("Error aggregating story engagement:", error);
     }
   }
 );
 
 /**
- * Calculate logarithmic duration based on engagement metrics
- * @param {number} totalScore - Total weighted engagement score
- * @param {number} views - Number of views
- * @param {number} likes - Number of likes
- * @param {number} comments - Number of comments
- * @param {number} shares - Number of shares
- * @return {number} Duration in milliseconds
- */
-function calculateLogarithmicDuration(
-  totalScore: number,
-  views: number,
-  likes: number,
-  comments: number,
-  shares: number
-): number {
-  // Base duration: 24 hours in milliseconds
-  const baseDuration = 24 * 60 * 60 * 1000;
-  
-  // Calculate engagement multiplier using logarithmic scale
-  const engagementMultiplier = Math.log(1 + totalScore) * 0.5;
-  
-  // Calculate view velocity bonus (views in first hour)
-  const viewVelocityBonus = Math.min(views / 10.0, 2.0); // Max 2x bonus
-  
-  // Calculate interaction quality bonus
-  const interactionQuality = (likes * 0.3) + (comments * 0.5) + (shares * 0.7);
-  const qualityMultiplier = Math.log(1 + interactionQuality) * 0.3;
-  
-  // Total multiplier (capped at 30 days max)
-  const totalMultiplier = Math.min(
-    1 + engagementMultiplier + viewVelocityBonus + qualityMultiplier,
-    30.0 // Max 30x = 30 days
+ * Recompute a story's expiry from its scored engagement, which
+ * aggregateStoryEngagement keeps per viewer (see engagementScoring) rather
+ * than taking it from the client-written counters.
+ * @param {string} storyOwnerId - The story's owner
+ * @param {string} storyId - The story id
+ * @return {Promise<void>} Promise that resolves once the story is updated
+ */
+async function updateStoryPermanence(
+  storyOwnerId: string,
+  storyId: string
+): Promise<void> {
+  // Get the story document
+  const storyRef = db
+    .collection("users")
+    .doc(storyOwnerId)
+    .collection("stories")
+    .doc(storyId);
+
+  const storyDoc = await storyRef.get();
+  if (!storyDoc.exists) {
+    logger.warn(`Story ${storyId} not found for user ${storyOwnerId}`);
+    return;
+  }
+
+  const timestamp = storyDoc.get("timestamp");
+  if (!timestamp) {
+    logger.warn("Story missing timestamp");
+    return;
+  }
+
+  const policy = await loadPermanencePolicy(db);
+  const scored = storyDoc.get("permanence.scoredEngagement") || {};
+
+  // Calculate new permanence duration
+  const permanenceDuration = calculateLogarithmicDuration(
+    policy,
+    scored.score || 0,
+    scored.uniqueViewers || 0,
+    scored.likes || 0,
+    scored.comments || 0,
+    scored.shares || 0,
   );
-  
-  return Math.round(baseDuration * totalMultiplier);
-}
 
-/**
- * Get permanence tier based on duration
- * @param {number} durationMs - Duration in milliseconds
- * @return {string} Permanence tier
- */
-function getPermanenceTier(durationMs: number): string {
-  const hours = durationMs / (60 * 60 * 1000);
-  
-  if (hours <= 24) return 'standard';
-  if (hours <= 72) return 'extended';
-  if (hours <= 168) return 'weekly';
-  if (hours <= 720) return 'monthly';
-  return 'milestone';
-}
+  // Calculate new expiration time; a story restored from the archive stays
+  // live at least until its restore window ends
+  const storyCreatedAt = timestamp.toDate();
+  const restoredUntil = storyDoc.get("restoredUntil")?.toMillis() ?? 0;
+  const expiresAt = new Date(
+    Math.max(storyCreatedAt.getTime() + permanenceDuration, restoredUntil)
+  );
 
-/**
- * Delete story media files from Firebase Storage
- * @param {any} storyData - Story document data
- */
-async function deleteStoryMedia(storyData: any): Promise<void> {
-  try {
-    // Delete main media file
-    if (storyData.mediaUrl) {
-      const mediaType = storyData.isVideo ? "video" : "image";
-      await deleteFileFromStorage(storyData.mediaUrl, mediaType);
-    }
+  // Determine permanence tier
+  const permanenceTier = getPermanenceTier(policy, permanenceDuration);
 
-    // Delete thumbnail if it exists
-    if (storyData.thumbnailUrl) {
-      await deleteFileFromStorage(storyData.thumbnailUrl, "thumbnail");
-    }
-  } catch (error) {
-    logger.error("Error deleting story media:", error);
-  }
+  // Update story permanence
+  await storyRef.update({
+    "permanence.duration": permanenceDuration / 1000,
+    "permanence.expiresAt": admin.firestore.Timestamp.fromDate(expiresAt),
+    "permanence.tier": permanenceTier,
+    "permanence.calculatedAt": admin.firestore.FieldValue.serverTimestamp(),
+    "permanence.isExtended": permanenceDuration > getBaseDurationMs(policy),
+    "permanence.policyVersion": policy.version,
+  });
+
+  const hours = Math.round(permanenceDuration / (60 * 60 * 1000));
+  logger.log(
+    `Updated story ${storyId} permanence: ${hours} hours ` +
+    `(tier: ${permanenceTier}, policy v${policy.version})`
+  );
+}
+
+interface GetStoryInsightsRequest {
+  userId: string;
+  storyId: string;
 }
 
+const getStoryInsightsSchema: RequestSchema = {
+  userId: {type: "string", required: true, pattern: ID_PATTERN},
+  storyId: {type: "string", required: true, pattern: ID_PATTERN},
+};
+
 /**
- * Cloud Function to get story analytics and permanence insights
+ * Cloud Function to get story analytics and permanence insights.
+ * Only the story's owner may read its analytics.
  */
 export const getStoryInsights = onCall(async (request) => {
-  const {userId, storyId} = request.data;
+  const {uid, data} = validateCallable<GetStoryInsightsRequest>(
+    request,
+    getStoryInsightsSchema
+  );
+  const {userId, storyId} = data;
 
-  if (!userId || !storyId) {
-    throw new Error("Missing required parameters: userId and storyId");
-  }
+  assertOwner(uid, userId, "You can only view insights for your own stories.");
 
   try {
     // Get story data
     const storyDoc = await db
-      .collection('users')
+      .collection("users")
       .doc(userId)
-      .collection('stories')
+      .collection("stories")
       .doc(storyId)
       .get();
 
     if (!storyDoc.exists) {
-      throw new Error("Story not found");
+      throw new HttpsError("not-found", "Story not found");
     }
 
     const storyData = storyDoc.data()!;
-    
-    // Get engagement events
-    const engagementEvents = await db
-      .collection('story_engagement')
-      .where('storyId', '==', storyId)
-      .orderBy('timestamp', 'desc')
-      .get();
+    const engagement = storyData.engagement || {};
+    const postedAt = storyData.timestamp?.toMillis() ?? Date.now();
+
+    const [timelineDoc, pastStories, policy, legacyEvents] = await Promise.all([
+      storyDoc.ref.collection("insights").doc("timeline").get(),
+      getPastStories(userId, storyId, postedAt),
+      loadPermanencePolicy(db),
+      // Stories that predate the aggregated counters have no uniqueViewers
+      engagement.uniqueViewers === undefined ?
+        db
+          .collection("story_engagement")
+          .where("storyId", "==", storyId)
+          .where("storyOwnerId", "==", userId)
+          .get() :
+        null,
+    ]);
+
+    const totals = getEngagementTotals(storyData);
+    const engagementEvents = legacyEvents ?
+      legacyEvents.size :
+      STORY_ENGAGEMENT_TYPES.reduce(
+        (sum, type) => sum + (engagement[type] || 0),
+        0
+      );
 
     // Calculate insights
     const insights = {
       story: storyData,
       analytics: {
         totalEngagement: storyData.totalEngagementScore || 0,
-        engagement: storyData.engagement || {},
+        engagement,
         permanence: storyData.permanence || {},
-        engagementEvents: engagementEvents.docs.length,
-        uniqueViewers: getUniqueViewers(engagementEvents.docs),
+        engagementEvents,
+        uniqueViewers: legacyEvents ?
+          getUniqueViewers(legacyEvents.docs) :
+          engagement.uniqueViewers,
         engagementRate: calculateEngagementRate(storyData.engagement),
         timeToExpiry: getTimeToExpiry(storyData.permanence),
+        timeline: buildTimeline(
+          timelineDoc.get("buckets") || {},
+          (Date.now() - postedAt) / (60 * 60 * 1000)
+        ),
+        retention: buildRetention(engagement),
+        projection: projectNextTier(policy, totals),
+        comparison: compareWithPastStories(totals, pastStories),
       },
     };
 
-    return insights;
+    return toCallableData(insights);
   } catch (error) {
+    if (error instanceof HttpsError) throw error;
     logger.error("Error getting story insights:", error);
-    throw new Error("Failed to get story insights");
+    throw new HttpsError("internal", "Failed to get story insights");
   }
 });
 
+/**
+ * Engagement totals of the owner's stories posted before a story, from both
+ * the live stories and the archive, most recent first
+ * @param {string} userId - The story owner
+ * @param {string} storyId - The story being compared
+ * @param {number} postedAt - When the story was posted, epoch milliseconds
+ * @return {Promise<EngagementTotals[]>} Up to PAST_STORIES_COMPARED stories
+ */
+async function getPastStories(
+  userId: string,
+  storyId: string,
+  postedAt: number
+): Promise<EngagementTotals[]> {
+  const userRef = db.collection("users").doc(userId);
+  const before = admin.firestore.Timestamp.fromMillis(postedAt);
+  const snapshots = await Promise.all(
+    ["stories", "archived_stories"].map((collection) =>
+      userRef
+        .collection(collection)
+        .where("timestamp", "<", before)
+        .orderBy("timestamp", "desc")
+        .limit(PAST_STORIES_COMPARED)
+        .get()
+    )
+  );
+
+  // A restored story exists in both collections; keep one copy
+  const stories = new Map<string, admin.firestore.DocumentData>();
+  for (const doc of snapshots.flatMap((snapshot) => snapshot.docs)) {
+    const id = doc.get("originalStoryId") || doc.id;
+    if (id !== storyId) stories.set(id, doc.data());
+  }
+
+  return [...stories.values()]
+    .sort((a, b) => b.timestamp.toMillis() - a.timestamp.toMillis())
+    .slice(0, PAST_STORIES_COMPARED)
+    .map(getEngagementTotals);
+}
+
 /**
  * Calculate unique viewers from engagement events
  */
@@ -0,0 +1,181 @@
+import * as admin from "firebase-admin";
+import {OPEN_FASTING_STATES} from "./fastingSessions";
+
+/**
+ * When a user's pushes are held back: during their configured quiet hours
+ * and while they have an open fasting session. Held pushes are queued in
+ * users/{uid}/notification_queue, where the app can list them, and sent as
+ * one digest once the window ends (see flushNotificationQueue).
+ */
+
+export interface QuietHours {
+  enabled: boolean;
+  // Local times as HH:MM; a window that ends before it starts spans midnight
+  start: string;
+  end: string;
+  // IANA time zone, e.g. Europe/Berlin
+  timezone: string;
+}
+
+export const DEFAULT_QUIET_HOURS: QuietHours = {
+  enabled: false,
+  start: "22:00",
+  end: "07:00",
+  timezone: "UTC",
+};
+
+export type DeferralReason = "quiet_hours" | "fasting";
+
+export interface QueuedNotification {
+  kind: string;
+  title: string;
+  body: string;
+  data: Record<string, string>;
+  collapseKey: string | null;
+  reason: DeferralReason;
+  // The in-app notification whose push_status follows the held push
+  notificationId: string | null;
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Whether a moment falls inside a user's quiet hours
+ * @param {QuietHours} quietHours - The user's quiet hours
+ * @param {Date} now - The moment to check
+ * @return {boolean} True inside the quiet window
+ */
+export function isInQuietHours(quietHours: QuietHours, now: Date): boolean {
+  if (!quietHours.enabled) return false;
+
+  const start = parseMinutes(quietHours.start);
+  const end = parseMinutes(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const minutes = getLocalMinutes(now, quietHours.timezone);
+  return start < end ?
+    minutes >= start && minutes < end :
+    minutes >= start || minutes < end;
+}
+
+/**
+ * Whether the user is in the middle of a fasting session, paused or not
+ * @param {string} userId - The user
+ * @return {Promise<boolean>} True while a session is open
+ */
+export async function hasActiveFast(userId: string): Promise<boolean> {
+  const sessions = await admin
+    .firestore()
+    .collection("fasting_sessions")
+    .where("user_id", "==", userId)
+    .where("state", "in", OPEN_FASTING_STATES)
+    .limit(1)
+    .get();
+  return !sessions.empty;
+}
+
+/**
+ * Why a user's pushes should be held back right now, if at all
+ * @param {string} userId - The user
+ * @param {QuietHours} quietHours - The user's quiet hours
+ * @param {boolean} deferDuringFasting - Whether to hold pushes while fasting
+ * @param {Date} now - The current time
+ * @return {Promise<DeferralReason | null>} The reason, or null to send now
+ */
+export async function getDeferralReason(
+  userId: string,
+  quietHours: QuietHours,
+  deferDuringFasting: boolean,
+  now: Date = new Date()
+): Promise<DeferralReason | null> {
+  if (isInQuietHours(quietHours, now)) return "quiet_hours";
+  if (deferDuringFasting && await hasActiveFast(userId)) return "fasting";
+  return null;
+}
+
+/**
+ * The notification queue of a user
+ * @param {string} userId - The user
+ * @return {admin.firestore.CollectionReference} The collection reference
+ */
+export function getNotificationQueue(
+  userId: string
+): admin.firestore.CollectionReference {
+  return admin
+    .firestore()
+    .collection("users")
+    .doc(userId)
+    .collection("notification_queue");
+}
+
+/**
+ * Hold a push back until the user's quiet window ends
+ * @param {string} userId - The recipient
+ * @param {QueuedNotification} notification - The push to hold
+ * @return {Promise<void>} Resolves once the push is queued
+ */
+export async function queueNotification(
+  userId: string,
+  notification: QueuedNotification
+): Promise<void> {
+  await getNotificationQueue(userId).add({
+    ...notification,
+    queuedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Merge stored quiet hours over the defaults, ignoring malformed values
+ * @param {unknown} stored - notification_settings.quietHours
+ * @return {QuietHours} The effective quiet hours
+ */
+export function getQuietHours(stored: unknown): QuietHours {
+  const raw = (typeof stored === "object" && stored !== null ?
+    stored :
+    {}) as Partial<QuietHours>;
+  return {
+    enabled: raw.enabled === true,
+    start: TIME_PATTERN.test(raw.start ?? "") ?
+      raw.start as string :
+      DEFAULT_QUIET_HOURS.start,
+    end: TIME_PATTERN.test(raw.end ?? "") ?
+      raw.end as string :
+      DEFAULT_QUIET_HOURS.end,
+    timezone: raw.timezone || DEFAULT_QUIET_HOURS.timezone,
+  };
+}
+
+/**
+ * Minutes since midnight of an HH:MM time
+ * @param {string} time - The time
+ * @return {number | null} The minutes, or null when malformed
+ */
+function parseMinutes(time: string): number | null {
+  const match = TIME_PATTERN.exec(time);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Minutes since local midnight in a time zone, falling back to UTC for an
+ * unknown zone
+ * @param {Date} now - The moment
+ * @param {string} timezone - IANA time zone
+ * @return {number} Minutes since midnight
+ */
+function getLocalMinutes(now: Date, timezone: string): number {
+  let parts: Intl.DateTimeFormatPart[];
+  try {
+    parts = new Intl.DateTimeFormat("en-GB", {
+      timeZone: timezone,
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(now);
+  } catch (error) {
+    return now.getUTCHours() * 60 + now.getUTCMinutes();
+  }
+
+  const part = (type: string): number =>
+    Number(parts.find((p) => p.type === type)?.value ?? 0);
+  return part("hour") * 60 + part("minute");
+}
@@ -0,0 +1,891 @@
+import * as admin from "firebase-admin";
+import * as logger from "firebase-functions/logger";
+import {
+  QuietHours,
+  getDeferralReason,
+  getNotificationQueue,
+  getQuietHours,
+  queueNotification,
+} from "./notificationSchedule";
+
+/**
+ * Notification delivery shared by every function that alerts a user. Each
+ * notification is written to the notifications collection, which backs the
+ * in-app bell, and pushed to every device token on the user's document.
+ * Per-user preferences live in user_settings/{uid}.notification_settings,
+ * and the text is localized to user_settings/{uid}.language. Pushes that
+ * arrive during quiet hours or a fast are queued and later sent as a digest
+ * (see notificationSchedule).
+ */
+
+export type NotificationKind =
+  | "screenshot"
+  | "story_screenshot"
+  | "chat_message"
+  | "group_message"
+  | "friend_request"
+  | "snap"
+  | "fasting_milestone"
+  | "fasting_almost_done"
+  | "fasting_target_reached"
+  | "fasting_auto_ended"
+  | "challenge_started"
+  | "challenge_reminder"
+  | "challenge_ended"
+  | "weekly_review_ready"
+  | "monthly_review_ready";
+
+// Type stored on the in-app document, matching the app's NotificationType
+const IN_APP_TYPES: Record<NotificationKind, string> = {
+  screenshot: "screenshot",
+  story_screenshot: "screenshot",
+  chat_message: "unreadMessage",
+  group_message: "groupMessage",
+  friend_request: "friendRequest",
+  snap: "snap",
+  fasting_milestone: "fasting",
+  fasting_almost_done: "fasting",
+  fasting_target_reached: "fasting",
+  fasting_auto_ended: "fasting",
+  challenge_started: "challenge",
+  challenge_reminder: "challenge",
+  challenge_ended: "challenge",
+  weekly_review_ready: "review",
+  monthly_review_ready: "review",
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+// Queued pushes claimed, and deleted once delivered, per batch
+const FLUSH_BATCH_SIZE = 500;
+
+// How long a flush owns the queued pushes it claimed. Claims older than
+// this were left by a flush that died and can be taken over.
+const FLUSH_CLAIM_LEASE_MS = 10 * 60 * 1000;
+
+type Template = {title: string; body: string};
+
+// Message templates by kind and language; {name} placeholders are replaced
+// with the matching entry of the notification's params. Templates that only
+// carry user content need no translation and fall back to English.
+const TEMPLATES: Record<NotificationKind, Record<string, Template>> = {
+  screenshot: {
+    en: {
+      title: "Snap Screenshot!",
+      body: "{viewer} took a screenshot of your snap!",
+    },
+    es: {
+      title: "¡Captura de pantalla!",
+      body: "¡{viewer} hizo una captura de pantalla de tu snap!",
+    },
+    fr: {
+      title: "Capture d'écran !",
+      body: "{viewer} a fait une capture d'écran de ton snap !",
+    },
+    de: {
+      title: "Screenshot!",
+      body: "{viewer} hat einen Screenshot von deinem Snap gemacht!",
+    },
+    pt: {
+      title: "Captura de tela!",
+      body: "{viewer} fez uma captura de tela do seu snap!",
+    },
+  },
+  story_screenshot: {
+    en: {
+      title: "Story Screenshot!",
+      body: "{viewer} took a screenshot of your story!",
+    },
+    es: {
+      title: "¡Captura de pantalla!",
+      body: "¡{viewer} hizo una captura de pantalla de tu historia!",
+    },
+    fr: {
+      title: "Capture d'écran !",
+      body: "{viewer} a fait une capture d'écran de ta story !",
+    },
+    de: {
+      title: "Screenshot!",
+      body: "{viewer} hat einen Screenshot von deiner Story gemacht!",
+    },
+    pt: {
+      title: "Captura de tela!",
+      body: "{viewer} fez uma captura de tela do seu story!",
+    },
+  },
+  chat_message: {
+    en: {title: "{sender}", body: "{preview}"},
+  },
+  group_message: {
+    en: {title: "{group}", body: "{sender}: {preview}"},
+  },
+  friend_request: {
+    en: {
+      title: "New Friend Request",
+      body: "{sender} wants to be your friend",
+    },
+    es: {
+      title: "Nueva solicitud de amistad",
+      body: "{sender} quiere ser tu amigo",
+    },
+    fr: {
+      title: "Nouvelle demande d'ami",
+      body: "{sender} veut être ton ami",
+    },
+    de: {
+      title: "Neue Freundschaftsanfrage",
+      body: "{sender} möchte mit dir befreundet sein",
+    },
+    pt: {
+      title: "Novo pedido de amizade",
+      body: "{sender} quer ser seu amigo",
+    },
+  },
+  snap: {
+    en: {title: "New Snap", body: "{sender} sent you a snap!"},
+    es: {title: "Nuevo snap", body: "¡{sender} te envió un snap!"},
+    fr: {title: "Nouveau snap", body: "{sender} t'a envoyé un snap !"},
+    de: {title: "Neuer Snap", body: "{sender} hat dir einen Snap geschickt!"},
+    pt: {title: "Novo snap", body: "{sender} te enviou um snap!"},
+  },
+  fasting_milestone: {
+    en: {
+      title: "{hours} hours fasted",
+      body: "You've been fasting for {hours} hours. Keep going!",
+    },
+    es: {
+      title: "{hours} horas de ayuno",
+      body: "Llevas {hours} horas de ayuno. ¡Sigue así!",
+    },
+    fr: {
+      title: "{hours} heures de jeûne",
+      body: "Tu jeûnes depuis {hours} heures. Continue !",
+    },
+    de: {
+      title: "{hours} Stunden gefastet",
+      body: "Du fastest seit {hours} Stunden. Weiter so!",
+    },
+    pt: {
+      title: "{hours} horas de jejum",
+      body: "Você está em jejum há {hours} horas. Continue assim!",
+    },
+  },
+  fasting_almost_done: {
+    en: {
+      title: "Almost there!",
+      body: "Only {hours}h left until you reach your fasting goal.",
+    },
+    es: {
+      title: "¡Casi lo logras!",
+      body: "Solo faltan {hours} h para alcanzar tu meta de ayuno.",
+    },
+    fr: {
+      title: "Presque fini !",
+      body: "Plus que {hours} h avant d'atteindre ton objectif de jeûne.",
+    },
+    de: {
+      title: "Fast geschafft!",
+      body: "Nur noch {hours} Std. bis zu deinem Fastenziel.",
+    },
+    pt: {
+      title: "Quase lá!",
+      body: "Faltam só {hours} h para atingir sua meta de jejum.",
+    },
+  },
+  fasting_target_reached: {
+    en: {
+      title: "Fasting goal reached! 🎉",
+      body: "You completed {hours} hours of fasting. End your fast any time.",
+    },
+    es: {
+      title: "¡Meta de ayuno alcanzada! 🎉",
+      body: "Completaste {hours} horas de ayuno. Termínalo cuando quieras.",
+    },
+    fr: {
+      title: "Objectif de jeûne atteint ! 🎉",
+      body: "Tu as jeûné {hours} heures. Termine ton jeûne quand tu veux.",
+    },
+    de: {
+      title: "Fastenziel erreicht! 🎉",
+      body: "Du hast {hours} Stunden gefastet. Beende dein Fasten jederzeit.",
+    },
+    pt: {
+      title: "Meta de jejum atingida! 🎉",
+      body: "Você completou {hours} horas de jejum. Encerre quando quiser.",
+    },
+  },
+  fasting_auto_ended: {
+    en: {
+      title: "Fast ended",
+      body: "We ended your fast after {hours} hours, well past your goal.",
+    },
+    es: {
+      title: "Ayuno terminado",
+      body: "Terminamos tu ayuno tras {hours} horas, muy pasada tu meta.",
+    },
+    fr: {
+      title: "Jeûne terminé",
+      body: "Nous avons terminé ton jeûne après {hours} heures, " +
+        "bien au-delà de ton objectif.",
+    },
+    de: {
+      title: "Fasten beendet",
+      body: "Wir haben dein Fasten nach {hours} Stunden beendet, " +
+        "weit über deinem Ziel.",
+    },
+    pt: {
+      title: "Jejum encerrado",
+      body: "Encerramos seu jejum após {hours} horas, bem além da sua meta.",
+    },
+  },
+  challenge_started: {
+    en: {
+      title: "{challenge} has started!",
+      body: "Your challenge is live. Good luck!",
+    },
+    es: {
+      title: "¡{challenge} ha comenzado!",
+      body: "Tu reto ya está en marcha. ¡Suerte!",
+    },
+    fr: {
+      title: "{challenge} a commencé !",
+      body: "Ton défi est lancé. Bonne chance !",
+    },
+    de: {
+      title: "{challenge} hat begonnen!",
+      body: "Deine Challenge läuft. Viel Erfolg!",
+    },
+    pt: {
+      title: "{challenge} começou!",
+      body: "Seu desafio está valendo. Boa sorte!",
+    },
+  },
+  challenge_reminder: {
+    en: {
+      title: "{challenge}",
+      body: "You haven't checked in today. There's still time!",
+    },
+    es: {
+      title: "{challenge}",
+      body: "Hoy aún no has registrado tu progreso. ¡Todavía hay tiempo!",
+    },
+    fr: {
+      title: "{challenge}",
+      body: "Tu n'as pas encore validé ta journée. Il est encore temps !",
+    },
+    de: {
+      title: "{challenge}",
+      body: "Du hast heute noch nicht eingecheckt. Noch ist Zeit!",
+    },
+    pt: {
+      title: "{challenge}",
+      body: "Você ainda não registrou seu progresso hoje. Ainda dá tempo!",
+    },
+  },
+  challenge_ended: {
+    en: {
+      title: "{challenge} is over",
+      body: "You finished #{rank} of {participants}. See the final standings!",
+    },
+    es: {
+      title: "{challenge} ha terminado",
+      body: "Quedaste #{rank} de {participants}. ¡Mira la clasificación final!",
+    },
+    fr: {
+      title: "{challenge} est terminé",
+      body: "Tu as fini #{rank} sur {participants}. Découvre le classement !",
+    },
+    de: {
+      title: "{challenge} ist vorbei",
+      body: "Du bist #{rank} von {participants}. Sieh dir die Rangliste an!",
+    },
+    pt: {
+      title: "{challenge} terminou",
+      body: "Você ficou em #{rank} de {participants}. Veja a classificação!",
+    },
+  },
+  weekly_review_ready: {
+    en: {
+      title: "Your week in review is ready",
+      body: "See your meals, fasts and streaks from last week.",
+    },
+    es: {
+      title: "Tu resumen semanal está listo",
+      body: "Mira tus comidas, ayunos y rachas de la semana pasada.",
+    },
+    fr: {
+      title: "Ton bilan de la semaine est prêt",
+      body: "Retrouve tes repas, jeûnes et séries de la semaine dernière.",
+    },
+    de: {
+      title: "Dein Wochenrückblick ist da",
+      body: "Sieh dir deine Mahlzeiten, Fasten und Serien der Vorwoche an.",
+    },
+    pt: {
+      title: "Seu resumo da semana está pronto",
+      body: "Veja suas refeições, jejuns e sequências da semana passada.",
+    },
+  },
+  monthly_review_ready: {
+    en: {
+      title: "Your month in review is ready",
+      body: "See how your meals, fasts and streaks went last month.",
+    },
+    es: {
+      title: "Tu resumen mensual está listo",
+      body: "Mira cómo fueron tus comidas, ayunos y rachas el mes pasado.",
+    },
+    fr: {
+      title: "Ton bilan du mois est prêt",
+      body: "Découvre tes repas, jeûnes et séries du mois dernier.",
+    },
+    de: {
+      title: "Dein Monatsrückblick ist da",
+      body: "Sieh dir deine Mahlzeiten, Fasten und Serien im Vormonat an.",
+    },
+    pt: {
+      title: "Seu resumo do mês está pronto",
+      body: "Veja suas refeições, jejuns e sequências do mês passado.",
+    },
+  },
+};
+
+// Digest push summarizing notifications queued during a quiet window
+const DIGEST_TEMPLATES: Record<string, Template> = {
+  en: {
+    title: "While you were away",
+    body: "You have {count} new notifications",
+  },
+  es: {
+    title: "Mientras no estabas",
+    body: "Tienes {count} notificaciones nuevas",
+  },
+  fr: {
+    title: "Pendant ton absence",
+    body: "Tu as {count} nouvelles notifications",
+  },
+  de: {
+    title: "Während du weg warst",
+    body: "Du hast {count} neue Benachrichtigungen",
+  },
+  pt: {
+    title: "Enquanto você estava fora",
+    body: "Você tem {count} novas notificações",
+  },
+};
+
+// FCM errors meaning the token will never work again
+const STALE_TOKEN_ERRORS = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+export interface NotificationSettings {
+  // Master switch for push notifications
+  enablePush: boolean;
+  // Whether the in-app notifications list is kept
+  enableInApp: boolean;
+  // Per-kind switches; a missing kind is enabled
+  types: Partial<Record<NotificationKind, boolean>>;
+  // Muted conversations (chat room or health group ids): true mutes until
+  // unmuted, a timestamp mutes until then
+  mutedConversations: Record<string, boolean | admin.firestore.Timestamp>;
+  // Window in which pushes are queued for a digest
+  quietHours: QuietHours;
+  // Whether pushes are also queued while a fasting session is active
+  deferDuringFasting: boolean;
+  // Screenshot notifications any one viewer may trigger per hour; null
+  // keeps the deployment default and 0 disables the limit
+  screenshotLimitPerHour: number | null;
+}
+
+export const DEFAULT_NOTIFICATION_SETTINGS: NotificationSettings = {
+  enablePush: true,
+  enableInApp: true,
+  types: {},
+  mutedConversations: {},
+  quietHours: getQuietHours(undefined),
+  deferDuringFasting: true,
+  screenshotLimitPerHour: null,
+};
+
+export interface NotificationRequest {
+  userId: string;
+  kind: NotificationKind;
+  // Values substituted into the localized template
+  params?: Record<string, string>;
+  // Extra data delivered with the push and stored on the in-app document
+  data?: Record<string, string>;
+  // Pushes with the same key replace each other on the device
+  collapseKey?: string;
+  // Chat room or health group the notification belongs to, for mutes
+  conversationId?: string;
+  // Whether to write the in-app document; off for kinds the app records
+  // itself. Defaults to true.
+  inApp?: boolean;
+  // Whether the push may wait until the user's fast ends; off for pushes
+  // about the fast itself. Defaults to true.
+  deferDuringFasting?: boolean;
+}
+
+export interface NotificationResult {
+  // Id of the in-app document, or null when in-app notifications are off
+  notificationId: string | null;
+  push: "sent" | "failed" | "disabled" | "muted" | "queued" | "no_tokens";
+  staleTokensRemoved: number;
+}
+
+/**
+ * Deliver a notification to a user, in-app and by push, according to their
+ * preferences. Push failures are recorded on the in-app document instead of
+ * being thrown, so the in-app bell still shows the notification.
+ * @param {NotificationRequest} request - Who to notify and with what
+ * @return {Promise<NotificationResult>} What was delivered
+ */
+export async function notifyUser(
+  request: NotificationRequest
+): Promise<NotificationResult> {
+  const db = admin.firestore();
+  const [userDoc, settingsDoc] = await Promise.all([
+    db.collection("users").doc(request.userId).get(),
+    db.collection("user_settings").doc(request.userId).get(),
+  ]);
+
+  const settings = getNotificationSettings(settingsDoc.data());
+  const kindEnabled = settings.types[request.kind] !== false;
+  const message = localize(
+    request.kind,
+    settingsDoc.get("language") || userDoc.get("language"),
+    request.params || {}
+  );
+  const data = {...request.data, kind: request.kind};
+
+  const result: NotificationResult = {
+    notificationId: null,
+    push: "disabled",
+    staleTokensRemoved: 0,
+  };
+
+  if (!kindEnabled) {
+    return result;
+  }
+  if (isConversationMuted(settings, request.conversationId)) {
+    result.push = "muted";
+    return result;
+  }
+
+  const notificationRef = settings.enableInApp && request.inApp !== false ?
+    db.collection("notifications").doc() :
+    null;
+  if (notificationRef) {
+    await notificationRef.set({
+      user_id: request.userId,
+      type: IN_APP_TYPES[request.kind],
+      title: message.title,
+      message: message.body,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      data,
+      is_read: false,
+      push_status: "pending",
+    });
+    result.notificationId = notificationRef.id;
+  }
+
+  if (settings.enablePush) {
+    const deferral = await getDeferralReason(
+      request.userId,
+      settings.quietHours,
+      settings.deferDuringFasting && request.deferDuringFasting !== false
+    );
+
+    if (deferral) {
+      await queueNotification(request.userId, {
+        kind: request.kind,
+        title: message.title,
+        body: message.body,
+        data,
+        collapseKey: request.collapseKey ?? null,
+        reason: deferral,
+        notificationId: notificationRef?.id ?? null,
+      });
+      result.push = "queued";
+    } else {
+      const delivery = await pushToUser(
+        request.userId,
+        userDoc.data(),
+        message,
+        data,
+        request.collapseKey
+      );
+      result.push = delivery.push;
+      result.staleTokensRemoved = delivery.staleTokensRemoved;
+    }
+  }
+
+  if (notificationRef) {
+    await notificationRef.update({push_status: result.push});
+  }
+
+  logger.log(
+    `Notification ${request.kind} for ${request.userId}: push ${result.push}`
+  );
+  return result;
+}
+
+/**
+ * Send the pushes queued for a user during quiet hours or a fast: a single
+ * queued push goes out as it was, several are merged into one digest, and
+ * the in-app notifications they belong to get the push outcome. Does
+ * nothing while the user is still in a quiet window, unless forced. Queued
+ * pushes are claimed before sending, so flushes running at the same time
+ * never send the same push twice.
+ * @param {string} userId - The user
+ * @param {boolean} force - Send even if the user is still in a quiet window
+ * @return {Promise<number>} How many queued notifications were delivered
+ */
+export async function flushNotificationQueue(
+  userId: string,
+  force = false
+): Promise<number> {
+  const db = admin.firestore();
+  const pending = await getNotificationQueue(userId).limit(1).get();
+  if (pending.empty) return 0;
+
+  const [userDoc, settingsDoc] = await Promise.all([
+    db.collection("users").doc(userId).get(),
+    db.collection("user_settings").doc(userId).get(),
+  ]);
+  const settings = getNotificationSettings(settingsDoc.data());
+
+  if (!force) {
+    const deferral = await getDeferralReason(
+      userId,
+      settings.quietHours,
+      settings.deferDuringFasting
+    );
+    if (deferral) return 0;
+  }
+
+  const claimed = await claimNotificationQueue(userId);
+  if (claimed.length === 0) return 0;
+
+  let push: NotificationResult["push"] = "disabled";
+  if (settings.enablePush) {
+    const items = claimed.map((doc) => doc.data());
+    const language = settingsDoc.get("language") || userDoc.get("language");
+    const single = items.length === 1 ? items[0] : null;
+
+    const delivery = await pushToUser(
+      userId,
+      userDoc.data(),
+      single ?
+        {title: single.title, body: single.body} :
+        localizeTemplate(DIGEST_TEMPLATES, language, {
+          count: String(items.length),
+        }),
+      single ?
+        single.data :
+        {kind: "digest", count: String(items.length)},
+      single?.collapseKey ?? "digest"
+    );
+    push = delivery.push;
+    logger.log(
+      `Notification digest for ${userId}: ${items.length} queued, ` +
+      `push ${delivery.push}`
+    );
+  }
+
+  // The user may have deleted some of the in-app notifications meanwhile
+  await Promise.all(claimed.map((doc) => {
+    const notificationId = doc.get("notificationId");
+    return notificationId ?
+      db.collection("notifications").doc(notificationId)
+        .update({push_status: push})
+        .catch(() => undefined) :
+      null;
+  }));
+
+  for (let i = 0; i < claimed.length; i += FLUSH_BATCH_SIZE) {
+    const batch = db.batch();
+    claimed
+      .slice(i, i + FLUSH_BATCH_SIZE)
+      .forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  return claimed.length;
+}
+
+/**
+ * Claim a user's queued pushes for sending by marking them sendingAt, one
+ * page per transaction. Pushes another flush claimed within the lease are
+ * left to it.
+ * @param {string} userId - The user
+ * @return {Promise<admin.firestore.QueryDocumentSnapshot[]>} The claimed
+ *   queue entries, oldest first
+ */
+async function claimNotificationQueue(
+  userId: string
+): Promise<admin.firestore.QueryDocumentSnapshot[]> {
+  const db = admin.firestore();
+  const claimed: admin.firestore.QueryDocumentSnapshot[] = [];
+  let last: admin.firestore.QueryDocumentSnapshot | null = null;
+
+  for (;;) {
+    let query = getNotificationQueue(userId)
+      .orderBy("queuedAt")
+      .limit(FLUSH_BATCH_SIZE);
+    if (last) query = query.startAfter(last);
+
+    const page = await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(query);
+      const now = Date.now();
+      const free = snapshot.docs.filter((doc) => {
+        const sendingAt: admin.firestore.Timestamp | undefined =
+          doc.get("sendingAt");
+        return !sendingAt || now - sendingAt.toMillis() > FLUSH_CLAIM_LEASE_MS;
+      });
+      for (const doc of free) {
+        transaction.update(doc.ref, {
+          sendingAt: admin.firestore.Timestamp.fromMillis(now),
+        });
+      }
+      return {docs: snapshot.docs, free};
+    });
+
+    claimed.push(...page.free);
+    if (page.docs.length < FLUSH_BATCH_SIZE) return claimed;
+    last = page.docs[page.docs.length - 1];
+  }
+}
+
+/**
+ * Push a message to all of a user's devices, pruning stale tokens
+ * @param {string} userId - The recipient
+ * @param {admin.firestore.DocumentData | undefined} user - Their user data
+ * @param {Template} message - Title and body
+ * @param {Record<string, string>} data - Data payload
+ * @param {string | undefined} collapseKey - Collapse key for the push
+ * @return {Promise<object>} The push outcome and stale tokens removed
+ */
+async function pushToUser(
+  userId: string,
+  user: admin.firestore.DocumentData | undefined,
+  message: Template,
+  data: Record<string, string>,
+  collapseKey: string | undefined
+): Promise<{
+  push: NotificationResult["push"];
+  staleTokensRemoved: number;
+}> {
+  const tokens = getDeviceTokens(user);
+  if (tokens.length === 0) {
+    return {push: "no_tokens", staleTokensRemoved: 0};
+  }
+
+  const delivery = await sendToTokens(tokens, message, data, {
+    collapseKey,
+    badge: await countUnreadNotifications(userId),
+  });
+  if (delivery.staleTokens.length > 0) {
+    await removeDeviceTokens(userId, delivery.staleTokens);
+  }
+
+  return {
+    push: delivery.successCount > 0 ? "sent" : "failed",
+    staleTokensRemoved: delivery.staleTokens.length,
+  };
+}
+
+/**
+ * Merge a user's stored notification settings over the defaults
+ * @param {admin.firestore.DocumentData | undefined} userSettings - The
+ *   user_settings document data
+ * @return {NotificationSettings} The effective settings
+ */
+export function getNotificationSettings(
+  userSettings: admin.firestore.DocumentData | undefined
+): NotificationSettings {
+  const stored = userSettings?.notification_settings || {};
+  return {
+    enablePush: stored.enablePush ?? DEFAULT_NOTIFICATION_SETTINGS.enablePush,
+    enableInApp:
+      stored.enableInApp ?? DEFAULT_NOTIFICATION_SETTINGS.enableInApp,
+    types: {...stored.types},
+    mutedConversations: {...stored.mutedConversations},
+    quietHours: getQuietHours(stored.quietHours),
+    deferDuringFasting: stored.deferDuringFasting ??
+      DEFAULT_NOTIFICATION_SETTINGS.deferDuringFasting,
+    screenshotLimitPerHour:
+      Number.isInteger(stored.screenshotLimitPerHour) &&
+      stored.screenshotLimitPerHour >= 0 ?
+        stored.screenshotLimitPerHour :
+        DEFAULT_NOTIFICATION_SETTINGS.screenshotLimitPerHour,
+  };
+}
+
+/**
+ * Whether the user has muted a conversation, and the mute has not expired
+ * @param {NotificationSettings} settings - The user's settings
+ * @param {string | undefined} conversationId - Chat room or health group id
+ * @return {boolean} True when pushes for the conversation are muted
+ */
+export function isConversationMuted(
+  settings: NotificationSettings,
+  conversationId: string | undefined
+): boolean {
+  if (!conversationId) return false;
+  const mute = settings.mutedConversations[conversationId];
+  if (mute instanceof admin.firestore.Timestamp) {
+    return mute.toMillis() > Date.now();
+  }
+  return mute === true;
+}
+
+/**
+ * Unread in-app notifications of a user, used as the app icon badge
+ * @param {string} userId - The user
+ * @return {Promise<number>} The unread count
+ */
+async function countUnreadNotifications(userId: string): Promise<number> {
+  const unread = await admin
+    .firestore()
+    .collection("notifications")
+    .where("user_id", "==", userId)
+    .where("is_read", "==", false)
+    .count()
+    .get();
+  return unread.data().count;
+}
+
+/**
+ * Render a notification's text in the user's language, falling back to
+ * English for languages without a translation
+ * @param {NotificationKind} kind - The notification kind
+ * @param {string | undefined} language - Language or locale code, e.g. es-MX
+ * @param {Record<string, string>} params - Template values
+ * @return {Template} The localized title and body
+ */
+export function localize(
+  kind: NotificationKind,
+  language: string | undefined,
+  params: Record<string, string>
+): Template {
+  return localizeTemplate(TEMPLATES[kind], language, params);
+}
+
+/**
+ * Render one of a set of per-language templates
+ * @param {Record<string, Template>} templates - Templates by language
+ * @param {string | undefined} language - Language or locale code
+ * @param {Record<string, string>} params - Template values
+ * @return {Template} The localized title and body
+ */
+function localizeTemplate(
+  templates: Record<string, Template>,
+  language: string | undefined,
+  params: Record<string, string>
+): Template {
+  const code = (language || DEFAULT_LANGUAGE).toLowerCase().split(/[-_]/)[0];
+  const template = templates[code] || templates[DEFAULT_LANGUAGE];
+  const fill = (text: string): string =>
+    text.replace(/\{(\w+)\}/g, (match, key) => params[key] ?? match);
+
+  return {title: fill(template.title), body: fill(template.body)};
+}
+
+/**
+ * All device tokens registered on a user document, including the legacy
+ * single fcmToken field
+ * @param {admin.firestore.DocumentData | undefined} user - User data
+ * @return {string[]} Distinct tokens
+ */
+export function getDeviceTokens(
+  user: admin.firestore.DocumentData | undefined
+): string[] {
+  const tokens: unknown[] = [
+    ...(Array.isArray(user?.fcmTokens) ? user.fcmTokens : []),
+    user?.fcmToken,
+  ];
+  return [...new Set(tokens.filter(
+    (token): token is string => typeof token === "string" && token.length > 0
+  ))];
+}
+
+/**
+ * Push a message to a set of device tokens
+ * @param {string[]} tokens - Device tokens
+ * @param {Template} message - Title and body
+ * @param {Record<string, string>} data - Data payload
+ * @param {object} options - Collapse key and app icon badge count
+ * @return {Promise<object>} Delivered count and the tokens that are stale
+ */
+async function sendToTokens(
+  tokens: string[],
+  message: Template,
+  data: Record<string, string>,
+  options: {collapseKey?: string; badge: number}
+): Promise<{successCount: number; staleTokens: string[]}> {
+  const {collapseKey, badge} = options;
+
+  try {
+    const response = await admin.messaging().sendEachForMulticast({
+      tokens,
+      notification: message,
+      data,
+      android: {
+        collapseKey,
+        notification: {tag: collapseKey, notificationCount: badge},
+      },
+      apns: {
+        headers: collapseKey ? {"apns-collapse-id": collapseKey} : undefined,
+        payload: {aps: {badge, threadId: collapseKey}},
+      },
+    });
+
+    const staleTokens = response.responses
+      .map((sendResponse, index) => ({sendResponse, token: tokens[index]}))
+      .filter(({sendResponse}) =>
+        STALE_TOKEN_ERRORS.includes(sendResponse.error?.code ?? ""))
+      .map(({token}) => token);
+
+    response.responses.forEach((sendResponse, index) => {
+      if (sendResponse.error && !staleTokens.includes(tokens[index])) {
+        logger.warn("Push delivery failed:", sendResponse.error.code);
+      }
+    });
+
+    return {successCount: response.successCount, staleTokens};
+  } catch (error) {
+    logger.error("Error sending push notification:", error);
+    return {successCount: 0, staleTokens: []};
+  }
+}
+
+/**
+ * Remove tokens FCM reported as no longer registered
+ * @param {string} userId - The token owner
+ * @param {string[]} staleTokens - Tokens to remove
+ * @return {Promise<void>} Resolves once the user document is updated
+ */
+async function removeDeviceTokens(
+  userId: string,
+  staleTokens: string[]
+): Promise<void> {
+  const userRef = admin.firestore().collection("users").doc(userId);
+
+  await admin.firestore().runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) return;
+
+    const updates: admin.firestore.UpdateData<admin.firestore.DocumentData> = {
+      fcmTokens: admin.firestore.FieldValue.arrayRemove(...staleTokens),
+    };
+    if (staleTokens.includes(userDoc.get("fcmToken"))) {
+      updates.fcmToken = admin.firestore.FieldValue.delete();
+    }
+    transaction.update(userRef, updates);
+  });
+
+  logger.log(`Removed ${staleTokens.length} stale tokens for ${userId}`);
+}
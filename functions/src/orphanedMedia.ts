@@ -0,0 +1,272 @@
+import * as admin from "firebase-admin";
+import {getStoragePathFromUrl} from "./storagePaths";
+
+/**
+ * Garbage collection for media that no Firestore document references any
+ * more. Shared by the collectOrphanedMedia scheduled function and the
+ * scripts/gc_orphaned_media.js admin script.
+ *
+ * Unreferenced objects are first moved under QUARANTINE_PREFIX; only once
+ * they have sat there for the grace period are they hard-deleted. An object
+ * that becomes referenced again while quarantined is moved back.
+ */
+
+type Bucket = ReturnType<admin.storage.Storage["bucket"]>;
+
+// Storage prefixes that hold user media referenced from Firestore
+export const ORPHAN_SCAN_PREFIXES = ["meals/", "stories/", "snaps/", "temp/"];
+
+export const QUARANTINE_PREFIX = "quarantine/";
+
+// Objects younger than this are skipped, since their documents may not have
+// been written yet
+const DEFAULT_MIN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// How long an object stays in quarantine before it is hard-deleted
+const DEFAULT_GRACE_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Maximum number of example paths kept per list in a report
+const REPORT_SAMPLE_SIZE = 100;
+
+// Document fields that hold Storage download URLs
+const URL_FIELDS = ["mediaUrl", "imageUrl", "thumbnailUrl", "image_url"];
+
+// Queries for the documents of one user that may reference their media,
+// which lives under {prefix}/{uid}/ in every scanned prefix
+const OWNER_REFERENCE_QUERIES: ((
+  db: admin.firestore.Firestore,
+  ownerId: string
+) => admin.firestore.Query)[] = [
+  (db, ownerId) => db.collection("meal_logs").where("user_id", "==", ownerId),
+  (db, ownerId) => db.collection(`users/${ownerId}/stories`),
+  (db, ownerId) => db.collection(`users/${ownerId}/archived_stories`),
+  (db, ownerId) => db.collection("stories").where("userId", "==", ownerId),
+  (db, ownerId) => db.collectionGroup("snaps").where("senderId", "==", ownerId),
+];
+
+export interface OrphanedMediaOptions {
+  db: admin.firestore.Firestore;
+  bucket: Bucket;
+  dryRun: boolean;
+  now?: number;
+  minAgeMs?: number;
+  gracePeriodMs?: number;
+}
+
+export interface OrphanedMediaReport {
+  dryRun: boolean;
+  // Scanned objects old enough to collect that are still referenced
+  referencedPaths: number;
+  scannedObjects: number;
+  quarantined: number;
+  restored: number;
+  purged: number;
+  quarantinedBytes: number;
+  samples: {
+    quarantined: string[];
+    restored: string[];
+    purged: string[];
+  };
+}
+
+/**
+ * Reconcile the media prefixes against Firestore: quarantine unreferenced
+ * objects, restore quarantined objects that are referenced again, and purge
+ * quarantined objects whose grace period has passed. In dry-run mode the
+ * report is produced without touching any object.
+ * @param {OrphanedMediaOptions} options - Clients and tuning for the run
+ * @return {Promise<OrphanedMediaReport>} What was (or would be) done
+ */
+export async function collectOrphanedMedia(
+  options: OrphanedMediaOptions
+): Promise<OrphanedMediaReport> {
+  const {db, bucket, dryRun} = options;
+  const now = options.now ?? Date.now();
+  const minAgeMs = options.minAgeMs ?? DEFAULT_MIN_AGE_MS;
+  const gracePeriodMs = options.gracePeriodMs ?? DEFAULT_GRACE_PERIOD_MS;
+
+  const isReferenced = createReferenceResolver(db);
+  const report: OrphanedMediaReport = {
+    dryRun,
+    referencedPaths: 0,
+    scannedObjects: 0,
+    quarantined: 0,
+    restored: 0,
+    purged: 0,
+    quarantinedBytes: 0,
+    samples: {quarantined: [], restored: [], purged: []},
+  };
+
+  for (const prefix of ORPHAN_SCAN_PREFIXES) {
+    await forEachFile(bucket, prefix, async (file) => {
+      report.scannedObjects++;
+
+      const created = Date.parse(String(file.metadata.timeCreated));
+      if (now - created < minAgeMs) {
+        return;
+      }
+      if (await isReferenced(file.name)) {
+        report.referencedPaths++;
+        return;
+      }
+
+      if (!dryRun) {
+        await file.setMetadata({
+          metadata: {quarantinedAt: new Date(now).toISOString()},
+        });
+        await file.move(QUARANTINE_PREFIX + file.name);
+      }
+      report.quarantined++;
+      report.quarantinedBytes += Number(file.metadata.size || 0);
+      addSample(report.samples.quarantined, file.name);
+    });
+  }
+
+  await forEachFile(bucket, QUARANTINE_PREFIX, async (file) => {
+    const originalPath = file.name.slice(QUARANTINE_PREFIX.length);
+
+    if (await isReferenced(originalPath)) {
+      if (!dryRun) {
+        await file.move(originalPath);
+      }
+      report.restored++;
+      addSample(report.samples.restored, originalPath);
+      return;
+    }
+
+    const quarantinedAt = Date.parse(
+      String(file.metadata.metadata?.quarantinedAt)
+    );
+    if (Number.isNaN(quarantinedAt) || now - quarantinedAt < gracePeriodMs) {
+      return;
+    }
+
+    if (!dryRun) {
+      await file.delete({ignoreNotFound: true});
+    }
+    report.purged++;
+    addSample(report.samples.purged, originalPath);
+  });
+
+  return report;
+}
+
+/**
+ * A check of whether a Storage path is referenced by a document. Objects
+ * are listed in path order, so one owner's objects come together: only that
+ * owner's documents are loaded, and kept until the next owner's turn.
+ * @param {admin.firestore.Firestore} db - Firestore client
+ * @return {Function} Resolves whether a path is referenced
+ */
+function createReferenceResolver(
+  db: admin.firestore.Firestore
+): (path: string) => Promise<boolean> {
+  let cachedOwnerId: string | null = null;
+  let cachedPaths = new Set<string>();
+
+  return async (path) => {
+    // {prefix}/{uid}/{file}; anything else has no owner to reference it
+    const segments = path.split("/");
+    if (segments.length < 3 || !segments[1]) {
+      return false;
+    }
+
+    const ownerId = segments[1];
+    if (ownerId !== cachedOwnerId) {
+      cachedPaths = await getOwnerReferencedPaths(db, ownerId);
+      cachedOwnerId = ownerId;
+    }
+    return cachedPaths.has(path);
+  };
+}
+
+/**
+ * Collect the Storage paths referenced by one user's media-bearing documents
+ * @param {admin.firestore.Firestore} db - Firestore client
+ * @param {string} ownerId - The user whose documents to read
+ * @return {Promise<Set<string>>} The referenced object paths
+ */
+async function getOwnerReferencedPaths(
+  db: admin.firestore.Firestore,
+  ownerId: string
+): Promise<Set<string>> {
+  const paths = new Set<string>();
+
+  for (const buildQuery of OWNER_REFERENCE_QUERIES) {
+    const snapshot = await buildQuery(db, ownerId)
+      .select(...URL_FIELDS, "mediaVariants")
+      .get();
+
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
+      const urls = [
+        ...URL_FIELDS.map((field) => data[field]),
+        ...Object.values(data.mediaVariants || {}),
+      ];
+
+      for (const url of urls) {
+        const path = toStoragePath(url);
+        if (path) paths.add(path);
+      }
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Convert a document field to a Storage path if it holds a download URL
+ * @param {unknown} value - The field value
+ * @return {string | null} The object path, or null for anything else
+ */
+function toStoragePath(value: unknown): string | null {
+  if (typeof value !== "string" || !value.includes("/o/")) {
+    return null;
+  }
+  try {
+    return getStoragePathFromUrl(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Call a function for every object under a prefix, one page at a time
+ * @param {Bucket} bucket - The bucket to list
+ * @param {string} prefix - The object prefix to list
+ * @param {Function} fn - Called for each object
+ * @return {Promise<void>} Promise that resolves once every page is handled
+ */
+async function forEachFile(
+  bucket: Bucket,
+  prefix: string,
+  fn: (file: ReturnType<Bucket["file"]>) => Promise<void>
+): Promise<void> {
+  let pageToken: string | undefined;
+
+  do {
+    const [files, nextQuery] = await bucket.getFiles({
+      prefix,
+      autoPaginate: false,
+      maxResults: 1000,
+      pageToken,
+    });
+
+    for (const file of files) {
+      await fn(file);
+    }
+
+    pageToken = (nextQuery as {pageToken?: string} | null)?.pageToken;
+  } while (pageToken);
+}
+
+/**
+ * Append a path to a report sample list unless it is already full
+ * @param {string[]} samples - The sample list
+ * @param {string} path - The path to add
+ */
+function addSample(samples: string[], path: string): void {
+  if (samples.length < REPORT_SAMPLE_SIZE) {
+    samples.push(path);
+  }
+}
@@ -0,0 +1,483 @@
+import * as admin from "firebase-admin";
+import {notifyUser} from "./notifications";
+import {
+  addDays,
+  daysBetween,
+  getLocalDay,
+  getLocalHour,
+  getUserTimezone,
+  getWeekStart,
+} from "./streakEngine";
+
+/**
+ * Weekly and monthly reviews, written by generatePeriodicReviews once a
+ * user's week (Monday to Sunday) or calendar month has ended in their own
+ * time zone. Each review summarizes the period's meal logs, fasting
+ * sessions and streaks in the layout the app's review cards read, and is
+ * stored under a deterministic id, `${uid}_${periodStart}`, so a period is
+ * reviewed at most once however often the schedule runs.
+ *
+ * Users with no activity in the period get no review, and users who turned
+ * reviews off in privacy_settings.aiPreferences are skipped.
+ */
+
+export const REVIEW_PERIODS = ["weekly", "monthly"] as const;
+export type ReviewPeriod = typeof REVIEW_PERIODS[number];
+
+export const REVIEW_COLLECTIONS: Record<ReviewPeriod, string> = {
+  weekly: "weekly_reviews",
+  monthly: "monthly_reviews",
+};
+
+// Local hour from which the review of the period that just ended is written,
+// so the push arrives in the morning rather than at midnight
+const REVIEW_HOUR = 8;
+
+// Extreme UTC offsets, bounding the local day anywhere on Earth
+const EARLIEST_TIMEZONE = "Etc/GMT+12";
+const LATEST_TIMEZONE = "Etc/GMT-14";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// gRPC status of create() when the document already exists
+const ALREADY_EXISTS = 6;
+
+const PREFERENCE_FIELDS: Record<ReviewPeriod, string> = {
+  weekly: "aiPreferences.enableWeeklyReviews",
+  monthly: "aiPreferences.enableMonthlyReviews",
+};
+
+const WEEKDAYS = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+export interface ReviewWindow {
+  period: ReviewPeriod;
+  // First day of the period as YYYY-MM-DD, also the review's period key
+  startDay: string;
+  // First day after the period
+  endDay: string;
+  days: number;
+}
+
+type ActivityData = admin.firestore.DocumentData;
+
+interface PeriodActivity {
+  meals: ActivityData[];
+  fasts: ActivityData[];
+  streaks: ActivityData[];
+  // Local day of each meal and fast, in the same order
+  mealDays: string[];
+  fastDays: string[];
+}
+
+/**
+ * The periods whose review day is today somewhere on Earth. The scheduler
+ * skips its run when there are none.
+ * @param {Date} now - The current time
+ * @return {ReviewPeriod[]} Periods that may be due for some users
+ */
+export function getPossibleReviewPeriods(now: Date): ReviewPeriod[] {
+  const days = new Set([
+    getLocalDay(now, EARLIEST_TIMEZONE),
+    getLocalDay(now, LATEST_TIMEZONE),
+  ]);
+  return REVIEW_PERIODS.filter((period) =>
+    [...days].some((day) => getPeriodStart(period, day) === day));
+}
+
+/**
+ * Write the reviews due for a user and tell them they are ready. A review
+ * is due on the first day of the next period in the user's time zone, from
+ * REVIEW_HOUR on.
+ * @param {string} uid - The user
+ * @param {Date} now - The current time
+ * @return {Promise<ReviewPeriod[]>} The periods a review was written for
+ */
+export async function generateDueReviews(
+  uid: string,
+  now: Date
+): Promise<ReviewPeriod[]> {
+  const timezone = await getUserTimezone(uid);
+  if (getLocalHour(now, timezone) < REVIEW_HOUR) return [];
+
+  const today = getLocalDay(now, timezone);
+  const due = REVIEW_PERIODS.filter((period) =>
+    getPeriodStart(period, today) === today);
+  if (due.length === 0) return [];
+
+  const db = admin.firestore();
+  const settingsDoc = await db.collection("privacy_settings").doc(uid).get();
+  const written: ReviewPeriod[] = [];
+
+  for (const period of due) {
+    if (settingsDoc.get(PREFERENCE_FIELDS[period]) === false) continue;
+
+    const window = getPreviousWindow(period, today);
+    const reviewId = await writeReview(uid, window, timezone);
+    if (!reviewId) continue;
+
+    written.push(period);
+    await notifyUser({
+      userId: uid,
+      kind: `${period}_review_ready`,
+      data: {reviewId, reviewType: period},
+      collapseKey: `review_${period}`,
+    });
+  }
+
+  return written;
+}
+
+/**
+ * The period before the one containing a day
+ * @param {ReviewPeriod} period - Weekly or monthly
+ * @param {string} today - The day as YYYY-MM-DD
+ * @return {ReviewWindow} The previous period
+ */
+export function getPreviousWindow(
+  period: ReviewPeriod,
+  today: string
+): ReviewWindow {
+  const endDay = getPeriodStart(period, today);
+  const startDay = getPeriodStart(period, addDays(endDay, -1));
+  return {period, startDay, endDay, days: daysBetween(startDay, endDay)};
+}
+
+/**
+ * Gather the period's activity and write its review, unless it was already
+ * written or there was no activity
+ * @param {string} uid - The user
+ * @param {ReviewWindow} window - The period to review
+ * @param {string} timezone - The user's time zone
+ * @return {Promise<string | null>} The review id, or null if none written
+ */
+async function writeReview(
+  uid: string,
+  window: ReviewWindow,
+  timezone: string
+): Promise<string | null> {
+  const db = admin.firestore();
+  const reviewRef = db
+    .collection(REVIEW_COLLECTIONS[window.period])
+    .doc(`${uid}_${window.startDay}`);
+  if ((await reviewRef.get()).exists) return null;
+
+  const activity = await collectActivity(uid, window, timezone);
+  const metrics = calculateMetrics(activity, window, timezone);
+  if (
+    metrics.overall.total_activities === 0 &&
+    metrics.streaks.days_kept === 0
+  ) {
+    return null;
+  }
+  const dateField = window.period === "weekly" ? "week_of" : "month_of";
+
+  try {
+    await reviewRef.create({
+      user_id: uid,
+      review_type: window.period,
+      [dateField]: window.startDay,
+      period: {
+        start: window.startDay,
+        end: window.endDay,
+        days: window.days,
+        timezone,
+      },
+      generated_at: admin.firestore.FieldValue.serverTimestamp(),
+      activity_data: {metrics},
+      review_content: buildReviewContent(window, metrics),
+      is_ai_generated: false,
+      status: "active",
+      is_starred: false,
+    });
+  } catch (error) {
+    // Another run wrote it first
+    if ((error as {code?: number}).code === ALREADY_EXISTS) return null;
+    throw error;
+  }
+
+  return reviewRef.id;
+}
+
+/**
+ * The user's meal logs and fasting sessions in a period, by local day, and
+ * their streaks
+ * @param {string} uid - The user
+ * @param {ReviewWindow} window - The period
+ * @param {string} timezone - The user's time zone
+ * @return {Promise<PeriodActivity>} The activity
+ */
+async function collectActivity(
+  uid: string,
+  window: ReviewWindow,
+  timezone: string
+): Promise<PeriodActivity> {
+  const db = admin.firestore();
+  // Local days can start up to a day either side of UTC midnight
+  const from = Date.parse(`${window.startDay}T00:00:00Z`) - DAY_MS;
+  const to = Date.parse(`${window.endDay}T00:00:00Z`) + DAY_MS;
+  const inWindow = (day: string) =>
+    day >= window.startDay && day < window.endDay;
+
+  const [mealDocs, fastDocs, streakDocs] = await Promise.all([
+    db.collection("meal_logs")
+      .where("user_id", "==", uid)
+      .where("timestamp", ">=", from)
+      .where("timestamp", "<", to)
+      .get(),
+    db.collection("fasting_sessions")
+      .where("user_id", "==", uid)
+      .where("actual_start_time", ">=", new Date(from).toISOString())
+      .where("actual_start_time", "<", new Date(to).toISOString())
+      .get(),
+    db.collection("user_streaks")
+      .where("user_id", "==", uid)
+      .get(),
+  ]);
+
+  const meals = mealDocs.docs
+    .map((doc) => ({
+      data: doc.data(),
+      day: getLocalDay(new Date(doc.get("timestamp")), timezone),
+    }))
+    .filter(({day}) => inWindow(day));
+  const fasts = fastDocs.docs
+    .map((doc) => ({
+      data: doc.data(),
+      day: getLocalDay(new Date(doc.get("actual_start_time")), timezone),
+    }))
+    .filter(({day}) => inWindow(day));
+
+  return {
+    meals: meals.map(({data}) => data),
+    mealDays: meals.map(({day}) => day),
+    fasts: fasts.map(({data}) => data),
+    fastDays: fasts.map(({day}) => day),
+    streaks: streakDocs.docs.map((doc) => doc.data()),
+  };
+}
+
+/**
+ * Metrics of a period, in the layout of the app's activity_data.metrics
+ * @param {PeriodActivity} activity - The period's activity
+ * @param {ReviewWindow} window - The period
+ * @param {string} timezone - The user's time zone
+ * @return {ActivityData} The metrics
+ */
+function calculateMetrics(
+  activity: PeriodActivity,
+  window: ReviewWindow,
+  timezone: string
+): ActivityData {
+  const {meals, fasts, streaks, mealDays, fastDays} = activity;
+  const activeDays = new Set([...mealDays, ...fastDays]);
+
+  const foods = new Set<string>();
+  const mealTypes = new Map<string, number>();
+  let calories = 0;
+  for (const meal of meals) {
+    const result = meal.recognition_result || {};
+    for (const food of result.detected_foods || []) {
+      if (food?.name) foods.add(String(food.name).toLowerCase());
+    }
+    const mealType = result.meal_type || "unknown";
+    mealTypes.set(mealType, (mealTypes.get(mealType) || 0) + 1);
+    calories += Number(result.total_nutrition?.calories) || 0;
+  }
+
+  const completed = fasts.filter((fast) => fast.state === "completed");
+  const fastedHours = completed.map((fast) => getFastedHours(fast));
+
+  const weekdays = new Map<string, number>();
+  for (const day of [...mealDays, ...fastDays]) {
+    const weekday =
+      WEEKDAYS[(new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7];
+    weekdays.set(weekday, (weekdays.get(weekday) || 0) + 1);
+  }
+
+  const streakDays = streaks.map((streak) => new Set(
+    (streak.completed_dates || [])
+      .map((date: admin.firestore.Timestamp) =>
+        getLocalDay(date.toDate(), timezone))
+      .filter((day: string) => day >= window.startDay && day < window.endDay)
+  ).size);
+
+  return {
+    meals: {
+      total_count: meals.length,
+      daily_average: meals.length / window.days,
+      unique_foods: foods.size,
+      most_common_meal_type: getMostCommon(mealTypes) ?? "none",
+      average_daily_calories: mealDays.length > 0 ?
+        Math.round(calories / new Set(mealDays).size) :
+        0,
+    },
+    fasting: {
+      total_sessions: fasts.length,
+      completed_sessions: completed.length,
+      average_duration: fastedHours.length > 0 ?
+        round(fastedHours.reduce((a, b) => a + b, 0) / fastedHours.length) :
+        0,
+      longest_fast: round(Math.max(0, ...fastedHours)),
+    },
+    streaks: {
+      active_streaks: streaks.filter((streak) => streak.is_active).length,
+      days_kept: Math.max(0, ...streakDays),
+      current_best: Math.max(
+        0,
+        ...streaks.map((streak) => streak.current_streak || 0)
+      ),
+    },
+    patterns: {
+      most_active_weekday: getMostCommon(weekdays) ?? "Unknown",
+      weekday_distribution: Object.fromEntries(weekdays),
+    },
+    overall: {
+      active_days: activeDays.size,
+      total_activities: meals.length + fasts.length,
+      consistency_score: round(activeDays.size / window.days),
+    },
+  };
+}
+
+/**
+ * The review text and badges, in the layout of the app's review_content
+ * @param {ReviewWindow} window - The period
+ * @param {ActivityData} metrics - The period's metrics
+ * @return {ActivityData} The review content
+ */
+function buildReviewContent(
+  window: ReviewWindow,
+  metrics: ActivityData
+): ActivityData {
+  const {meals, fasting, streaks, patterns, overall} = metrics;
+  const label = window.period === "weekly" ? "week" : "month";
+  const activities: string[] = [];
+  if (meals.total_count > 0) {
+    activities.push(plural(meals.total_count, "meal"));
+  }
+  if (fasting.completed_sessions > 0) {
+    activities.push(plural(fasting.completed_sessions, "completed fast"));
+  } else if (fasting.total_sessions > 0) {
+    activities.push(plural(fasting.total_sessions, "fast"));
+  }
+  if (activities.length === 0) {
+    activities.push(plural(streaks.days_kept, "streak day"));
+  }
+
+  const highlights: string[] = [];
+  if (fasting.longest_fast > 0) {
+    highlights.push(`Longest fast: ${fasting.longest_fast} hours`);
+  }
+  if (streaks.days_kept > 0) {
+    const days = plural(streaks.days_kept, "day");
+    highlights.push(`Kept a streak going for ${days}`);
+  }
+  if (meals.unique_foods > 0) {
+    highlights.push(`Logged ${plural(meals.unique_foods, "different food")}`);
+  }
+  if (patterns.most_active_weekday !== "Unknown") {
+    highlights.push(`Most active on ${patterns.most_active_weekday}`);
+  }
+  if (overall.consistency_score >= 0.7) {
+    highlights.push("Maintained excellent consistency");
+  }
+
+  const insights: string[] = [];
+  if (meals.daily_average >= 3) {
+    insights.push("Great job maintaining regular meal logging");
+  } else if (meals.total_count > 0) {
+    insights.push("Logging every meal gives you a clearer picture");
+  }
+  if (fasting.total_sessions > fasting.completed_sessions) {
+    insights.push("Some fasts ended early; a shorter target may fit better");
+  }
+
+  const badges: ActivityData[] = [];
+  if (overall.consistency_score >= 0.8) {
+    badges.push({
+      name: "Consistency Champion",
+      icon: "star",
+      description: `Active on 80%+ of days this ${label}`,
+    });
+  }
+  if (fasting.completed_sessions >= (window.period === "weekly" ? 5 : 20)) {
+    badges.push({
+      name: "Fasting Pro",
+      icon: "timer",
+      description: `Completed ${fasting.completed_sessions} fasts`,
+    });
+  }
+
+  return {
+    digest_type: window.period,
+    [window.period === "weekly" ? "week_of" : "month_of"]: window.startDay,
+    summary: `This ${label} you logged ${activities.join(" and ")}, ` +
+      `staying active for ${plural(overall.active_days, "day")}. ` +
+      "Keep up the great work on your wellness journey!",
+    highlights: highlights.length > 0 ?
+      highlights :
+      ["Continued your wellness journey"],
+    insights: insights.length > 0 ? insights : ["Keep up the great work!"],
+    achievement_badges: badges,
+    generated_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Hours fasted in a completed session, excluding pauses
+ * @param {ActivityData} fast - The fasting session
+ * @return {number} Hours fasted
+ */
+function getFastedHours(fast: ActivityData): number {
+  const durationMs = typeof fast.actual_duration_ms === "number" ?
+    fast.actual_duration_ms :
+    Date.parse(fast.actual_end_time) - Date.parse(fast.actual_start_time) -
+      (fast.total_paused_duration_ms || 0);
+  return Number.isFinite(durationMs) ? Math.max(0, durationMs) / 3600000 : 0;
+}
+
+/**
+ * The first day of the week (Monday) or month containing a day
+ * @param {ReviewPeriod} period - Weekly or monthly
+ * @param {string} day - The day as YYYY-MM-DD
+ * @return {string} The period's first day
+ */
+function getPeriodStart(period: ReviewPeriod, day: string): string {
+  return period === "monthly" ? `${day.slice(0, 8)}01` : getWeekStart(day);
+}
+
+/**
+ * The most frequent key of a count map
+ * @param {Map<string, number>} counts - Counts by key
+ * @return {string | undefined} The key, or undefined if there are none
+ */
+function getMostCommon(counts: Map<string, number>): string | undefined {
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+/**
+ * A count with its noun, pluralized in English
+ * @param {number} count - The count
+ * @param {string} noun - The singular noun
+ * @return {string} For example "3 meals"
+ */
+function plural(count: number, noun: string): string {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Round to one decimal place
+ * @param {number} value - The value
+ * @return {number} The rounded value
+ */
+function round(value: number): number {
+  return Math.round(value * 10) / 10;
+}
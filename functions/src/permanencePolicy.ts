@@ -0,0 +1,337 @@
+import * as admin from "firebase-admin";
+import * as logger from "firebase-functions/logger";
+
+/**
+ * Story permanence policy: the tunables behind the logarithmic expiry maths
+ * and the tier boundaries. The live policy is the versioned document at
+ * admin/story_permanence_policy, so product can tune it without a deploy;
+ * DEFAULT_PERMANENCE_POLICY applies while that document is missing or
+ * invalid.
+ */
+
+export interface PermanenceTier {
+  name: string;
+  // Upper bound of the tier in hours; the last tier has no upper bound
+  maxHours: number | null;
+}
+
+export interface PermanencePolicy {
+  version: number;
+  baseDurationHours: number;
+  engagementScoreWeight: number;
+  viewVelocity: {
+    viewsPerBonus: number;
+    maxBonus: number;
+  };
+  interactionWeights: {
+    likes: number;
+    comments: number;
+    shares: number;
+  };
+  qualityWeight: number;
+  maxMultiplier: number;
+  // Score added per counted engagement event, by engagement type
+  eventWeights: Record<string, number>;
+  antiGaming: {
+    maxCommentsPerViewer: number;
+    maxSharesPerViewer: number;
+    velocityWindowMinutes: number;
+    maxEventsPerWindow: number;
+  };
+  tiers: PermanenceTier[];
+  // Tiers whose stories are archived instead of deleted when they expire
+  archivedTiers: string[];
+}
+
+export const PERMANENCE_POLICY_PATH = "admin/story_permanence_policy";
+
+// Built-in policy, version 0, matching the original hard-coded constants
+export const DEFAULT_PERMANENCE_POLICY: PermanencePolicy = {
+  version: 0,
+  baseDurationHours: 24,
+  engagementScoreWeight: 0.5,
+  viewVelocity: {
+    viewsPerBonus: 10,
+    maxBonus: 2,
+  },
+  interactionWeights: {
+    likes: 0.3,
+    comments: 0.5,
+    shares: 0.7,
+  },
+  qualityWeight: 0.3,
+  maxMultiplier: 30,
+  eventWeights: {
+    views: 1,
+    likes: 3,
+    comments: 5,
+    shares: 8,
+    saves: 10,
+  },
+  antiGaming: {
+    maxCommentsPerViewer: 3,
+    maxSharesPerViewer: 2,
+    velocityWindowMinutes: 5,
+    maxEventsPerWindow: 10,
+  },
+  tiers: [
+    {name: "standard", maxHours: 24},
+    {name: "extended", maxHours: 72},
+    {name: "weekly", maxHours: 168},
+    {name: "monthly", maxHours: 720},
+    {name: "milestone", maxHours: null},
+  ],
+  archivedTiers: ["milestone", "monthly"],
+};
+
+// How long a loaded policy is reused by a warm function instance
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+
+let cachedPolicy: {policy: PermanencePolicy; loadedAt: number} | null = null;
+
+/**
+ * Load the live permanence policy, falling back to the built-in default if
+ * the policy document is missing or fails validation
+ * @param {admin.firestore.Firestore} db - Firestore client
+ * @return {Promise<PermanencePolicy>} The policy to compute expiries with
+ */
+export async function loadPermanencePolicy(
+  db: admin.firestore.Firestore
+): Promise<PermanencePolicy> {
+  if (
+    cachedPolicy &&
+    Date.now() - cachedPolicy.loadedAt < POLICY_CACHE_TTL_MS
+  ) {
+    return cachedPolicy.policy;
+  }
+
+  let policy = DEFAULT_PERMANENCE_POLICY;
+  const policyDoc = await db.doc(PERMANENCE_POLICY_PATH).get();
+
+  if (policyDoc.exists) {
+    try {
+      policy = validatePermanencePolicy(policyDoc.data());
+    } catch (error) {
+      logger.error(
+        "Invalid story permanence policy, using built-in default",
+        error
+      );
+    }
+  }
+
+  cachedPolicy = {policy, loadedAt: Date.now()};
+  return policy;
+}
+
+/**
+ * Validate a policy document. Missing fields take their default values, so
+ * a policy only needs to list what it changes plus its version.
+ * @param {unknown} data - The raw policy document data
+ * @return {PermanencePolicy} The validated policy
+ */
+export function validatePermanencePolicy(data: unknown): PermanencePolicy {
+  if (typeof data !== "object" || data === null) {
+    throw new Error("Permanence policy must be an object");
+  }
+
+  const raw = data as Partial<PermanencePolicy>;
+  const policy: PermanencePolicy = {
+    ...DEFAULT_PERMANENCE_POLICY,
+    ...raw,
+    viewVelocity: {
+      ...DEFAULT_PERMANENCE_POLICY.viewVelocity,
+      ...raw.viewVelocity,
+    },
+    interactionWeights: {
+      ...DEFAULT_PERMANENCE_POLICY.interactionWeights,
+      ...raw.interactionWeights,
+    },
+    eventWeights: {
+      ...DEFAULT_PERMANENCE_POLICY.eventWeights,
+      ...raw.eventWeights,
+    },
+    antiGaming: {
+      ...DEFAULT_PERMANENCE_POLICY.antiGaming,
+      ...raw.antiGaming,
+    },
+  };
+  const problems: string[] = [];
+
+  if (!Number.isInteger(policy.version) || policy.version < 1) {
+    problems.push("version must be a positive integer");
+  }
+
+  const positiveFields: [string, unknown][] = [
+    ["baseDurationHours", policy.baseDurationHours],
+    ["viewVelocity.viewsPerBonus", policy.viewVelocity.viewsPerBonus],
+    ["maxMultiplier", policy.maxMultiplier],
+  ];
+  const nonNegativeFields: [string, unknown][] = [
+    ["engagementScoreWeight", policy.engagementScoreWeight],
+    ["viewVelocity.maxBonus", policy.viewVelocity.maxBonus],
+    ["interactionWeights.likes", policy.interactionWeights.likes],
+    ["interactionWeights.comments", policy.interactionWeights.comments],
+    ["interactionWeights.shares", policy.interactionWeights.shares],
+    ["qualityWeight", policy.qualityWeight],
+    ...Object.entries(policy.eventWeights).map(
+      ([type, weight]): [string, unknown] => [`eventWeights.${type}`, weight]
+    ),
+  ];
+  const positiveIntegerFields: [string, unknown][] = Object.entries(
+    policy.antiGaming
+  ).map(([field, value]) => [`antiGaming.${field}`, value]);
+
+  for (const [field, value] of positiveFields) {
+    if (typeof value !== "number" || !(value > 0)) {
+      problems.push(`${field} must be a positive number`);
+    }
+  }
+  for (const [field, value] of nonNegativeFields) {
+    if (typeof value !== "number" || !(value >= 0)) {
+      problems.push(`${field} must be a non-negative number`);
+    }
+  }
+  for (const [field, value] of positiveIntegerFields) {
+    if (!Number.isInteger(value) || (value as number) < 1) {
+      problems.push(`${field} must be a positive integer`);
+    }
+  }
+  if (policy.maxMultiplier < 1) {
+    problems.push("maxMultiplier must be at least 1");
+  }
+
+  problems.push(...validateTiers(policy.tiers));
+
+  if (
+    !Array.isArray(policy.archivedTiers) ||
+    policy.archivedTiers.some((name) =>
+      !policy.tiers.some((tier) => tier.name === name))
+  ) {
+    problems.push("archivedTiers must only name tiers from tiers");
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid permanence policy: ${problems.join("; ")}`);
+  }
+
+  return policy;
+}
+
+/**
+ * Check that tiers have unique names, strictly ascending bounds and end in
+ * a single unbounded tier
+ * @param {unknown} tiers - The tiers to check
+ * @return {string[]} Problems found, empty when the tiers are valid
+ */
+function validateTiers(tiers: unknown): string[] {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return ["tiers must be a non-empty array"];
+  }
+
+  const problems: string[] = [];
+  const names = new Set<string>();
+  let previousMax = 0;
+
+  tiers.forEach((tier: PermanenceTier, index) => {
+    const isLast = index === tiers.length - 1;
+
+    if (typeof tier?.name !== "string" || !tier.name) {
+      problems.push(`tiers[${index}].name must be a non-empty string`);
+    } else if (names.has(tier.name)) {
+      problems.push(`tiers[${index}].name "${tier.name}" is duplicated`);
+    } else {
+      names.add(tier.name);
+    }
+
+    if (isLast) {
+      if (tier?.maxHours !== null) {
+        problems.push("the last tier must have maxHours null");
+      }
+    } else if (
+      typeof tier?.maxHours !== "number" ||
+      !(tier.maxHours > previousMax)
+    ) {
+      problems.push(`tiers[${index}].maxHours must ascend`);
+    } else {
+      previousMax = tier.maxHours;
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Calculate logarithmic duration based on engagement metrics
+ * @param {PermanencePolicy} policy - The policy to apply
+ * @param {number} totalScore - Total weighted engagement score
+ * @param {number} views - Number of views
+ * @param {number} likes - Number of likes
+ * @param {number} comments - Number of comments
+ * @param {number} shares - Number of shares
+ * @return {number} Duration in milliseconds
+ */
+export function calculateLogarithmicDuration(
+  policy: PermanencePolicy,
+  totalScore: number,
+  views: number,
+  likes: number,
+  comments: number,
+  shares: number
+): number {
+  const baseDuration = getBaseDurationMs(policy);
+
+  // Calculate engagement multiplier using logarithmic scale
+  const engagementMultiplier =
+    Math.log(1 + totalScore) * policy.engagementScoreWeight;
+
+  // Calculate view velocity bonus (views in first hour)
+  const viewVelocityBonus = Math.min(
+    views / policy.viewVelocity.viewsPerBonus,
+    policy.viewVelocity.maxBonus
+  );
+
+  // Calculate interaction quality bonus
+  const weights = policy.interactionWeights;
+  const interactionQuality = (likes * weights.likes) +
+    (comments * weights.comments) +
+    (shares * weights.shares);
+  const qualityMultiplier =
+    Math.log(1 + interactionQuality) * policy.qualityWeight;
+
+  // Total multiplier, capped by the policy
+  const totalMultiplier = Math.min(
+    1 + engagementMultiplier + viewVelocityBonus + qualityMultiplier,
+    policy.maxMultiplier
+  );
+
+  return Math.round(baseDuration * totalMultiplier);
+}
+
+/**
+ * Get permanence tier based on duration
+ * @param {PermanencePolicy} policy - The policy to apply
+ * @param {number} durationMs - Duration in milliseconds
+ * @return {string} Permanence tier
+ */
+export function getPermanenceTier(
+  policy: PermanencePolicy,
+  durationMs: number
+): string {
+  const hours = durationMs / (60 * 60 * 1000);
+
+  for (const tier of policy.tiers) {
+    if (tier.maxHours === null || hours <= tier.maxHours) {
+      return tier.name;
+    }
+  }
+  return policy.tiers[policy.tiers.length - 1].name;
+}
+
+/**
+ * Base story lifetime under a policy
+ * @param {PermanencePolicy} policy - The policy to apply
+ * @return {number} Duration in milliseconds
+ */
+export function getBaseDurationMs(policy: PermanencePolicy): number {
+  return policy.baseDurationHours * 60 * 60 * 1000;
+}
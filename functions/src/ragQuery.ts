@@ -0,0 +1,473 @@
+import {defineSecret} from "firebase-functions/params";
+import {HttpsError, onCall} from "firebase-functions/v2/https";
+import {embedText, openaiApiKey} from "./aiGateway";
+import {getAiProvider} from "./aiProviders";
+import {JsonClient, createJsonClient} from "./httpClient";
+import {
+  ID_PATTERN,
+  RequestSchema,
+  requireAuth,
+  validateCallable,
+  validateData,
+} from "./validation";
+
+/**
+ * The ragQuery callable: retrieval over the Pinecone knowledge index filled
+ * by scripts/migrate_foods_to_pinecone.js, so the Pinecone key stays on the
+ * server. The question is embedded through the AI gateway's embedding path,
+ * under its rate limit, quota and spend breaker, then matched against the
+ * index with optional metadata filters: categories, tags, allergens to
+ * exclude and a calorie range per 100g. Matches are re-ranked by vector
+ * similarity, overlap with the question's terms and source confidence, and
+ * returned as numbered passages to cite.
+ *
+ * ragUpsertDocuments adds curated documents to the index for callers with
+ * the admin custom claim, and ragIndexStats reports the index's size, so
+ * neither needs the key in the app either.
+ *
+ * Queries go to PINECONE_INDEX_HOST when set, e.g. a local stub server;
+ * otherwise the index host is looked up on the control plane at
+ * PINECONE_API_URL, by default the public API.
+ */
+
+const pineconeApiKey = defineSecret("PINECONE_API_KEY");
+
+const PINECONE_API_URL = "https://api.pinecone.io";
+const PINECONE_API_VERSION = "2025-04";
+const DEFAULT_INDEX_NAME = "snapameal-health-knowledge";
+const PINECONE_NAMESPACE = "default";
+
+const DEFAULT_TOP_K = 5;
+const MAX_TOP_K = 20;
+// Matches fetched per passage returned, to leave room for re-ranking
+const CANDIDATE_FACTOR = 3;
+const MAX_QUESTION_LENGTH = 2000;
+const MAX_FILTER_VALUES = 20;
+const MAX_FILTER_VALUE_LENGTH = 100;
+const MAX_PASSAGE_LENGTH = 1200;
+
+// Documents embedded and written per ragUpsertDocuments call
+const MAX_UPSERT_DOCUMENTS = 10;
+const MAX_TITLE_LENGTH = 200;
+const MAX_CONTENT_LENGTH = 8000;
+
+// Similarity below which a match is not worth citing
+const MIN_SIMILARITY = 0.3;
+
+// Weights of the re-ranking score, summing to 1
+const SIMILARITY_WEIGHT = 0.7;
+const TERM_WEIGHT = 0.2;
+const CONFIDENCE_WEIGHT = 0.1;
+
+// Question words too common to say anything about a passage
+const STOP_WORDS = new Set([
+  "and", "are", "can", "does", "for", "how", "much", "many", "the", "what",
+  "when", "which", "why", "with", "that", "this", "have", "has", "from",
+  "should", "good", "best", "any", "about", "there", "than", "eat", "food",
+]);
+
+interface RagQueryRequest {
+  question: string;
+  categories?: unknown[];
+  tags?: unknown[];
+  excludeAllergens?: unknown[];
+  minCalories?: number;
+  maxCalories?: number;
+  topK?: number;
+}
+
+const ragQuerySchema: RequestSchema = {
+  question: {type: "string", required: true, maxLength: MAX_QUESTION_LENGTH},
+  categories: {type: "array", maxItems: MAX_FILTER_VALUES},
+  tags: {type: "array", maxItems: MAX_FILTER_VALUES},
+  excludeAllergens: {type: "array", maxItems: MAX_FILTER_VALUES},
+  minCalories: {type: "number", min: 0},
+  maxCalories: {type: "number", min: 0},
+  topK: {type: "number", min: 1, max: MAX_TOP_K},
+};
+
+interface RagUpsertRequest {
+  documents: unknown[];
+}
+
+const ragUpsertSchema: RequestSchema = {
+  documents: {type: "array", required: true, maxItems: MAX_UPSERT_DOCUMENTS},
+};
+
+interface KnowledgeDocument {
+  id: string;
+  title: string;
+  content: string;
+  category?: string;
+  source?: string;
+  confidence_score?: number;
+  tags?: unknown[];
+}
+
+const knowledgeDocumentSchema: RequestSchema = {
+  id: {type: "string", required: true, pattern: ID_PATTERN},
+  title: {type: "string", required: true, maxLength: MAX_TITLE_LENGTH},
+  content: {type: "string", required: true, maxLength: MAX_CONTENT_LENGTH},
+  category: {type: "string", maxLength: MAX_FILTER_VALUE_LENGTH},
+  source: {type: "string", maxLength: MAX_TITLE_LENGTH},
+  confidence_score: {type: "number", min: 0, max: 1},
+  tags: {type: "array", maxItems: MAX_FILTER_VALUES},
+};
+
+interface PineconeIndexStats {
+  totalVectorCount?: number;
+  dimension?: number;
+  indexFullness?: number;
+  namespaces?: Record<string, {vectorCount?: number}>;
+}
+
+interface PineconeMatch {
+  id: string;
+  score?: number;
+  metadata?: Record<string, unknown>;
+}
+
+export interface RagPassage {
+  // 1-based number to cite the passage by, in ranking order
+  citation: number;
+  id: string;
+  title: string;
+  text: string;
+  source: string;
+  category: string;
+  tags: string[];
+  similarity: number;
+  confidence: number;
+  score: number;
+}
+
+// Looked up once per instance when PINECONE_INDEX_HOST is not set
+let indexHost: string | null = null;
+
+/**
+ * Retrieve passages from the knowledge index that answer a question
+ */
+export const ragQuery = onCall(
+  {secrets: [openaiApiKey, pineconeApiKey]},
+  async (request) => {
+    const {uid, data} = validateCallable<RagQueryRequest>(
+      request,
+      ragQuerySchema
+    );
+    const filter = buildFilter(data);
+    const topK = Math.floor(data.topK ?? DEFAULT_TOP_K);
+
+    const embedding = await embedText(
+      uid,
+      data.question,
+      getAiProvider(openaiApiKey.value())
+    );
+    if (!embedding.embedding) {
+      // The spend breaker is open and the question was never embedded
+      return {question: data.question, passages: [], fallback: true};
+    }
+
+    const index = await getIndexClient(pineconeApiKey.value());
+    const result = await index.post<{matches?: PineconeMatch[]}>("/query", {
+      vector: embedding.embedding,
+      topK: topK * CANDIDATE_FACTOR,
+      includeMetadata: true,
+      includeValues: false,
+      namespace: PINECONE_NAMESPACE,
+      ...(filter ? {filter} : {}),
+    });
+
+    const passages = rankMatches(result.matches ?? [], data.question)
+      .slice(0, topK)
+      .map((passage, index) => ({...passage, citation: index + 1}));
+    return {question: data.question, passages, fallback: false};
+  }
+);
+
+/**
+ * Embed documents and add them to the knowledge index, replacing any with
+ * the same id. Only callers with the admin custom claim may write, since
+ * every user's questions are answered from the index.
+ */
+export const ragUpsertDocuments = onCall(
+  {secrets: [openaiApiKey, pineconeApiKey]},
+  async (request) => {
+    const {uid, data} = validateCallable<RagUpsertRequest>(
+      request,
+      ragUpsertSchema
+    );
+    if (request.auth?.token.admin !== true) {
+      throw new HttpsError(
+        "permission-denied",
+        "Only admins can change the knowledge base."
+      );
+    }
+
+    const documents = data.documents.map((document) =>
+      validateData<KnowledgeDocument>(document, knowledgeDocumentSchema));
+    const provider = getAiProvider(openaiApiKey.value());
+    const createdAt = new Date().toISOString();
+
+    const vectors = [];
+    for (const document of documents) {
+      const embedding = await embedText(
+        uid,
+        `${document.title} ${document.content}`,
+        provider
+      );
+      if (!embedding.embedding) {
+        throw new HttpsError(
+          "unavailable",
+          "The AI service is paused. Please try again later."
+        );
+      }
+
+      vectors.push({
+        id: document.id,
+        values: embedding.embedding,
+        metadata: {
+          title: document.title,
+          content: document.content,
+          category: document.category ?? "",
+          source: document.source ?? "",
+          confidence_score: document.confidence_score ?? 0,
+          tags: getFilterValues("tags", document.tags),
+          created_at: createdAt,
+        },
+      });
+    }
+
+    const index = await getIndexClient(pineconeApiKey.value());
+    await index.post("/vectors/upsert", {
+      vectors,
+      namespace: PINECONE_NAMESPACE,
+    });
+    return {upserted: vectors.length};
+  }
+);
+
+/**
+ * Size of the knowledge index, for the app's diagnostics page
+ */
+export const ragIndexStats = onCall(
+  {secrets: [pineconeApiKey]},
+  async (request) => {
+    requireAuth(request);
+
+    const index = await getIndexClient(pineconeApiKey.value());
+    const stats = await index.post<PineconeIndexStats>(
+      "/describe_index_stats",
+      {}
+    );
+    return {
+      totalVectorCount: stats.totalVectorCount ?? 0,
+      dimension: stats.dimension ?? 0,
+      indexFullness: stats.indexFullness ?? 0,
+      namespaces: stats.namespaces ?? {},
+    };
+  }
+);
+
+/**
+ * The Pinecone metadata filter for a request
+ * @param {RagQueryRequest} data - The validated request
+ * @return {Record<string, unknown> | null} The filter, or null if the
+ *   request has none
+ */
+function buildFilter(data: RagQueryRequest): Record<string, unknown> | null {
+  const filter: Record<string, unknown> = {};
+
+  const categories = getFilterValues("categories", data.categories);
+  if (categories.length > 0) filter.category = {$in: categories};
+
+  const tags = getFilterValues("tags", data.tags);
+  if (tags.length > 0) filter.tags = {$in: tags};
+
+  const allergens = getFilterValues("excludeAllergens", data.excludeAllergens);
+  if (allergens.length > 0) filter.allergens = {$nin: allergens};
+
+  const {minCalories, maxCalories} = data;
+  if (
+    minCalories !== undefined &&
+    maxCalories !== undefined &&
+    minCalories > maxCalories
+  ) {
+    throw new HttpsError(
+      "invalid-argument",
+      "minCalories must not be greater than maxCalories."
+    );
+  }
+  if (minCalories !== undefined || maxCalories !== undefined) {
+    filter.calories_per_100g = {
+      ...(minCalories !== undefined ? {$gte: minCalories} : {}),
+      ...(maxCalories !== undefined ? {$lte: maxCalories} : {}),
+    };
+  }
+
+  return Object.keys(filter).length > 0 ? filter : null;
+}
+
+/**
+ * Check a list of filter values
+ * @param {string} field - The request field, for error messages
+ * @param {unknown[] | undefined} values - The raw values
+ * @return {string[]} The trimmed values
+ */
+function getFilterValues(
+  field: string,
+  values: unknown[] | undefined
+): string[] {
+  return (values ?? []).map((value) => {
+    if (
+      typeof value !== "string" ||
+      value.trim() === "" ||
+      value.length > MAX_FILTER_VALUE_LENGTH
+    ) {
+      throw new HttpsError(
+        "invalid-argument",
+        `Parameter ${field} must be a list of non-empty strings.`
+      );
+    }
+    return value.trim();
+  });
+}
+
+/**
+ * Turn matches into passages ordered by re-ranking score, dropping weak
+ * matches
+ * @param {PineconeMatch[]} matches - The index's matches
+ * @param {string} question - The question asked
+ * @return {Omit<RagPassage, "citation">[]} The passages, best first
+ */
+function rankMatches(
+  matches: PineconeMatch[],
+  question: string
+): Omit<RagPassage, "citation">[] {
+  const terms = getTerms(question);
+
+  return matches
+    .filter((match) => (match.score ?? 0) >= MIN_SIMILARITY)
+    .map((match) => {
+      const metadata = match.metadata ?? {};
+      const title = getString(metadata.title) || getString(metadata.food_name);
+      const category = getString(metadata.category);
+      const tags = Array.isArray(metadata.tags) ?
+        metadata.tags.filter((tag): tag is string => typeof tag === "string") :
+        [];
+      const similarity = match.score ?? 0;
+      const confidence = typeof metadata.confidence_score === "number" ?
+        metadata.confidence_score :
+        0;
+
+      const haystack = [title, getString(metadata.food_name), category, ...tags]
+        .join(" ")
+        .toLowerCase();
+      const termOverlap = terms.length > 0 ?
+        terms.filter((term) => haystack.includes(term)).length / terms.length :
+        0;
+
+      return {
+        id: match.id,
+        title,
+        text: getPassageText(metadata),
+        source: getString(metadata.source),
+        category,
+        tags,
+        similarity,
+        confidence,
+        score:
+          SIMILARITY_WEIGHT * similarity +
+          TERM_WEIGHT * termOverlap +
+          CONFIDENCE_WEIGHT * confidence,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The text to cite for a match: its stored content, or for food profiles
+ * indexed without content, a sentence built from their nutrition metadata
+ * @param {Record<string, unknown>} metadata - The match's metadata
+ * @return {string} The passage text
+ */
+function getPassageText(metadata: Record<string, unknown>): string {
+  const content = getString(metadata.content);
+  if (content) {
+    return content.length > MAX_PASSAGE_LENGTH ?
+      `${content.slice(0, MAX_PASSAGE_LENGTH - 1)}…` :
+      content;
+  }
+
+  const name = getString(metadata.food_name) || getString(metadata.title);
+  const calories = metadata.calories_per_100g;
+  const protein = metadata.protein_per_100g;
+  if (!name || typeof calories !== "number") return name;
+
+  const category = getString(metadata.category);
+  return `${name}${category ? ` (${category})` : ""} has ${calories} ` +
+    "calories" +
+    (typeof protein === "number" ? ` and ${protein}g of protein` : "") +
+    " per 100g.";
+}
+
+/**
+ * The distinctive lowercase words of a question
+ * @param {string} question - The question
+ * @return {string[]} Its words of three letters or more, minus stop words
+ */
+function getTerms(question: string): string[] {
+  const words = question.toLowerCase().split(/[^a-z0-9]+/);
+  return [...new Set(words)].filter(
+    (word) => word.length >= 3 && !STOP_WORDS.has(word)
+  );
+}
+
+/**
+ * A metadata value as a string
+ * @param {unknown} value - The value
+ * @return {string} The value if it is a string, otherwise ""
+ */
+function getString(value: unknown): string {
+  return typeof value === "string" ? value : "";
+}
+
+/**
+ * A client for the index's data plane, looking up its host on first use
+ * unless PINECONE_INDEX_HOST is set
+ * @param {string} apiKey - Pinecone API key
+ * @return {Promise<JsonClient>} The client
+ */
+async function getIndexClient(apiKey: string): Promise<JsonClient> {
+  if (!apiKey) {
+    throw new HttpsError(
+      "failed-precondition",
+      "The knowledge base is not configured."
+    );
+  }
+
+  const headers = {
+    "Api-Key": apiKey,
+    "X-Pinecone-API-Version": PINECONE_API_VERSION,
+  };
+  const clientFor = (baseUrl: string) => createJsonClient({
+    name: "Pinecone",
+    description: "The knowledge base",
+    baseUrl,
+    headers,
+  });
+
+  if (!indexHost) {
+    const indexName = process.env.PINECONE_INDEX_NAME || DEFAULT_INDEX_NAME;
+    indexHost = process.env.PINECONE_INDEX_HOST || (
+      await clientFor(process.env.PINECONE_API_URL || PINECONE_API_URL)
+        .get<{host?: string}>(`/indexes/${encodeURIComponent(indexName)}`)
+    ).host || null;
+  }
+  if (!indexHost) {
+    throw new HttpsError("unavailable", "The knowledge base is unavailable.");
+  }
+
+  return clientFor(
+    /^https?:\/\//.test(indexHost) ? indexHost : `https://${indexHost}`
+  );
+}
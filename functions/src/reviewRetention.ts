@@ -0,0 +1,115 @@
+import * as admin from "firebase-admin";
+import * as logger from "firebase-functions/logger";
+
+/**
+ * Retention windows for reviews and AI-generated content, enforced daily by
+ * enforceReviewRetention. Each collection keeps documents for its own
+ * number of days, counted from the date field in RETENTION_TARGETS;
+ * documents the user starred or bookmarked are kept regardless. The live
+ * windows are the document at admin/review_retention, so they can be tuned
+ * without a deploy; DEFAULT_RETENTION_DAYS applies to any collection that
+ * document leaves out, and to all of them while it is missing or invalid.
+ */
+
+export const RETAINED_COLLECTIONS = [
+  "weekly_reviews",
+  "monthly_reviews",
+  "user_reviews",
+  "daily_insights",
+  "ai_advice_history",
+] as const;
+export type RetainedCollection = typeof RETAINED_COLLECTIONS[number];
+
+interface RetentionTarget {
+  // Timestamp field a document's age is counted from
+  dateField: string;
+  // Boolean field that, when true, keeps the document past its window
+  keepField?: string;
+}
+
+export const RETENTION_TARGETS: Record<RetainedCollection, RetentionTarget> = {
+  weekly_reviews: {dateField: "generated_at", keepField: "is_starred"},
+  monthly_reviews: {dateField: "generated_at", keepField: "is_starred"},
+  user_reviews: {dateField: "generated_at", keepField: "is_starred"},
+  daily_insights: {dateField: "createdAt"},
+  ai_advice_history: {dateField: "createdAt", keepField: "isBookmarked"},
+};
+
+export type RetentionConfig = Record<RetainedCollection, number>;
+
+export const REVIEW_RETENTION_PATH = "admin/review_retention";
+
+export const DEFAULT_RETENTION_DAYS: RetentionConfig = {
+  weekly_reviews: 365,
+  monthly_reviews: 730,
+  user_reviews: 365,
+  daily_insights: 30,
+  ai_advice_history: 180,
+};
+
+/**
+ * Load the live retention windows, falling back to the built-in defaults if
+ * the document is missing or invalid
+ * @param {admin.firestore.Firestore} db - Firestore client
+ * @return {Promise<RetentionConfig>} Days to keep, by collection
+ */
+export async function loadRetentionConfig(
+  db: admin.firestore.Firestore
+): Promise<RetentionConfig> {
+  const configDoc = await db.doc(REVIEW_RETENTION_PATH).get();
+  if (!configDoc.exists) return DEFAULT_RETENTION_DAYS;
+
+  try {
+    return validateRetentionConfig(configDoc.data());
+  } catch (error) {
+    logger.error("Invalid review retention, using built-in defaults", error);
+    return DEFAULT_RETENTION_DAYS;
+  }
+}
+
+/**
+ * Validate a retention document. A missing collection takes its default
+ * window.
+ * @param {unknown} data - The raw document data
+ * @return {RetentionConfig} The validated windows
+ */
+export function validateRetentionConfig(data: unknown): RetentionConfig {
+  if (typeof data !== "object" || data === null) {
+    throw new Error("Review retention must be an object");
+  }
+
+  const raw = data as Record<string, unknown>;
+  const config: RetentionConfig = {...DEFAULT_RETENTION_DAYS};
+  const problems: string[] = [];
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (!(RETAINED_COLLECTIONS as readonly string[]).includes(key)) {
+      problems.push(`${key} is not a retained collection`);
+    } else if (typeof value !== "number" || !(value >= 1)) {
+      problems.push(`${key} must be a number of days, at least 1`);
+    } else {
+      config[key as RetainedCollection] = value;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid review retention: ${problems.join("; ")}`);
+  }
+
+  return config;
+}
+
+/**
+ * Whether a document past its window is kept because the user starred or
+ * bookmarked it
+ * @param {RetainedCollection} collection - The document's collection
+ * @param {admin.firestore.DocumentSnapshot} doc - The document
+ * @return {boolean} True to keep the document
+ */
+export function isKeptByUser(
+  collection: RetainedCollection,
+  doc: admin.firestore.DocumentSnapshot
+): boolean {
+  const keepField = RETENTION_TARGETS[collection].keepField;
+  return keepField !== undefined && doc.get(keepField) === true;
+}
@@ -0,0 +1,154 @@
+import * as admin from "firebase-admin";
+import {HttpsError, onCall} from "firebase-functions/v2/https";
+import {getNotificationSettings} from "./notifications";
+import {toCallableData} from "./serialize";
+import {ID_PATTERN, RequestSchema, validateCallable} from "./validation";
+
+/**
+ * Audit trail of screenshots taken of snaps and stories. Every screenshot
+ * reported through sendScreenshotNotification is recorded in
+ * screenshot_events, whether or not a notification went out, so senders can
+ * see who screenshotted their content.
+ */
+
+export const SCREENSHOT_EVENTS_COLLECTION = "screenshot_events";
+
+export const CLIENT_PLATFORMS = [
+  "android",
+  "ios",
+  "web",
+  "macos",
+  "windows",
+  "linux",
+] as const;
+
+export type ScreenshotContentType = "snap" | "story";
+
+export interface ScreenshotEvent {
+  contentType: ScreenshotContentType;
+  contentId: string;
+  ownerId: string;
+  viewerId: string;
+  viewerUsername: string;
+  platform: string | null;
+}
+
+// Default for the screenshot notifications one viewer may trigger per hour
+// for an owner who has not set screenshotLimitPerHour in their notification
+// settings, read from the environment; unset or 0 disables the limit
+const RATE_LIMIT_ENV = "SCREENSHOT_NOTIFY_LIMIT_PER_HOUR";
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+interface ListScreenshotEventsRequest {
+  contentId?: string;
+  pageSize?: number;
+  cursor?: string;
+}
+
+const listScreenshotEventsSchema: RequestSchema = {
+  contentId: {type: "string", pattern: ID_PATTERN},
+  pageSize: {type: "number", min: 1, max: MAX_PAGE_SIZE},
+  cursor: {type: "string", pattern: ID_PATTERN},
+};
+
+/**
+ * Record a screenshot in the audit trail
+ * @param {ScreenshotEvent} event - What was screenshotted, and by whom
+ * @param {boolean} notified - Whether the owner was notified
+ * @return {Promise<string>} The audit document id
+ */
+export async function recordScreenshotEvent(
+  event: ScreenshotEvent,
+  notified: boolean
+): Promise<string> {
+  const eventRef = await admin
+    .firestore()
+    .collection(SCREENSHOT_EVENTS_COLLECTION)
+    .add({
+      ...event,
+      notified,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  return eventRef.id;
+}
+
+/**
+ * Whether a viewer has used up their screenshot notifications to an owner
+ * for the hour. The limit is the owner's screenshotLimitPerHour setting,
+ * defaulting to the environment's. Only notified events count, so
+ * rate-limited screenshots are still audited without extending the limit.
+ * @param {string} viewerId - The viewer reporting a screenshot
+ * @param {string} ownerId - The owner of the screenshotted content
+ * @return {Promise<boolean>} True when the notification should be skipped
+ */
+export async function isScreenshotRateLimited(
+  viewerId: string,
+  ownerId: string
+): Promise<boolean> {
+  const db = admin.firestore();
+  const settingsDoc = await db.collection("user_settings").doc(ownerId).get();
+  const limit = getNotificationSettings(settingsDoc.data())
+    .screenshotLimitPerHour ?? Number(process.env[RATE_LIMIT_ENV] || 0);
+  if (!(limit > 0)) return false;
+
+  const since = admin.firestore.Timestamp.fromMillis(
+    Date.now() - RATE_LIMIT_WINDOW_MS
+  );
+  const recent = await db
+    .collection(SCREENSHOT_EVENTS_COLLECTION)
+    .where("viewerId", "==", viewerId)
+    .where("ownerId", "==", ownerId)
+    .where("notified", "==", true)
+    .where("timestamp", ">=", since)
+    .count()
+    .get();
+
+  return recent.data().count >= limit;
+}
+
+/**
+ * List who screenshotted the caller's snaps and stories, newest first,
+ * optionally for a single snap or story. Pass the returned nextCursor back
+ * as cursor to fetch the next page.
+ */
+export const listScreenshotEvents = onCall(async (request) => {
+  const {uid, data} = validateCallable<ListScreenshotEventsRequest>(
+    request,
+    listScreenshotEventsSchema
+  );
+  const pageSize = Math.floor(data.pageSize ?? DEFAULT_PAGE_SIZE);
+  const events = admin.firestore().collection(SCREENSHOT_EVENTS_COLLECTION);
+
+  let query = events.where("ownerId", "==", uid);
+  if (data.contentId) {
+    query = query.where("contentId", "==", data.contentId);
+  }
+  query = query.orderBy("timestamp", "desc").limit(pageSize + 1);
+
+  if (data.cursor) {
+    const cursorDoc = await events.doc(data.cursor).get();
+    if (!cursorDoc.exists || cursorDoc.get("ownerId") !== uid) {
+      throw new HttpsError("invalid-argument", "Unknown cursor.");
+    }
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.get();
+  const docs = snapshot.docs.slice(0, pageSize);
+
+  return {
+    events: docs.map((doc) => ({
+      id: doc.id,
+      contentType: doc.get("contentType"),
+      contentId: doc.get("contentId"),
+      viewerId: doc.get("viewerId"),
+      viewerUsername: doc.get("viewerUsername"),
+      platform: doc.get("platform"),
+      timestamp: toCallableData(doc.get("timestamp")),
+    })),
+    nextCursor: snapshot.size > pageSize ? docs[docs.length - 1].id : null,
+  };
+});
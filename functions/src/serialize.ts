@@ -0,0 +1,26 @@
+import * as admin from "firebase-admin";
+
+/**
+ * Convert Firestore data into plain JSON for callable responses: Timestamps
+ * become epoch milliseconds and references become their paths, so clients
+ * never see the SDK's internal `_seconds`/`_nanoseconds` encoding.
+ * @param {unknown} value - Firestore document data or a value inside it
+ * @return {unknown} The JSON-safe value
+ */
+export function toCallableData(value: unknown): unknown {
+  if (value instanceof admin.firestore.Timestamp) {
+    return value.toMillis();
+  }
+  if (value instanceof admin.firestore.DocumentReference) {
+    return value.path;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toCallableData);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toCallableData(item)])
+    );
+  }
+  return value;
+}
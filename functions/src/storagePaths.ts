@@ -0,0 +1,9 @@
+/**
+ * Extract the object path from a Firebase Storage download URL
+ * @param {string} fileUrl - The Firebase Storage download URL
+ * @return {string} The object path inside the default bucket
+ */
+export function getStoragePathFromUrl(fileUrl: string): string {
+  const decodedUrl = decodeURIComponent(fileUrl);
+  return decodedUrl.split("/o/")[1].split("?")[0];
+}
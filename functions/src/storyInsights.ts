@@ -0,0 +1,254 @@
+import * as admin from "firebase-admin";
+import {
+  PermanencePolicy,
+  calculateLogarithmicDuration,
+  getPermanenceTier,
+} from "./permanencePolicy";
+
+/**
+ * Analytics for getStoryInsights, computed from the aggregates that
+ * aggregateStoryEngagement maintains (story counters, the hourly timeline
+ * document and per-viewer records) instead of scanning raw events.
+ */
+
+export interface TimelineBucket {
+  hour: number;
+  views: number;
+  interactions: number;
+}
+
+export interface EngagementTotals {
+  uniqueViewers: number;
+  likes: number;
+  comments: number;
+  shares: number;
+  score: number;
+}
+
+export interface ProjectionPoint {
+  extraViewers: number;
+  hours: number;
+  tier: string;
+}
+
+export interface TierProjection {
+  currentTier: string;
+  currentHours: number;
+  nextTier: string | null;
+  nextTierAtHours: number | null;
+  additionalViewersNeeded: number | null;
+  additionalLikesNeeded: number | null;
+  curve: ProjectionPoint[];
+}
+
+export interface PastStoryComparison {
+  storiesCompared: number;
+  averageViewers: number;
+  averageScore: number;
+  viewersVsAverage: number | null;
+  scorePercentile: number | null;
+}
+
+// Hours always covered by the timeline, even for a brand new story
+const MIN_TIMELINE_HOURS = 24;
+
+// Engagement later than this after posting lands in the last hourly bucket
+export const MAX_TIMELINE_HOURS = 720;
+
+// Extra unique viewers sampled for the projected expiry curve
+const PROJECTION_STEPS = [0, 1, 5, 10, 25, 50, 100];
+
+// Give up searching for the next tier beyond this much extra engagement
+const MAX_PROJECTION_SEARCH = 1000;
+
+// Number of the owner's previous stories used for comparisons
+export const PAST_STORIES_COMPARED = 20;
+
+/**
+ * Hourly timeline bucket that an engagement event falls into
+ * @param {number} postedAtMs - When the story was posted
+ * @param {number} eventAtMs - When the engagement happened
+ * @return {number} Whole hours since posting, capped to the timeline length
+ */
+export function getTimelineHour(postedAtMs: number, eventAtMs: number): number {
+  const hour = Math.floor((eventAtMs - postedAtMs) / (60 * 60 * 1000));
+  return Math.min(Math.max(hour, 0), MAX_TIMELINE_HOURS - 1);
+}
+
+/**
+ * Turn the hourly timeline buckets into a dense hour-by-hour series
+ * @param {object} buckets - Hour offset since posting to counts by type
+ * @param {number} hoursElapsed - Hours since the story was posted
+ * @return {TimelineBucket[]} One entry per hour since posting
+ */
+export function buildTimeline(
+  buckets: Record<string, Record<string, number>>,
+  hoursElapsed: number
+): TimelineBucket[] {
+  const lastBucket = Math.max(-1, ...Object.keys(buckets).map(Number));
+  const hours = Math.max(
+    MIN_TIMELINE_HOURS,
+    Math.min(Math.ceil(hoursElapsed), MAX_TIMELINE_HOURS),
+    lastBucket + 1
+  );
+
+  return Array.from({length: hours}, (_, hour) => {
+    const counts = buckets[String(hour)] || {};
+    return {
+      hour,
+      views: counts.views || 0,
+      interactions: (counts.likes || 0) + (counts.comments || 0) +
+        (counts.shares || 0) + (counts.saves || 0),
+    };
+  });
+}
+
+/**
+ * Viewer retention: how many distinct viewers came back for another look
+ * @param {admin.firestore.DocumentData} engagement - Story counters
+ * @return {object} Unique and returning viewers and the retention rate
+ */
+export function buildRetention(engagement: admin.firestore.DocumentData): {
+  uniqueViewers: number;
+  returningViewers: number;
+  retentionRate: number;
+} {
+  const uniqueViewers = engagement.uniqueViewers || 0;
+  const returningViewers = engagement.returningViewers || 0;
+  return {
+    uniqueViewers,
+    returningViewers,
+    retentionRate: uniqueViewers > 0 ? returningViewers / uniqueViewers : 0,
+  };
+}
+
+/**
+ * Project how the story's expiry responds to more engagement and how much
+ * is needed to reach the next permanence tier
+ * @param {PermanencePolicy} policy - The live permanence policy
+ * @param {EngagementTotals} totals - The story's current scored engagement
+ * @return {TierProjection} The current tier, next tier and expiry curve
+ */
+export function projectNextTier(
+  policy: PermanencePolicy,
+  totals: EngagementTotals
+): TierProjection {
+  const hoursFor = (extraViewers: number, extraLikes: number): number =>
+    calculateLogarithmicDuration(
+      policy,
+      totals.score +
+        extraViewers * (policy.eventWeights.views ?? 0) +
+        extraLikes * (policy.eventWeights.likes ?? 0),
+      totals.uniqueViewers + extraViewers,
+      totals.likes + extraLikes,
+      totals.comments,
+      totals.shares
+    ) / (60 * 60 * 1000);
+
+  const currentHours = hoursFor(0, 0);
+  const currentTier = getPermanenceTier(policy, currentHours * 60 * 60 * 1000);
+  const tierIndex = policy.tiers.findIndex((tier) => tier.name === currentTier);
+  const current = policy.tiers[tierIndex];
+  const next = policy.tiers[tierIndex + 1];
+
+  const neededFor = (extra: (count: number) => number): number | null => {
+    if (!next || current.maxHours === null) return null;
+    for (let count = 1; count <= MAX_PROJECTION_SEARCH; count++) {
+      if (extra(count) > current.maxHours) return count;
+    }
+    return null;
+  };
+
+  return {
+    currentTier,
+    currentHours: round(currentHours),
+    nextTier: next?.name ?? null,
+    nextTierAtHours: current.maxHours,
+    additionalViewersNeeded: neededFor((count) => hoursFor(count, 0)),
+    additionalLikesNeeded: neededFor((count) => hoursFor(0, count)),
+    curve: PROJECTION_STEPS.map((extraViewers) => {
+      const hours = hoursFor(extraViewers, 0);
+      return {
+        extraViewers,
+        hours: round(hours),
+        tier: getPermanenceTier(policy, hours * 60 * 60 * 1000),
+      };
+    }),
+  };
+}
+
+/**
+ * Compare a story against the owner's previous stories
+ * @param {EngagementTotals} totals - The story's scored engagement
+ * @param {EngagementTotals[]} past - The owner's previous stories
+ * @return {PastStoryComparison} Averages and where this story ranks
+ */
+export function compareWithPastStories(
+  totals: EngagementTotals,
+  past: EngagementTotals[]
+): PastStoryComparison {
+  if (past.length === 0) {
+    return {
+      storiesCompared: 0,
+      averageViewers: 0,
+      averageScore: 0,
+      viewersVsAverage: null,
+      scorePercentile: null,
+    };
+  }
+
+  const averageViewers =
+    past.reduce((sum, story) => sum + story.uniqueViewers, 0) / past.length;
+  const averageScore =
+    past.reduce((sum, story) => sum + story.score, 0) / past.length;
+  const beaten = past.filter((story) => story.score < totals.score).length;
+
+  return {
+    storiesCompared: past.length,
+    averageViewers: round(averageViewers),
+    averageScore: round(averageScore),
+    viewersVsAverage: averageViewers > 0 ?
+      round(totals.uniqueViewers / averageViewers) :
+      null,
+    scorePercentile: Math.round((beaten / past.length) * 100),
+  };
+}
+
+/**
+ * Engagement totals of a story, preferring the server-scored values
+ * @param {admin.firestore.DocumentData} story - Story document data
+ * @return {EngagementTotals} The story's engagement totals
+ */
+export function getEngagementTotals(
+  story: admin.firestore.DocumentData
+): EngagementTotals {
+  const scored = story.permanence?.scoredEngagement;
+  const engagement = story.engagement || {};
+
+  if (scored) {
+    return {
+      uniqueViewers: scored.uniqueViewers || 0,
+      likes: scored.likes || 0,
+      comments: scored.comments || 0,
+      shares: scored.shares || 0,
+      score: scored.score || 0,
+    };
+  }
+
+  return {
+    uniqueViewers: engagement.uniqueViewers ?? engagement.views ?? 0,
+    likes: engagement.likes || 0,
+    comments: engagement.comments || 0,
+    shares: engagement.shares || 0,
+    score: story.totalEngagementScore || 0,
+  };
+}
+
+/**
+ * Round to two decimals for display
+ * @param {number} value - The value to round
+ * @return {number} The rounded value
+ */
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,537 @@
+import * as admin from "firebase-admin";
+import * as logger from "firebase-functions/logger";
+import {HttpsError, onCall} from "firebase-functions/v2/https";
+import {ID_PATTERN, RequestSchema, validateCallable} from "./validation";
+
+/**
+ * Server-side streak engine for user_streaks. Progress fields are written
+ * only here: qualifying days come from meal logs and completed fasts (see
+ * the triggers in index.ts) or from completeStreakDay for streak types the
+ * backend cannot observe. Days are counted in the user's own time zone.
+ *
+ * A streak survives a missed day while it has freeze tokens, earned one per
+ * FREEZE_EARN_DAYS days in a row. Activity shortly after local midnight can
+ * still count for the previous day during the streak's grace period.
+ * closeBrokenStreaks resets streaks that missed a day with no token left;
+ * best_streak and its first and last days keep the longest-streak record.
+ */
+
+// Streak types fed by backend triggers rather than check-ins
+export const AUTOMATIC_STREAK_TYPES = ["fasting", "mealLogging"] as const;
+export type AutomaticStreakType = typeof AUTOMATIC_STREAK_TYPES[number];
+
+export const USER_STREAKS_COLLECTION = "user_streaks";
+
+// Hours after local midnight that still count for the previous day, unless
+// the streak's settings.grace_hours says otherwise
+const DEFAULT_GRACE_HOURS = 2;
+const MAX_GRACE_HOURS = 6;
+
+const FREEZE_EARN_DAYS = 7;
+const MAX_FREEZE_TOKENS = 2;
+
+// Entries of completed_dates and frozen_days kept on the streak
+const STREAK_HISTORY_LENGTH = 90;
+
+const DEFAULT_TIMEZONE = "UTC";
+
+// Streaks created for users who have none of an automatic type yet
+const DEFAULT_STREAK_DETAILS: Record<
+  AutomaticStreakType,
+  {title: string; description: string}
+> = {
+  fasting: {
+    title: "Fasting Streak",
+    description: "Complete a fast every day",
+  },
+  mealLogging: {
+    title: "Meal Logging Streak",
+    description: "Log at least one meal every day",
+  },
+};
+
+type StreakData = admin.firestore.DocumentData;
+
+interface CompleteStreakDayRequest {
+  streakId: string;
+}
+
+const completeStreakDaySchema: RequestSchema = {
+  streakId: {type: "string", required: true, pattern: ID_PATTERN},
+};
+
+/**
+ * Record qualifying activity for every active streak of a type, creating
+ * the user's streak of that type if they have none
+ * @param {string} uid - The user
+ * @param {AutomaticStreakType} type - The streak type the activity feeds
+ * @param {Date} at - When the activity happened, by the server clock
+ * @return {Promise<number>} How many streaks were updated
+ */
+export async function recordStreakActivity(
+  uid: string,
+  type: AutomaticStreakType,
+  at: Date
+): Promise<number> {
+  const db = admin.firestore();
+  const timezone = await getUserTimezone(uid);
+  const streaks = db.collection(USER_STREAKS_COLLECTION);
+
+  return db.runTransaction(async (transaction) => {
+    const existing = await transaction.get(
+      streaks
+        .where("user_id", "==", uid)
+        .where("type", "==", type)
+        .where("is_active", "==", true)
+    );
+
+    if (existing.empty) {
+      // A default streak the user switched off stays off
+      const defaultRef = streaks.doc(`${uid}_${type}`);
+      if ((await transaction.get(defaultRef)).exists) return 0;
+
+      const details = DEFAULT_STREAK_DETAILS[type];
+      const streak = newStreak(uid, type, details.title, details.description);
+      transaction.set(defaultRef, {
+        ...streak,
+        ...applyActivity(streak, at, timezone),
+      });
+      return 1;
+    }
+
+    let updated = 0;
+    for (const doc of existing.docs) {
+      const changes = applyActivity(doc.data(), at, timezone);
+      if (changes) {
+        transaction.update(doc.ref, changes);
+        updated++;
+      }
+    }
+    return updated;
+  });
+}
+
+/**
+ * Check a streak for days missed since its last qualifying day, spending
+ * freeze tokens to cover them or resetting the streak when they run out
+ * @param {admin.firestore.DocumentReference} streakRef - The streak
+ * @return {Promise<string | null>} "frozen", "broken" or null if intact
+ */
+export async function closeMissedStreakDays(
+  streakRef: admin.firestore.DocumentReference
+): Promise<"frozen" | "broken" | null> {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const streakDoc = await transaction.get(streakRef);
+    const streak = streakDoc.data();
+    if (!streak?.user_id) return null;
+
+    const timezone = await getUserTimezone(streak.user_id);
+    const changes = getMissedDayChanges(streak, new Date(), timezone);
+    if (!changes) return null;
+
+    transaction.update(streakRef, changes);
+    return changes.current_streak === 0 ? "broken" : "frozen";
+  });
+}
+
+/**
+ * Set up the members' own streaks for a new shared streak. Only members of
+ * the shared streak's health group, creator included, take part.
+ * @param {admin.firestore.DocumentSnapshot} sharedDoc - The shared streak
+ * @return {Promise<void>} Resolves once the member streaks exist
+ */
+export async function createMemberStreaks(
+  sharedDoc: admin.firestore.DocumentSnapshot
+): Promise<void> {
+  const db = admin.firestore();
+  const shared = sharedDoc.data();
+  if (!shared?.group_id || !shared.created_by) return;
+
+  const groupDoc = await db
+    .collection("health_groups")
+    .doc(shared.group_id)
+    .get();
+  const groupMembers: string[] = groupDoc.get("member_ids") || [];
+
+  if (!groupMembers.includes(shared.created_by)) {
+    logger.warn(
+      `Shared streak ${sharedDoc.id} was created by ${shared.created_by}, ` +
+      `who is not in group ${shared.group_id}`
+    );
+    await sharedDoc.ref.update({is_active: false});
+    return;
+  }
+
+  const requested: string[] = Array.isArray(shared.member_ids) ?
+    shared.member_ids :
+    [];
+  const memberIds = requested.filter((id) => groupMembers.includes(id));
+  const streaks = db.collection(USER_STREAKS_COLLECTION);
+  const batch = db.batch();
+  const memberStreakIds: Record<string, string> = {};
+
+  for (const memberId of memberIds) {
+    const streakRef = streaks.doc(`${memberId}_shared_${sharedDoc.id}`);
+    batch.set(streakRef, newStreak(
+      memberId,
+      shared.type,
+      `${shared.title} (Shared)`,
+      shared.description ?? "",
+      {
+        ...(shared.settings || {}),
+        shared_streak: true,
+        group_id: shared.group_id,
+        shared_streak_id: sharedDoc.id,
+      }
+    ));
+    memberStreakIds[memberId] = streakRef.id;
+  }
+
+  batch.update(sharedDoc.ref, {
+    member_ids: memberIds,
+    member_streak_ids: memberStreakIds,
+  });
+  await batch.commit();
+}
+
+/**
+ * Check in today's progress on one of the caller's streaks whose type the
+ * backend cannot observe, such as workouts or water intake. The day is
+ * taken from the server clock in the caller's time zone.
+ */
+export const completeStreakDay = onCall(async (request) => {
+  const {uid, data} = validateCallable<CompleteStreakDayRequest>(
+    request,
+    completeStreakDaySchema
+  );
+  const db = admin.firestore();
+  const streakRef = db.collection(USER_STREAKS_COLLECTION).doc(data.streakId);
+  const timezone = await getUserTimezone(uid);
+
+  return db.runTransaction(async (transaction) => {
+    const streakDoc = await transaction.get(streakRef);
+    const streak = streakDoc.data();
+    if (!streak || streak.user_id !== uid) {
+      throw new HttpsError("not-found", "Streak not found.");
+    }
+    if (!streak.is_active) {
+      throw new HttpsError("failed-precondition", "This streak has ended.");
+    }
+    if ((AUTOMATIC_STREAK_TYPES as readonly string[]).includes(streak.type)) {
+      throw new HttpsError(
+        "failed-precondition",
+        "This streak is updated automatically from your activity."
+      );
+    }
+
+    const changes = applyActivity(streak, new Date(), timezone);
+    if (changes) transaction.update(streakRef, changes);
+
+    const updated = {...streak, ...changes};
+    return {
+      id: streakRef.id,
+      currentStreak: updated.current_streak,
+      bestStreak: updated.best_streak,
+      freezeTokens: updated.freeze_tokens ?? 0,
+      lastQualifiedDay: updated.last_qualified_day ?? null,
+    };
+  });
+});
+
+/**
+ * A streak with no progress yet, in the app's StreakData layout
+ * @param {string} uid - The owner
+ * @param {string} type - The streak type
+ * @param {string} title - Display title
+ * @param {string} description - Display description
+ * @param {Record<string, unknown>} settings - Streak settings
+ * @return {StreakData} The streak fields
+ */
+function newStreak(
+  uid: string,
+  type: string,
+  title: string,
+  description: string,
+  settings: Record<string, unknown> = {}
+): StreakData {
+  const now = admin.firestore.Timestamp.now();
+  return {
+    user_id: uid,
+    type,
+    title,
+    description,
+    current_streak: 0,
+    best_streak: 0,
+    last_updated: now,
+    start_date: now,
+    settings,
+    completed_dates: [],
+    is_active: true,
+    freeze_tokens: 0,
+    frozen_days: [],
+    last_qualified_day: null,
+    last_qualified_at: null,
+  };
+}
+
+/**
+ * The streak changes for one piece of qualifying activity. Activity for a
+ * day that already counted only updates the day's activity count.
+ * @param {StreakData} streak - The streak
+ * @param {Date} at - When the activity happened
+ * @param {string} timezone - The user's time zone
+ * @return {StreakData | null} Fields to update, or null for none
+ */
+export function applyActivity(
+  streak: StreakData,
+  at: Date,
+  timezone: string
+): StreakData | null {
+  const last: string | null = streak.last_qualified_day ?? null;
+  const day = getQualifyingDay(at, timezone, getGraceHours(streak), last);
+  if (last && day < last) return null;
+
+  const required = Math.max(1, Number(streak.settings?.daily_target) || 1);
+  const count = streak.day_activity?.day === day ?
+    (streak.day_activity.count || 0) + 1 :
+    1;
+  const changes: StreakData = {
+    day_activity: {day, count},
+    last_updated: admin.firestore.Timestamp.fromDate(at),
+  };
+  if (day === last || count < required) return changes;
+
+  const missed = last ? daysBetween(last, day) - 1 : 0;
+  let tokens = streak.freeze_tokens || 0;
+  let current: number;
+  let startDay: string;
+  const frozen: string[] = [];
+
+  if (streak.current_streak > 0 && last && missed <= tokens) {
+    tokens -= missed;
+    for (let i = 1; i <= missed; i++) frozen.push(addDays(last, i));
+    current = streak.current_streak + 1;
+    startDay = streak.streak_start_day ?? day;
+  } else {
+    current = 1;
+    startDay = day;
+  }
+
+  if (current % FREEZE_EARN_DAYS === 0) {
+    tokens = Math.min(MAX_FREEZE_TOKENS, tokens + 1);
+  }
+
+  Object.assign(changes, {
+    current_streak: current,
+    streak_start_day: startDay,
+    last_qualified_day: day,
+    last_qualified_at: admin.firestore.Timestamp.fromDate(at),
+    freeze_tokens: tokens,
+    frozen_days: [...(streak.frozen_days || []), ...frozen]
+      .slice(-STREAK_HISTORY_LENGTH),
+    completed_dates: [
+      ...(streak.completed_dates || []),
+      admin.firestore.Timestamp.fromDate(at),
+    ].slice(-STREAK_HISTORY_LENGTH),
+    timezone,
+  });
+
+  if (current > (streak.best_streak || 0)) {
+    Object.assign(changes, {
+      best_streak: current,
+      best_streak_start_day: startDay,
+      best_streak_end_day: day,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * The streak changes for days missed up to now: covered by freeze tokens
+ * while they last, otherwise the streak resets. A day is only missed once
+ * its grace period has passed.
+ * @param {StreakData} streak - The streak
+ * @param {Date} now - The current time
+ * @param {string} timezone - The user's time zone
+ * @return {StreakData | null} Fields to update, or null if nothing missed
+ */
+export function getMissedDayChanges(
+  streak: StreakData,
+  now: Date,
+  timezone: string
+): StreakData | null {
+  const last: string | null = streak.last_qualified_day ?? null;
+  if (!(streak.current_streak > 0) || !last) return null;
+
+  const openDays = getLocalHour(now, timezone) < getGraceHours(streak) ? 2 : 1;
+  const lastRequired = addDays(getLocalDay(now, timezone), -openDays);
+  const missed = daysBetween(last, lastRequired);
+  if (missed <= 0) return null;
+
+  const tokens = streak.freeze_tokens || 0;
+  const updatedAt = admin.firestore.Timestamp.fromDate(now);
+
+  if (missed <= tokens) {
+    const frozen: string[] = [];
+    for (let i = 1; i <= missed; i++) frozen.push(addDays(last, i));
+    return {
+      freeze_tokens: tokens - missed,
+      frozen_days: [...(streak.frozen_days || []), ...frozen]
+        .slice(-STREAK_HISTORY_LENGTH),
+      last_qualified_day: lastRequired,
+      last_qualified_at: updatedAt,
+      last_updated: updatedAt,
+    };
+  }
+
+  return {
+    current_streak: 0,
+    streak_start_day: null,
+    last_qualified_at: null,
+    last_broken_streak: streak.current_streak,
+    broken_at: updatedAt,
+    last_updated: updatedAt,
+  };
+}
+
+/**
+ * The day an activity counts for: its local calendar day, or the previous
+ * day during the grace period if that day has not qualified yet
+ * @param {Date} at - When the activity happened
+ * @param {string} timezone - The user's time zone
+ * @param {number} graceHours - Grace period after local midnight
+ * @param {string | null} lastQualifiedDay - Last day that qualified
+ * @return {string} The day as YYYY-MM-DD
+ */
+export function getQualifyingDay(
+  at: Date,
+  timezone: string,
+  graceHours: number,
+  lastQualifiedDay: string | null
+): string {
+  const day = getLocalDay(at, timezone);
+  const previousDay = addDays(day, -1);
+
+  if (
+    getLocalHour(at, timezone) < graceHours &&
+    (!lastQualifiedDay || lastQualifiedDay < previousDay)
+  ) {
+    return previousDay;
+  }
+  return day;
+}
+
+/**
+ * The time zone streak days are counted in: the health profile's, then the
+ * quiet hours', then UTC
+ * @param {string} uid - The user
+ * @return {Promise<string>} IANA time zone
+ */
+export async function getUserTimezone(uid: string): Promise<string> {
+  const db = admin.firestore();
+  const [profileDoc, settingsDoc] = await Promise.all([
+    db.collection("health_profiles").doc(uid).get(),
+    db.collection("user_settings").doc(uid).get(),
+  ]);
+
+  const candidates = [
+    profileDoc.get("timezone"),
+    settingsDoc.get("notification_settings.quietHours.timezone"),
+  ];
+  return candidates.find(isValidTimezone) ?? DEFAULT_TIMEZONE;
+}
+
+/**
+ * The grace period of a streak in hours
+ * @param {StreakData} streak - The streak
+ * @return {number} Hours after local midnight
+ */
+function getGraceHours(streak: StreakData): number {
+  const hours = Number(streak.settings?.grace_hours ?? DEFAULT_GRACE_HOURS);
+  return Number.isFinite(hours) ?
+    Math.min(MAX_GRACE_HOURS, Math.max(0, hours)) :
+    DEFAULT_GRACE_HOURS;
+}
+
+/**
+ * Whether a value names a time zone this runtime knows
+ * @param {unknown} timezone - The candidate
+ * @return {boolean} True for a valid IANA time zone
+ */
+function isValidTimezone(timezone: unknown): timezone is string {
+  if (typeof timezone !== "string" || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", {timeZone: timezone});
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The local calendar day of a moment
+ * @param {Date} at - The moment
+ * @param {string} timezone - IANA time zone
+ * @return {string} The day as YYYY-MM-DD
+ */
+export function getLocalDay(at: Date, timezone: string): string {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(at);
+}
+
+/**
+ * The local hour of a moment
+ * @param {Date} at - The moment
+ * @param {string} timezone - IANA time zone
+ * @return {number} Hour of the day, 0-23
+ */
+export function getLocalHour(at: Date, timezone: string): number {
+  return Number(new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    hourCycle: "h23",
+  }).format(at));
+}
+
+/**
+ * Shift a YYYY-MM-DD day by a number of days
+ * @param {string} day - The day
+ * @param {number} days - Days to add, negative to go back
+ * @return {string} The shifted day
+ */
+export function addDays(day: string, days: number): string {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD day to another
+ * @param {string} from - The earlier day
+ * @param {string} to - The later day
+ * @return {number} The difference in days
+ */
+export function daysBetween(from: string, to: string): number {
+  return Math.round(
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) /
+    (24 * 60 * 60 * 1000)
+  );
+}
+
+/**
+ * The Monday on or before a YYYY-MM-DD day
+ * @param {string} day - The day
+ * @return {string} Monday as YYYY-MM-DD
+ */
+export function getWeekStart(day: string): string {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
@@ -0,0 +1,180 @@
+import {CallableRequest, HttpsError} from "firebase-functions/v2/https";
+
+/**
+ * Shared validation layer for callable functions. Each callable declares a
+ * schema for its request data and gets back a typed, validated payload
+ * together with the caller's uid.
+ */
+
+// Firebase uids and Firestore auto-generated document ids
+export const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+export type FieldType = "string" | "number" | "boolean" | "object" | "array";
+
+export interface FieldSchema {
+  type: FieldType;
+  required?: boolean;
+  maxLength?: number;
+  pattern?: RegExp;
+  min?: number;
+  max?: number;
+  maxItems?: number;
+  oneOf?: readonly string[];
+}
+
+export type RequestSchema = Record<string, FieldSchema>;
+
+export interface ValidatedRequest<T> {
+  uid: string;
+  data: T;
+}
+
+/**
+ * Ensure the callable was invoked by a signed-in user
+ * @param {CallableRequest} request - The callable request
+ * @return {string} The caller's uid
+ */
+export function requireAuth(request: CallableRequest): string {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new HttpsError(
+      "unauthenticated",
+      "You must be signed in to call this function."
+    );
+  }
+  return uid;
+}
+
+/**
+ * Validate request data against a schema. Unknown fields are dropped so
+ * handlers only ever see what their schema declares.
+ * @param {unknown} data - The raw request data
+ * @param {RequestSchema} schema - The schema to validate against
+ * @return {T} The validated data
+ */
+export function validateData<T>(data: unknown, schema: RequestSchema): T {
+  if (typeof data !== "object" || data === null || Array.isArray(data)) {
+    throw new HttpsError("invalid-argument", "Request data must be an object.");
+  }
+
+  const input = data as Record<string, unknown>;
+  const result: Record<string, unknown> = {};
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const value = input[field];
+
+    if (value === undefined || value === null || value === "") {
+      if (rules.required) {
+        throw new HttpsError(
+          "invalid-argument",
+          `Missing required parameter: ${field}`
+        );
+      }
+      continue;
+    }
+
+    checkField(field, value, rules);
+    result[field] = value;
+  }
+
+  return result as T;
+}
+
+/**
+ * Authenticate the caller and validate the request data in one step
+ * @param {CallableRequest} request - The callable request
+ * @param {RequestSchema} schema - The schema for the request data
+ * @return {ValidatedRequest<T>} The caller's uid and the validated data
+ */
+export function validateCallable<T>(
+  request: CallableRequest,
+  schema: RequestSchema
+): ValidatedRequest<T> {
+  const uid = requireAuth(request);
+  return {uid, data: validateData<T>(request.data, schema)};
+}
+
+/**
+ * Ensure the caller owns the resource they are acting on
+ * @param {string} uid - The caller's uid
+ * @param {string | undefined} ownerId - The uid that owns the resource
+ * @param {string} message - Error message when the check fails
+ */
+export function assertOwner(
+  uid: string,
+  ownerId: string | undefined,
+  message = "You do not have access to this resource."
+): void {
+  if (!ownerId || uid !== ownerId) {
+    throw new HttpsError("permission-denied", message);
+  }
+}
+
+/**
+ * Check a single field against its rules
+ * @param {string} field - The field name, used in error messages
+ * @param {unknown} value - The field value
+ * @param {FieldSchema} rules - The rules for the field
+ */
+function checkField(field: string, value: unknown, rules: FieldSchema): void {
+  const actualType = Array.isArray(value) ? "array" : typeof value;
+  if (actualType !== rules.type) {
+    throw new HttpsError(
+      "invalid-argument",
+      `Parameter ${field} must be a ${rules.type}.`
+    );
+  }
+
+  if (typeof value === "string") {
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+      throw new HttpsError(
+        "invalid-argument",
+        `Parameter ${field} must be at most ${rules.maxLength} characters.`
+      );
+    }
+    if (rules.pattern && !rules.pattern.test(value)) {
+      throw new HttpsError(
+        "invalid-argument",
+        `Parameter ${field} has an invalid format.`
+      );
+    }
+    if (rules.oneOf && !rules.oneOf.includes(value)) {
+      throw new HttpsError(
+        "invalid-argument",
+        `Parameter ${field} must be one of: ${rules.oneOf.join(", ")}.`
+      );
+    }
+  }
+
+  if (
+    Array.isArray(value) &&
+    rules.maxItems !== undefined &&
+    value.length > rules.maxItems
+  ) {
+    throw new HttpsError(
+      "invalid-argument",
+      `Parameter ${field} must have at most ${rules.maxItems} items.`
+    );
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      throw new HttpsError(
+        "invalid-argument",
+        `Parameter ${field} must be a finite number.`
+      );
+    }
+    if (rules.min !== undefined && value < rules.min) {
+      throw new HttpsError(
+        "invalid-argument",
+        `Parameter ${field} must be at least ${rules.min}.`
+      );
+    }
+    if (rules.max !== undefined && value > rules.max) {
+      throw new HttpsError(
+        "invalid-argument",
+        `Parameter ${field} must be at most ${rules.max}.`
+      );
+    }
+  }
+}
@@ -0,0 +1,214 @@
+import {strict as assert} from "assert";
+import * as admin from "firebase-admin";
+import {HttpsError} from "firebase-functions/v2/https";
+import {
+  AI_FALLBACK_CONTENT,
+  AI_FEATURE_SETTINGS,
+  aiGateway,
+  embedText,
+} from "../src/aiGateway";
+import {
+  AI_BREAKER_PATH,
+  AI_LIMITS_FLAG_PATH,
+  AI_RATE_LIMITS,
+} from "../src/aiLimits";
+import {AiProvider} from "../src/aiProviders";
+import {FakeFirestore, useFakeFirestore} from "./fakeFirestore";
+import {assertFailsWith, wrapCallable} from "./helpers";
+
+const call = wrapCallable(aiGateway);
+
+const UID = "user-1";
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * The caller's usage document for today
+ * @param {FakeFirestore} db - The database
+ * @return {Record<string, unknown> | undefined} Its fields
+ */
+function getUsage(db: FakeFirestore): Record<string, unknown> | undefined {
+  const day = new Date().toISOString().slice(0, 10);
+  return db.docs.get(`performance_metrics/ai_usage_${day}_${UID}`);
+}
+
+/**
+ * Open the spend breaker until an hour from now
+ * @param {FakeFirestore} db - The database
+ */
+function openBreaker(db: FakeFirestore): void {
+  db.docs.set(AI_BREAKER_PATH, {
+    state: "open",
+    spent_usd: 100,
+    reset_at: admin.firestore.Timestamp.fromMillis(Date.now() + HOUR_MS),
+  });
+}
+
+/**
+ * A provider whose every call fails with the given error
+ * @param {Error} error - The error
+ * @return {AiProvider} The provider
+ */
+function failingProvider(error: Error): AiProvider {
+  return {
+    name: "failing",
+    chat: () => Promise.reject(error),
+    embed: () => Promise.reject(error),
+  };
+}
+
+describe("aiGateway", () => {
+  let db: FakeFirestore;
+
+  before(() => {
+    process.env.AI_PROVIDER = "fake";
+    // Never sent anywhere, but keeps the secret from warning that it is unset
+    process.env.OPENAI_API_KEY = "unused-by-the-fake-provider";
+  });
+
+  beforeEach(() => {
+    db = useFakeFirestore();
+  });
+
+  after(() => {
+    delete process.env.AI_PROVIDER;
+    delete process.env.OPENAI_API_KEY;
+  });
+
+  it("answers through the fake provider and records usage", async () => {
+    const response = await call({feature: "advice", prompt: "Hello there"});
+
+    assert.equal(response.provider, "fake");
+    assert.equal(response.fallback, false);
+    assert.match(response.content as string, /Hello there/);
+    assert.deepEqual(response.quota, {
+      used: 1,
+      limit: AI_FEATURE_SETTINGS.advice.dailyQuota,
+    });
+    const usage = getUsage(db) as {features: Record<string, {
+      requests: number;
+      total_tokens: number;
+    }>};
+    assert.equal(usage.features.advice.requests, 1);
+    assert.ok(usage.features.advice.total_tokens > 0);
+  });
+
+  it("rejects callers without auth", async () => {
+    await assertFailsWith(
+      call({feature: "advice", prompt: "Hello"}, null),
+      "unauthenticated"
+    );
+  });
+
+  it("enforces the daily quota", async () => {
+    const limit = AI_FEATURE_SETTINGS.advice.dailyQuota;
+    const day = new Date().toISOString().slice(0, 10);
+    db.docs.set(`performance_metrics/ai_usage_${day}_${UID}`, {
+      features: {advice: {requests: limit - 1}},
+    });
+
+    const response = await call({feature: "advice", prompt: "Last one"});
+    assert.deepEqual(response.quota, {used: limit, limit});
+
+    await assertFailsWith(
+      call({feature: "advice", prompt: "One too many"}),
+      "resource-exhausted"
+    );
+  });
+
+  it("rate limits bursts per user and feature", async () => {
+    const {capacity} = AI_RATE_LIMITS.review_summary;
+    for (let i = 0; i < capacity; i++) {
+      await call({feature: "review_summary", prompt: `Summary ${i}`});
+    }
+
+    await assertFailsWith(
+      call({feature: "review_summary", prompt: "Summary again"}),
+      "resource-exhausted"
+    );
+    // Other features have their own buckets
+    await call({feature: "advice", prompt: "Still allowed"});
+  });
+
+  it("serves fallback content while the breaker is open", async () => {
+    openBreaker(db);
+
+    const response = await call({feature: "advice", prompt: "Any advice?"});
+    assert.equal(response.provider, "fallback");
+    assert.equal(response.fallback, true);
+    assert.equal(response.content, AI_FALLBACK_CONTENT.advice);
+    assert.equal(response.quota, undefined);
+
+    const json = await call({feature: "advice", prompt: "As JSON", json: true});
+    assert.deepEqual(json.json, {});
+  });
+
+  it("serves cached content while the breaker is open", async () => {
+    const fresh = await call({feature: "advice", prompt: "Cache me"});
+    openBreaker(db);
+
+    const cached = await call({feature: "advice", prompt: "Cache me"});
+    assert.equal(cached.provider, "cache");
+    assert.equal(cached.cached, true);
+    assert.equal(cached.fallback, true);
+    assert.equal(cached.content, fresh.content);
+  });
+
+  it("refuses uncached embeddings while the breaker is open", async () => {
+    openBreaker(db);
+
+    await assertFailsWith(
+      call({feature: "embedding", text: "Never embedded"}),
+      "unavailable"
+    );
+  });
+
+  it("opens the breaker once the daily budget is spent", async () => {
+    db.docs.set(AI_LIMITS_FLAG_PATH, {
+      enabled: true,
+      parameters: {daily_budget_usd: 1e-9},
+    });
+
+    const first = await call({feature: "advice", prompt: "Spend it all"});
+    assert.equal(first.fallback, false);
+    assert.equal(db.docs.get(AI_BREAKER_PATH)?.state, "open");
+
+    const second = await call({feature: "advice", prompt: "Anything left?"});
+    assert.equal(second.fallback, true);
+  });
+
+  it("closes the breaker when the budget is raised", async () => {
+    openBreaker(db);
+    db.docs.set(AI_LIMITS_FLAG_PATH, {
+      enabled: true,
+      parameters: {daily_budget_usd: 1000},
+    });
+
+    const response = await call({feature: "advice", prompt: "Back again"});
+    assert.equal(response.fallback, false);
+    assert.equal(db.docs.get(AI_BREAKER_PATH)?.state, "closed");
+  });
+
+  it("gives the quota back when the provider fails", async () => {
+    await call({feature: "embedding", text: "Counted once"});
+
+    await assertFailsWith(
+      embedText(UID, "Never answered", failingProvider(new Error("reset"))),
+      "unavailable"
+    );
+    const usage = getUsage(db) as {features: Record<string, {
+      requests: number;
+      errors: number;
+    }>};
+    assert.equal(usage.features.embedding.requests, 1);
+    assert.equal(usage.features.embedding.errors, 1);
+  });
+
+  it("passes the provider's own errors through", async () => {
+    const error = new HttpsError("failed-precondition", "Not configured.");
+
+    await assertFailsWith(
+      embedText(UID, "Not configured", failingProvider(error)),
+      "failed-precondition"
+    );
+  });
+});
@@ -0,0 +1,585 @@
+import * as admin from "firebase-admin";
+
+/**
+ * An in-memory stand-in for the parts of Firestore the functions under test
+ * use: documents by path, merged sets, updates, transactions, batches,
+ * simple queries and the increment, serverTimestamp and delete field
+ * values. There is no emulator in the test run, so useFakeFirestore points
+ * the default app's firestore() at one. Transactions run one at a time and
+ * apply their writes when they resolve.
+ */
+
+type DocumentData = Record<string, unknown>;
+
+type FilterOp = "==" | "!=" | "<" | "<=" | ">" | ">=" | "in";
+
+interface Filter {
+  fieldPath: string;
+  op: FilterOp;
+  value: unknown;
+}
+
+let nextAutoId = 0;
+
+/**
+ * Whether a value is a map field rather than a Timestamp, FieldValue or
+ * array
+ * @param {unknown} value - The value
+ * @return {boolean} True for a plain object
+ */
+function isMap(value: unknown): value is DocumentData {
+  return value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * The value a field ends up with when written
+ * @param {unknown} value - The value written, possibly a FieldValue
+ * @param {unknown} current - The field's current value
+ * @return {unknown} The new value, undefined to delete the field
+ */
+function resolveValue(value: unknown, current: unknown): unknown {
+  if (!(value instanceof admin.firestore.FieldValue)) return value;
+
+  const {methodName, operand} = value as unknown as {
+    methodName: string;
+    operand?: number;
+  };
+  switch (methodName) {
+  case "FieldValue.increment":
+    return (typeof current === "number" ? current : 0) + (operand ?? 0);
+  case "FieldValue.serverTimestamp":
+    return admin.firestore.Timestamp.now();
+  case "FieldValue.delete":
+    return undefined;
+  default:
+    throw new Error(`${methodName} is not supported by the fake`);
+  }
+}
+
+/**
+ * Write fields into a document, merging nested maps
+ * @param {DocumentData} target - The document's current fields
+ * @param {DocumentData} data - The fields written
+ * @return {DocumentData} The new fields
+ */
+function mergeFields(target: DocumentData, data: DocumentData): DocumentData {
+  const result = {...target};
+  for (const [key, value] of Object.entries(data)) {
+    const current = result[key];
+    const resolved = isMap(value) ?
+      mergeFields(isMap(current) ? current : {}, value) :
+      resolveValue(value, current);
+    if (resolved === undefined) {
+      delete result[key];
+    } else {
+      result[key] = resolved;
+    }
+  }
+  return result;
+}
+
+/**
+ * Read a field by its dotted path
+ * @param {DocumentData | undefined} data - The document's fields
+ * @param {string} fieldPath - The path, e.g. "features.advice.requests"
+ * @return {unknown} The value, or undefined if missing
+ */
+function getField(
+  data: DocumentData | undefined,
+  fieldPath: string
+): unknown {
+  let value: unknown = data;
+  for (const segment of fieldPath.split(".")) {
+    if (!isMap(value)) return undefined;
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * A document as read
+ */
+export class FakeSnapshot {
+  /**
+   * @param {FakeDocument} ref - The document
+   * @param {DocumentData | undefined} fields - The fields, if it exists
+   * @param {admin.firestore.Timestamp} createTime - When it was created
+   */
+  constructor(
+    readonly ref: FakeDocument,
+    private fields?: DocumentData,
+    readonly createTime?: admin.firestore.Timestamp
+  ) {}
+
+  /**
+   * The document id
+   * @return {string} The id
+   */
+  get id(): string {
+    return this.ref.id;
+  }
+
+  /**
+   * Whether the document exists
+   * @return {boolean} True if it does
+   */
+  get exists(): boolean {
+    return this.fields !== undefined;
+  }
+
+  /**
+   * The document's fields
+   * @return {DocumentData | undefined} The fields, if it exists
+   */
+  data(): DocumentData | undefined {
+    return this.fields;
+  }
+
+  /**
+   * A field by its dotted path
+   * @param {string} fieldPath - The path
+   * @return {unknown} The value, or undefined if missing
+   */
+  get(fieldPath: string): unknown {
+    return getField(this.fields, fieldPath);
+  }
+}
+
+/**
+ * A document reference
+ */
+export class FakeDocument {
+  /**
+   * @param {FakeFirestore} db - The database
+   * @param {string} path - The document's path
+   */
+  constructor(readonly db: FakeFirestore, readonly path: string) {}
+
+  /**
+   * The document id
+   * @return {string} The last segment of its path
+   */
+  get id(): string {
+    return this.path.split("/").pop() as string;
+  }
+
+  /**
+   * Read the document
+   * @return {Promise<FakeSnapshot>} Its snapshot
+   */
+  async get(): Promise<FakeSnapshot> {
+    return new FakeSnapshot(
+      this,
+      this.db.docs.get(this.path),
+      this.db.createTimes.get(this.path)
+    );
+  }
+
+  /**
+   * A subcollection of the document
+   * @param {string} id - The subcollection id
+   * @return {FakeCollection} The subcollection
+   */
+  collection(id: string): FakeCollection {
+    return new FakeCollection(this.db, `${this.path}/${id}`);
+  }
+
+  /**
+   * Write the document
+   * @param {DocumentData} data - The fields
+   * @param {object} options - merge to keep fields not written
+   * @return {Promise<void>} Resolves once written
+   */
+  async set(data: DocumentData, options?: {merge?: boolean}): Promise<void> {
+    const current = options?.merge ? this.db.docs.get(this.path) : undefined;
+    this.db.write(this.path, mergeFields(current ?? {}, data));
+  }
+
+  /**
+   * Write a document that must not exist yet
+   * @param {DocumentData} data - The fields
+   * @return {Promise<void>} Resolves once written
+   */
+  async create(data: DocumentData): Promise<void> {
+    if (this.db.docs.has(this.path)) {
+      throw Object.assign(new Error(`Already exists: ${this.path}`), {
+        code: 6,
+      });
+    }
+    await this.set(data);
+  }
+
+  /**
+   * Update fields of an existing document; keys may be dotted paths
+   * @param {DocumentData} data - The fields
+   * @return {Promise<void>} Resolves once written
+   */
+  async update(data: DocumentData): Promise<void> {
+    const current = this.db.docs.get(this.path);
+    if (!current) throw new Error(`No document to update: ${this.path}`);
+
+    const result = {...current};
+    for (const [fieldPath, value] of Object.entries(data)) {
+      const segments = fieldPath.split(".");
+      const field = segments.pop() as string;
+      let parent = result;
+      for (const segment of segments) {
+        const child = isMap(parent[segment]) ?
+          {...parent[segment] as DocumentData} :
+          {};
+        parent[segment] = child;
+        parent = child;
+      }
+      // The value replaces the field, even when both are maps
+      const resolved = isMap(value) ?
+        mergeFields({}, value) :
+        resolveValue(value, parent[field]);
+      if (resolved === undefined) {
+        delete parent[field];
+      } else {
+        parent[field] = resolved;
+      }
+    }
+    this.db.write(this.path, result);
+  }
+}
+
+/**
+ * The result of a query
+ */
+export class FakeQuerySnapshot {
+  /**
+   * @param {FakeSnapshot[]} docs - The matching documents
+   */
+  constructor(readonly docs: FakeSnapshot[]) {}
+
+  /**
+   * Whether nothing matched
+   * @return {boolean} True if no document matched
+   */
+  get empty(): boolean {
+    return this.docs.length === 0;
+  }
+
+  /**
+   * How many documents matched
+   * @return {number} The count
+   */
+  get size(): number {
+    return this.docs.length;
+  }
+}
+
+/**
+ * A query over the documents directly in a collection, supporting
+ * equality, range and in filters, ordering and a limit
+ */
+export class FakeQuery {
+  /**
+   * @param {FakeFirestore} db - The database
+   * @param {string} path - The collection's path
+   * @param {Filter[]} filters - Filters every match passes
+   * @param {string[]} order - Fields to sort by, ascending
+   * @param {number} max - Most documents returned
+   */
+  constructor(
+    protected db: FakeFirestore,
+    readonly path: string,
+    private filters: Filter[] = [],
+    private order: string[] = [],
+    private max = Infinity
+  ) {}
+
+  /**
+   * The query with another filter
+   * @param {string} fieldPath - The field
+   * @param {FilterOp} op - The operator
+   * @param {unknown} value - The value compared with
+   * @return {FakeQuery} The new query
+   */
+  where(fieldPath: string, op: FilterOp, value: unknown): FakeQuery {
+    return new FakeQuery(
+      this.db,
+      this.path,
+      [...this.filters, {fieldPath, op, value}],
+      this.order,
+      this.max
+    );
+  }
+
+  /**
+   * The query sorted by another field
+   * @param {string} fieldPath - The field
+   * @return {FakeQuery} The new query
+   */
+  orderBy(fieldPath: string): FakeQuery {
+    return new FakeQuery(
+      this.db,
+      this.path,
+      this.filters,
+      [...this.order, fieldPath],
+      this.max
+    );
+  }
+
+  /**
+   * The query returning at most some documents
+   * @param {number} max - The limit
+   * @return {FakeQuery} The new query
+   */
+  limit(max: number): FakeQuery {
+    return new FakeQuery(this.db, this.path, this.filters, this.order, max);
+  }
+
+  /**
+   * Run the query
+   * @return {Promise<FakeQuerySnapshot>} The matching documents
+   */
+  async get(): Promise<FakeQuerySnapshot> {
+    const depth = this.path.split("/").length + 1;
+    const matches = [...this.db.docs.entries()]
+      .filter(([path, data]) =>
+        path.startsWith(`${this.path}/`) &&
+        path.split("/").length === depth &&
+        this.filters.every((filter) => matchesFilter(data, filter)))
+      .sort(([, a], [, b]) => {
+        for (const fieldPath of this.order) {
+          const order = compareValues(
+            getField(a, fieldPath),
+            getField(b, fieldPath)
+          );
+          if (order !== 0) return order;
+        }
+        return 0;
+      })
+      .slice(0, this.max);
+
+    return new FakeQuerySnapshot(await Promise.all(
+      matches.map(([path]) => new FakeDocument(this.db, path).get())
+    ));
+  }
+}
+
+/**
+ * A collection reference
+ */
+export class FakeCollection extends FakeQuery {
+  /**
+   * @param {FakeFirestore} db - The database
+   * @param {string} path - The collection's path
+   */
+  constructor(db: FakeFirestore, path: string) {
+    super(db, path);
+  }
+
+  /**
+   * A document in the collection
+   * @param {string} id - The document id, generated if left out
+   * @return {FakeDocument} The document
+   */
+  doc(id = `auto-${++nextAutoId}`): FakeDocument {
+    return new FakeDocument(this.db, `${this.path}/${id}`);
+  }
+}
+
+/**
+ * Order two field values: numbers, strings and Timestamps by value
+ * @param {unknown} a - One value
+ * @param {unknown} b - The other
+ * @return {number} Negative, zero or positive, as for sort
+ */
+function compareValues(a: unknown, b: unknown): number {
+  const key = (value: unknown) =>
+    value instanceof admin.firestore.Timestamp ? value.toMillis() : value;
+  const [x, y] = [key(a), key(b)] as [number | string, number | string];
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Whether a document passes a query filter. As in Firestore, a missing
+ * field never matches.
+ * @param {DocumentData} data - The document's fields
+ * @param {Filter} filter - The filter
+ * @return {boolean} True if it passes
+ */
+function matchesFilter(data: DocumentData, filter: Filter): boolean {
+  const value = getField(data, filter.fieldPath);
+  if (value === undefined) return false;
+
+  const order = compareValues(value, filter.value);
+  switch (filter.op) {
+  case "==":
+    return order === 0;
+  case "!=":
+    return order !== 0;
+  case "<":
+    return order < 0;
+  case "<=":
+    return order <= 0;
+  case ">":
+    return order > 0;
+  case ">=":
+    return order >= 0;
+  case "in":
+    return (filter.value as unknown[]).some((candidate) =>
+      compareValues(value, candidate) === 0);
+  }
+}
+
+/**
+ * A transaction, reading straight through and queueing its writes
+ */
+export class FakeTransaction {
+  readonly writes: (() => Promise<void>)[] = [];
+
+  /**
+   * Read a document, or run a query
+   * @param {FakeDocument | FakeQuery} ref - The document or query
+   * @return {Promise<FakeSnapshot | FakeQuerySnapshot>} What was read
+   */
+  get(ref: FakeDocument): Promise<FakeSnapshot>;
+  get(ref: FakeQuery): Promise<FakeQuerySnapshot>;
+  /**
+   * @param {FakeDocument | FakeQuery} ref - The document or query
+   * @return {Promise<FakeSnapshot | FakeQuerySnapshot>} What was read
+   */
+  get(
+    ref: FakeDocument | FakeQuery
+  ): Promise<FakeSnapshot | FakeQuerySnapshot> {
+    return ref.get();
+  }
+
+  /**
+   * Queue a write of a document
+   * @param {FakeDocument} ref - The document
+   * @param {DocumentData} data - The fields
+   * @param {object} options - merge to keep fields not written
+   * @return {FakeTransaction} This transaction
+   */
+  set(
+    ref: FakeDocument,
+    data: DocumentData,
+    options?: {merge?: boolean}
+  ): FakeTransaction {
+    this.writes.push(() => ref.set(data, options));
+    return this;
+  }
+
+  /**
+   * Queue an update of a document
+   * @param {FakeDocument} ref - The document
+   * @param {DocumentData} data - The fields
+   * @return {FakeTransaction} This transaction
+   */
+  update(ref: FakeDocument, data: DocumentData): FakeTransaction {
+    this.writes.push(() => ref.update(data));
+    return this;
+  }
+
+  /**
+   * Queue a delete of a document
+   * @param {FakeDocument} ref - The document
+   * @return {FakeTransaction} This transaction
+   */
+  delete(ref: FakeDocument): FakeTransaction {
+    this.writes.push(async () => ref.db.remove(ref.path));
+    return this;
+  }
+}
+
+/**
+ * A write batch: a transaction without reads, applied on commit
+ */
+export class FakeBatch extends FakeTransaction {
+  /**
+   * Apply the queued writes
+   * @return {Promise<void>} Resolves once written
+   */
+  async commit(): Promise<void> {
+    for (const write of this.writes) await write();
+  }
+}
+
+/**
+ * The database: document fields by path
+ */
+export class FakeFirestore {
+  readonly docs = new Map<string, DocumentData>();
+  readonly createTimes = new Map<string, admin.firestore.Timestamp>();
+
+  /**
+   * Store a document's fields, noting when it was created
+   * @param {string} path - The document's path
+   * @param {DocumentData} data - The fields
+   */
+  write(path: string, data: DocumentData): void {
+    if (!this.docs.has(path)) {
+      this.createTimes.set(path, admin.firestore.Timestamp.now());
+    }
+    this.docs.set(path, data);
+  }
+
+  /**
+   * Delete a document
+   * @param {string} path - The document's path
+   */
+  remove(path: string): void {
+    this.docs.delete(path);
+    this.createTimes.delete(path);
+  }
+
+  /**
+   * A collection
+   * @param {string} path - The collection's path
+   * @return {FakeCollection} The collection
+   */
+  collection(path: string): FakeCollection {
+    return new FakeCollection(this, path);
+  }
+
+  /**
+   * A document
+   * @param {string} path - The document's path
+   * @return {FakeDocument} The document
+   */
+  doc(path: string): FakeDocument {
+    return new FakeDocument(this, path);
+  }
+
+  /**
+   * A write batch
+   * @return {FakeBatch} The batch
+   */
+  batch(): FakeBatch {
+    return new FakeBatch();
+  }
+
+  /**
+   * Run a transaction, applying its writes if it resolves
+   * @param {Function} update - The transaction body
+   * @return {Promise<T>} What the body resolved to
+   */
+  async runTransaction<T>(
+    update: (transaction: FakeTransaction) => Promise<T>
+  ): Promise<T> {
+    const transaction = new FakeTransaction();
+    const result = await update(transaction);
+    for (const write of transaction.writes) await write();
+    return result;
+  }
+}
+
+/**
+ * Point the default app's firestore() at a new, empty fake
+ * @return {FakeFirestore} The fake
+ */
+export function useFakeFirestore(): FakeFirestore {
+  const db = new FakeFirestore();
+  const app = admin.apps.length > 0 ?
+    admin.app() :
+    admin.initializeApp({projectId: "demo-snapameal"});
+  (app as unknown as {firestore: () => unknown}).firestore = () => db;
+  return db;
+}
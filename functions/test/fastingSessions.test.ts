@@ -0,0 +1,197 @@
+import {strict as assert} from "assert";
+import {
+  endFast,
+  getClosedStats,
+  getSessionEnding,
+  pauseFast,
+  resumeFast,
+  startFast,
+} from "../src/fastingSessions";
+import {FakeFirestore, useFakeFirestore} from "./fakeFirestore";
+import {assertFailsWith, wrapCallable} from "./helpers";
+
+const start = wrapCallable(startFast);
+const pause = wrapCallable(pauseFast);
+const resume = wrapCallable(resumeFast);
+const end = wrapCallable(endFast);
+
+const UID = "user-1";
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * An open 16 hour session that started some hours ago
+ * @param {number} hoursAgo - How long ago it started
+ * @param {Record<string, unknown>} fields - Other fields
+ * @return {Record<string, unknown>} The session
+ */
+function sessionStarted(
+  hoursAgo: number,
+  fields: Record<string, unknown> = {}
+): Record<string, unknown> {
+  return {
+    user_id: UID,
+    state: "active",
+    actual_start_time: new Date(Date.now() - hoursAgo * HOUR_MS)
+      .toISOString(),
+    planned_duration_ms: 16 * HOUR_MS,
+    paused_times: [],
+    resumed_times: [],
+    total_paused_duration_ms: 0,
+    ...fields,
+  };
+}
+
+describe("fastingSessions", () => {
+  let db: FakeFirestore;
+
+  beforeEach(() => {
+    db = useFakeFirestore();
+  });
+
+  it("starts a fast and points the stats at it", async () => {
+    const session = await start({type: "sixteenEight"});
+
+    assert.equal(session.state, "active");
+    assert.equal(session.planned_duration_ms, 16 * HOUR_MS);
+    assert.equal(
+      db.docs.get(`fasting_sessions/${session.id}`)?.user_id,
+      UID
+    );
+    assert.equal(
+      db.docs.get(`fasting_stats/${UID}`)?.active_session_id,
+      session.id
+    );
+  });
+
+  it("refuses a second open fast", async () => {
+    const session = await start({type: "sixteenEight"});
+    await pause({sessionId: session.id});
+
+    await assertFailsWith(start({type: "omad"}), "failed-precondition");
+  });
+
+  it("starts over a stats pointer to a fast that has ended", async () => {
+    db.docs.set("fasting_sessions/old", sessionStarted(20, {
+      state: "completed",
+    }));
+    db.docs.set(`fasting_stats/${UID}`, {active_session_id: "old"});
+
+    const session = await start({type: "sixteenEight"});
+    assert.notEqual(session.id, "old");
+  });
+
+  it("moves between active and paused", async () => {
+    const session = await start({type: "sixteenEight"});
+
+    const paused = await pause({sessionId: session.id});
+    assert.equal(paused.state, "paused");
+    await assertFailsWith(
+      pause({sessionId: session.id}),
+      "failed-precondition"
+    );
+
+    const resumed = await resume({sessionId: session.id});
+    assert.equal(resumed.state, "active");
+    assert.equal((resumed.resumed_times as string[]).length, 1);
+    await assertFailsWith(
+      resume({sessionId: session.id}),
+      "failed-precondition"
+    );
+  });
+
+  it("keeps other users' fasts to themselves", async () => {
+    db.docs.set("fasting_sessions/theirs", sessionStarted(1, {
+      user_id: "user-2",
+    }));
+
+    await assertFailsWith(pause({sessionId: "theirs"}), "not-found");
+  });
+
+  it("will not complete a fast before its planned duration", async () => {
+    db.docs.set("fasting_sessions/early", sessionStarted(10));
+
+    await assertFailsWith(
+      end({sessionId: "early", reason: "completed"}),
+      "failed-precondition"
+    );
+  });
+
+  it("completes a fast that ran its course", async () => {
+    db.docs.set("fasting_sessions/done", sessionStarted(17));
+    db.docs.set(`fasting_stats/${UID}`, {
+      active_session_id: "done",
+      current_streak: 2,
+      longest_streak: 2,
+    });
+
+    const session = await end({sessionId: "done", reason: "completed"});
+    assert.equal(session.state, "completed");
+    assert.equal(session.current_streak, 3);
+
+    const stats = db.docs.get(`fasting_stats/${UID}`);
+    assert.equal(stats?.active_session_id, null);
+    assert.equal(stats?.current_streak, 3);
+    assert.equal(stats?.longest_streak, 3);
+    assert.equal(stats?.completed_sessions, 1);
+    await assertFailsWith(end({sessionId: "done"}), "failed-precondition");
+  });
+
+  it("breaks the streak when a fast ends early", async () => {
+    db.docs.set("fasting_sessions/short", sessionStarted(4));
+    db.docs.set(`fasting_stats/${UID}`, {
+      active_session_id: "short",
+      current_streak: 5,
+      longest_streak: 5,
+    });
+
+    const session = await end({sessionId: "short", reason: "userBreak"});
+    assert.equal(session.state, "broken");
+    assert.equal(session.end_reason, "userBreak");
+
+    const stats = db.docs.get(`fasting_stats/${UID}`);
+    assert.equal(stats?.current_streak, 0);
+    assert.equal(stats?.longest_streak, 5);
+  });
+
+  describe("getSessionEnding", () => {
+    it("leaves paused time out of the fasted time", () => {
+      const now = new Date();
+      const session = sessionStarted(18, {
+        actual_start_time: new Date(now.getTime() - 18 * HOUR_MS)
+          .toISOString(),
+        state: "paused",
+        total_paused_duration_ms: HOUR_MS,
+        paused_times: [new Date(now.getTime() - 2 * HOUR_MS).toISOString()],
+      });
+
+      const ending = getSessionEnding(session, now, "emergencyBreak");
+      assert.equal(ending.state, "broken");
+      assert.equal(ending.end_reason, "emergencyBreak");
+      assert.equal(ending.total_paused_duration_ms, 3 * HOUR_MS);
+      assert.equal(ending.actual_duration_ms, 15 * HOUR_MS);
+      assert.equal(ending.completion_percentage, 15 / 16);
+    });
+
+    it("completes a fast that reached its target", () => {
+      const ending = getSessionEnding(sessionStarted(16), new Date());
+
+      assert.equal(ending.state, "completed");
+      assert.equal(ending.end_reason, "completed");
+    });
+  });
+
+  describe("getClosedStats", () => {
+    it("keeps a pointer to a different open fast", () => {
+      const stats = getClosedStats(
+        UID,
+        {active_session_id: "newer", best_duration_ms: 20 * HOUR_MS},
+        "older",
+        {state: "completed", actual_duration_ms: 17 * HOUR_MS}
+      );
+
+      assert.equal(stats.active_session_id, "newer");
+      assert.equal(stats.best_duration_ms, 20 * HOUR_MS);
+      assert.equal(stats.last_session_id, "older");
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import {strict as assert} from "assert";
+import * as admin from "firebase-admin";
+import {
+  ChallengeStanding,
+  closeChallenge,
+  getBadges,
+  getChallengeWindow,
+  rankStandings,
+  scoreChallenge,
+} from "../src/healthChallenges";
+import {FakeFirestore, useFakeFirestore} from "./fakeFirestore";
+
+const CHALLENGE_PATH = "health_challenges/challenge-1";
+
+// Midday UTC, before the evening reminders
+const NOW = new Date("2026-03-03T12:00:00Z");
+
+/**
+ * Write a week-long challenge from 1 March with two members
+ * @param {FakeFirestore} db - The database
+ * @param {admin.firestore.DocumentData} fields - Other fields
+ */
+function addChallenge(
+  db: FakeFirestore,
+  fields: admin.firestore.DocumentData
+): void {
+  db.docs.set(CHALLENGE_PATH, {
+    title: "Week of water",
+    status: "active",
+    start_date: admin.firestore.Timestamp.fromDate(
+      new Date("2026-03-01T00:00:00Z")
+    ),
+    end_date: admin.firestore.Timestamp.fromDate(
+      new Date("2026-03-08T00:00:00Z")
+    ),
+    goals: {},
+    participants: [
+      {user_id: "user-1", display_name: "Ann"},
+      {user_id: "user-2", display_name: "Ben"},
+    ],
+    ...fields,
+  });
+}
+
+/**
+ * Write a meal log created at a moment
+ * @param {FakeFirestore} db - The database
+ * @param {string} id - The meal id
+ * @param {string} at - When it was logged, as ISO 8601
+ * @param {number} calories - Its calories
+ */
+function addMeal(
+  db: FakeFirestore,
+  id: string,
+  at: string,
+  calories: number
+): void {
+  const path = `meal_logs/${id}`;
+  db.docs.set(path, {
+    user_id: "user-1",
+    timestamp: Date.parse(at),
+    recognition_result: {total_nutrition: {calories}},
+  });
+  db.createTimes.set(path, admin.firestore.Timestamp.fromDate(new Date(at)));
+}
+
+/**
+ * The challenge as the lifecycle functions read it
+ * @param {FakeFirestore} db - The database
+ * @return {Promise<admin.firestore.DocumentSnapshot>} Its snapshot
+ */
+async function getChallenge(
+  db: FakeFirestore
+): Promise<admin.firestore.DocumentSnapshot> {
+  const snapshot = await db.doc(CHALLENGE_PATH).get();
+  return snapshot as unknown as admin.firestore.DocumentSnapshot;
+}
+
+/**
+ * A standing with a value, unranked
+ * @param {string} userId - The participant
+ * @param {number} value - Days qualified
+ * @return {Omit<ChallengeStanding, "rank" | "tied">} The score
+ */
+function scoreOf(
+  userId: string,
+  value: number
+): Omit<ChallengeStanding, "rank" | "tied"> {
+  return {
+    user_id: userId,
+    display_name: userId,
+    current_value: value,
+    progress: value / 7,
+    is_completed: value >= 6,
+  };
+}
+
+describe("healthChallenges", () => {
+  let db: FakeFirestore;
+
+  beforeEach(() => {
+    db = useFakeFirestore();
+  });
+
+  it("reads the window from either layout", () => {
+    const start = admin.firestore.Timestamp.fromDate(
+      new Date("2026-03-01T00:00:00Z")
+    );
+    const end = admin.firestore.Timestamp.fromDate(
+      new Date("2026-03-15T00:00:00Z")
+    );
+
+    assert.equal(
+      getChallengeWindow({start_date: start, end_date: end})?.totalDays,
+      14
+    );
+    assert.equal(
+      getChallengeWindow({startDate: start, endDate: end})?.totalDays,
+      14
+    );
+    assert.equal(getChallengeWindow({start_date: start}), null);
+  });
+
+  it("ranks ties together", () => {
+    const standings = rankStandings([
+      scoreOf("c", 3),
+      scoreOf("a", 5),
+      scoreOf("b", 5),
+    ]);
+
+    assert.deepEqual(
+      standings.map((s) => [s.user_id, s.rank, s.tied]),
+      [["a", 1, true], ["b", 1, true], ["c", 3, false]]
+    );
+  });
+
+  it("awards badges by rank and attendance", () => {
+    const [first, second] = rankStandings([scoreOf("a", 7), scoreOf("b", 0)]);
+
+    assert.deepEqual(
+      getBadges(first, 7),
+      ["champion", "podium", "finisher", "perfect_attendance"]
+    );
+    assert.deepEqual(getBadges(second, 7), []);
+  });
+
+  it("scores the days members report for app-tracked types", async () => {
+    addChallenge(db, {type: "water"});
+    db.docs.set(`${CHALLENGE_PATH}/participants/user-1`, {
+      reportedDays: [
+        "2026-02-28",
+        "2026-03-01",
+        "2026-03-02",
+        "2026-03-02",
+        "2026-03-05",
+        "not a day",
+      ],
+    });
+    // Reporting days does not make someone a member
+    db.docs.set(`${CHALLENGE_PATH}/participants/user-3`, {
+      reportedDays: ["2026-03-01"],
+    });
+
+    const standings = await scoreChallenge(await getChallenge(db), NOW);
+
+    assert.deepEqual(
+      standings.map((s) => [s.user_id, s.current_value]),
+      [["user-1", 2], ["user-2", 0]]
+    );
+    const participant = db.docs.get(`${CHALLENGE_PATH}/participants/user-1`);
+    assert.equal(participant?.currentValue, 2);
+    assert.equal(participant?.displayName, "Ann");
+    assert.equal((participant?.reportedDays as string[]).length, 6);
+
+    const challenge = db.docs.get(CHALLENGE_PATH) as {
+      participants: {progress: {current_value: number}}[];
+    };
+    assert.equal(challenge.participants[0].progress.current_value, 2);
+  });
+
+  it("scores calorie days close to the daily target", async () => {
+    addChallenge(db, {type: "calories", goals: {daily_target: 2000}});
+    addMeal(db, "breakfast", "2026-03-01T08:00:00Z", 1200);
+    addMeal(db, "dinner", "2026-03-01T19:00:00Z", 900);
+    addMeal(db, "lunch", "2026-03-02T12:00:00Z", 1000);
+    addMeal(db, "feast", "2026-03-03T11:00:00Z", 2500);
+
+    const standings = await scoreChallenge(await getChallenge(db), NOW);
+
+    const ann = standings.find((standing) => standing.user_id === "user-1");
+    assert.equal(ann?.current_value, 1);
+  });
+
+  it("scores no calorie days without a daily target", async () => {
+    addChallenge(db, {type: "calories", targetValue: 14000});
+    addMeal(db, "breakfast", "2026-03-01T08:00:00Z", 14000);
+
+    const standings = await scoreChallenge(await getChallenge(db), NOW);
+
+    assert.ok(standings.every((standing) => standing.current_value === 0));
+  });
+
+  it("closes with final standings and badges", async () => {
+    addChallenge(db, {type: "water"});
+    db.docs.set(`${CHALLENGE_PATH}/participants/user-1`, {
+      reportedDays: [
+        "2026-03-01",
+        "2026-03-02",
+        "2026-03-03",
+        "2026-03-04",
+        "2026-03-05",
+        "2026-03-06",
+      ],
+    });
+
+    await closeChallenge(
+      await getChallenge(db),
+      new Date("2026-03-08T12:00:00Z")
+    );
+
+    const challenge = db.docs.get(CHALLENGE_PATH);
+    assert.equal(challenge?.status, "completed");
+    assert.equal((challenge?.final_standings as unknown[]).length, 2);
+    assert.deepEqual(
+      db.docs.get("users/user-1/badges/challenge-1")?.badges,
+      ["champion", "podium", "finisher"]
+    );
+    assert.equal(
+      db.docs.get(`${CHALLENGE_PATH}/participants/user-2`)?.status,
+      "failed"
+    );
+  });
+});
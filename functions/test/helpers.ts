@@ -0,0 +1,52 @@
+import {strict as assert} from "assert";
+import functionsTest from "firebase-functions-test";
+import {
+  CallableFunction,
+  CallableRequest,
+  HttpsError,
+} from "firebase-functions/v2/https";
+
+/**
+ * Shared helpers for calling the callables under test. They run offline:
+ * firebase-functions-test only wraps them, and Firestore is the in-memory
+ * fake from fakeFirestore.
+ */
+
+export const functions = functionsTest();
+
+/**
+ * A callable as a function taking the request data and the caller
+ * @param {CallableFunction} callable - The callable under test
+ * @return {Function} Calls it with data as uid, with extra token claims;
+ *   a null uid calls it without auth
+ */
+export function wrapCallable(
+  callable: CallableFunction<unknown, unknown>
+): (
+  data: Record<string, unknown>,
+  uid?: string | null,
+  claims?: Record<string, unknown>
+) => Promise<Record<string, unknown>> {
+  const wrapped = functions.wrap(callable);
+  return async (data, uid = "user-1", claims = {}) => await wrapped({
+    data,
+    auth: uid === null ? undefined : {uid, token: {uid, ...claims}},
+  } as unknown as CallableRequest) as Record<string, unknown>;
+}
+
+/**
+ * Assert that a call fails with an HttpsError code
+ * @param {Promise<unknown>} promise - The call
+ * @param {string} code - The expected code
+ * @return {Promise<void>} Resolves once checked
+ */
+export async function assertFailsWith(
+  promise: Promise<unknown>,
+  code: string
+): Promise<void> {
+  await assert.rejects(promise, (error: unknown) => {
+    assert.ok(error instanceof HttpsError);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
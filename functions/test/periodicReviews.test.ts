@@ -0,0 +1,88 @@
+import {strict as assert} from "assert";
+import {
+  generateDueReviews,
+  getPossibleReviewPeriods,
+  getPreviousWindow,
+} from "../src/periodicReviews";
+import {FakeFirestore, useFakeFirestore} from "./fakeFirestore";
+
+const UID = "user-1";
+
+// Monday 2 March 2026, in the morning in UTC
+const MONDAY = new Date("2026-03-02T09:00:00Z");
+
+describe("periodicReviews", () => {
+  let db: FakeFirestore;
+
+  beforeEach(() => {
+    db = useFakeFirestore();
+  });
+
+  it("finds the periods starting somewhere on Earth", () => {
+    assert.deepEqual(
+      getPossibleReviewPeriods(new Date("2026-03-02T13:00:00Z")),
+      ["weekly"]
+    );
+    // Still 1 March west of the date line, already Monday 2 March east of it
+    assert.deepEqual(
+      getPossibleReviewPeriods(MONDAY),
+      ["weekly", "monthly"]
+    );
+    assert.deepEqual(
+      getPossibleReviewPeriods(new Date("2026-03-04T12:00:00Z")),
+      []
+    );
+  });
+
+  it("reviews the period before the current one", () => {
+    assert.deepEqual(getPreviousWindow("weekly", "2026-03-02"), {
+      period: "weekly",
+      startDay: "2026-02-23",
+      endDay: "2026-03-02",
+      days: 7,
+    });
+    assert.deepEqual(getPreviousWindow("monthly", "2026-03-01"), {
+      period: "monthly",
+      startDay: "2026-02-01",
+      endDay: "2026-03-01",
+      days: 28,
+    });
+  });
+
+  it("writes last week's review once", async () => {
+    db.docs.set("meal_logs/meal-1", {
+      user_id: UID,
+      timestamp: Date.parse("2026-02-25T12:00:00Z"),
+    });
+
+    assert.deepEqual(await generateDueReviews(UID, MONDAY), ["weekly"]);
+    const review = db.docs.get(`weekly_reviews/${UID}_2026-02-23`);
+    assert.equal(review?.week_of, "2026-02-23");
+    assert.equal(review?.user_id, UID);
+
+    assert.deepEqual(await generateDueReviews(UID, MONDAY), []);
+  });
+
+  it("waits for the morning in the user's time zone", async () => {
+    db.docs.set(`health_profiles/${UID}`, {timezone: "America/New_York"});
+    db.docs.set("meal_logs/meal-1", {
+      user_id: UID,
+      timestamp: Date.parse("2026-02-25T12:00:00Z"),
+    });
+
+    assert.deepEqual(await generateDueReviews(UID, MONDAY), []);
+  });
+
+  it("skips users with no activity or reviews turned off", async () => {
+    assert.deepEqual(await generateDueReviews(UID, MONDAY), []);
+
+    db.docs.set("meal_logs/meal-1", {
+      user_id: UID,
+      timestamp: Date.parse("2026-02-25T12:00:00Z"),
+    });
+    db.docs.set(`privacy_settings/${UID}`, {
+      aiPreferences: {enableWeeklyReviews: false},
+    });
+    assert.deepEqual(await generateDueReviews(UID, MONDAY), []);
+  });
+});
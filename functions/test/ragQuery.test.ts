@@ -0,0 +1,249 @@
+import {strict as assert} from "assert";
+import * as admin from "firebase-admin";
+import {AddressInfo} from "net";
+import {IncomingHttpHeaders, Server, createServer} from "http";
+import {AI_BREAKER_PATH} from "../src/aiLimits";
+import {ragIndexStats, ragQuery, ragUpsertDocuments} from "../src/ragQuery";
+import {FakeFirestore, useFakeFirestore} from "./fakeFirestore";
+import {assertFailsWith, wrapCallable} from "./helpers";
+
+const query = wrapCallable(ragQuery);
+const upsert = wrapCallable(ragUpsertDocuments);
+const indexStats = wrapCallable(ragIndexStats);
+
+interface StubRequest {
+  path: string;
+  headers: IncomingHttpHeaders;
+  body: Record<string, unknown>;
+}
+
+interface RagPassage {
+  citation: number;
+  id: string;
+  title: string;
+  text: string;
+  score: number;
+}
+
+/**
+ * A stub of the Pinecone index's data plane, recording every request and
+ * answering with whatever the test set in responses, keyed by path
+ */
+class StubIndex {
+  readonly requests: StubRequest[] = [];
+  responses: Record<string, unknown> = {};
+  private server: Server;
+
+  /**
+   * Create the stub, not yet listening
+   */
+  constructor() {
+    this.server = createServer((request, response) => {
+      let body = "";
+      request.on("data", (chunk) => body += chunk);
+      request.on("end", () => {
+        const path = request.url ?? "";
+        this.requests.push({
+          path,
+          headers: request.headers,
+          body: body ? JSON.parse(body) : {},
+        });
+        response.writeHead(200, {"Content-Type": "application/json"});
+        response.end(JSON.stringify(this.responses[path] ?? {}));
+      });
+    });
+  }
+
+  /**
+   * Start listening on a free local port
+   * @return {Promise<string>} The stub's base URL
+   */
+  async start(): Promise<string> {
+    await new Promise<void>((resolve) => {
+      this.server.listen(0, "127.0.0.1", resolve);
+    });
+    const {port} = this.server.address() as AddressInfo;
+    return `http://127.0.0.1:${port}`;
+  }
+
+  /**
+   * Stop listening
+   * @return {Promise<void>} Resolves once closed
+   */
+  stop(): Promise<void> {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /**
+   * The bodies of the requests made to a path
+   * @param {string} path - The path
+   * @return {Record<string, unknown>[]} The bodies, oldest first
+   */
+  bodiesFor(path: string): Record<string, unknown>[] {
+    return this.requests
+      .filter((request) => request.path === path)
+      .map((request) => request.body);
+  }
+}
+
+describe("ragQuery", () => {
+  const index = new StubIndex();
+  let db: FakeFirestore;
+
+  before(async () => {
+    process.env.AI_PROVIDER = "fake";
+    // Never sent anywhere, but keeps the secret from warning that it is unset
+    process.env.OPENAI_API_KEY = "unused-by-the-fake-provider";
+    process.env.PINECONE_API_KEY = "test-pinecone-key";
+    process.env.PINECONE_INDEX_HOST = await index.start();
+  });
+
+  beforeEach(() => {
+    db = useFakeFirestore();
+    index.requests.length = 0;
+    index.responses = {};
+  });
+
+  after(async () => {
+    await index.stop();
+    delete process.env.AI_PROVIDER;
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.PINECONE_API_KEY;
+    delete process.env.PINECONE_INDEX_HOST;
+  });
+
+  it("sends the metadata filters to the index", async () => {
+    await query({
+      question: "High protein breakfast ideas",
+      categories: ["breakfast", " protein "],
+      tags: ["quick"],
+      excludeAllergens: ["peanuts"],
+      minCalories: 100,
+      maxCalories: 400,
+      topK: 2,
+    });
+
+    const [body] = index.bodiesFor("/query");
+    assert.deepEqual(body.filter, {
+      category: {$in: ["breakfast", "protein"]},
+      tags: {$in: ["quick"]},
+      allergens: {$nin: ["peanuts"]},
+      calories_per_100g: {$gte: 100, $lte: 400},
+    });
+    assert.equal(body.topK, 6);
+    assert.equal(body.namespace, "default");
+    assert.equal((body.vector as number[]).length, 1536);
+    assert.equal(index.requests[0].headers["api-key"], "test-pinecone-key");
+  });
+
+  it("leaves the filter out when none is asked for", async () => {
+    await query({question: "What is fiber?"});
+
+    const [body] = index.bodiesFor("/query");
+    assert.equal(body.filter, undefined);
+  });
+
+  it("rejects a calorie range that is upside down", async () => {
+    await assertFailsWith(
+      query({question: "Snacks", minCalories: 500, maxCalories: 100}),
+      "invalid-argument"
+    );
+    assert.equal(index.requests.length, 0);
+  });
+
+  it("re-ranks matches and numbers them for citation", async () => {
+    index.responses["/query"] = {
+      matches: [
+        {
+          id: "closest",
+          score: 0.82,
+          metadata: {title: "Hydration basics", content: "Drink water."},
+        },
+        {
+          id: "on-topic",
+          score: 0.78,
+          metadata: {
+            title: "Oatmeal for breakfast",
+            content: "Oats keep you full.",
+            category: "breakfast",
+            confidence_score: 1,
+          },
+        },
+        {
+          id: "food-profile",
+          score: 0.5,
+          metadata: {
+            food_name: "Oatmeal",
+            category: "grains",
+            calories_per_100g: 68,
+            protein_per_100g: 2.4,
+          },
+        },
+        {id: "too-weak", score: 0.1, metadata: {title: "Oatmeal cookies"}},
+      ],
+    };
+
+    const response = await query({
+      question: "Is oatmeal a good breakfast?",
+      topK: 3,
+    });
+    const passages = response.passages as RagPassage[];
+
+    assert.deepEqual(
+      passages.map(({citation, id}) => [citation, id]),
+      [[1, "on-topic"], [2, "closest"], [3, "food-profile"]]
+    );
+    assert.ok(passages[0].score > passages[1].score);
+    assert.equal(
+      passages[2].text,
+      "Oatmeal (grains) has 68 calories and 2.4g of protein per 100g."
+    );
+  });
+
+  it("returns no passages while the breaker is open", async () => {
+    db.docs.set(AI_BREAKER_PATH, {
+      state: "open",
+      spent_usd: 100,
+      reset_at: admin.firestore.Timestamp.fromMillis(Date.now() + 3600000),
+    });
+
+    const response = await query({question: "Anything on protein?"});
+    assert.deepEqual(response.passages, []);
+    assert.equal(response.fallback, true);
+    assert.equal(index.requests.length, 0);
+  });
+
+  it("only lets admins write to the index", async () => {
+    const documents = [{id: "doc-1", title: "Fiber", content: "Eat beans."}];
+
+    await assertFailsWith(upsert({documents}), "permission-denied");
+    assert.equal(index.requests.length, 0);
+
+    const response = await upsert({documents}, "admin-1", {admin: true});
+    assert.deepEqual(response, {upserted: 1});
+    const [body] = index.bodiesFor("/vectors/upsert");
+    const [vector] = body.vectors as {
+      id: string;
+      metadata: Record<string, unknown>;
+    }[];
+    assert.equal(vector.id, "doc-1");
+    assert.equal(vector.metadata.title, "Fiber");
+    assert.deepEqual(vector.metadata.tags, []);
+  });
+
+  it("reports the index stats", async () => {
+    index.responses["/describe_index_stats"] = {
+      totalVectorCount: 42,
+      dimension: 1536,
+      namespaces: {default: {vectorCount: 42}},
+    };
+
+    const stats = await indexStats({});
+    assert.deepEqual(stats, {
+      totalVectorCount: 42,
+      dimension: 1536,
+      indexFullness: 0,
+      namespaces: {default: {vectorCount: 42}},
+    });
+  });
+});
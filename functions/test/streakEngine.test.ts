@@ -0,0 +1,226 @@
+import {strict as assert} from "assert";
+import * as admin from "firebase-admin";
+import {
+  addDays,
+  applyActivity,
+  daysBetween,
+  getLocalDay,
+  getMissedDayChanges,
+  getWeekStart,
+} from "../src/streakEngine";
+
+type StreakData = admin.firestore.DocumentData;
+
+/**
+ * A streak that last qualified on a day
+ * @param {number} current - Days in a row so far
+ * @param {string | null} last - The last day that qualified
+ * @param {StreakData} fields - Other fields
+ * @return {StreakData} The streak
+ */
+function streakOf(
+  current: number,
+  last: string | null,
+  fields: StreakData = {}
+): StreakData {
+  return {
+    current_streak: current,
+    best_streak: current,
+    streak_start_day: last && addDays(last, 1 - current),
+    last_qualified_day: last,
+    freeze_tokens: 0,
+    frozen_days: [],
+    completed_dates: [],
+    ...fields,
+  };
+}
+
+describe("streakEngine", () => {
+  describe("applyActivity", () => {
+    it("starts a streak on the first qualifying day", () => {
+      const changes = applyActivity(
+        streakOf(0, null),
+        new Date("2026-03-02T12:00:00Z"),
+        "UTC"
+      );
+
+      assert.equal(changes?.current_streak, 1);
+      assert.equal(changes?.streak_start_day, "2026-03-02");
+      assert.equal(changes?.last_qualified_day, "2026-03-02");
+      assert.equal(changes?.best_streak, 1);
+    });
+
+    it("extends the streak on the next day", () => {
+      const changes = applyActivity(
+        streakOf(3, "2026-03-01"),
+        new Date("2026-03-02T12:00:00Z"),
+        "UTC"
+      );
+
+      assert.equal(changes?.current_streak, 4);
+      assert.equal(changes?.streak_start_day, "2026-02-27");
+      assert.equal(changes?.best_streak, 4);
+    });
+
+    it("only counts more activity on a day that already qualified", () => {
+      const streak = streakOf(3, "2026-03-02", {
+        day_activity: {day: "2026-03-02", count: 1},
+      });
+      const changes = applyActivity(
+        streak,
+        new Date("2026-03-02T18:00:00Z"),
+        "UTC"
+      );
+
+      assert.deepEqual(changes?.day_activity, {day: "2026-03-02", count: 2});
+      assert.equal(changes?.current_streak, undefined);
+    });
+
+    it("waits for the daily target before a day qualifies", () => {
+      const streak = streakOf(0, null, {settings: {daily_target: 2}});
+      const first = applyActivity(
+        streak,
+        new Date("2026-03-02T08:00:00Z"),
+        "UTC"
+      );
+      assert.equal(first?.current_streak, undefined);
+
+      const second = applyActivity(
+        {...streak, ...first},
+        new Date("2026-03-02T13:00:00Z"),
+        "UTC"
+      );
+      assert.equal(second?.current_streak, 1);
+    });
+
+    it("covers a missed day with a freeze token", () => {
+      const changes = applyActivity(
+        streakOf(5, "2026-03-01", {freeze_tokens: 1}),
+        new Date("2026-03-03T12:00:00Z"),
+        "UTC"
+      );
+
+      assert.equal(changes?.current_streak, 6);
+      assert.equal(changes?.freeze_tokens, 0);
+      assert.deepEqual(changes?.frozen_days, ["2026-03-02"]);
+    });
+
+    it("restarts after a missed day without a token", () => {
+      const changes = applyActivity(
+        streakOf(5, "2026-03-01"),
+        new Date("2026-03-03T12:00:00Z"),
+        "UTC"
+      );
+
+      assert.equal(changes?.current_streak, 1);
+      assert.equal(changes?.streak_start_day, "2026-03-03");
+      assert.equal(changes?.best_streak, undefined);
+    });
+
+    it("counts activity in the grace period for the previous day", () => {
+      const changes = applyActivity(
+        streakOf(2, "2026-03-01"),
+        new Date("2026-03-03T01:00:00Z"),
+        "UTC"
+      );
+
+      assert.equal(changes?.last_qualified_day, "2026-03-02");
+      assert.equal(changes?.current_streak, 3);
+    });
+
+    it("earns a freeze token every seventh day", () => {
+      const changes = applyActivity(
+        streakOf(6, "2026-03-01"),
+        new Date("2026-03-02T12:00:00Z"),
+        "UTC"
+      );
+
+      assert.equal(changes?.current_streak, 7);
+      assert.equal(changes?.freeze_tokens, 1);
+    });
+
+    it("counts days in the user's time zone", () => {
+      const changes = applyActivity(
+        streakOf(1, "2026-03-01"),
+        new Date("2026-03-03T04:00:00Z"),
+        "America/New_York"
+      );
+
+      assert.equal(changes?.last_qualified_day, "2026-03-02");
+    });
+
+    it("ignores activity for a day before the last one", () => {
+      const changes = applyActivity(
+        streakOf(2, "2026-03-03"),
+        new Date("2026-03-02T12:00:00Z"),
+        "UTC"
+      );
+
+      assert.equal(changes, null);
+    });
+  });
+
+  describe("getMissedDayChanges", () => {
+    it("breaks a streak that missed a day with no token left", () => {
+      const changes = getMissedDayChanges(
+        streakOf(3, "2026-03-01"),
+        new Date("2026-03-03T12:00:00Z"),
+        "UTC"
+      );
+
+      assert.equal(changes?.current_streak, 0);
+      assert.equal(changes?.last_broken_streak, 3);
+    });
+
+    it("spends tokens on missed days while they last", () => {
+      const changes = getMissedDayChanges(
+        streakOf(3, "2026-03-01", {freeze_tokens: 2}),
+        new Date("2026-03-04T12:00:00Z"),
+        "UTC"
+      );
+
+      assert.equal(changes?.freeze_tokens, 0);
+      assert.deepEqual(changes?.frozen_days, ["2026-03-02", "2026-03-03"]);
+      assert.equal(changes?.last_qualified_day, "2026-03-03");
+    });
+
+    it("leaves yesterday open during the grace period", () => {
+      const changes = getMissedDayChanges(
+        streakOf(3, "2026-03-01"),
+        new Date("2026-03-03T01:00:00Z"),
+        "UTC"
+      );
+
+      assert.equal(changes, null);
+    });
+
+    it("leaves broken streaks alone", () => {
+      const changes = getMissedDayChanges(
+        streakOf(0, "2026-02-01"),
+        new Date("2026-03-03T12:00:00Z"),
+        "UTC"
+      );
+
+      assert.equal(changes, null);
+    });
+  });
+
+  describe("days", () => {
+    it("shifts and measures days across month ends", () => {
+      assert.equal(addDays("2026-02-28", 1), "2026-03-01");
+      assert.equal(addDays("2026-03-01", -1), "2026-02-28");
+      assert.equal(daysBetween("2026-02-23", "2026-03-02"), 7);
+    });
+
+    it("starts weeks on Monday", () => {
+      assert.equal(getWeekStart("2026-03-08"), "2026-03-02");
+      assert.equal(getWeekStart("2026-03-02"), "2026-03-02");
+    });
+
+    it("reads the local day in a time zone", () => {
+      const at = new Date("2026-03-02T03:00:00Z");
+      assert.equal(getLocalDay(at, "UTC"), "2026-03-02");
+      assert.equal(getLocalDay(at, "America/New_York"), "2026-03-01");
+    });
+  });
+});
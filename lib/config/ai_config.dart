@@ -1,31 +1,15 @@
 /// AI Configuration for SnapAMeal Phase II
-/// Handles Pinecone vector database and OpenAI API configurations
+/// Client-side tuning for the AI features; provider keys live in Functions
 library;
 
 import 'package:flutter_dotenv/flutter_dotenv.dart';
 
 class AIConfig {
-  // Pinecone Configuration - Updated for 2025 API
-  static String get pineconeApiKey => dotenv.env['PINECONE_API_KEY'] ?? '';
+  // Pinecone is only reached through the ragQuery, ragUpsertDocuments and
+  // ragIndexStats Cloud Functions, which hold the key
 
-  static String get pineconeIndexName =>
-      dotenv.env['PINECONE_INDEX_NAME'] ?? 'snapameal-health-knowledge';
-
-  // Modern Pinecone API base URL (2025 format)
-  static String get pineconeBaseUrl => 'https://api.pinecone.io';
-
-  // Index-specific host URL - to be retrieved dynamically
-  static String? _indexHost;
-  static String? get indexHost => _indexHost;
-  static void setIndexHost(String host) {
-    _indexHost = host;
-  }
-
-  // OpenAI Configuration
-  static String get openaiApiKey => dotenv.env['OPENAI_API_KEY'] ?? '';
-
-  static String get openaiModel =>
-      dotenv.env['OPENAI_MODEL'] ?? 'gpt-4-turbo-preview';
+  // OpenAI is only reached through the aiGateway Cloud Function, which holds
+  // the key and picks the models
 
   // MyFitnessPal Configuration
   static String get myFitnessPalApiKey =>
@@ -37,9 +21,6 @@ class AIConfig {
   static const int maxUsdaSearchResults = 25;
   static const int usdaTimeoutSeconds = 30;
 
-  static String get openaiEmbeddingModel =>
-      dotenv.env['OPENAI_EMBEDDING_MODEL'] ?? 'text-embedding-3-small';
-
   // Vector Database Settings
   static const int embeddingDimensions =
       1536; // text-embedding-3-small dimensions
@@ -66,10 +47,6 @@ class AIConfig {
   static const int maxContextTokens = 4000; // Leave room for response
 
   // Validation
-  static bool get isConfigured {
-    return pineconeApiKey.isNotEmpty && openaiApiKey.isNotEmpty;
-  }
-
   static bool get isUSDAConfigured {
     return usdaApiKey.isNotEmpty;
   }
@@ -83,8 +60,4 @@ class AIConfig {
   static const int rateLimitBackoffSeconds = 1;
   static const double maxDailyBudget = 10.0; // $10 daily budget
   static const int rateLimitDelayMs = 100;
-  static const String pineconeNamespace = 'default';
-
-  // Modern Pinecone API version
-  static const String pineconeApiVersion = '2025-04';
 }
@@ -219,6 +219,7 @@ class FeatureFlagService {
           'collect_metrics': true,
           'cost_tracking': true,
           'circuit_breakers': true,
+          'daily_budget_usd': 25.0,
         },
       ),
       FeatureFlag.advancedFirebaseSearch: FeatureFlagConfig(
@@ -400,7 +400,8 @@ class _HealthGroupChatWidgetState extends State<HealthGroupChatWidget>
             ),
             child: Center(
               child: Text(
-                '\${rank + 1}',
+                // Tied members share a rank
+                '${streak['rank'] ?? rank + 1}',
                 style: SnapTypography.caption.copyWith(
                   color: Colors.white,
                   fontWeight: FontWeight.bold,
@@ -415,17 +416,11 @@ class _HealthGroupChatWidgetState extends State<HealthGroupChatWidget>
             child: Column(
               crossAxisAlignment: CrossAxisAlignment.start,
               children: [
-                FutureBuilder<Map<String, dynamic>>(
-                  future: _getUserDisplayName(streak['user_id'] as String),
-                  builder: (context, snapshot) {
-                    final userData = snapshot.data ?? {};
-                    return Text(
-                      userData['display_name'] ?? 'Unknown',
-                      style: SnapTypography.body.copyWith(
-                        color: SnapColors.textPrimary,
-                      ),
-                    );
-                  },
+                Text(
+                  streak['display_name'] ?? 'Unknown',
+                  style: SnapTypography.body.copyWith(
+                    color: SnapColors.textPrimary,
+                  ),
                 ),
                 Text(
                   '${streak['current_streak']} day streak',
@@ -53,6 +53,7 @@ enum FastingEndReason {
   userBreak, // User intentionally broke the fast
   emergencyBreak, // Emergency situation required breaking
   appError, // Technical issue caused session to end
+  autoEnded, // Closed by the server long after the target was reached
 }
 
 /// Tracks motivational content shown during fasting
@@ -508,14 +509,14 @@ class FastingSession {
   /// Check if the session is completed successfully
   bool get isCompleted {
     return state == FastingState.completed &&
-        endReason == FastingEndReason.completed;
+        (endReason == FastingEndReason.completed ||
+            endReason == FastingEndReason.autoEnded);
   }
 
   /// Check if the session was broken/ended early
   bool get wasBroken {
     return state == FastingState.broken ||
-        (state == FastingState.completed &&
-            endReason != FastingEndReason.completed);
+        (state == FastingState.completed && !isCompleted);
   }
 
   /// Get a human-readable description of the fasting type
@@ -497,10 +497,6 @@ class _DebugPineconePageState extends State<DebugPineconePage> {
                           'Overall Success',
                           _testResults!['success'],
                         ),
-                        _buildStatusRow(
-                          'API Key Valid',
-                          _testResults!['api_key_valid'],
-                        ),
                         _buildStatusRow(
                           'Index Exists',
                           _testResults!['index_exists'],
@@ -510,25 +506,6 @@ class _DebugPineconePageState extends State<DebugPineconePage> {
                           _testResults!['connection_test'],
                         ),
 
-                        if (_testResults!['index_host'] != null) ...[
-                          const SizedBox(height: 16),
-                          Text(
-                            'Index Host:',
-                            style: TextStyle(
-                              fontWeight: FontWeight.bold,
-                              color: Colors.grey.shade700,
-                            ),
-                          ),
-                          const SizedBox(height: 4),
-                          SelectableText(
-                            _testResults!['index_host'],
-                            style: TextStyle(
-                              fontFamily: 'monospace',
-                              color: Colors.blue.shade700,
-                            ),
-                          ),
-                        ],
-
                         if (_testResults!['index_stats'] != null) ...[
                           const SizedBox(height: 16),
                           Text(
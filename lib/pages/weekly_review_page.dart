@@ -130,6 +130,22 @@ class _WeeklyReviewPageState extends State<WeeklyReviewPage> with TickerProvider
     }
   }
 
+  /// Star or unstar a review so it is kept past the retention window
+  Future<void> _setReviewStarred(Map<String, dynamic> review, bool starred) async {
+    try {
+      await _reviewService.setReviewStarred(review, starred);
+    } catch (e) {
+      if (!mounted) return;
+      ScaffoldMessenger.of(context).showSnackBar(
+        SnackBar(
+          content: const Text('Unable to update review. Please try again.'),
+          backgroundColor: SnapColors.error,
+          behavior: SnackBarBehavior.floating,
+        ),
+      );
+    }
+  }
+
   @override
   Widget build(BuildContext context) {
     if (_currentUserId == null) {
@@ -290,6 +306,7 @@ class _WeeklyReviewPageState extends State<WeeklyReviewPage> with TickerProvider
                     child: ReviewCard(
                       review: review,
                       reviewType: 'weekly',
+                      onStarToggled: (starred) => _setReviewStarred(review, starred),
                     ),
                   );
                 },
@@ -412,6 +429,7 @@ class _WeeklyReviewPageState extends State<WeeklyReviewPage> with TickerProvider
                     child: ReviewCard(
                       review: review,
                       reviewType: 'monthly',
+                      onStarToggled: (starred) => _setReviewStarred(review, starred),
                     ),
                   );
                 },
@@ -2,9 +2,9 @@ import 'dart:async';
 import 'dart:convert';
 import 'dart:math';
 import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:cloud_functions/cloud_functions.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import 'package:shared_preferences/shared_preferences.dart';
-import '../config/ai_config.dart';
 import '../models/fasting_session.dart';
 import '../services/rag_service.dart';
 import '../services/notification_service.dart';
@@ -15,6 +15,7 @@ class FastingService {
   // Dependencies
   final FirebaseFirestore _firestore = FirebaseFirestore.instance;
   final FirebaseAuth _auth = FirebaseAuth.instance;
+  final FirebaseFunctions _functions = FirebaseFunctions.instance;
   final RAGService _ragService;
   final NotificationService _notificationService;
 
@@ -38,6 +39,27 @@ class FastingService {
     "This is your time to prove what you're capable of.",
   ];
 
+  /// Session fields only the fasting Cloud Functions may change
+  static const _lifecycleFields = {
+    'user_id',
+    'type',
+    'state',
+    'planned_start_time',
+    'actual_start_time',
+    'planned_end_time',
+    'actual_end_time',
+    'planned_duration_ms',
+    'actual_duration_ms',
+    'paused_times',
+    'resumed_times',
+    'total_paused_duration_ms',
+    'end_reason',
+    'completion_percentage',
+    'current_streak',
+    'longest_streak',
+    'is_personal_best',
+  };
+
   FastingService(this._ragService, this._notificationService);
 
   /// Stream of current fasting session updates
@@ -70,50 +92,32 @@ class FastingService {
       if (user == null) throw Exception('User not authenticated');
 
       // End any existing session first
-      if (_currentSession != null && _currentSession!.isActive) {
+      if (hasActiveSession) {
         await endFastingSession(
           FastingEndReason.userBreak,
           'Started new session',
         );
       }
 
-      final now = DateTime.now();
-      final startTime = plannedStartTime ?? now;
-      final duration =
-          customDuration ?? FastingSession.getStandardDuration(type);
-      final endTime = startTime.add(duration);
-
-      // Create new session
-      final sessionId = _firestore.collection('fasting_sessions').doc().id;
-      final session = FastingSession(
-        id: sessionId,
-        userId: user.uid,
-        type: type,
-        state: FastingState.active,
-        plannedStartTime: startTime,
-        actualStartTime: now,
-        plannedEndTime: endTime,
-        plannedDuration: duration,
-        personalGoal: personalGoal,
-        targetWeight: targetWeight,
-        motivationalTags: motivationalTags,
-        createdAt: now,
-        updatedAt: now,
-      );
-
-      // Save to Firestore
-      await _firestore
-          .collection('fasting_sessions')
-          .doc(sessionId)
-          .set(session.toFirestore());
+      // The backend starts the session on its own clock; plannedStartTime is
+      // kept for API compatibility but the fast always starts now
+      var session = await _callSessionFunction('startFast', {
+        'type': type.name,
+        if (customDuration != null)
+          'durationHours': customDuration.inMinutes / 60,
+        if (personalGoal != null) 'personalGoal': personalGoal,
+        if (targetWeight != null) 'targetWeight': targetWeight,
+      });
+
+      if (motivationalTags.isNotEmpty) {
+        session = session.copyWith(motivationalTags: motivationalTags);
+        await _updateSession(session);
+      }
 
       // Update local state
       _currentSession = session;
       _startTimer();
 
-      // Schedule notifications
-      await _scheduleSessionNotifications(session);
-
       // Save to local storage for persistence
       await _saveActiveSession(session);
 
@@ -135,14 +139,11 @@ class FastingService {
     }
 
     try {
-      final now = DateTime.now();
-      final updatedSession = _currentSession!.copyWith(
-        state: FastingState.paused,
-        pausedTimes: [..._currentSession!.pausedTimes, now],
-        updatedAt: now,
+      await _applySession(
+        await _callSessionFunction('pauseFast', {
+          'sessionId': _currentSession!.id,
+        }),
       );
-
-      await _updateSession(updatedSession);
       _stopTimer();
 
       Logger.d('Paused fasting session');
@@ -160,22 +161,11 @@ class FastingService {
     }
 
     try {
-      final now = DateTime.now();
-
-      // Calculate additional paused time
-      final lastPauseTime = _currentSession!.pausedTimes.last;
-      final additionalPausedDuration = now.difference(lastPauseTime);
-      final totalPausedDuration =
-          _currentSession!.totalPausedDuration + additionalPausedDuration;
-
-      final updatedSession = _currentSession!.copyWith(
-        state: FastingState.active,
-        resumedTimes: [..._currentSession!.resumedTimes, now],
-        totalPausedDuration: totalPausedDuration,
-        updatedAt: now,
+      await _applySession(
+        await _callSessionFunction('resumeFast', {
+          'sessionId': _currentSession!.id,
+        }),
       );
-
-      await _updateSession(updatedSession);
       _startTimer();
 
       Logger.d('Resumed fasting session');
@@ -186,7 +176,8 @@ class FastingService {
     }
   }
 
-  /// End the current fasting session
+  /// End the current fasting session. The backend decides whether the fast
+  /// was completed from its own clock and updates the fasting streak.
   Future<bool> endFastingSession(
     FastingEndReason reason, [
     String? notes,
@@ -194,36 +185,17 @@ class FastingService {
     if (_currentSession == null) return false;
 
     try {
-      final now = DateTime.now();
-      final actualDuration = _currentSession!.elapsedTime;
-      final completionPercentage =
-          actualDuration.inMilliseconds /
-          _currentSession!.plannedDuration.inMilliseconds;
-
-      // Determine final state
-      final finalState = reason == FastingEndReason.completed
-          ? FastingState.completed
-          : FastingState.broken;
-
-      // Update streak information
-      final streakData = await _updateStreakData(
-        reason == FastingEndReason.completed,
-      );
-
-      final updatedSession = _currentSession!.copyWith(
-        state: finalState,
-        actualEndTime: now,
-        actualDuration: actualDuration,
-        endReason: reason,
-        endNotes: notes,
-        completionPercentage: completionPercentage,
-        currentStreak: streakData['currentStreak'],
-        longestStreak: streakData['longestStreak'],
-        isPersonalBest: streakData['isPersonalBest'],
-        updatedAt: now,
-      );
-
-      await _updateSession(updatedSession);
+      final updatedSession = await _callSessionFunction('endFast', {
+        'sessionId': _currentSession!.id,
+        // A fast ended early is never reported as completed
+        if (reason != FastingEndReason.completed &&
+            reason != FastingEndReason.appError)
+          'reason': reason.name,
+        if (notes != null) 'notes': notes,
+      });
+
+      _currentSession = updatedSession;
+      _sessionController.add(_currentSession);
       _stopTimer();
 
       // Clear local storage
@@ -235,7 +207,7 @@ class FastingService {
       // Generate post-session insights using RAG
       await _generateSessionInsights(updatedSession);
 
-      Logger.d('Ended fasting session: $reason');
+      Logger.d('Ended fasting session: ${updatedSession.endReason}');
       return true;
     } catch (e) {
       Logger.d('Error ending fasting session: $e');
@@ -243,6 +215,25 @@ class FastingService {
     }
   }
 
+  /// Call one of the fasting lifecycle functions and parse the session it
+  /// returns
+  Future<FastingSession> _callSessionFunction(
+    String name,
+    Map<String, dynamic> data,
+  ) async {
+    final result = await _functions.httpsCallable(name).call(data);
+    return FastingSession.fromJson(
+      Map<String, dynamic>.from(result.data as Map),
+    );
+  }
+
+  /// Make a session returned by the backend the current session
+  Future<void> _applySession(FastingSession session) async {
+    _currentSession = session;
+    await _saveActiveSession(session);
+    _sessionController.add(_currentSession);
+  }
+
   /// Record user engagement during fasting
   Future<void> recordEngagement({
     bool? snapTaken,
@@ -297,59 +288,56 @@ class FastingService {
     if (_currentSession == null) return null;
 
     try {
-      // Check if AI features are configured before attempting AI generation
-      if (AIConfig.isConfigured) {
-        // Use RAG service to get personalized motivational content
-        final healthContext = HealthQueryContext(
-          userId: _currentSession!.userId,
-          queryType: 'motivation',
-          userProfile: {
-            'fasting_type': _currentSession!.type.name,
-            'session_progress': _currentSession!.progressPercentage,
-            'personal_goal': _currentSession!.personalGoal,
-          },
-          currentGoals: [
-            'fasting',
-            'discipline',
-            ..._currentSession!.motivationalTags,
-          ],
-          dietaryRestrictions: [],
-          recentActivity: {
-            'session_duration': _currentSession!.elapsedTime.inHours,
-            'engagement': _currentSession!.engagement.toJson(),
-          },
-          contextTimestamp: DateTime.now(),
-        );
+      // Use RAG service to get personalized motivational content
+      final healthContext = HealthQueryContext(
+        userId: _currentSession!.userId,
+        queryType: 'motivation',
+        userProfile: {
+          'fasting_type': _currentSession!.type.name,
+          'session_progress': _currentSession!.progressPercentage,
+          'personal_goal': _currentSession!.personalGoal,
+        },
+        currentGoals: [
+          'fasting',
+          'discipline',
+          ..._currentSession!.motivationalTags,
+        ],
+        dietaryRestrictions: [],
+        recentActivity: {
+          'session_duration': _currentSession!.elapsedTime.inHours,
+          'engagement': _currentSession!.engagement.toJson(),
+        },
+        contextTimestamp: DateTime.now(),
+      );
 
-        final motivationalContent = await _ragService.generateContextualizedResponse(
-          userQuery:
-              'Give me encouragement for my ${_currentSession!.typeDescription} session. I\'m ${(_currentSession!.progressPercentage * 100).toInt()}% complete.',
-          healthContext: healthContext,
-          maxContextLength: 1000,
-        );
+      final motivationalContent = await _ragService.generateContextualizedResponse(
+        userQuery:
+            'Give me encouragement for my ${_currentSession!.typeDescription} session. I\'m ${(_currentSession!.progressPercentage * 100).toInt()}% complete.',
+        healthContext: healthContext,
+        maxContextLength: 1000,
+      );
 
-        if (motivationalContent != null && motivationalContent.isNotEmpty) {
-          // Record the motivation as shown
-          final motivation = FastingMotivation(
-            id: DateTime.now().millisecondsSinceEpoch.toString(),
-            type: 'ai_encouragement',
-            content: motivationalContent,
-            shownAt: DateTime.now(),
-          );
+      if (motivationalContent != null && motivationalContent.isNotEmpty) {
+        // Record the motivation as shown
+        final motivation = FastingMotivation(
+          id: DateTime.now().millisecondsSinceEpoch.toString(),
+          type: 'ai_encouragement',
+          content: motivationalContent,
+          shownAt: DateTime.now(),
+        );
 
-          final updatedSession = _currentSession!.copyWith(
-            motivationShown: [..._currentSession!.motivationShown, motivation],
-            updatedAt: DateTime.now(),
-          );
+        final updatedSession = _currentSession!.copyWith(
+          motivationShown: [..._currentSession!.motivationShown, motivation],
+          updatedAt: DateTime.now(),
+        );
 
-          await _updateSession(updatedSession);
-          await recordEngagement(motivationViewed: true);
+        await _updateSession(updatedSession);
+        await recordEngagement(motivationViewed: true);
 
-          return motivationalContent;
-        }
+        return motivationalContent;
       }
 
-      // Fallback to predefined quotes (either if AI not configured or failed)
+      // Fallback to predefined quotes if the AI service had nothing
       final randomQuote = _getPersonalizedMotivationalQuote();
       
       // Record the motivation as shown
@@ -607,10 +595,14 @@ class FastingService {
   /// Update session in Firestore and local storage
   Future<void> _updateSession(FastingSession session) async {
     try {
+      // Lifecycle fields belong to the backend; only the rest is written
+      final data = session.toFirestore()
+        ..removeWhere((key, _) => _lifecycleFields.contains(key));
+
       await _firestore
           .collection('fasting_sessions')
           .doc(session.id)
-          .update(session.toFirestore());
+          .update(data);
 
       _currentSession = session;
       await _saveActiveSession(session);
@@ -652,38 +644,6 @@ class FastingService {
     });
   }
 
-  /// Schedule notifications for the session
-  Future<void> _scheduleSessionNotifications(FastingSession session) async {
-    // Schedule milestone notifications
-    final milestones = [0.25, 0.5, 0.75, 0.9]; // 25%, 50%, 75%, 90%
-
-    for (final milestone in milestones) {
-      final notificationTime = session.actualStartTime!.add(
-        Duration(
-          milliseconds: (session.plannedDuration.inMilliseconds * milestone)
-              .round(),
-        ),
-      );
-
-      await _notificationService.scheduleNotification(
-        id: '${session.id}_milestone_${(milestone * 100).toInt()}',
-        title: 'Fasting Progress',
-        body:
-            'You\'re ${(milestone * 100).toInt()}% through your ${session.typeDescription}!',
-        scheduledDate: notificationTime,
-      );
-    }
-
-    // Schedule completion notification
-    await _notificationService.scheduleNotification(
-      id: '${session.id}_completion',
-      title: 'Fasting Complete! 🎉',
-      body:
-          'Congratulations! You\'ve completed your ${session.typeDescription}.',
-      scheduledDate: session.plannedEndTime!,
-    );
-  }
-
   /// Check if motivational content should be shown
   bool _shouldShowMotivation() {
     if (_currentSession == null) return false;
@@ -706,111 +666,37 @@ class FastingService {
         timeSinceLastMotivation.inMinutes >= 60;
   }
 
-  /// Update streak data based on session completion
-  Future<Map<String, dynamic>> _updateStreakData(bool sessionCompleted) async {
-    try {
-      final user = _auth.currentUser;
-      if (user == null) {
-        return {
-          'currentStreak': 0,
-          'longestStreak': 0,
-          'isPersonalBest': false,
-        };
-      }
-
-      // Get recent sessions to calculate streak
-      final recentSessions = await _firestore
-          .collection('fasting_sessions')
-          .where('user_id', isEqualTo: user.uid)
-          .orderBy('created_at', descending: true)
-          .limit(50)
-          .get();
-
-      final sessions = recentSessions.docs
-          .map((doc) => FastingSession.fromFirestore(doc))
-          .toList();
-
-      int currentStreak = 0;
-      int longestStreak = 0;
-      int tempStreak = 0;
-
-      // Calculate current streak (from most recent backwards)
-      if (sessionCompleted) {
-        currentStreak = 1; // This session counts
-        for (final session in sessions.skip(1)) {
-          // Skip current session
-          if (session.isCompleted) {
-            currentStreak++;
-          } else {
-            break;
-          }
-        }
-      }
-
-      // Calculate longest streak
-      for (final session in sessions) {
-        if (session.isCompleted) {
-          tempStreak++;
-          longestStreak = max(longestStreak, tempStreak);
-        } else {
-          tempStreak = 0;
-        }
-      }
-
-      // Check if this is a personal best duration
-      final currentDuration = _currentSession?.elapsedTime.inHours ?? 0;
-      final longestDuration = sessions.isNotEmpty
-          ? sessions.map((s) => s.actualDuration?.inHours ?? 0).reduce(max)
-          : 0;
-      final isPersonalBest = currentDuration > longestDuration;
-
-      return {
-        'currentStreak': currentStreak,
-        'longestStreak': max(longestStreak, currentStreak),
-        'isPersonalBest': isPersonalBest,
-      };
-    } catch (e) {
-      Logger.d('Error updating streak data: $e');
-      return {'currentStreak': 0, 'longestStreak': 0, 'isPersonalBest': false};
-    }
-  }
-
   /// Generate post-session insights using RAG
   Future<void> _generateSessionInsights(FastingSession session) async {
     try {
       String insights;
       
-      // Only use AI if properly configured, otherwise use predefined insights
-      if (AIConfig.isConfigured) {
-        final healthContext = HealthQueryContext(
-          userId: session.userId,
-          queryType: 'advice',
-          userProfile: {
-            'fasting_type': session.type.name,
-            'completion_percentage': session.completionPercentage,
-            'session_duration': session.actualDuration?.inHours ?? 0,
-          },
-          currentGoals: ['fasting', 'health', ...session.motivationalTags],
-          dietaryRestrictions: [],
-          recentActivity: {
-            'session_completed': session.isCompleted,
-            'engagement': session.engagement.toJson(),
-            'end_reason': session.endReason?.name,
-          },
-          contextTimestamp: DateTime.now(),
-        );
+      final healthContext = HealthQueryContext(
+        userId: session.userId,
+        queryType: 'advice',
+        userProfile: {
+          'fasting_type': session.type.name,
+          'completion_percentage': session.completionPercentage,
+          'session_duration': session.actualDuration?.inHours ?? 0,
+        },
+        currentGoals: ['fasting', 'health', ...session.motivationalTags],
+        dietaryRestrictions: [],
+        recentActivity: {
+          'session_completed': session.isCompleted,
+          'engagement': session.engagement.toJson(),
+          'end_reason': session.endReason?.name,
+        },
+        contextTimestamp: DateTime.now(),
+      );
 
-        final aiInsights = await _ragService.generateContextualizedResponse(
-          userQuery:
-              'Provide insights and advice based on my fasting session. I ${session.isCompleted ? 'completed' : 'ended'} a ${session.typeDescription} with ${(session.completionPercentage * 100).toInt()}% completion.',
-          healthContext: healthContext,
-          maxContextLength: 2000,
-        );
+      final aiInsights = await _ragService.generateContextualizedResponse(
+        userQuery:
+            'Provide insights and advice based on my fasting session. I ${session.isCompleted ? 'completed' : 'ended'} a ${session.typeDescription} with ${(session.completionPercentage * 100).toInt()}% completion.',
+        healthContext: healthContext,
+        maxContextLength: 2000,
+      );
 
-        insights = aiInsights ?? _generatePredefinedInsights(session);
-      } else {
-        insights = _generatePredefinedInsights(session);
-      }
+      insights = aiInsights ?? _generatePredefinedInsights(session);
 
       // Store insights in session metadata
       final updatedSession = session.copyWith(
@@ -824,7 +710,7 @@ class FastingService {
       await _firestore
           .collection('fasting_sessions')
           .doc(session.id)
-          .update(updatedSession.toFirestore());
+          .update({'metadata': updatedSession.metadata});
     } catch (e) {
       Logger.d('Error generating session insights: $e');
     }
@@ -993,50 +879,10 @@ class FastingService {
   }
 
   /// Pause current fasting session
-  Future<bool> pauseFasting() async {
-    if (_currentSession == null || !_currentSession!.isActive) {
-      return false;
-    }
-
-    try {
-      final pausedSession = _currentSession!.copyWith(
-        state: FastingState.paused,
-        pausedTimes: [..._currentSession!.pausedTimes, DateTime.now()],
-        updatedAt: DateTime.now(),
-      );
-
-      await _updateSession(pausedSession);
-      _stopTimer();
-
-      return true;
-    } catch (e) {
-      Logger.d('Error pausing fasting session: $e');
-      return false;
-    }
-  }
+  Future<bool> pauseFasting() => pauseFastingSession();
 
   /// Resume paused fasting session
-  Future<bool> resumeFasting() async {
-    if (_currentSession == null || !_currentSession!.isPaused) {
-      return false;
-    }
-
-    try {
-      final resumedSession = _currentSession!.copyWith(
-        state: FastingState.active,
-        resumedTimes: [..._currentSession!.resumedTimes, DateTime.now()],
-        updatedAt: DateTime.now(),
-      );
-
-      await _updateSession(resumedSession);
-      _startTimer();
-
-      return true;
-    } catch (e) {
-      Logger.d('Error resuming fasting session: $e');
-      return false;
-    }
-  }
+  Future<bool> resumeFasting() => resumeFastingSession();
 
   /// Get current session (synchronous access)
   Future<FastingSession?> getCurrentSession() async {
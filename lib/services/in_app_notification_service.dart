@@ -9,6 +9,10 @@ enum NotificationType {
   groupInvitation,
   groupMessage,
   aiAdvice,
+  screenshot,
+  fasting,
+  challenge,
+  review,
 }
 
 class InAppNotification {
@@ -737,7 +737,10 @@ Return the response as JSON with this exact structure:
 All values should be numbers (not strings) and represent the total amount for the specified weight.
 ''';
 
-      final response = await _openAIService.getChatCompletion(prompt);
+      final response = await _openAIService.getChatCompletion(
+        prompt,
+        feature: 'meal_analysis',
+      );
       if (response != null) {
         final nutritionData = jsonDecode(response);
         return NutritionInfo(
@@ -993,7 +996,10 @@ Keep it informative and under 100 characters.
 ''';
       }
 
-      final response = await _openAIService.getChatCompletion(prompt);
+      final response = await _openAIService.getChatCompletion(
+        prompt,
+        feature: 'meal_analysis',
+      );
       return response?.trim() ?? 'Delicious meal! 🍽️';
     } catch (e) {
       developer.log('Error generating meal caption: $e');
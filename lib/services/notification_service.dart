@@ -34,8 +34,11 @@ class NotificationService {
     final user = _auth.currentUser;
     if (user == null) return;
 
+    // Every signed-in device keeps its own token; the backend prunes tokens
+    // that FCM reports as no longer registered
     await _firestore.collection('users').doc(user.uid).update({
       'fcmToken': token,
+      'fcmTokens': FieldValue.arrayUnion([token]),
     });
   }
 
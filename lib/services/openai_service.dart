@@ -5,7 +5,7 @@ library;
 import 'dart:convert';
 import 'dart:developer' as developer;
 import 'dart:math';
-import 'package:http/http.dart' as http;
+import 'package:cloud_functions/cloud_functions.dart';
 import 'package:shared_preferences/shared_preferences.dart';
 import '../config/ai_config.dart';
 import '../utils/logger.dart';
@@ -302,6 +302,8 @@ class OpenAIService {
   bool _budgetExceeded = false;
   String? _budgetExceededMessage;
 
+  final FirebaseFunctions _functions = FirebaseFunctions.instance;
+
   OpenAIService();
 
   /// Initialize the service and load cached stats
@@ -311,30 +313,31 @@ class OpenAIService {
   }
 
   /// Simple chat completion with a single prompt
-  Future<String?> getChatCompletion(String prompt) async {
+  Future<String?> getChatCompletion(
+    String prompt, {
+    String feature = 'advice',
+  }) async {
     return await getChatCompletionWithMessages(
       messages: [
         {'role': 'user', 'content': prompt},
       ],
+      feature: feature,
     );
   }
 
-  /// Generate chat completion with monitoring and optimization
+  /// Generate chat completion with monitoring and optimization.
+  ///
+  /// Requests go through the aiGateway function, which holds the API key
+  /// and picks the model for [feature]; [model] only feeds the token limit
+  /// optimization.
   Future<String?> getChatCompletionWithMessages({
     required List<Map<String, String>> messages,
+    String feature = 'advice',
     String model = 'gpt-4',
     int maxTokens = 500,
     double temperature = 0.7,
     bool useOptimization = true,
   }) async {
-    // Check if API key is configured
-    if (AIConfig.openaiApiKey.isEmpty) {
-      Logger.d(
-        'OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file.',
-      );
-      return null;
-    }
-
     // Check budget and rate limits
     if (!await _checkBudgetAndLimits('chat')) {
       return null;
@@ -349,53 +352,30 @@ class OpenAIService {
     try {
       final startTime = DateTime.now();
 
-      final response = await http.post(
-        Uri.parse('https://api.openai.com/v1/chat/completions'),
-        headers: {
-          'Authorization': 'Bearer ${AIConfig.openaiApiKey}',
-          'Content-Type': 'application/json',
-        },
-        body: jsonEncode({
-          'model': model,
-          'messages': messages,
-          'max_tokens': maxTokens,
-          'temperature': temperature,
-          'stream': false,
-        }),
+      final data = await _callGateway({
+        'feature': feature,
+        'messages': messages,
+        'maxTokens': maxTokens,
+        'temperature': temperature,
+      });
+      if (data['fallback'] == true) {
+        // The backend's spend breaker is open
+        Logger.d('AI gateway served fallback content for $feature');
+      }
+      final usage = Map<String, dynamic>.from(data['usage'] as Map);
+
+      // Track usage and costs
+      await _trackChatUsage(
+        model: data['model'] as String,
+        promptTokens: usage['promptTokens'] as int,
+        completionTokens: usage['completionTokens'] as int,
+        responseTime: DateTime.now().difference(startTime),
       );
 
-      if (response.statusCode == 200) {
-        final data = jsonDecode(response.body);
-        final content = data['choices'][0]['message']['content'] as String;
-        final usage = data['usage'];
-
-        // Track usage and costs
-        await _trackChatUsage(
-          model: model,
-          promptTokens: usage['prompt_tokens'],
-          completionTokens: usage['completion_tokens'],
-          responseTime: DateTime.now().difference(startTime),
-        );
-
-        return content;
-      } else if (response.statusCode == 429) {
-        // Rate limit exceeded
-        Logger.d('OpenAI rate limit exceeded. Waiting before retry...');
-        await Future.delayed(
-          Duration(seconds: AIConfig.rateLimitBackoffSeconds),
-        );
-        return await getChatCompletionWithMessages(
-          messages: messages,
-          model: model,
-          maxTokens: maxTokens,
-          temperature: temperature,
-          useOptimization: false, // Don't re-optimize on retry
-        );
-      } else {
-        throw Exception(
-          'OpenAI API error: ${response.statusCode} - ${response.body}',
-        );
-      }
+      return data['content'] as String?;
+    } on FirebaseFunctionsException catch (e) {
+      Logger.d('Error getting chat completion: ${e.code} ${e.message}');
+      return null;
     } catch (e) {
       Logger.d('Error getting chat completion: $e');
       return null;
@@ -403,19 +383,13 @@ class OpenAIService {
   }
 
   /// Generate embedding with caching and optimization
+  ///
+  /// The embedding model is fixed by the aiGateway function, so vectors
+  /// always match the ones in the knowledge index.
   Future<List<double>?> generateEmbedding(
     String text, {
-    String model = 'text-embedding-ada-002',
     bool useCache = true,
   }) async {
-    // Check if API key is configured
-    if (AIConfig.openaiApiKey.isEmpty) {
-      Logger.d(
-        'OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file.',
-      );
-      return null;
-    }
-
     // Check cache first
     if (useCache) {
       final cached = _optimizer.getCachedEmbedding(text);
@@ -432,45 +406,28 @@ class OpenAIService {
     try {
       final startTime = DateTime.now();
 
-      final response = await http.post(
-        Uri.parse('https://api.openai.com/v1/embeddings'),
-        headers: {
-          'Authorization': 'Bearer ${AIConfig.openaiApiKey}',
-          'Content-Type': 'application/json',
-        },
-        body: jsonEncode({'model': model, 'input': text}),
-      );
-
-      if (response.statusCode == 200) {
-        final data = jsonDecode(response.body);
-        final embedding = List<double>.from(data['data'][0]['embedding']);
-        final usage = data['usage'];
+      final data = await _callGateway({'feature': 'embedding', 'text': text});
+      final embedding = (data['embedding'] as List)
+          .map((value) => (value as num).toDouble())
+          .toList();
+      final usage = Map<String, dynamic>.from(data['usage'] as Map);
 
-        // Cache the result
-        if (useCache) {
-          _optimizer.cacheEmbedding(text, embedding);
-        }
+      // Cache the result
+      if (useCache) {
+        _optimizer.cacheEmbedding(text, embedding);
+      }
 
-        // Track usage and costs
-        await _trackEmbeddingUsage(
-          model: model,
-          tokens: usage['total_tokens'],
-          responseTime: DateTime.now().difference(startTime),
-        );
+      // Track usage and costs
+      await _trackEmbeddingUsage(
+        model: data['model'] as String,
+        tokens: usage['totalTokens'] as int,
+        responseTime: DateTime.now().difference(startTime),
+      );
 
-        return embedding;
-      } else if (response.statusCode == 429) {
-        // Rate limit exceeded
-        Logger.d('OpenAI rate limit exceeded. Waiting before retry...');
-        await Future.delayed(
-          Duration(seconds: AIConfig.rateLimitBackoffSeconds),
-        );
-        return await generateEmbedding(text, model: model, useCache: useCache);
-      } else {
-        throw Exception(
-          'OpenAI API error: ${response.statusCode} - ${response.body}',
-        );
-      }
+      return embedding;
+    } on FirebaseFunctionsException catch (e) {
+      Logger.d('Error generating embedding: ${e.code} ${e.message}');
+      return null;
     } catch (e) {
       Logger.d('Error generating embedding: $e');
       return null;
@@ -480,7 +437,6 @@ class OpenAIService {
   /// Generate multiple embeddings efficiently
   Future<List<List<double>?>> generateBatchEmbeddings(
     List<String> texts, {
-    String model = 'text-embedding-ada-002',
     bool useCache = true,
   }) async {
     final results = <List<double>?>[];
@@ -493,7 +449,6 @@ class OpenAIService {
       for (final text in batch) {
         final embedding = await generateEmbedding(
           text,
-          model: model,
           useCache: useCache,
         );
         results.add(embedding);
@@ -900,69 +855,40 @@ class OpenAIService {
     }
 
     try {
-      // Check if API key is configured
-      if (AIConfig.openaiApiKey.isEmpty) {
-        developer.log('ERROR: OpenAI API key is not configured!');
-        throw Exception('OpenAI API key is not configured');
-      }
-      
-      developer.log('Sending image analysis request to OpenAI Vision API');
-
-      final response = await http.post(
-        Uri.parse('https://api.openai.com/v1/chat/completions'),
-        headers: {
-          'Authorization': 'Bearer ${AIConfig.openaiApiKey}',
-          'Content-Type': 'application/json',
-        },
-        body: jsonEncode({
-          'model': 'gpt-4o',
-          'messages': [
-            {
-              'role': 'user',
-              'content': [
-                {'type': 'text', 'text': prompt},
-                {
-                  'type': 'image_url',
-                  'image_url': {
-                    'url': base64Image,
-                    'detail': 'high',
-                  },
-                },
-              ],
-            },
-          ],
-          'max_tokens': 1000,
-          'temperature': 0.7,
-        }),
+      developer.log('Sending image analysis request to the AI gateway');
+
+      final data = await _callGateway({
+        'feature': 'meal_analysis',
+        'prompt': prompt,
+        'imageUrl': base64Image,
+        'maxTokens': 1000,
+        'temperature': 0.7,
+      });
+      final usage = Map<String, dynamic>.from(data['usage'] as Map);
+
+      await _recordChatUsage(
+        data['model'] as String,
+        usage['promptTokens'] as int,
+        usage['completionTokens'] as int,
       );
 
-      if (response.statusCode == 200) {
-        final responseData = jsonDecode(response.body);
-        final chatResponse = ChatCompletionResponse.fromJson(responseData);
-
-        await _recordChatUsage(
-          'gpt-4o',
-          chatResponse.promptTokens,
-          chatResponse.completionTokens,
-        );
-
-        developer.log('OpenAI Vision analysis completed successfully');
-        return chatResponse.content;
-      } else {
-        final errorData = jsonDecode(response.body);
-        developer.log(
-          'OpenAI Vision API error: ${response.statusCode} - ${errorData['error']['message']}',
-        );
-        throw Exception(
-          'OpenAI Vision API error: ${errorData['error']['message']}',
-        );
-      }
+      developer.log('Vision analysis completed successfully');
+      return data['content'] as String?;
+    } on FirebaseFunctionsException catch (e) {
+      developer.log('AI gateway error: ${e.code} - ${e.message}');
+      throw Exception('Image analysis failed: ${e.message}');
     } catch (e) {
       developer.log('Error in OpenAI Vision analysis: $e');
       rethrow;
     }
   }
 
+  /// Call the aiGateway function and return its normalized response
+  Future<Map<String, dynamic>> _callGateway(Map<String, dynamic> data) async {
+    final result = await _functions.httpsCallable('aiGateway').call(data);
+    return Map<String, dynamic>.from(result.data as Map);
+  }
+
   /// Export usage data for analysis
   Map<String, dynamic> exportUsageData() {
     return {
@@ -4,8 +4,9 @@ library;
 
 import 'dart:convert';
 import 'dart:developer' as developer;
+import 'dart:math';
 import 'package:cloud_firestore/cloud_firestore.dart';
-import 'package:http/http.dart' as http;
+import 'package:cloud_functions/cloud_functions.dart';
 import '../config/ai_config.dart';
 import '../utils/logger.dart';
 import 'openai_service.dart';
@@ -158,6 +159,7 @@ class ContextualizedQuery {
 /// Comprehensive RAG service with advanced retrieval and context injection
 class RAGService {
   final OpenAIService _openAIService;
+  final FirebaseFunctions _functions = FirebaseFunctions.instance;
 
   // Performance tracking
   int _totalQueries = 0;
@@ -167,122 +169,31 @@ class RAGService {
 
   RAGService(this._openAIService);
 
-  /// Initialize the service and retrieve the index host URL
-  Future<bool> initialize() async {
-    try {
-      // First check if index host is already cached
-      if (AIConfig.indexHost != null) {
-        return true;
-      }
-
-      // Get index information from Pinecone
-      final response = await http.get(
-        Uri.parse(
-          '${AIConfig.pineconeBaseUrl}/indexes/${AIConfig.pineconeIndexName}',
-        ),
-        headers: {
-          'Api-Key': AIConfig.pineconeApiKey,
-          'Content-Type': 'application/json',
-          'X-Pinecone-API-Version': AIConfig.pineconeApiVersion,
-        },
-      );
-
-      if (response.statusCode == 200) {
-        final data = jsonDecode(response.body);
-        final host = data['host'];
-        if (host != null) {
-          AIConfig.setIndexHost(host);
-          developer.log('Pinecone index host set: $host');
-          return true;
-        }
-      } else {
-        developer.log(
-          'Failed to get index info: ${response.statusCode} - ${response.body}',
-        );
-      }
-
-      return false;
-    } catch (e) {
-      developer.log('Error initializing RAG service: $e');
-      return false;
-    }
-  }
-
-  /// Test Pinecone connectivity and return detailed status
+  /// Test knowledge base connectivity through the ragIndexStats function,
+  /// which holds the Pinecone key, and return detailed status
   Future<Map<String, dynamic>> testConnectionWithDetails() async {
     final result = <String, dynamic>{
       'success': false,
-      'api_key_valid': false,
       'index_exists': false,
-      'index_host': null,
       'connection_test': false,
       'error': null,
     };
 
     try {
-      developer.log('🔍 Testing Pinecone connection...');
-
-      // Step 1: Test API key by listing indexes
-      final listResponse = await http.get(
-        Uri.parse('${AIConfig.pineconeBaseUrl}/indexes'),
-        headers: {
-          'Api-Key': AIConfig.pineconeApiKey,
-          'Content-Type': 'application/json',
-          'X-Pinecone-API-Version': AIConfig.pineconeApiVersion,
-        },
-      );
-
-      if (listResponse.statusCode == 200) {
-        result['api_key_valid'] = true;
-        developer.log('✅ API key is valid');
-
-        // Step 2: Check if our specific index exists
-        final indexes = jsonDecode(listResponse.body);
-        final indexList = indexes['indexes'] as List;
-        final ourIndex = indexList.firstWhere(
-          (index) => index['name'] == AIConfig.pineconeIndexName,
-          orElse: () => null,
-        );
-
-        if (ourIndex != null) {
-          result['index_exists'] = true;
-          result['index_host'] = ourIndex['host'];
-          AIConfig.setIndexHost(ourIndex['host']);
-          developer.log('✅ Index "${AIConfig.pineconeIndexName}" found');
-          developer.log('Host: ${ourIndex['host']}');
-
-          // Step 3: Test direct connection to index
-          final statsResponse = await http.post(
-            Uri.parse('https://${ourIndex['host']}/describe_index_stats'),
-            headers: {
-              'Api-Key': AIConfig.pineconeApiKey,
-              'Content-Type': 'application/json',
-            },
-            body: jsonEncode({}),
-          );
-
-          if (statsResponse.statusCode == 200) {
-            result['connection_test'] = true;
-            result['success'] = true;
-            final stats = jsonDecode(statsResponse.body);
-            result['index_stats'] = stats;
-            developer.log('✅ Index connection successful!');
-            developer.log('Vector count: ${stats['totalVectorCount']}');
-          } else {
-            result['error'] =
-                'Failed to connect to index: ${statsResponse.statusCode}';
-            developer.log(
-              '❌ Index connection failed: ${statsResponse.statusCode}',
-            );
-          }
-        } else {
-          result['error'] = 'Index "${AIConfig.pineconeIndexName}" not found';
-          developer.log('❌ Index not found');
-        }
-      } else {
-        result['error'] = 'Invalid API key: ${listResponse.statusCode}';
-        developer.log('❌ API key invalid: ${listResponse.statusCode}');
-      }
+      developer.log('🔍 Testing knowledge base connection...');
+
+      final response = await _functions.httpsCallable('ragIndexStats').call();
+      final stats = Map<String, dynamic>.from(response.data as Map);
+
+      result['index_exists'] = true;
+      result['connection_test'] = true;
+      result['success'] = true;
+      result['index_stats'] = stats;
+      developer.log('✅ Knowledge base connection successful!');
+      developer.log('Vector count: ${stats['totalVectorCount']}');
+    } on FirebaseFunctionsException catch (e) {
+      result['error'] = e.message ?? e.code;
+      developer.log('❌ Knowledge base connection failed: ${e.code}');
     } catch (e) {
       result['error'] = e.toString();
       developer.log('❌ Connection test error: $e');
@@ -291,7 +202,7 @@ class RAGService {
     return result;
   }
 
-  /// Test Pinecone connectivity (simple version)
+  /// Test knowledge base connectivity (simple version)
   Future<bool> testConnection() async {
     final result = await testConnectionWithDetails();
     return result['success'] == true;
@@ -299,65 +210,42 @@ class RAGService {
 
   /// Store a single document in the vector database
   Future<bool> storeDocument(KnowledgeDocument document) async {
-    try {
-      // Ensure service is initialized
-      if (!(await initialize())) {
-        throw Exception('Failed to initialize RAG service');
-      }
-
-      // Generate embedding for the document
-      final embedding = await _openAIService.generateEmbedding(
-        '${document.title} ${document.content}',
-      );
-
-      if (embedding == null) {
-        throw Exception('Failed to generate embedding for document');
-      }
-
-      // Prepare metadata
-      final metadata = {
-        'title': document.title,
-        'category': document.category,
-        'source': document.source,
-        'confidence_score': document.confidenceScore,
-        'tags': document.tags,
-        'created_at': document.createdAt.toIso8601String(),
-        'content_length': document.content.length,
-        ...document.metadata,
-      };
-
-      // Store in Pinecone using the modern API
-      final response = await http.post(
-        Uri.parse('https://${AIConfig.indexHost}/vectors/upsert'),
-        headers: {
-          'Api-Key': AIConfig.pineconeApiKey,
-          'Content-Type': 'application/json',
-        },
-        body: jsonEncode({
-          'vectors': [
-            {'id': document.id, 'values': embedding, 'metadata': metadata},
-          ],
-          'namespace': AIConfig.pineconeNamespace,
-        }),
-      );
-
-      return response.statusCode == 200;
-    } catch (e) {
-      Logger.d('Error storing document: $e');
-      return false;
-    }
+    final results = await storeDocuments([document]);
+    return results.single;
   }
 
-  /// Store multiple documents in batch with rate limiting
+  /// Store multiple documents through the ragUpsertDocuments function, which
+  /// embeds them and writes them to the index. Only admins may call it.
   Future<List<bool>> storeDocuments(List<KnowledgeDocument> documents) async {
+    const batchSize = 10; // ragUpsertDocuments' per-call limit
     final results = <bool>[];
 
-    for (int i = 0; i < documents.length; i++) {
-      final result = await storeDocument(documents[i]);
-      results.add(result);
+    for (int i = 0; i < documents.length; i += batchSize) {
+      final batch = documents.skip(i).take(batchSize).toList();
+      try {
+        await _functions.httpsCallable('ragUpsertDocuments').call({
+          'documents': batch
+              .map(
+                (document) => {
+                  'id': document.id,
+                  'title': document.title,
+                  'content': document.content,
+                  'category': document.category,
+                  'source': document.source,
+                  'confidence_score': document.confidenceScore,
+                  'tags': document.tags,
+                },
+              )
+              .toList(),
+        });
+        results.addAll(List.filled(batch.length, true));
+      } catch (e) {
+        Logger.d('Error storing documents: $e');
+        results.addAll(List.filled(batch.length, false));
+      }
 
       // Rate limiting - wait between requests
-      if (i < documents.length - 1) {
+      if (i + batchSize < documents.length) {
         await Future.delayed(Duration(milliseconds: AIConfig.rateLimitDelayMs));
       }
     }
@@ -435,50 +323,22 @@ class RAGService {
       // Expand query for better retrieval
       final contextualizedQuery = await expandQuery(query, healthContext);
 
-      // Generate embedding for the expanded query
-      final queryEmbedding = await _openAIService.generateEmbedding(
-        contextualizedQuery.expandedQuery,
-      );
-
-      if (queryEmbedding == null) {
-        throw Exception('Failed to generate query embedding');
-      }
-
-      // Build filter conditions
-      final filter = _buildFilterConditions(
-        categoryFilter,
-        tagFilter,
-        healthContext,
-      );
-
-      // Ensure service is initialized
-      if (!(await initialize())) {
-        throw Exception('Failed to initialize RAG service');
-      }
-
-      // Query Pinecone using the correct index host
-      final response = await http.post(
-        Uri.parse('https://${AIConfig.indexHost}/query'),
-        headers: {
-          'Api-Key': AIConfig.pineconeApiKey,
-          'Content-Type': 'application/json',
-        },
-        body: jsonEncode({
-          'vector': queryEmbedding,
-          'topK': maxResults * 2, // Get more results for better filtering
-          'includeMetadata': true,
-          'includeValues': false,
-          'namespace': AIConfig.pineconeNamespace,
-          if (filter.isNotEmpty) 'filter': filter,
-        }),
-      );
-
-      if (response.statusCode != 200) {
-        throw Exception('Pinecone query failed: ${response.body}');
-      }
-
-      final responseData = jsonDecode(response.body);
-      final matches = responseData['matches'] as List;
+      // Retrieve candidates through the ragQuery function, which embeds
+      // the query and searches the index on the server
+      final result = await _functions.httpsCallable('ragQuery').call({
+        'question': contextualizedQuery.expandedQuery,
+        // Get more results for better filtering
+        'topK': min(maxResults * 2, 20),
+        if (categoryFilter != null && categoryFilter.isNotEmpty)
+          'categories': categoryFilter,
+        if (tagFilter != null && tagFilter.isNotEmpty) 'tags': tagFilter,
+      });
+      final responseData = Map<String, dynamic>.from(result.data as Map);
+      final matches = (responseData['passages'] as List)
+          .map(
+            (item) => _passageToMatch(Map<String, dynamic>.from(item as Map)),
+          )
+          .toList();
 
       // Convert to SearchResult objects and rank
       final searchResults = await _processAndRankResults(
@@ -875,39 +735,21 @@ Return only the general wellness concepts, one per line, no explanations:
     return weights;
   }
 
-  /// Build filter conditions for Pinecone query
-  Map<String, dynamic> _buildFilterConditions(
-    List<String>? categoryFilter,
-    List<String>? tagFilter,
-    HealthQueryContext? healthContext,
-  ) {
-    final filter = <String, dynamic>{};
-
-    if (categoryFilter != null && categoryFilter.isNotEmpty) {
-      filter['category'] = {'\$in': categoryFilter};
-    }
-
-    if (tagFilter != null && tagFilter.isNotEmpty) {
-      filter['tags'] = {'\$in': tagFilter};
-    }
-
-    // Add health context filters
-    if (healthContext != null) {
-      // Filter by confidence score
-      filter['confidence_score'] = {'\$gte': 0.8};
-
-      // Add dietary restriction filters if applicable
-      if (healthContext.dietaryRestrictions.isNotEmpty) {
-        final restrictionFilters = <String, dynamic>{};
-        for (final restriction in healthContext.dietaryRestrictions) {
-          restrictionFilters['tags'] = {
-            '\$nin': [restriction.toLowerCase()],
-          };
-        }
-      }
-    }
-
-    return filter;
+  /// Convert a ragQuery passage to the shape of a Pinecone match
+  Map<String, dynamic> _passageToMatch(Map<String, dynamic> passage) {
+    return {
+      'id': passage['id'],
+      'score': passage['similarity'],
+      'metadata': {
+        'content': passage['text'],
+        'title': passage['title'],
+        'category': passage['category'],
+        'source': passage['source'],
+        'confidence_score': passage['confidence'],
+        'tags': passage['tags'] ?? [],
+        'citation': passage['citation'],
+      },
+    };
   }
 
   /// Process and rank search results
@@ -1213,24 +1055,14 @@ Keep the response under 200 words and include an appropriate disclaimer.
   /// Get knowledge base statistics
   Future<Map<String, dynamic>> getKnowledgeBaseStats() async {
     try {
-      final response = await http.post(
-        Uri.parse('${AIConfig.pineconeBaseUrl}/describe_index_stats'),
-        headers: {
-          'Api-Key': AIConfig.pineconeApiKey,
-          'Content-Type': 'application/json',
-        },
-        body: jsonEncode({'filter': {}}),
-      );
-
-      if (response.statusCode == 200) {
-        final data = jsonDecode(response.body);
-        return {
-          'total_vector_count': data['totalVectorCount'] ?? 0,
-          'dimension': data['dimension'] ?? 0,
-          'index_fullness': data['indexFullness'] ?? 0.0,
-          'namespaces': data['namespaces'] ?? {},
-        };
-      }
+      final response = await _functions.httpsCallable('ragIndexStats').call();
+      final data = Map<String, dynamic>.from(response.data as Map);
+      return {
+        'total_vector_count': data['totalVectorCount'] ?? 0,
+        'dimension': data['dimension'] ?? 0,
+        'index_fullness': data['indexFullness'] ?? 0.0,
+        'namespaces': data['namespaces'] ?? {},
+      };
     } catch (e) {
       Logger.d('Error getting knowledge base stats: $e');
     }
@@ -1470,7 +1302,10 @@ Format as JSON with keys: summary, highlights, insights, mood_analysis, engageme
 All content should focus on general wellness and lifestyle, not medical advice.
 ''';
 
-      final response = await _openAIService.getChatCompletion(prompt);
+      final response = await _openAIService.getChatCompletion(
+        prompt,
+        feature: 'review_summary',
+      );
 
       try {
         final summaryData = jsonDecode(response ?? '{}');
@@ -1,4 +1,5 @@
 import 'dart:io';
+import 'package:flutter/foundation.dart';
 import 'package:cloud_firestore/cloud_firestore.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import 'package:firebase_storage/firebase_storage.dart';
@@ -221,21 +222,15 @@ class SnapService {
     final user = _auth.currentUser;
     if (user == null) return;
 
-    // Get current user's username
-    final currentUserDoc = await _firestore
-        .collection('users')
-        .doc(user.uid)
-        .get();
-    final currentUsername = currentUserDoc.data()?['username'] ?? 'Someone';
-
-    // Call the cloud function
+    // Call the cloud function; the sender and viewer name are resolved
+    // server-side from the snap in the current user's inbox
     try {
       final callable = FirebaseFunctions.instance.httpsCallable(
         'sendScreenshotNotification',
       );
       await callable.call({
-        'snap': snap.data(),
-        'viewerUsername': currentUsername,
+        'snapId': snap.id,
+        'platform': kIsWeb ? 'web' : Platform.operatingSystem,
       });
     } on FirebaseFunctionsException catch (e) {
       Logger.d('Caught FirebaseFunctionsException: ${e.code}, ${e.message}');
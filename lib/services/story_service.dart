@@ -1,5 +1,4 @@
 import 'dart:io';
-import 'dart:math' as math;
 import 'package:cloud_firestore/cloud_firestore.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import 'package:firebase_storage/firebase_storage.dart';
@@ -124,22 +123,7 @@ class StoryService {
         'viewers': [],
         'senderId': user.uid,
         'text': text, // Store text content for filtering
-        'engagement': {
-          'views': 0,
-          'likes': 0,
-          'comments': 0,
-          'shares': 0,
-          'saves': 0,
-        },
-        'totalEngagementScore': 0,
-        'permanence': {
-          'duration': const Duration(hours: 24).inSeconds,
-          'expiresAt':
-              FieldValue.serverTimestamp(), // Will be updated when first engagement happens
-          'tier': 'standard',
-          'calculatedAt': FieldValue.serverTimestamp(),
-          'isExtended': false,
-        },
+        // Engagement and permanence are set by Cloud Functions
       });
 
       Logger.d("StoryService: Story document created successfully");
@@ -317,7 +301,9 @@ class StoryService {
     }
   }
 
-  /// Update story engagement metrics with enhanced tracking
+  /// Record a story engagement event. Engagement counters and story
+  /// permanence are maintained server-side by the aggregateStoryEngagement
+  /// Cloud Function, so the story document itself is not touched here.
   Future<void> updateStoryEngagement(
     String userId,
     String storyId,
@@ -330,22 +316,7 @@ class StoryService {
 
       if (actualViewerId == null) return;
 
-      final storyRef = _firestore
-          .collection('users')
-          .doc(userId)
-          .collection('stories')
-          .doc(storyId);
-
-      // Update engagement metrics
-      await storyRef.update({
-        'engagement.$engagementType': FieldValue.increment(1),
-        'lastEngagementTime': FieldValue.serverTimestamp(),
-        'totalEngagementScore': FieldValue.increment(
-          _getEngagementWeight(engagementType),
-        ),
-      });
-
-      // Track individual engagement event for detailed analytics
+      // Track individual engagement event; the backend aggregates it
       await _firestore.collection('story_engagement').add({
         'storyId': storyId,
         'storyOwnerId': userId,
@@ -354,9 +325,6 @@ class StoryService {
         'timestamp': FieldValue.serverTimestamp(),
         'weight': _getEngagementWeight(engagementType),
       });
-
-      // Update story permanence after engagement
-      await _calculateAndUpdateStoryPermanence(userId, storyId);
     } catch (e) {
       Logger.d('Error updating story engagement: $e');
     }
@@ -380,108 +348,6 @@ class StoryService {
     }
   }
 
-  /// Calculate logarithmic permanence duration for a story
-  Future<void> _calculateAndUpdateStoryPermanence(
-    String userId,
-    String storyId,
-  ) async {
-    try {
-      final storyDoc = await _firestore
-          .collection('users')
-          .doc(userId)
-          .collection('stories')
-          .doc(storyId)
-          .get();
-
-      if (!storyDoc.exists) return;
-
-      final storyData = storyDoc.data() as Map<String, dynamic>;
-      final engagement = storyData['engagement'] as Map<String, dynamic>? ?? {};
-      final totalScore = storyData['totalEngagementScore'] as int? ?? 0;
-      final timestamp = storyData['timestamp'] as Timestamp?;
-
-      if (timestamp == null) return;
-
-      // Calculate logarithmic duration based on engagement
-      final permanenceDuration = _calculateLogarithmicDuration(
-        totalScore,
-        engagement['views'] as int? ?? 0,
-        engagement['likes'] as int? ?? 0,
-        engagement['comments'] as int? ?? 0,
-        engagement['shares'] as int? ?? 0,
-      );
-
-      // Calculate expiration time
-      final expiresAt = timestamp.toDate().add(permanenceDuration);
-
-      // Determine permanence tier
-      final permanenceTier = _getPermanenceTier(permanenceDuration);
-
-      await storyDoc.reference.update({
-        'permanence': {
-          'duration': permanenceDuration.inSeconds,
-          'expiresAt': Timestamp.fromDate(expiresAt),
-          'tier': permanenceTier,
-          'calculatedAt': FieldValue.serverTimestamp(),
-          'isExtended': permanenceDuration.inHours > 24,
-        },
-      });
-
-      Logger.d(
-        'Updated story permanence: ${permanenceDuration.inHours} hours (tier: $permanenceTier)',
-      );
-    } catch (e) {
-      Logger.d('Error calculating story permanence: $e');
-    }
-  }
-
-  /// Calculate logarithmic duration based on engagement metrics
-  Duration _calculateLogarithmicDuration(
-    int totalScore,
-    int views,
-    int likes,
-    int comments,
-    int shares,
-  ) {
-    // Base duration: 24 hours
-    const baseDuration = Duration(hours: 24);
-
-    // Calculate engagement multiplier using logarithmic scale
-    // Formula: log(1 + engagement_score) * scaling_factor
-    final engagementMultiplier = math.log(1 + totalScore) * 0.5;
-
-    // Calculate view velocity bonus (views in first hour)
-    final viewVelocityBonus = math.min(views / 10.0, 2.0); // Max 2x bonus
-
-    // Calculate interaction quality bonus
-    final interactionQuality =
-        (likes * 0.3) + (comments * 0.5) + (shares * 0.7);
-    final qualityMultiplier = math.log(1 + interactionQuality) * 0.3;
-
-    // Total multiplier (capped at 30 days max)
-    final totalMultiplier = math.min(
-      1 + engagementMultiplier + viewVelocityBonus + qualityMultiplier,
-      30.0, // Max 30x = 30 days
-    );
-
-    final finalDuration = Duration(
-      seconds: (baseDuration.inSeconds * totalMultiplier).round(),
-    );
-
-    return finalDuration;
-  }
-
-  /// Get permanence tier based on duration
-  String _getPermanenceTier(Duration duration) {
-    final hours = duration.inHours;
-
-    if (hours <= 24) return 'standard';
-    if (hours <= 72) return 'extended';
-    if (hours <= 168) return 'weekly';
-    if (hours <= 720) return 'monthly';
-    return 'milestone';
-  }
-
   /// Get stories with enhanced permanence data
   Stream<QuerySnapshot> getStoriesWithPermanenceStream(String userId) {
     final now = DateTime.now();
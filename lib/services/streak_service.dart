@@ -1,4 +1,5 @@
 import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:cloud_functions/cloud_functions.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import '../utils/logger.dart';
 
@@ -12,6 +13,7 @@ enum StreakType {
   calorieGoal,
   stepGoal,
   custom,
+  mealLogging,
 }
 
 /// Individual streak data
@@ -28,6 +30,7 @@ class StreakData {
   final Map<String, dynamic> settings;
   final List<DateTime> completedDates;
   final bool isActive;
+  final int freezeTokens; // Missed days the streak can still survive
 
   StreakData({
     required this.id,
@@ -42,6 +45,7 @@ class StreakData {
     required this.settings,
     required this.completedDates,
     this.isActive = true,
+    this.freezeTokens = 0,
   });
 
   Map<String, dynamic> toFirestore() {
@@ -85,6 +89,7 @@ class StreakData {
               .toList() ??
           [],
       isActive: data['is_active'] ?? true,
+      freezeTokens: data['freeze_tokens'] ?? 0,
     );
   }
 
@@ -183,6 +188,7 @@ class SharedStreak {
 class StreakService {
   final FirebaseFirestore _firestore = FirebaseFirestore.instance;
   final FirebaseAuth _auth = FirebaseAuth.instance;
+  final FirebaseFunctions _functions = FirebaseFunctions.instance;
 
   late final CollectionReference _streaksCollection;
   late final CollectionReference _sharedStreaksCollection;
@@ -228,52 +234,16 @@ class StreakService {
     }
   }
 
-  /// Mark streak as completed for today
+  /// Mark streak as completed for today. Progress is kept by the backend,
+  /// which counts the day in the user's time zone; fasting and meal logging
+  /// streaks update automatically and cannot be checked in.
   Future<bool> completeStreakToday(String streakId) async {
     try {
       final userId = currentUserId;
       if (userId == null) throw Exception('User not authenticated');
 
-      final streakDoc = await _streaksCollection.doc(streakId).get();
-      if (!streakDoc.exists) throw Exception('Streak not found');
-
-      final streak = StreakData.fromFirestore(streakDoc);
-
-      // Check if already completed today
-      if (streak.isCompletedToday) {
-        Logger.d('Streak already completed today');
-        return true;
-      }
-
-      final today = DateTime.now();
-      final yesterday = today.subtract(const Duration(days: 1));
-
-      // Check if streak should continue or reset
-      final wasCompletedYesterday = streak.completedDates.any(
-        (date) =>
-            date.year == yesterday.year &&
-            date.month == yesterday.month &&
-            date.day == yesterday.day,
-      );
-
-      final newCurrentStreak =
-          wasCompletedYesterday || streak.currentStreak == 0
-          ? streak.currentStreak + 1
-          : 1; // Reset if missed yesterday
-
-      final newBestStreak = newCurrentStreak > streak.bestStreak
-          ? newCurrentStreak
-          : streak.bestStreak;
-
-      final updatedCompletedDates = [...streak.completedDates, today];
-
-      await _streaksCollection.doc(streakId).update({
-        'current_streak': newCurrentStreak,
-        'best_streak': newBestStreak,
-        'last_updated': Timestamp.now(),
-        'completed_dates': updatedCompletedDates
-            .map((date) => Timestamp.fromDate(date))
-            .toList(),
+      await _functions.httpsCallable('completeStreakDay').call({
+        'streakId': streakId,
       });
 
       Logger.d('Streak completed for today');
@@ -315,31 +285,15 @@ class StreakService {
       final userId = currentUserId;
       if (userId == null) throw Exception('User not authenticated');
 
-      // Create individual streaks for each member
-      final memberStreaks = <String, StreakData>{};
-      for (final memberId in memberIds) {
-        final streakId = await createStreak(
-          type: type,
-          title: '$title (Shared)',
-          description: description,
-          settings: {...settings, 'shared_streak': true, 'group_id': groupId},
-        );
-
-        if (streakId != null) {
-          final streakDoc = await _streaksCollection.doc(streakId).get();
-          memberStreaks[memberId] = StreakData.fromFirestore(streakDoc);
-        }
-      }
-
+      // Each member's own streak is created by the backend, which fills in
+      // member_streak_ids
       final sharedStreakData = {
         'group_id': groupId,
         'title': title,
         'description': description,
         'type': type.name,
         'member_ids': memberIds,
-        'member_streak_ids': memberStreaks.map(
-          (key, value) => MapEntry(key, value.id),
-        ),
+        'member_streak_ids': <String, String>{},
         'start_date': Timestamp.now(),
         'end_date': endDate != null ? Timestamp.fromDate(endDate) : null,
         'settings': settings,
@@ -416,48 +370,38 @@ class StreakService {
     }
   }
 
-  /// Get streak leaderboard for a group
-  Future<List<Map<String, dynamic>>> getGroupStreakLeaderboard(
-    String groupId,
-  ) async {
+  /// Get the materialized streak leaderboard of a group: 'daily' ranks by
+  /// current streak, 'weekly' by days checked in this week. Returns the
+  /// leaderboard document, whose 'entries' are in rank order.
+  Future<Map<String, dynamic>?> getGroupLeaderboard(
+    String groupId, {
+    String period = 'daily',
+  }) async {
     try {
-      final sharedStreaks = await _sharedStreaksCollection
-          .where('group_id', isEqualTo: groupId)
-          .where('is_active', isEqualTo: true)
+      final doc = await _firestore
+          .collection('health_groups')
+          .doc(groupId)
+          .collection('leaderboard')
+          .doc(period)
           .get();
-
-      final leaderboard = <Map<String, dynamic>>[];
-
-      for (final doc in sharedStreaks.docs) {
-        final sharedStreak = await getSharedStreakDetails(doc.id);
-        if (sharedStreak != null) {
-          for (final entry in sharedStreak.memberStreaks.entries) {
-            leaderboard.add({
-              'user_id': entry.key,
-              'streak_type': sharedStreak.type.name,
-              'streak_title': sharedStreak.title,
-              'current_streak': entry.value.currentStreak,
-              'best_streak': entry.value.bestStreak,
-              'completed_today': entry.value.isCompletedToday,
-              'weekly_completion': entry.value.weeklyCompletionRate,
-            });
-          }
-        }
-      }
-
-      // Sort by current streak descending
-      leaderboard.sort(
-        (a, b) =>
-            (b['current_streak'] as int).compareTo(a['current_streak'] as int),
-      );
-
-      return leaderboard;
+      return doc.data();
     } catch (e) {
-      Logger.d('Error getting group streak leaderboard: $e');
-      return [];
+      Logger.d('Error getting group leaderboard: $e');
+      return null;
     }
   }
 
+  /// Get streak leaderboard entries for a group, in rank order
+  Future<List<Map<String, dynamic>>> getGroupStreakLeaderboard(
+    String groupId, {
+    String period = 'daily',
+  }) async {
+    final leaderboard = await getGroupLeaderboard(groupId, period: period);
+    return (leaderboard?['entries'] as List<dynamic>? ?? [])
+        .map((entry) => Map<String, dynamic>.from(entry as Map))
+        .toList();
+  }
+
   /// Send motivational message to group based on streak progress
   Future<String?> generateMotivationalMessage(String groupId) async {
     try {
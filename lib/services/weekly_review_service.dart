@@ -1,3 +1,4 @@
+import 'dart:async';
 import 'package:cloud_firestore/cloud_firestore.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import '../utils/logger.dart';
@@ -11,6 +12,8 @@ class WeeklyReviewService {
 
   // Collection references
   late final CollectionReference _reviewsCollection;
+  late final CollectionReference _weeklyReviewsCollection;
+  late final CollectionReference _monthlyReviewsCollection;
   late final CollectionReference _storiesCollection;
   late final CollectionReference _mealLogsCollection;
   late final CollectionReference _fastingSessionsCollection;
@@ -18,6 +21,10 @@ class WeeklyReviewService {
 
   WeeklyReviewService({RAGService? ragService}) : _ragService = ragService {
     _reviewsCollection = _firestore.collection('user_reviews');
+    // Written by the generatePeriodicReviews Cloud Function once a week or
+    // month ends in the user's time zone
+    _weeklyReviewsCollection = _firestore.collection('weekly_reviews');
+    _monthlyReviewsCollection = _firestore.collection('monthly_reviews');
     _storiesCollection = _firestore.collection('stories');
     _mealLogsCollection = _firestore.collection('meal_logs');
     _fastingSessionsCollection = _firestore.collection('fasting_sessions');
@@ -810,7 +817,8 @@ class WeeklyReviewService {
     return goals.take(3).toList();
   }
 
-  /// Get reviews for a user
+  /// Get reviews for a user, including the scheduled reviews written by the
+  /// backend when a review type is given
   Stream<List<Map<String, dynamic>>> getUserReviews({
     required String userId,
     String? reviewType,
@@ -824,117 +832,91 @@ class WeeklyReviewService {
       if (reviewType != null) {
         query = query.where('review_type', isEqualTo: reviewType);
       }
+
+      final queries = [query];
+      if (reviewType == 'weekly' || reviewType == 'monthly') {
+        final scheduledCollection = reviewType == 'weekly'
+            ? _weeklyReviewsCollection
+            : _monthlyReviewsCollection;
+        queries.add(scheduledCollection
+            .where('user_id', isEqualTo: userId)
+            .where('status', isEqualTo: 'active'));
+      }
       
-      return query
-          .orderBy('generated_at', descending: true)
-          .limit(limit)
-          .snapshots()
-          .map((snapshot) => snapshot.docs.map((doc) => {
-            'id': doc.id,
-            ..._deepCastToStringDynamic(doc.data() as Map),
-          }).toList())
-          .handleError((error) {
-            Logger.d('Error in user reviews stream: $error');
-            return <Map<String, dynamic>>[];
-          });
+      return _mergeReviewStreams(
+        queries
+            .map((source) => source
+                .orderBy('generated_at', descending: true)
+                .limit(limit)
+                .snapshots()
+                .map((snapshot) => snapshot.docs.map((doc) => {
+                  'id': doc.id,
+                  'collection': doc.reference.parent.id,
+                  ..._deepCastToStringDynamic(doc.data() as Map),
+                }).toList()))
+            .toList(),
+        limit,
+      ).handleError((error) {
+        Logger.d('Error in user reviews stream: $error');
+        return <Map<String, dynamic>>[];
+      });
     } catch (e) {
       Logger.d('Error setting up user reviews stream: $e');
       return Stream.value(<Map<String, dynamic>>[]);
     }
   }
 
-  /// Batch generate weekly reviews for all users
-  Future<void> generateWeeklyReviewsForAllUsers() async {
-    try {
-      Logger.d('Starting batch weekly review generation');
-      
-      // Get all users (this might need pagination for large user bases)
-      final usersSnapshot = await _firestore.collection('users').get();
-      
-      int generated = 0;
-      int errors = 0;
-      
-      for (final userDoc in usersSnapshot.docs) {
-        try {
-          final userId = userDoc.id;
-          final review = await generateWeeklyReview(userId: userId);
-          
-          if (review != null) {
-            generated++;
-            Logger.d('Generated weekly review for user $userId');
-          } else {
-            errors++;
-          }
-        } catch (e) {
-          errors++;
-          Logger.d('Error generating weekly review for user ${userDoc.id}: $e');
+  /// Combine review streams into one list, newest first
+  Stream<List<Map<String, dynamic>>> _mergeReviewStreams(
+    List<Stream<List<Map<String, dynamic>>>> streams,
+    int limit,
+  ) {
+    if (streams.length == 1) return streams.first;
+
+    final latest = List<List<Map<String, dynamic>>?>.filled(streams.length, null);
+    final subscriptions = <StreamSubscription>[];
+    late final StreamController<List<Map<String, dynamic>>> controller;
+
+    controller = StreamController<List<Map<String, dynamic>>>(
+      onListen: () {
+        for (var i = 0; i < streams.length; i++) {
+          subscriptions.add(streams[i].listen(
+            (reviews) {
+              latest[i] = reviews;
+              // Wait until every source has delivered its first snapshot
+              if (latest.any((entry) => entry == null)) return;
+
+              final merged = latest.expand((entry) => entry!).toList()
+                ..sort((a, b) => (b['generated_at'] as String? ?? '')
+                    .compareTo(a['generated_at'] as String? ?? ''));
+              controller.add(merged.take(limit).toList());
+            },
+            onError: controller.addError,
+          ));
         }
-        
-        // Add small delay to avoid overwhelming Firestore
-        await Future.delayed(const Duration(milliseconds: 100));
-      }
-      
-      Logger.d('Batch weekly review generation complete: $generated generated, $errors errors');
-    } catch (e) {
-      Logger.d('Error in batch weekly review generation: $e');
-    }
-  }
-
-  /// Batch generate monthly reviews for all users
-  Future<void> generateMonthlyReviewsForAllUsers() async {
-    try {
-      Logger.d('Starting batch monthly review generation');
-      
-      // Get all users (this might need pagination for large user bases)
-      final usersSnapshot = await _firestore.collection('users').get();
-      
-      int generated = 0;
-      int errors = 0;
-      
-      for (final userDoc in usersSnapshot.docs) {
-        try {
-          final userId = userDoc.id;
-          final review = await generateMonthlyReview(userId: userId);
-          
-          if (review != null) {
-            generated++;
-            Logger.d('Generated monthly review for user $userId');
-          } else {
-            errors++;
-          }
-        } catch (e) {
-          errors++;
-          Logger.d('Error generating monthly review for user ${userDoc.id}: $e');
+      },
+      onCancel: () async {
+        for (final subscription in subscriptions) {
+          await subscription.cancel();
         }
-        
-        // Add small delay to avoid overwhelming Firestore
-        await Future.delayed(const Duration(milliseconds: 100));
-      }
-      
-      Logger.d('Batch monthly review generation complete: $generated generated, $errors errors');
-    } catch (e) {
-      Logger.d('Error in batch monthly review generation: $e');
-    }
+      },
+    );
+
+    return controller.stream;
   }
 
-  /// Delete old reviews to manage storage
-  Future<void> cleanupOldReviews({int keepMonths = 12}) async {
+  /// Star or unstar a review from [getUserReviews]. Starred reviews are
+  /// kept when the backend enforces review retention.
+  Future<void> setReviewStarred(Map<String, dynamic> review, bool starred) async {
     try {
-      final cutoffDate = DateTime.now().subtract(Duration(days: keepMonths * 30));
-      
-      final snapshot = await _reviewsCollection
-          .where('generated_at', isLessThan: Timestamp.fromDate(cutoffDate))
-          .get();
-      
-      final batch = _firestore.batch();
-      for (final doc in snapshot.docs) {
-        batch.delete(doc.reference);
-      }
-      
-      await batch.commit();
-      Logger.d('Cleaned up ${snapshot.docs.length} old reviews');
+      final collection = review['collection'] as String? ?? 'user_reviews';
+      await _firestore
+          .collection(collection)
+          .doc(review['id'] as String)
+          .update({'is_starred': starred});
     } catch (e) {
-      Logger.d('Error cleaning up old reviews: $e');
+      Logger.d('Error starring review: $e');
+      rethrow;
     }
   }
 
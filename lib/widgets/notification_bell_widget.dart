@@ -5,6 +5,7 @@ import '../services/in_app_notification_service.dart';
 import '../services/friend_service.dart';
 import '../pages/chat_page.dart';
 import '../pages/health_groups_page.dart';
+import '../pages/weekly_review_page.dart';
 import '../utils/logger.dart';
 
 class NotificationBellWidget extends StatefulWidget {
@@ -249,6 +250,22 @@ class _NotificationBellWidgetState extends State<NotificationBellWidget> {
         icon = Icons.psychology;
         iconColor = SnapColors.accentPurple;
         break;
+      case NotificationType.screenshot:
+        icon = Icons.screenshot;
+        iconColor = SnapColors.primaryYellow;
+        break;
+      case NotificationType.fasting:
+        icon = Icons.timer;
+        iconColor = SnapColors.accentGreen;
+        break;
+      case NotificationType.challenge:
+        icon = Icons.emoji_events;
+        iconColor = SnapColors.primaryYellow;
+        break;
+      case NotificationType.review:
+        icon = Icons.auto_awesome;
+        iconColor = SnapColors.accentBlue;
+        break;
     }
 
     final timeAgo = _formatTimeAgo(notification.timestamp);
@@ -359,6 +376,17 @@ class _NotificationBellWidgetState extends State<NotificationBellWidget> {
         case NotificationType.aiAdvice:
           _handleAIAdviceTap(context, notification);
           break;
+        case NotificationType.screenshot:
+        case NotificationType.fasting:
+        case NotificationType.challenge:
+          // Marking the notification as read is all there is to do
+          break;
+        case NotificationType.review:
+          Navigator.push(
+            context,
+            MaterialPageRoute(builder: (context) => const WeeklyReviewPage()),
+          );
+          break;
       }
     } catch (e) {
       Logger.d('Error handling notification tap: $e');
@@ -7,11 +7,15 @@ import '../utils/logger.dart';
 class ReviewCard extends StatelessWidget {
   final Map<String, dynamic> review;
   final String reviewType;
+  /// Called with the new value when the user stars or unstars the review.
+  /// Starred reviews are kept past the retention window.
+  final ValueChanged<bool>? onStarToggled;
 
   const ReviewCard({
     super.key,
     required this.review,
     required this.reviewType,
+    this.onStarToggled,
   });
 
   @override
@@ -83,8 +87,10 @@ class ReviewCard extends StatelessWidget {
     );
   }
 
-  /// Build card header with date and AI indicator
+  /// Build card header with date, AI indicator and star
   Widget _buildHeader(DateTime reviewDate, bool isAiGenerated) {
+    final isStarred = review['is_starred'] as bool? ?? false;
+
     return Row(
       children: [
         Container(
@@ -133,6 +139,15 @@ class ReviewCard extends StatelessWidget {
             ],
           ),
         ),
+        if (onStarToggled != null)
+          IconButton(
+            onPressed: () => onStarToggled!(!isStarred),
+            icon: Icon(
+              isStarred ? Icons.star : Icons.star_border,
+              color: isStarred ? SnapColors.primaryYellow : SnapColors.textSecondary,
+            ),
+            tooltip: isStarred ? 'Unstar' : 'Star to keep',
+          ),
       ],
     );
   }
@@ -60,6 +60,7 @@ const defaultFeatureFlags = [
       collect_metrics: true,
       cost_tracking: true,
       circuit_breakers: true,
+      daily_budget_usd: 25.0,
     },
   },
   {
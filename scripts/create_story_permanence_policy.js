@@ -0,0 +1,82 @@
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin SDK
+admin.initializeApp({
+  credential: admin.credential.applicationDefault(),
+  projectId: 'snapameal-cabc7'
+});
+
+const db = admin.firestore();
+
+// Story permanence policy read by recalculateStoryPermanence and
+// manageStoryExpiration. Bump `version` on every change: each story records
+// the version that computed its expiry in permanence.policyVersion.
+const storyPermanencePolicy = {
+  version: 1,
+  baseDurationHours: 24,
+  engagementScoreWeight: 0.5,
+  viewVelocity: {
+    viewsPerBonus: 10,
+    maxBonus: 2,
+  },
+  interactionWeights: {
+    likes: 0.3,
+    comments: 0.5,
+    shares: 0.7,
+  },
+  qualityWeight: 0.3,
+  maxMultiplier: 30,
+  eventWeights: {
+    views: 1,
+    likes: 3,
+    comments: 5,
+    shares: 8,
+    saves: 10,
+  },
+  antiGaming: {
+    maxCommentsPerViewer: 3,
+    maxSharesPerViewer: 2,
+    velocityWindowMinutes: 5,
+    maxEventsPerWindow: 10,
+  },
+  tiers: [
+    { name: 'standard', maxHours: 24 },
+    { name: 'extended', maxHours: 72 },
+    { name: 'weekly', maxHours: 168 },
+    { name: 'monthly', maxHours: 720 },
+    { name: 'milestone', maxHours: null },
+  ],
+  archivedTiers: ['milestone', 'monthly'],
+};
+
+async function createStoryPermanencePolicy() {
+  console.log('📜 Writing story permanence policy to Firestore...');
+
+  try {
+    const policyRef = db.collection('admin').doc('story_permanence_policy');
+    const current = await policyRef.get();
+    const currentVersion = current.exists ? current.data().version : null;
+
+    if (currentVersion !== null && currentVersion >= storyPermanencePolicy.version) {
+      console.error(
+        `❌ Policy version ${storyPermanencePolicy.version} is not newer than ` +
+        `the live version ${currentVersion}. Bump the version first.`
+      );
+      process.exit(1);
+    }
+
+    await policyRef.set({
+      ...storyPermanencePolicy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log(`🎉 Published story permanence policy v${storyPermanencePolicy.version}`);
+
+  } catch (error) {
+    console.error('❌ Error writing story permanence policy:', error);
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+createStoryPermanencePolicy();
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Orphaned Media Garbage Collector
+ *
+ * Admin counterpart of the collectOrphanedMedia scheduled function. Lists
+ * meals/, stories/, snaps/ and temp/ in the default bucket, looks up the
+ * documents that reference each object, and moves unreferenced objects into
+ * quarantine/. Quarantined objects older than the grace period are deleted.
+ *
+ * Usage (run `npm run build` in functions/ first, the GC logic lives in
+ * functions/lib/):
+ *   node scripts/gc_orphaned_media.js --dry-run     # report only
+ *   node scripts/gc_orphaned_media.js               # quarantine and purge
+ *   node scripts/gc_orphaned_media.js --grace-days=14
+ */
+
+const admin = require('firebase-admin');
+const { collectOrphanedMedia } = require('../functions/lib/orphanedMedia');
+
+// Initialize Firebase Admin SDK
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.applicationDefault(),
+    projectId: 'snapameal-cabc7',
+    storageBucket: 'snapameal-cabc7.appspot.com'
+  });
+}
+
+function parseArgs(argv) {
+  const args = { dryRun: false, graceDays: undefined };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg.startsWith('--grace-days=')) {
+      args.graceDays = Number(arg.split('=')[1]);
+    }
+  }
+
+  return args;
+}
+
+async function gcOrphanedMedia() {
+  const { dryRun, graceDays } = parseArgs(process.argv.slice(2));
+
+  console.log(`🧹 Starting orphaned media GC${dryRun ? ' (dry run)' : ''}...\n`);
+
+  const report = await collectOrphanedMedia({
+    db: admin.firestore(),
+    bucket: admin.storage().bucket(),
+    dryRun,
+    gracePeriodMs: graceDays !== undefined ?
+      graceDays * 24 * 60 * 60 * 1000 :
+      undefined,
+  });
+
+  console.log('📊 Orphaned Media Report:');
+  console.log(`   🔗 Still referenced: ${report.referencedPaths}`);
+  console.log(`   📄 Objects scanned: ${report.scannedObjects}`);
+  console.log(`   📦 Quarantined: ${report.quarantined} (${report.quarantinedBytes} bytes)`);
+  console.log(`   ♻️  Restored: ${report.restored}`);
+  console.log(`   🗑️  Purged: ${report.purged}`);
+
+  for (const [action, paths] of Object.entries(report.samples)) {
+    if (paths.length === 0) continue;
+    console.log(`\n   ${action}:`);
+    paths.forEach((path) => console.log(`     - ${path}`));
+  }
+
+  if (dryRun) {
+    console.log('\n⚠️  Dry run: no objects were moved or deleted');
+  }
+}
+
+// Run the GC
+if (require.main === module) {
+  gcOrphanedMedia()
+    .then(() => {
+      console.log('\n✅ Orphaned media GC completed');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('\n❌ Orphaned media GC failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { gcOrphanedMedia };
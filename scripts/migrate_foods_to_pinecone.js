@@ -342,6 +342,7 @@ async function createKnowledgeDocument(food) {
     // Create metadata
     const metadata = {
       title: title,
+      content: content,
       food_name: food.foodName,
       category: food.category || 'other',
       subcategory: food.subcategory || '',